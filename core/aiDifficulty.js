@@ -0,0 +1,46 @@
+// aiDifficulty.js - Razine težine AI protivnika
+//
+//  - easy:   početnik - ne broji karte, igra "na prvu" i često se zabuni
+//  - medium: srednji - oprezna igra, u Briskuli broji samo odigrane adute,
+//            ponekad se zabuni
+//  - hard:   jaki - prati sve odigrane karte i točno rješava završnicu
+//  - expert: ekspert - pretraga stabla (ismcts.js), samo Briskula 1v1;
+//            heuristike ga igraju kao jakog
+
+export const AI_DIFFICULTIES = ["easy", "medium", "hard", "expert"];
+
+export const DEFAULT_AI_DIFFICULTY = "hard";
+
+export const AI_DIFFICULTY_LABELS = {
+  easy: "🐣 Početnik",
+  medium: "🙂 Srednji",
+  hard: "💪 Jaki",
+  expert: "🧠 Ekspert",
+};
+
+// Koliko često AI baci nasumičnu kartu umjesto promišljene
+const MISTAKE_RATE = {
+  easy: 0.2,
+  medium: 0.1,
+};
+
+/**
+ * Vrati poznatu razinu težine ili zadanu ("hard").
+ * @param {string} difficulty
+ * @returns {string}
+ */
+export function normalizeDifficulty(difficulty) {
+  return AI_DIFFICULTIES.includes(difficulty)
+    ? difficulty
+    : DEFAULT_AI_DIFFICULTY;
+}
+
+/**
+ * Hoće li se AI na ovom potezu zabuniti (početnik i srednja razina).
+ * @param {string} difficulty
+ * @param {Function} [random] - Izvor slučajnih brojeva
+ * @returns {boolean}
+ */
+export function makesMistake(difficulty, random = Math.random) {
+  return random() < (MISTAKE_RATE[difficulty] || 0);
+}
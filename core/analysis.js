@@ -0,0 +1,231 @@
+// analysis.js - Analiza odigrane partije
+//
+// Svaki potez iz dnevnika (moveLog.js) ocjenjuje se iz perspektive igrača
+// koji ga je odigrao: skrivene karte (tuđe ruke, špil) nasumično se
+// razdijele u skladu s onim što je igrač mogao znati (odigrane karte,
+// akužane karte, boje koje netko nema jer nije odgovorio), pa se za svaku
+// igrivu kartu partija odigra do kraja dijeljenja AI heuristikama
+// (briskulaAI.js / tresetaAI.js), a kad se špil potroši završnica se rješava
+// točno (endgameSolver.js). Razlika između najbolje karte i odigrane u
+// prosječnim bodovima je procijenjeni gubitak poteza.
+
+import { createSeededRandom, MOVE_TYPES } from "./rulesEngine.js";
+import { buildReplayFrames, MOVE_LOG_TYPES } from "./moveLog.js";
+import { isDeckExhausted } from "./gameLogicBriskula.js";
+import { chooseAiCard as chooseAiBriskula } from "./briskulaAI.js";
+import { chooseAiCard as chooseAiTreseta } from "./tresetaAI.js";
+import { sidePoints, solveEndgame } from "./endgameSolver.js";
+import { determinize, revealsVoid } from "./determinize.js";
+
+export const MOVE_GRADES = {
+  GOOD: "good",
+  INACCURACY: "inaccuracy",
+  BLUNDER: "blunder",
+};
+
+// Pragovi gubitka u bodovima varijante (Trešeta broji u bodovima, bela = 1/3)
+const GRADE_THRESHOLDS = {
+  briskula: { inaccuracy: 4, blunder: 10 },
+  treseta: { inaccuracy: 0.5, blunder: 1.2 },
+};
+
+const DEFAULT_SAMPLES = {
+  briskula: 24,
+  treseta: 10,
+};
+
+const handOf = (state, seat) => state[`player${seat}Hand`] || [];
+
+/**
+ * Karta koju bi AI heuristika odigrala - politika za simulaciju do kraja
+ * dijeljenja. U igri za više igrača AI odgovara na prvu kartu na stolu.
+ */
+function policyCardId(engine, state, seat) {
+  const legalIds = engine.legalMoves(state, seat);
+  const hand = handOf(state, seat).filter((c) => legalIds.includes(c.id));
+  const table = state.playedCards || [];
+  const side = engine.sideOf(seat);
+  const opponentSide = engine.sides.find((s) => s !== side);
+  const context = {
+    hand,
+    opponentCard: table[0]?.card || null,
+    aiIsFirst: table.length === 0,
+    difficulty: "hard",
+    roundNumber: state.roundNumber || 1,
+    myPoints: sidePoints(engine, state, side),
+    opponentPoints: sidePoints(engine, state, opponentSide),
+    remainingDeckCount: (state.remainingDeck || []).length,
+    cardsPlayed: engine.sides.flatMap(
+      (s) => state[`player${s}Cards`] || state[`team${s}Cards`] || [],
+    ),
+  };
+
+  const card =
+    state.gameType === "treseta"
+      ? chooseAiTreseta({
+          ...context,
+          fullHand: handOf(state, seat),
+          trickCards: table.map((pc) => pc.card),
+          ...(engine.seats === 2 && {
+            opponentAkuze: state[`player${3 - seat}Akuze`]?.details || [],
+            opponentHandSize: handOf(state, 3 - seat).length,
+          }),
+        })
+      : chooseAiBriskula({
+          ...context,
+          trumpSuit: state.trumpSuit,
+          endgameRule: state.endgameRule,
+          deckExhausted: isDeckExhausted(state),
+        });
+  return card && legalIds.includes(card.id) ? card.id : legalIds[0];
+}
+
+/**
+ * Odigra dijeljenje do kraja politikom i vrati bodove strane.
+ */
+function rollout(engine, state, side) {
+  let current = state;
+  while (!engine.isDealComplete(current)) {
+    if (engine.isTrickComplete(current)) {
+      current = engine.applyMove(current, { type: MOVE_TYPES.COLLECT });
+      if (engine.score(current).gameEnd?.isGameOver) break;
+      continue;
+    }
+    const seat = current.currentPlayer;
+    current = engine.applyMove(current, {
+      type: MOVE_TYPES.PLAY,
+      seat,
+      cardId: policyCardId(engine, current, seat),
+    });
+  }
+  return sidePoints(engine, current, side);
+}
+
+function gradeFor(gameType, loss) {
+  const thresholds = GRADE_THRESHOLDS[gameType] || GRADE_THRESHOLDS.briskula;
+  if (loss >= thresholds.blunder) return MOVE_GRADES.BLUNDER;
+  if (loss >= thresholds.inaccuracy) return MOVE_GRADES.INACCURACY;
+  return MOVE_GRADES.GOOD;
+}
+
+/**
+ * Ocjena jednog poteza: prosječni bodovi strane do kraja dijeljenja za
+ * svaku igrivu kartu, na istim raspodjelama skrivenih karata.
+ */
+function evaluateMove(engine, state, seat, knowledge, { samples, random }) {
+  const legalIds = engine.legalMoves(state, seat);
+  if (legalIds.length <= 1) {
+    return { forced: true, values: { [legalIds[0]]: null } };
+  }
+
+  const side = engine.sideOf(seat);
+  const totals = Object.fromEntries(legalIds.map((id) => [id, 0]));
+  let worlds = 0;
+  for (let i = 0; i < samples; i++) {
+    const world = determinize(engine, state, seat, knowledge, random);
+    const solved = solveEndgame(engine, world, seat);
+    worlds++;
+    if (solved) {
+      const points = sidePoints(engine, world, side);
+      legalIds.forEach((cardId) => {
+        totals[cardId] += points + solved.values[cardId];
+      });
+      // Sa samo jednim protivnikom skrivene karte su mu sve u ruci - svaka
+      // raspodjela je ista
+      if (engine.seats === 2) break;
+      continue;
+    }
+    legalIds.forEach((cardId) => {
+      const next = engine.applyMove(world, {
+        type: MOVE_TYPES.PLAY,
+        seat,
+        cardId,
+      });
+      totals[cardId] += rollout(engine, next, side);
+    });
+  }
+
+  return {
+    forced: false,
+    values: Object.fromEntries(legalIds.map((id) => [id, totals[id] / worlds])),
+  };
+}
+
+/**
+ * Analizira odigranu partiju potez po potez.
+ * @param {Object} engine - Rules engine varijante (getEngine)
+ * @param {Array} moveLog - Dnevnik poteza
+ * @param {Object} [options]
+ * @param {Array<number>} [options.seats] - Samo potezi ovih igrača (zadano svi)
+ * @param {number} [options.samples] - Broj raspodjela skrivenih karata po potezu
+ * @param {string} [options.seed] - Seed za ponovljive rezultate
+ * @returns {{ moves: Array, summary: Object }}
+ *   moves: [{ frameIndex, seat, card, bestCard, grade, loss, forced }]
+ *   summary: { [seat]: { good, inaccuracy, blunder, pointLoss } }
+ */
+export function analyzeGame(engine, moveLog = [], options = {}) {
+  const samples = options.samples || DEFAULT_SAMPLES[engine.gameType] || 16;
+  const random = createSeededRandom(options.seed || "analysis");
+  const { frames } = buildReplayFrames(engine, moveLog);
+
+  const moves = [];
+  const summary = {};
+  let knowledge = { voids: {} };
+
+  frames.forEach(({ entry }, frameIndex) => {
+    if (entry.type === MOVE_LOG_TYPES.DEAL) {
+      knowledge = { voids: {} };
+      return;
+    }
+    if (entry.type !== MOVE_LOG_TYPES.PLAY || frameIndex === 0) return;
+
+    const before = frames[frameIndex - 1].state;
+    const { seat, cardId } = entry;
+    const card = handOf(before, seat).find((c) => c.id === cardId);
+    if (!card) return;
+
+    if (!options.seats || options.seats.includes(seat)) {
+      const { forced, values } = evaluateMove(engine, before, seat, knowledge, {
+        samples,
+        random,
+      });
+      const bestId = forced
+        ? cardId
+        : Object.keys(values).reduce((best, id) =>
+            values[id] > values[best] ? id : best,
+          );
+      const best = handOf(before, seat).find((c) => String(c.id) === bestId);
+      const loss = forced ? 0 : Math.max(0, values[best.id] - values[cardId]);
+      const grade = gradeFor(engine.gameType, loss);
+
+      moves.push({
+        frameIndex,
+        seat,
+        card,
+        bestCard: best?.id === cardId ? null : best,
+        grade,
+        loss: Math.round(loss * 10) / 10,
+        forced,
+      });
+
+      summary[seat] = summary[seat] || {
+        [MOVE_GRADES.GOOD]: 0,
+        [MOVE_GRADES.INACCURACY]: 0,
+        [MOVE_GRADES.BLUNDER]: 0,
+        pointLoss: 0,
+      };
+      summary[seat][grade]++;
+      summary[seat].pointLoss =
+        Math.round((summary[seat].pointLoss + loss) * 10) / 10;
+    }
+
+    if (revealsVoid(engine, before, seat, card)) {
+      knowledge.voids[seat] = new Set([
+        ...(knowledge.voids[seat] || []),
+        before.playedCards[0].card.suit,
+      ]);
+    }
+  });
+
+  return { moves, summary };
+}
@@ -0,0 +1,64 @@
+// botPlayer.js - Bot igrač na serveru (AI koji sjedi za stolom online sobe)
+//
+// Server ima cijelo stanje igre, ali bot bira kartu samo iz onoga što bi
+// znao igrač na njegovom mjestu: vlastita ruka, karte na stolu i u
+// štihovima, akuži i boje koje drugi nemaju (iz dnevnika poteza). Tuđe ruke
+// i špil preslažu se nasumično (determinize.js) prije pretrage.
+//
+//  - easy/medium/hard: heuristike iz teamAI.js (rade za svaki broj igrača,
+//    partnera ima samo u 2v2)
+//  - hard:   u 1v1 kad se špil potroši završnica se rješava točno
+//  - expert: Briskula - ISMCTS s manjim budžetom, da bot ne blokira server
+
+import { normalizeDifficulty } from "./aiDifficulty.js";
+import { determinize, knownVoids } from "./determinize.js";
+import { solveEndgame } from "./endgameSolver.js";
+import { chooseIsmctsCard } from "./ismcts.js";
+import { chooseTeamAiCard } from "./teamAI.js";
+
+// Budžet pretrage po potezu na serveru (ismcts.js zadano: 4000 / 700 ms)
+export const BOT_ISMCTS_BUDGET = {
+  iterations: 1500,
+  timeMs: 250,
+};
+
+/**
+ * Bot bira kartu za svoj potez.
+ * @param {Object} engine - Rules engine sobe (getEngine)
+ * @param {Object} state - Serversko stanje igre (s dnevnikom poteza)
+ * @param {number} seat - Sjedalo bota
+ * @param {Object} [options]
+ * @param {string} [options.difficulty] - Razina težine (aiDifficulty.js)
+ * @param {Function} [options.random] - Izvor slučajnih brojeva
+ * @returns {string|number|null} - Id odabrane karte
+ */
+export function chooseBotCardId(engine, state, seat, options = {}) {
+  const difficulty = normalizeDifficulty(options.difficulty);
+  const random = options.random || Math.random;
+  const legal = engine.legalMoves(state, seat);
+  if (legal.length <= 1) return legal[0] ?? null;
+
+  const knowledge = knownVoids(engine, state.moveLog || []);
+
+  if (difficulty === "expert" && state.gameType !== "treseta") {
+    return chooseIsmctsCard(engine, state, seat, {
+      ...BOT_ISMCTS_BUDGET,
+      knowledge,
+      random,
+    });
+  }
+
+  // Sa samo jednim protivnikom i praznim špilom sve karte su poznate
+  if (["hard", "expert"].includes(difficulty) && engine.seats === 2) {
+    const world = determinize(engine, state, seat, knowledge, random);
+    const solved = solveEndgame(engine, world, seat);
+    if (solved) return solved.cardId;
+  }
+
+  const card = chooseTeamAiCard(engine, state, seat, {
+    difficulty,
+    random,
+    knowledge,
+  });
+  return card && legal.includes(card.id) ? card.id : legal[0];
+}
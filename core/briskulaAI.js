@@ -1,13 +1,13 @@
-import { determineRoundWinner } from "./gameLogicBriskula.js";
+import {
+  determineRoundWinner,
+  getBriskulaPlayableCards,
+} from "./gameLogicBriskula.js";
+import { makesMistake, normalizeDifficulty } from "./aiDifficulty.js";
 
 const POINTS_TO_WIN = 61;
 const HONOR_VALUES = [1, 3, 13, 12, 11];
 const ALL_VALUES = [1, 2, 3, 4, 5, 6, 7, 11, 12, 13];
 
-function normalizeDifficulty() {
-  return "hard";
-}
-
 function getRoundPhase(roundNumber = 1, remainingDeckCount = 0) {
   if (remainingDeckCount <= 4 || roundNumber >= 12) return "late";
   if (roundNumber <= 5) return "early";
@@ -332,6 +332,28 @@ function chooseProbingCard(hand, trumpSuit) {
   return null;
 }
 
+/**
+ * Početnik: ne broji karte ni bodove - uzima svaku ruku s bodovima
+ * najjačom kartom koja nosi, a inače baca kartu s najmanje bodova.
+ */
+function chooseBeginnerCard(hand, opponentCard, trumpSuit) {
+  const lowest = hand.reduce((best, card) =>
+    card.points < best.points ||
+    (card.points === best.points && card.strength < best.strength)
+      ? card
+      : best,
+  );
+  if (!opponentCard || !opponentCard.points) return lowest;
+
+  const winning = hand.filter(
+    (c) => determineRoundWinner(opponentCard, c, trumpSuit, 1) === 2,
+  );
+  if (!winning.length) return lowest;
+  return winning.reduce((best, card) =>
+    card.strength > best.strength ? card : best,
+  );
+}
+
 /**
  * AI bira kartu ovisno o tome igra li prvi (aiIsFirst) ili odgovara na protivničku kartu.
  * @param {Object} params
@@ -339,30 +361,60 @@ function chooseProbingCard(hand, trumpSuit) {
  * @param {Object|null} params.opponentCard - Protivnička karta (ako AI odgovara)
  * @param {string} params.trumpSuit - Adut
  * @param {boolean} [params.aiIsFirst=false] - Je li AI prvi na potezu
+ * @param {string} [params.endgameRule="off"] - Pravilo odgovaranja u završnici
+ * @param {boolean} [params.deckExhausted] - Jesu li špil i adut potrošeni
+ * @param {string} [params.difficulty] - Razina težine (aiDifficulty.js)
+ * @param {Function} [params.random] - Izvor slučajnih brojeva (greške slabijih razina)
  * @returns {Object} - Odabrana karta
  */
 function chooseAiCard({
-  hand,
+  hand: fullHand,
   opponentCard,
   trumpSuit,
   aiIsFirst = false,
-  difficulty: rawDifficulty = "easy",
+  difficulty: rawDifficulty,
   roundNumber = 1,
   remainingDeckCount = 0,
   myPoints = 0,
   opponentPoints = 0,
   cardsPlayed = [],
+  endgameRule = "off",
+  deckExhausted = remainingDeckCount === 0,
+  random = Math.random,
 }) {
   const difficulty = normalizeDifficulty(rawDifficulty);
 
+  // U završnici s obaveznim odgovaranjem AI bira samo među dopuštenim kartama
+  const legalIds = getBriskulaPlayableCards(
+    fullHand,
+    opponentCard ? [opponentCard] : [],
+    trumpSuit,
+    endgameRule,
+    deckExhausted,
+  );
+  const hand = fullHand.filter((card) => legalIds.includes(card.id));
+
+  // Slabije razine povremeno se zabune i bace bilo koju kartu koju smiju
+  if (makesMistake(difficulty, random)) {
+    return hand[Math.floor(random() * hand.length)];
+  }
+  if (difficulty === "easy") {
+    return chooseBeginnerCard(hand, opponentCard, trumpSuit);
+  }
+
   const phase = getRoundPhase(roundNumber, remainingDeckCount);
   const isBehind = myPoints < opponentPoints;
   const myPointsNeeded = getPointsNeeded(myPoints);
   const opponentPointsNeeded = getPointsNeeded(opponentPoints);
   const scorePressure = myPointsNeeded <= 10 || opponentPointsNeeded <= 10;
+  // Srednja razina pamti samo odigrane adute, jaka sve odigrane karte
+  const trackedCards =
+    difficulty === "medium"
+      ? cardsPlayed.filter((card) => card?.suit === trumpSuit)
+      : cardsPlayed;
   const knownValuesBySuit = buildKnownValuesBySuit([
-    ...cardsPlayed,
-    ...hand,
+    ...trackedCards,
+    ...fullHand,
     opponentCard,
   ]);
 
@@ -458,7 +510,7 @@ function chooseAiCard({
       knownValuesBySuit,
     );
     const contestThreshold =
-      difficulty === "hard" ? (isBehind ? 2 : 4) : isBehind ? 3 : 8;
+      difficulty === "medium" ? (isBehind ? 3 : 8) : isBehind ? 2 : 4;
     const shouldContest =
       phase === "late" ||
       scorePressure ||
@@ -0,0 +1,136 @@
+// determinize.js - Nasumične raspodjele skrivenih karata
+//
+// AI i analiza ne smiju vidjeti tuđe ruke ni redoslijed špila. Umjesto toga
+// skrivene karte se nasumično preslože u skladu s onim što igrač zna
+// (svoja ruka, odigrane i akužane karte, boje koje netko nema), pa se
+// svaka takva raspodjela igra kao igra s otvorenim kartama.
+
+import { buildReplayFrames, MOVE_LOG_TYPES } from "./moveLog.js";
+
+const handOf = (state, seat) => state[`player${seat}Hand`] || [];
+
+function shuffle(list, random) {
+  const shuffled = [...list];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Jedna moguća raspodjela skrivenih karata iz perspektive igrača.
+ * @param {Object} engine - Rules engine varijante (getEngine)
+ * @param {Object} state - Stvarno stanje (tuđe ruke i špil se preslože)
+ * @param {number} seat - Igrač iz čije se perspektive gleda
+ * @param {Object} knowledge - { voids: { [seat]: Set<suit> } }
+ * @param {Function} random - Izvor slučajnih brojeva (npr. createSeededRandom)
+ * @returns {Object} - Stanje s nasumično složenim skrivenim kartama
+ */
+export function determinize(engine, state, seat, knowledge, random) {
+  const others = Array.from({ length: engine.seats }, (_, i) => i + 1).filter(
+    (s) => s !== seat,
+  );
+
+  // Akužane karte su svima poznate - ostaju u ruci onoga tko ih ima
+  const fixed = {};
+  others.forEach((s) => {
+    const declared = new Set(
+      (state[`player${s}Akuze`]?.details || []).flatMap((akuz) =>
+        (akuz.cards || []).map((c) => c.id),
+      ),
+    );
+    fixed[s] = handOf(state, s).filter((c) => declared.has(c.id));
+  });
+  const fixedIds = new Set(
+    Object.values(fixed).flatMap((cards) => cards.map((c) => c.id)),
+  );
+  const pool = [
+    ...others.flatMap((s) => handOf(state, s)),
+    ...(state.remainingDeck || []),
+  ].filter((c) => !fixedIds.has(c.id));
+  const deckSize = (state.remainingDeck || []).length;
+
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const hands = Object.fromEntries(others.map((s) => [s, [...fixed[s]]]));
+    const deck = [];
+    let valid = true;
+
+    for (const card of shuffle(pool, random)) {
+      const candidates = others.filter(
+        (s) =>
+          hands[s].length < handOf(state, s).length &&
+          (attempt === 19 || !knowledge.voids[s]?.has(card.suit)),
+      );
+      const deckRoom = deck.length < deckSize;
+      const slots = candidates.length + (deckRoom ? 1 : 0);
+      if (slots === 0) {
+        valid = false;
+        break;
+      }
+      const pick = Math.floor(random() * slots);
+      if (pick < candidates.length) hands[candidates[pick]].push(card);
+      else deck.push(card);
+    }
+
+    if (valid) {
+      const world = { ...state, remainingDeck: deck };
+      others.forEach((s) => {
+        world[`player${s}Hand`] = hands[s];
+      });
+      return world;
+    }
+  }
+  return state;
+}
+
+/**
+ * Je li igrač bacio kartu mimo boje iako bi morao odgovoriti da ima boju -
+ * onda sigurno nema tu boju. Provjera kroz engine: s izmišljenom kartom
+ * boje u ruci, bi li odigrana karta i dalje bila igriva?
+ */
+export function revealsVoid(engine, before, seat, card) {
+  const lead = before.playedCards?.[0]?.card;
+  if (!lead || lead.suit === card.suit) return false;
+  const probe = { ...lead, id: "__probe__" };
+  const withProbe = {
+    ...before,
+    [`player${seat}Hand`]: [...handOf(before, seat), probe],
+  };
+  return !engine.playableCards(withProbe, seat).includes(card.id);
+}
+
+/**
+ * Boje koje igrači sigurno nemaju u trenutnom dijeljenju, iz dnevnika
+ * poteza. Kad igrač izvuče kartu iz špila, više se ne zna.
+ * @param {Object} engine - Rules engine varijante (getEngine)
+ * @param {Array} moveLog - Dnevnik poteza (moveLog.js)
+ * @returns {{ voids: { [seat]: Set<suit> } }}
+ */
+export function knownVoids(engine, moveLog = []) {
+  const dealStart = moveLog.findLastIndex(
+    (entry) => entry.type === MOVE_LOG_TYPES.DEAL,
+  );
+  const knowledge = { voids: {} };
+  if (dealStart === -1) return knowledge;
+
+  const { frames } = buildReplayFrames(engine, moveLog.slice(dealStart));
+  frames.forEach(({ entry }, i) => {
+    if (entry.type === MOVE_LOG_TYPES.TRICK) {
+      Object.entries(entry.drawn || {}).forEach(([seat, cardId]) => {
+        if (cardId != null) delete knowledge.voids[seat];
+      });
+      return;
+    }
+    if (entry.type !== MOVE_LOG_TYPES.PLAY || i === 0) return;
+    const before = frames[i - 1].state;
+    const card = handOf(before, entry.seat).find((c) => c.id === entry.cardId);
+    if (card && revealsVoid(engine, before, entry.seat, card)) {
+      knowledge.voids[entry.seat] = new Set([
+        ...(knowledge.voids[entry.seat] || []),
+        before.playedCards[0].card.suit,
+      ]);
+    }
+  });
+  return knowledge;
+}
@@ -0,0 +1,167 @@
+// endgameSolver.js - Točno rješavanje završnice dijeljenja
+//
+// Kad se špil potroši, igrač koji broji karte zna sve preostale karte, pa se
+// ostatak dijeljenja može riješiti do kraja: minimax s alfa-beta rezanjem i
+// tablicom transpozicija, kroz isti rules engine kao i igra (boja, pravilo
+// završnice, ultima). Strana na potezu maksimizira svoje bodove, sve ostale
+// strane ih minimiziraju. Kapot se ne boduje.
+
+import { MOVE_TYPES } from "./rulesEngine.js";
+
+// Najviše karata u rukama svih igrača kad se završnica još rješava
+// (Briskula: zadnje 3 karte svakog igrača i u 2v2)
+const MAX_CARDS_IN_HANDS = {
+  briskula: 12,
+  treseta: 12,
+};
+
+// Gornja granica čvorova - iznad nje solver odustaje (vrijeme poteza na serveru)
+const DEFAULT_NODE_LIMIT = 50000;
+
+const EXACT = 0;
+const LOWER = 1;
+const UPPER = 2;
+
+class NodeLimitReached extends Error {}
+
+const handOf = (state, seat) => state[`player${seat}Hand`] || [];
+
+/**
+ * Bodovi strane u trenutnom dijeljenju. Trešeta se broji s belama
+ * (ostatak bela kao trećina boda) da razlika ne bi bila zaokružena na nulu.
+ */
+export function sidePoints(engine, state, side) {
+  const points = engine.score(state).points[side];
+  return typeof points === "number"
+    ? points
+    : (points?.points || 0) + (points?.bele || 0) / 3;
+}
+
+/**
+ * Može li se završnica riješiti: špil (i adut) su potrošeni i u rukama je
+ * dovoljno malo karata.
+ */
+export function canSolveEndgame(engine, state) {
+  if (!state || engine.isTerminal(state)) return false;
+  if ((state.remainingDeck || []).length > 0 || state.trump) return false;
+
+  const limit =
+    MAX_CARDS_IN_HANDS[engine.gameType] || MAX_CARDS_IN_HANDS.briskula;
+  const cardsInHands = Array.from({ length: engine.seats }, (_, i) =>
+    handOf(state, i + 1),
+  ).reduce((sum, hand) => sum + hand.length, 0);
+  return cardsInHands <= limit;
+}
+
+function positionKey(engine, state) {
+  const hands = Array.from({ length: engine.seats }, (_, i) =>
+    handOf(state, i + 1)
+      .map((c) => c.id)
+      .sort()
+      .join(","),
+  );
+  const table = (state.playedCards || []).map((pc) => pc.card.id).join(",");
+  return `${state.currentPlayer}|${table}|${hands.join("|")}`;
+}
+
+/**
+ * Bodovi koje strana još osvoji od ove pozicije do kraja dijeljenja.
+ * @param {number} points - Bodovi strane u ovoj poziciji (da se ne računaju ponovno)
+ */
+function search(ctx, state, points, alpha, beta) {
+  const { engine, side } = ctx;
+  if (++ctx.nodes > ctx.nodeLimit) throw new NodeLimitReached();
+
+  if (engine.isTrickComplete(state)) {
+    const next = engine.applyMove(state, { type: MOVE_TYPES.COLLECT });
+    const gain = sidePoints(engine, next, side) - points;
+    return gain + search(ctx, next, points + gain, alpha - gain, beta - gain);
+  }
+  if (engine.isTerminal(state)) return 0;
+
+  const key = positionKey(engine, state);
+  const cached = ctx.table.get(key);
+  if (cached) {
+    if (cached.flag === EXACT) return cached.value;
+    if (cached.flag === LOWER && cached.value >= beta) return cached.value;
+    if (cached.flag === UPPER && cached.value <= alpha) return cached.value;
+  }
+
+  const seat = state.currentPlayer;
+  const maximizing = engine.sideOf(seat) === side;
+  const moves = engine.legalMoves(state, seat);
+  // Najbolji potez iz tablice prvi - brže rezanje
+  if (cached?.bestId !== undefined) {
+    moves.sort((a, b) => (b === cached.bestId) - (a === cached.bestId));
+  }
+
+  const originalAlpha = alpha;
+  const originalBeta = beta;
+  let best = maximizing ? -Infinity : Infinity;
+  let bestId = moves[0];
+  for (const cardId of moves) {
+    const next = engine.applyMove(state, {
+      type: MOVE_TYPES.PLAY,
+      seat,
+      cardId,
+    });
+    const value = search(ctx, next, points, alpha, beta);
+    if (maximizing ? value > best : value < best) {
+      best = value;
+      bestId = cardId;
+    }
+    if (maximizing) alpha = Math.max(alpha, best);
+    else beta = Math.min(beta, best);
+    if (alpha >= beta) break;
+  }
+
+  const flag =
+    best <= originalAlpha ? UPPER : best >= originalBeta ? LOWER : EXACT;
+  ctx.table.set(key, { value: best, flag, bestId });
+  return best;
+}
+
+/**
+ * Rješava završnicu iz perspektive igrača na potezu - sve karte su poznate.
+ * @param {Object} engine - Rules engine varijante (getEngine)
+ * @param {Object} state - Stanje s poznatim rukama svih igrača
+ * @param {number} seat - Igrač na potezu
+ * @param {Object} [options]
+ * @param {number} [options.nodeLimit] - Najviše čvorova prije odustajanja
+ * @returns {{ cardId, values, nodes }|null} - Najbolja karta i bodovi koje
+ *   strana još osvoji za svaku igrivu kartu; null ako se ne može riješiti
+ */
+export function solveEndgame(engine, state, seat, options = {}) {
+  if (!canSolveEndgame(engine, state)) return null;
+  const moves = engine.legalMoves(state, seat);
+  if (moves.length === 0) return null;
+
+  const ctx = {
+    engine,
+    side: engine.sideOf(seat),
+    table: new Map(),
+    nodes: 0,
+    nodeLimit: options.nodeLimit || DEFAULT_NODE_LIMIT,
+  };
+  const points = sidePoints(engine, state, ctx.side);
+
+  try {
+    // Svaka karta s punim prozorom - analiza treba točnu vrijednost svake
+    const values = {};
+    moves.forEach((cardId) => {
+      const next = engine.applyMove(state, {
+        type: MOVE_TYPES.PLAY,
+        seat,
+        cardId,
+      });
+      values[cardId] = search(ctx, next, points, -Infinity, Infinity);
+    });
+    const cardId = moves.reduce((best, id) =>
+      values[id] > values[best] ? id : best,
+    );
+    return { cardId, values, nodes: ctx.nodes };
+  } catch (err) {
+    if (err instanceof NodeLimitReached) return null;
+    throw err;
+  }
+}
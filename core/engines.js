@@ -0,0 +1,30 @@
+// engines.js - Registracija svih varijanti igre u rules engine
+//
+// Uvezi getEngine odavde (ne direktno iz rulesEngine.js) kako bi sve
+// varijante sigurno bile registrirane.
+
+import { registerEngine } from "./rulesEngine.js";
+import { briskulaEngine } from "./gameLogicBriskula.js";
+import { briskula2v2Engine } from "./gameLogicBriskula2v2.js";
+import { tresetaEngine } from "./gameLogicTreseta.js";
+import { treseta2v2Engine } from "./gameLogicTreseta2v2.js";
+import { treseta3pEngine } from "./gameLogicTreseta3p.js";
+import { briskula3pEngine, briskula4pEngine } from "./gameLogicBriskulaFFA.js";
+
+[
+  briskulaEngine,
+  briskula2v2Engine,
+  briskula3pEngine,
+  briskula4pEngine,
+  tresetaEngine,
+  treseta2v2Engine,
+  treseta3pEngine,
+].forEach(registerEngine);
+
+export {
+  getEngine,
+  hasEngine,
+  listEngines,
+  RulesError,
+  MOVE_TYPES,
+} from "./rulesEngine.js";
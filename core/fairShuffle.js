@@ -0,0 +1,200 @@
+// fairShuffle.js - Provjerljivo miješanje špila (commit–reveal)
+//
+// Server za svako dijeljenje generira tajni seed (32 bajta iz CSPRNG-a) i
+// igračima odmah objavi samo njegov SHA-256 hash (commitment). Špil se miješa
+// Fisher–Yates algoritmom nad HMAC-SHA256(seed, "draw:i") nizom brojeva.
+// Kad dijeljenje završi, server otkriva seed - svatko tada može provjeriti:
+//   1. SHA-256(seed) === objavljeni commitment (seed nije mijenjan)
+//   2. isti seed daje točno iste početne ruke (špil nije namješten)
+//
+// Koristi samo WebCrypto (globalThis.crypto) pa radi isto na serveru (Node)
+// i u pregledniku - klijent provjerava dijeljenje bez povjerenja u server.
+
+import { getEngine } from "./engines.js";
+
+export const FAIRNESS_ALGORITHM = "sha256-commit/hmac-sha256-ctr/fisher-yates";
+
+// Špil ima 40 karata - Fisher–Yates troši najviše 39 brojeva
+const DEFAULT_DRAWS = 64;
+
+const encoder = new TextEncoder();
+
+function getCrypto() {
+  const webCrypto = globalThis.crypto;
+  if (!webCrypto?.subtle) {
+    throw new Error("WebCrypto nije dostupan u ovom okruženju");
+  }
+  return webCrypto;
+}
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Novi tajni seed za dijeljenje (64 hex znaka).
+ * @returns {string}
+ */
+export function generateSeed() {
+  const bytes = new Uint8Array(32);
+  getCrypto().getRandomValues(bytes);
+  return toHex(bytes);
+}
+
+/**
+ * Commitment koji se objavljuje prije igre: SHA-256(seed) u hex zapisu.
+ * @param {string} seed
+ * @returns {Promise<string>}
+ */
+export async function commitSeed(seed) {
+  const digest = await getCrypto().subtle.digest(
+    "SHA-256",
+    encoder.encode(String(seed)),
+  );
+  return toHex(digest);
+}
+
+/**
+ * Deterministički CSPRNG iz seeda. WebCrypto je asinkron, a shuffleDeck
+ * očekuje sinkroni random(), pa se brojevi izračunaju unaprijed.
+ * @param {string} seed
+ * @param {number} [draws] - Koliko brojeva pripremiti
+ * @returns {Promise<Function>} random() -> [0, 1)
+ */
+export async function createSeededCsprng(seed, draws = DEFAULT_DRAWS) {
+  const { subtle } = getCrypto();
+  const key = await subtle.importKey(
+    "raw",
+    encoder.encode(String(seed)),
+    { name: "HMAC", hash: "SHA-256" },
+    false,
+    ["sign"],
+  );
+
+  const values = [];
+  for (let i = 0; i < draws; i++) {
+    const mac = new Uint8Array(
+      await subtle.sign("HMAC", key, encoder.encode(`draw:${i}`)),
+    );
+    // Prvih 48 bitova MAC-a -> broj u [0, 1)
+    let n = 0;
+    for (let b = 0; b < 6; b++) {
+      n = n * 256 + mac[b];
+    }
+    values.push(n / 2 ** 48);
+  }
+
+  let index = 0;
+  return function random() {
+    if (index >= values.length) {
+      throw new Error("Seeded CSPRNG je potrošio sve pripremljene brojeve");
+    }
+    return values[index++];
+  };
+}
+
+/**
+ * Podijeli novu ruku s tajnim seedom.
+ * @param {Object} engine - Rules engine varijante
+ * @param {Object} [config] - Config za engine.createInitialState
+ * @returns {Promise<{state: Object, seed: string, commitment: string}>}
+ */
+export async function createFairDeal(engine, config = {}) {
+  const seed = generateSeed();
+  const commitment = await commitSeed(seed);
+  const random = await createSeededCsprng(seed);
+  const state = engine.createInitialState(config, random);
+  return { state, seed, commitment };
+}
+
+/**
+ * Ponovno izvodi dijeljenje iz otkrivenog seeda.
+ * @param {Object} params
+ * @param {string} params.gameType
+ * @param {string} params.gameMode
+ * @param {string} params.seed - Otkriveni seed
+ * @param {string} [params.commitment] - Commitment objavljen na početku
+ * @returns {Promise<{commitmentValid: boolean|null, hands: Object, trump: Object|null, deck: Array}>}
+ */
+export async function verifyDeal({
+  gameType,
+  gameMode = "1v1",
+  seed,
+  commitment,
+}) {
+  const engine = getEngine(gameType, gameMode);
+  const expectedCommitment = await commitSeed(seed);
+  const state = engine.createInitialState({}, await createSeededCsprng(seed));
+
+  const hands = {};
+  for (let seat = 1; seat <= engine.seats; seat++) {
+    hands[seat] = state[`player${seat}Hand`] || [];
+  }
+
+  return {
+    algorithm: FAIRNESS_ALGORITHM,
+    commitment: expectedCommitment,
+    commitmentValid: commitment
+      ? commitment.toLowerCase() === expectedCommitment
+      : null,
+    hands,
+    trump: state.trump || null,
+    deck: state.remainingDeck || [],
+  };
+}
+
+/**
+ * Ista li je ruka (po id-evima karata), bez obzira na redoslijed.
+ */
+export function sameCards(a = [], b = []) {
+  if (a.length !== b.length) return false;
+  const ids = new Set(a.map((c) => String(c.id)));
+  return b.every((c) => ids.has(String(c.id)));
+}
+
+/**
+ * Dodaje commitment novog dijeljenja u klijentsku povijest dijeljenja.
+ * @param {Array} deals - Dosadašnja dijeljenja
+ * @param {Object} fairness - { dealNumber, commitment, algorithm } sa servera
+ * @param {Array} [initialHand] - Početna ruka igrača (za usporedbu)
+ */
+export function recordDeal(deals = [], fairness, initialHand = null) {
+  if (!fairness?.commitment) return deals;
+  if (deals.some((d) => d.dealNumber === fairness.dealNumber)) return deals;
+  return [...deals, { ...fairness, initialHand }];
+}
+
+/**
+ * Upisuje otkriveni seed (ili više njih) u povijest dijeljenja.
+ * @param {Array} deals - Dosadašnja dijeljenja
+ * @param {Object|Array} revealed - fairnessReveal / revealedDeals sa servera
+ */
+export function recordReveal(deals = [], revealed) {
+  const list = Array.isArray(revealed) ? revealed : revealed ? [revealed] : [];
+  return list.reduce((acc, reveal) => {
+    const exists = acc.some((d) => d.dealNumber === reveal.dealNumber);
+    return exists
+      ? acc.map((d) =>
+          d.dealNumber === reveal.dealNumber ? { ...d, ...reveal } : d,
+        )
+      : [...acc, { ...reveal, initialHand: null }];
+  }, deals);
+}
+
+/**
+ * Povijest dijeljenja iz (projiciranog) stanja sa servera - za gameStart i
+ * reconnect. Početna ruka pamti se samo ako dijeljenje još nije krenulo.
+ * @param {Object} serverState - gameState iz gameStart/reconnect payloada
+ * @param {Array} myHand - Trenutna ruka igrača
+ */
+export function dealHistoryFromState(serverState, myHand) {
+  const isFreshDeal =
+    (serverState?.roundNumber || 1) === 1 &&
+    (serverState?.playedCards || []).length === 0;
+  return recordReveal(
+    recordDeal([], serverState?.fairness, isFreshDeal ? myHand : null),
+    serverState?.revealedDeals,
+  );
+}
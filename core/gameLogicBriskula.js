@@ -1,5 +1,7 @@
 // gameLogic.js - Backend verzija game logike (CommonJS) - UPDATED
 
+import { createTrickTakingEngine } from "./rulesEngine.js";
+
 const SUITS = {
   KUPE: "kupe", // Srca/Čaše
   BATE: "bate", // Štapovi/Toljage
@@ -65,10 +67,10 @@ function createDeck() {
   return deck;
 }
 
-function shuffleDeck(deck) {
+function shuffleDeck(deck, random = Math.random) {
   const shuffled = [...deck];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
@@ -159,6 +161,359 @@ function checkGameEnd(
   return { isGameOver: false, winner: null, reason: null };
 }
 
+/**
+ * Zadana pravila mijenjanja aduta. Igrač koji drži malu kartu aduta
+ * (dvicu, negdje sedmicu) smije je zamijeniti za otvorenog aduta.
+ * - cardValue: karta koja mijenja aduta (2 ili 7)
+ * - requireCardsInDeck: samo dok u špilu još ima karata
+ */
+const DEFAULT_TRUMP_SWAP_RULE = {
+  enabled: false,
+  cardValue: 2,
+  requireCardsInDeck: true,
+};
+
+const TRUMP_SWAP_VALUES = [2, 7];
+
+/**
+ * Normalizira pravilo mijenjanja aduta iz configa sobe.
+ * @param {Object|boolean} [rule] - { enabled, cardValue, requireCardsInDeck }
+ * @returns {Object} Potpuno pravilo
+ */
+function normalizeTrumpSwapRule(rule) {
+  if (!rule) return { ...DEFAULT_TRUMP_SWAP_RULE };
+  if (rule === true) return { ...DEFAULT_TRUMP_SWAP_RULE, enabled: true };
+
+  const cardValue = Number(rule.cardValue);
+  return {
+    enabled: rule.enabled !== false,
+    cardValue: TRUMP_SWAP_VALUES.includes(cardValue)
+      ? cardValue
+      : DEFAULT_TRUMP_SWAP_RULE.cardValue,
+    requireCardsInDeck: rule.requireCardsInDeck !== false,
+  };
+}
+
+/**
+ * Karta iz ruke kojom se smije zamijeniti adut, ili null.
+ * @param {Array} hand - Ruka igrača
+ * @param {Object|null} trump - Otvoreni adut ispod špila
+ * @param {number} cardsInDeck - Broj karata u špilu (bez aduta)
+ * @param {Object} rule - Pravilo mijenjanja aduta
+ * @returns {Object|null}
+ */
+function findTrumpSwapCard(hand, trump, cardsInDeck, rule) {
+  if (!rule?.enabled || !trump) return null;
+  if (rule.requireCardsInDeck && !cardsInDeck) return null;
+  return (
+    (hand || []).find(
+      (card) => card.suit === trump.suit && card.value === rule.cardValue,
+    ) || null
+  );
+}
+
+/**
+ * Posebni potez "swapTrump" za rules engine (1v1 i 2v2).
+ */
+const trumpSwapMove = {
+  validate: (state, seat) => {
+    const rule = state.trumpSwapRule;
+    if (!rule?.enabled) {
+      return {
+        code: "TRUMP_SWAP_DISABLED",
+        message: "Mijenjanje aduta nije uključeno",
+      };
+    }
+    if (!state.trump) {
+      return {
+        code: "TRUMP_SWAP_NOT_ALLOWED",
+        message: "Adut je već povučen",
+      };
+    }
+    if (rule.requireCardsInDeck && (state.remainingDeck || []).length === 0) {
+      return {
+        code: "TRUMP_SWAP_NOT_ALLOWED",
+        message: "Adut se mijenja samo dok u špilu ima karata",
+      };
+    }
+    const hand = state[`player${seat}Hand`] || [];
+    const cardsInDeck = (state.remainingDeck || []).length;
+    if (!findTrumpSwapCard(hand, state.trump, cardsInDeck, rule)) {
+      return {
+        code: "TRUMP_SWAP_NOT_ALLOWED",
+        message: `Za mijenjanje aduta trebate ${CARD_NAMES[rule.cardValue]} ${state.trump.suit}`,
+      };
+    }
+    return null;
+  },
+  apply: (state, seat) => {
+    const handKey = `player${seat}Hand`;
+    const hand = state[handKey];
+    const swapCard = findTrumpSwapCard(
+      hand,
+      state.trump,
+      (state.remainingDeck || []).length,
+      state.trumpSwapRule,
+    );
+    return {
+      ...state,
+      [handKey]: hand.map((card) =>
+        card.id === swapCard.id ? state.trump : card,
+      ),
+      trump: swapCard,
+      lastTrumpSwap: { seat, gave: swapCard, took: state.trump },
+    };
+  },
+};
+
+/**
+ * Pravilo odgovaranja u završnici, kad su špil i adut potrošeni:
+ * - "off": bilo koja karta (klasična Briskula)
+ * - "follow": mora se odgovoriti na boju ako se može
+ * - "overtake": na boju i to jačom kartom ako se može; bez boje mora se
+ *   uzeti adutom ako se može (vrijedi i kad ruku nosi partner)
+ */
+const ENDGAME_RULES = ["off", "follow", "overtake"];
+
+function normalizeEndgameRule(rule) {
+  return ENDGAME_RULES.includes(rule) ? rule : "off";
+}
+
+/**
+ * Je li špil potrošen - adut se vuče zadnji pa mora biti i on uzet.
+ */
+function isDeckExhausted(state) {
+  return (state.remainingDeck || []).length === 0 && !state.trump;
+}
+
+/**
+ * Karta koja trenutno nosi ruku na stolu.
+ */
+function winningTableCard(table, trumpSuit) {
+  return table.reduce((best, card) => {
+    const beats =
+      card.suit === best.suit
+        ? card.strength > best.strength
+        : card.suit === trumpSuit;
+    return beats ? card : best;
+  });
+}
+
+/**
+ * Igrive karte u Briskuli prema pravilu završnice.
+ * @param {Array} hand - Ruka igrača
+ * @param {Array} table - Karte na stolu redom bacanja
+ * @param {string} trumpSuit - Boja aduta
+ * @param {string} rule - Pravilo završnice (ENDGAME_RULES)
+ * @param {boolean} deckExhausted - Jesu li špil i adut potrošeni
+ * @returns {Array} ID-jevi igrivih karata
+ */
+function getBriskulaPlayableCards(hand, table, trumpSuit, rule, deckExhausted) {
+  const all = hand.map((card) => card.id);
+  if (!rule || rule === "off" || !deckExhausted || table.length === 0) {
+    return all;
+  }
+
+  const sameSuit = hand.filter((card) => card.suit === table[0].suit);
+  if (rule === "follow") {
+    return sameSuit.length > 0 ? sameSuit.map((card) => card.id) : all;
+  }
+
+  const best = winningTableCard(table, trumpSuit);
+  const beatsBest = (card) =>
+    card.suit === best.suit
+      ? card.strength > best.strength
+      : card.suit === trumpSuit;
+  const candidates = sameSuit.length > 0 ? sameSuit : hand;
+  const stronger = candidates.filter(beatsBest);
+  return (stronger.length > 0 ? stronger : candidates).map((card) => card.id);
+}
+
+/**
+ * playableCards/explainIllegal za rules engine - dijele ih sve Briskula
+ * varijante (1v1, 2v2, svatko za sebe).
+ */
+const endgamePlayRules = {
+  playableCards: (hand, table, state) =>
+    getBriskulaPlayableCards(
+      hand,
+      table,
+      state.trumpSuit,
+      state.endgameRule,
+      isDeckExhausted(state),
+    ),
+  explainIllegal: (card, hand, table, state) => {
+    const leadSuit = table[0].suit;
+    if (!hand.some((c) => c.suit === leadSuit)) {
+      return `Morate uzeti ruku adutom (${state.trumpSuit})`;
+    }
+    return state.endgameRule === "overtake" && card.suit === leadSuit
+      ? `Morate uzeti ruku jačom kartom boje ${leadSuit}`
+      : `Morate odgovoriti na boju ${leadSuit}`;
+  },
+};
+
+/**
+ * Serija "na N dobivenih" - broj dobivenih igara potreban za pobjedu.
+ * 1 = jedna igra (bez serije).
+ */
+const SERIES_TARGETS = [1, 2, 3, 4, 5];
+
+function normalizeSeriesTarget(target) {
+  const value = Number(target);
+  return SERIES_TARGETS.includes(value) ? value : 1;
+}
+
+/**
+ * Početno stanje serije za novu igru. Rezultat serije prenosi se kroz
+ * config.previousState (kao partije u Trešeti), a prvi igrač se rotira
+ * između igara.
+ * @param {Object} state - Stanje iz createInitialState
+ * @param {Object} config - { seriesTarget, previousState }
+ * @param {Array<number>} sides - Strane koje skupljaju pobjede (igrači/timovi)
+ * @param {number} seats - Broj igrača za stolom
+ */
+function initialSeriesState(state, config, sides, seats) {
+  const previous = config.previousState?.series;
+  const target = previous?.target ?? normalizeSeriesTarget(config.seriesTarget);
+  if (target <= 1) return { ...state, series: null, seriesResult: null };
+
+  const series = previous
+    ? {
+        ...previous,
+        gameNumber: previous.gameNumber + 1,
+        firstPlayer: (previous.firstPlayer % seats) + 1,
+      }
+    : {
+        target,
+        wins: Object.fromEntries(sides.map((side) => [side, 0])),
+        games: [],
+        gameNumber: 1,
+        firstPlayer: state.currentPlayer,
+      };
+
+  return {
+    ...state,
+    currentPlayer: series.firstPlayer,
+    roundStartPlayer: series.firstPlayer,
+    series,
+    seriesResult: null,
+  };
+}
+
+/**
+ * Dopunjuje gameEnd jedne igre rezultatom serije. Bez serije vraća gameEnd
+ * nepromijenjen (kraj igre je kraj meča).
+ * @returns {Object} gameEnd + { isPartidaOver, partidaWinner, isFinalGameOver, seriesWins }
+ */
+function seriesGameEnd(series, gameEnd) {
+  if (!series || !gameEnd.isGameOver) return gameEnd;
+
+  const seriesWins = { ...series.wins };
+  if (gameEnd.winner) seriesWins[gameEnd.winner] += 1;
+  const isFinalGameOver =
+    Boolean(gameEnd.winner) && seriesWins[gameEnd.winner] >= series.target;
+  const score = Object.values(seriesWins).join(":");
+
+  return {
+    ...gameEnd,
+    isPartidaOver: true,
+    partidaWinner: gameEnd.winner,
+    isFinalGameOver,
+    seriesWins,
+    reason: isFinalGameOver
+      ? `Serija dobivena ${score}`
+      : `${gameEnd.reason}. Serija ${score}`,
+  };
+}
+
+/**
+ * Upisuje završenu igru u seriju (afterTrick u rules engineu).
+ */
+function recordSeriesGame(state, totals, gameEnd) {
+  if (!state.series || !gameEnd.isGameOver || state.seriesResult) {
+    return state;
+  }
+  return {
+    ...state,
+    series: {
+      ...state.series,
+      wins: gameEnd.seriesWins,
+      games: [
+        ...state.series.games,
+        {
+          game: state.series.gameNumber,
+          points: totals,
+          winner: gameEnd.winner || 0,
+        },
+      ],
+    },
+    seriesResult: gameEnd,
+  };
+}
+
+/**
+ * Rules engine za Briskulu 1v1 (vidi rulesEngine.js)
+ */
+const briskulaEngine = createTrickTakingEngine({
+  gameType: "briskula",
+  gameMode: "1v1",
+  seats: 2,
+  sideKey: "player",
+  sideOf: (seat) => seat,
+  createDeck,
+  shuffleDeck,
+  deal: (deck) => dealCards(deck),
+  // Zadnji igrač koji vuče dobiva adut s dna špila
+  trumpIsLastCard: true,
+  ...endgamePlayRules,
+  initialState: (state, config) =>
+    initialSeriesState(
+      {
+        ...state,
+        trumpSwapRule: normalizeTrumpSwapRule(
+          config.trumpSwap ?? config.previousState?.trumpSwapRule,
+        ),
+        lastTrumpSwap: null,
+        endgameRule: normalizeEndgameRule(
+          config.endgameRule ?? config.previousState?.endgameRule,
+        ),
+      },
+      config,
+      [1, 2],
+      2,
+    ),
+  moves: { swapTrump: trumpSwapMove },
+  trickWinner: ([first, second], leader, state) =>
+    determineRoundWinner(first.card, second.card, state.trumpSuit, leader),
+  afterTrick: (state, winner, { score }) => {
+    const { totals, gameEnd } = score(state);
+    return recordSeriesGame(state, totals, gameEnd);
+  },
+  score: (state) => {
+    const player1Points = calculatePoints(state.player1Cards || []);
+    const player2Points = calculatePoints(state.player2Cards || []);
+    const gameEnd =
+      state.seriesResult ||
+      seriesGameEnd(
+        state.series,
+        checkGameEnd(
+          player1Points,
+          player2Points,
+          state.remainingDeck || [],
+          state.player1Hand || [],
+          state.player2Hand || [],
+          state.lastTrickWinner,
+        ),
+      );
+    return {
+      points: { 1: player1Points, 2: player2Points },
+      totals: { 1: player1Points, 2: player2Points },
+      gameEnd,
+    };
+  },
+});
+
 // CommonJS exports
 export {
   SUITS,
@@ -172,4 +527,20 @@ export {
   determineRoundWinner,
   calculatePoints,
   checkGameEnd,
+  DEFAULT_TRUMP_SWAP_RULE,
+  normalizeTrumpSwapRule,
+  findTrumpSwapCard,
+  trumpSwapMove,
+  ENDGAME_RULES,
+  normalizeEndgameRule,
+  isDeckExhausted,
+  winningTableCard,
+  getBriskulaPlayableCards,
+  endgamePlayRules,
+  SERIES_TARGETS,
+  normalizeSeriesTarget,
+  initialSeriesState,
+  seriesGameEnd,
+  recordSeriesGame,
+  briskulaEngine,
 };
@@ -5,7 +5,15 @@ import {
   shuffleDeck,
   calculatePoints,
   checkGameEnd,
+  normalizeTrumpSwapRule,
+  trumpSwapMove,
+  normalizeEndgameRule,
+  endgamePlayRules,
+  initialSeriesState,
+  seriesGameEnd,
+  recordSeriesGame,
 } from "./gameLogicBriskula.js";
+import { createTrickTakingEngine } from "./rulesEngine.js";
 
 /**
  * Deals cards for 2v2 game (3 cards each player)
@@ -186,6 +194,66 @@ function checkGameEnd2v2(team1Points, team2Points, remainingDeck, allHands) {
   return { isGameOver: false, winner: null, reason: null };
 }
 
+/**
+ * Rules engine za Briskulu 2v2 (vidi rulesEngine.js)
+ */
+const briskula2v2Engine = createTrickTakingEngine({
+  gameType: "briskula",
+  gameMode: "2v2",
+  seats: 4,
+  sideKey: "team",
+  sideOf: getPlayerTeam,
+  createDeck,
+  shuffleDeck,
+  deal: (deck) => dealCards2v2(deck),
+  trumpIsLastCard: true,
+  ...endgamePlayRules,
+  initialState: (state, config) =>
+    initialSeriesState(
+      {
+        ...state,
+        trumpSwapRule: normalizeTrumpSwapRule(
+          config.trumpSwap ?? config.previousState?.trumpSwapRule,
+        ),
+        lastTrumpSwap: null,
+        endgameRule: normalizeEndgameRule(
+          config.endgameRule ?? config.previousState?.endgameRule,
+        ),
+      },
+      config,
+      [1, 2],
+      4,
+    ),
+  moves: { swapTrump: trumpSwapMove },
+  trickWinner: (playedCards, leader, state) =>
+    determineRoundWinner2v2(playedCards, leader, state.trumpSuit),
+  afterTrick: (state, winner, { score }) => {
+    const { totals, gameEnd } = score(state);
+    return recordSeriesGame(state, totals, gameEnd);
+  },
+  score: (state) => {
+    const team1Points = calculatePoints(state.team1Cards || []);
+    const team2Points = calculatePoints(state.team2Cards || []);
+    const allHands = [1, 2, 3, 4].map((n) => state[`player${n}Hand`] || []);
+    const gameEnd =
+      state.seriesResult ||
+      seriesGameEnd(
+        state.series,
+        checkGameEnd2v2(
+          team1Points,
+          team2Points,
+          state.remainingDeck || [],
+          allHands,
+        ),
+      );
+    return {
+      points: { 1: team1Points, 2: team2Points },
+      totals: { 1: team1Points, 2: team2Points },
+      gameEnd,
+    };
+  },
+});
+
 export {
   dealCards2v2 as dealCards,
   determineRoundWinner2v2,
@@ -196,4 +264,5 @@ export {
   calculatePoints,
   createDeck,
   shuffleDeck,
+  briskula2v2Engine,
 };
@@ -0,0 +1,173 @@
+// gameLogicBriskulaFFA.js - Briskula "svatko za sebe" za 3 i 4 igrača
+//
+// - 3 igrača: iz špila se vadi jedna dvica (dvica kupa) pa ostaje 39 karata,
+//   13 ruku po 3 karte
+// - 4 igrača: cijeli špil, 10 ruku, bez partnera
+// Svaki igrač skuplja svoje karte (player{N}Cards), igra se do zadnje karte
+// i pobjeđuje igrač s najviše bodova.
+
+import {
+  SUITS,
+  createDeck,
+  shuffleDeck,
+  calculatePoints,
+  normalizeTrumpSwapRule,
+  trumpSwapMove,
+  normalizeEndgameRule,
+  endgamePlayRules,
+} from "./gameLogicBriskula.js";
+import { determineRoundWinner2v2 } from "./gameLogicBriskula2v2.js";
+import { createTrickTakingEngine } from "./rulesEngine.js";
+
+/**
+ * Free-for-all načini igre i broj igrača za svaki.
+ */
+const FFA_MODES = {
+  "1v1v1": 3,
+  "1v1v1v1": 4,
+};
+
+// Karta koja se vadi iz špila u igri za troje (40 nije djeljivo s 3)
+const THREE_PLAYER_REMOVED_CARD = `${SUITS.KUPE}_2`;
+
+function isFreeForAllMode(gameMode) {
+  return Object.prototype.hasOwnProperty.call(FFA_MODES, gameMode);
+}
+
+/**
+ * Špil za FFA - za troje bez jedne dvice.
+ */
+function createDeckFFA(playerCount) {
+  const deck = createDeck();
+  return playerCount === 3
+    ? deck.filter((card) => card.id !== THREE_PLAYER_REMOVED_CARD)
+    : deck;
+}
+
+/**
+ * Dijeli po 3 karte svakom igraču, sljedeća karta je adut.
+ */
+function dealCardsFFA(deck, playerCount) {
+  const hands = {};
+  for (let seat = 1; seat <= playerCount; seat++) {
+    hands[`player${seat}Hand`] = [];
+  }
+
+  const dealt = playerCount * 3;
+  for (let i = 0; i < dealt; i++) {
+    hands[`player${(i % playerCount) + 1}Hand`].push(deck[i]);
+  }
+
+  const trump = deck[dealt];
+  return {
+    ...hands,
+    trump,
+    trumpSuit: trump.suit,
+    remainingDeck: deck.slice(dealt + 1),
+    discardPile: [],
+  };
+}
+
+/**
+ * Poredak igrača po bodovima. Igrači s istim brojem bodova dijele mjesto.
+ * @param {Object} pointsBySeat - { [seat]: bodovi }
+ * @returns {Array<{playerNumber: number, points: number, place: number}>}
+ */
+function rankPlayersFFA(pointsBySeat) {
+  const sorted = Object.entries(pointsBySeat)
+    .map(([seat, points]) => ({ playerNumber: Number(seat), points }))
+    .sort((a, b) => b.points - a.points || a.playerNumber - b.playerNumber);
+
+  return sorted.map((entry) => ({
+    ...entry,
+    place: sorted.findIndex((other) => other.points === entry.points) + 1,
+  }));
+}
+
+/**
+ * Kraj igre: kad su odigrane sve karte, pobjeđuje igrač s najviše bodova.
+ * Ako ih je više na vrhu s istim bodovima, igra je neriješena.
+ */
+function checkGameEndFFA(pointsBySeat, remainingDeck, allHands) {
+  const totalCardsLeft =
+    remainingDeck.length + allHands.reduce((sum, hand) => sum + hand.length, 0);
+
+  if (totalCardsLeft > 0) {
+    return { isGameOver: false, winner: null, reason: null };
+  }
+
+  const ranking = rankPlayersFFA(pointsBySeat);
+  const leaders = ranking.filter((entry) => entry.place === 1);
+  if (leaders.length > 1) {
+    return {
+      isGameOver: true,
+      winner: null,
+      reason: `Neriješeno (${leaders[0].points} bodova)`,
+      ranking,
+    };
+  }
+  return {
+    isGameOver: true,
+    winner: leaders[0].playerNumber,
+    reason: "Više bodova",
+    ranking,
+  };
+}
+
+/**
+ * Rules engine za Briskulu svatko za sebe (vidi rulesEngine.js)
+ */
+function createBriskulaFFAEngine(gameMode) {
+  const playerCount = FFA_MODES[gameMode];
+  const seatList = Array.from({ length: playerCount }, (_, i) => i + 1);
+
+  return createTrickTakingEngine({
+    gameType: "briskula",
+    gameMode,
+    seats: playerCount,
+    sideKey: "player",
+    sideOf: (seat) => seat,
+    createDeck: () => createDeckFFA(playerCount),
+    shuffleDeck,
+    deal: (deck) => dealCardsFFA(deck, playerCount),
+    trumpIsLastCard: true,
+    ...endgamePlayRules,
+    initialState: (state, config) => ({
+      ...state,
+      trumpSwapRule: normalizeTrumpSwapRule(config.trumpSwap),
+      lastTrumpSwap: null,
+      endgameRule: normalizeEndgameRule(config.endgameRule),
+    }),
+    moves: { swapTrump: trumpSwapMove },
+    // Pravila štiha su ista kao u 2v2 - adut pa boja prve karte
+    trickWinner: (playedCards, leader, state) =>
+      determineRoundWinner2v2(playedCards, leader, state.trumpSuit),
+    score: (state) => {
+      const points = {};
+      seatList.forEach((seat) => {
+        points[seat] = calculatePoints(state[`player${seat}Cards`] || []);
+      });
+      const allHands = seatList.map((seat) => state[`player${seat}Hand`] || []);
+      return {
+        points,
+        totals: { ...points },
+        gameEnd: checkGameEndFFA(points, state.remainingDeck || [], allHands),
+      };
+    },
+  });
+}
+
+const briskula3pEngine = createBriskulaFFAEngine("1v1v1");
+const briskula4pEngine = createBriskulaFFAEngine("1v1v1v1");
+
+export {
+  FFA_MODES,
+  THREE_PLAYER_REMOVED_CARD,
+  isFreeForAllMode,
+  createDeckFFA,
+  dealCardsFFA,
+  rankPlayersFFA,
+  checkGameEndFFA,
+  briskula3pEngine,
+  briskula4pEngine,
+};
@@ -7,7 +7,11 @@ import {
   getCardStrengthName,
   isValidMove,
   getPlayableCards,
+  belePoints,
+  detectCapot,
+  capotPoints,
 } from "./tresetaCommon.js";
+import { createTrickTakingEngine } from "./rulesEngine.js";
 
 /**
  * Dijeli karte za Trešeta (1v1 ili 2v2)
@@ -86,8 +90,14 @@ function determineRoundWinner(card1, card2, firstPlayer) {
  * Računa bodove u Trešeta sustavu
  * As = 1 bod, 3 bele (trica/duja/kralj/konj/fanat) = 1 bod, zadnja runda = 1 bod
  * Ukupno: 10 bodova + 1 bod za zadnju = 11 bodova
+ * @param {string} [beleRounding] - Kućno pravilo za ostatak bela ("floor" | "round")
  */
-function calculatePoints(cards, ultimaWinner = null, playerNumber = null) {
+function calculatePoints(
+  cards,
+  ultimaWinner = null,
+  playerNumber = null,
+  beleRounding = "floor"
+) {
   let points = 0;
   let bele = 0; // Brojimo bele karte
 
@@ -106,7 +116,7 @@ function calculatePoints(cards, ultimaWinner = null, playerNumber = null) {
   });
 
   // 3 bele = 1 bod
-  points += Math.floor(bele / 3);
+  points += belePoints(bele, beleRounding);
 
   // Dodaj bod za zadnju rundu ako je ovaj igrač pobjedio zadnju
   if (ultimaWinner === playerNumber) {
@@ -181,6 +191,7 @@ function calculateAkuze(hand) {
  * @param {number} totalPlayer1Points - Ukupni bodovi igrača 1 kroz sve partije
  * @param {number} totalPlayer2Points - Ukupni bodovi igrača 2 kroz sve partije
  * @param {number} targetScore - Cilj bodova (31 ili 41)
+ * @param {Object} [capot] - Kapot na kraju partije ({ side, rule, bonus })
  */
 function checkGameEnd(
   player1Points,
@@ -192,10 +203,13 @@ function checkGameEnd(
   player2Hand,
   totalPlayer1Points = 0,
   totalPlayer2Points = 0,
-  targetScore = null
+  targetScore = null,
+  capot = null
 ) {
-  const partidaP1 = player1Points.points + player1Akuze.points;
-  const partidaP2 = player2Points.points + player2Akuze.points;
+  const partidaP1 =
+    player1Points.points + player1Akuze.points + capotPoints(capot, 1);
+  const partidaP2 =
+    player2Points.points + player2Akuze.points + capotPoints(capot, 2);
 
   // Dinamički cilj: 31 bod bez akuže ili 41 bod s akužom (ako nije eksplicitno zadan)
   const hasAkuze = player1Akuze.points > 0 || player2Akuze.points > 0;
@@ -212,6 +226,21 @@ function checkGameEnd(
     const newTotalP1 = totalPlayer1Points + partidaP1;
     const newTotalP2 = totalPlayer2Points + partidaP2;
 
+    // Kućno pravilo: kapot odmah dobiva cijelu seriju
+    if (capot?.rule === "win") {
+      return {
+        isGameOver: true,
+        isFinalGameOver: true,
+        winner: capot.side,
+        reason: `Kapot! Pobjeda u seriji (${partidaP1} - ${partidaP2})`,
+        partidaWinner: capot.side,
+        partidaScore: `${partidaP1} - ${partidaP2}`,
+        newTotalPlayer1Points: newTotalP1,
+        newTotalPlayer2Points: newTotalP2,
+        capot,
+      };
+    }
+
     // Provjeri je li postignuto konačno prvo mjesto (31/41 bodova)
     const isFinalGameOver =
       newTotalP1 >= actualTargetScore || newTotalP2 >= actualTargetScore;
@@ -229,6 +258,7 @@ function checkGameEnd(
           partidaScore: `${partidaP1} - ${partidaP2}`,
           newTotalPlayer1Points: newTotalP1,
           newTotalPlayer2Points: newTotalP2,
+          capot,
         };
       } else if (newTotalP2 > newTotalP1) {
         return {
@@ -241,6 +271,7 @@ function checkGameEnd(
           partidaScore: `${partidaP1} - ${partidaP2}`,
           newTotalPlayer1Points: newTotalP1,
           newTotalPlayer2Points: newTotalP2,
+          capot,
         };
       } else {
         return {
@@ -253,6 +284,7 @@ function checkGameEnd(
           partidaScore: `${partidaP1} - ${partidaP2}`,
           newTotalPlayer1Points: newTotalP1,
           newTotalPlayer2Points: newTotalP2,
+          capot,
         };
       }
     } else {
@@ -267,6 +299,7 @@ function checkGameEnd(
         partidaScore: `${partidaP1} - ${partidaP2}`,
         newTotalPlayer1Points: newTotalP1,
         newTotalPlayer2Points: newTotalP2,
+        capot,
       };
     }
   }
@@ -307,6 +340,127 @@ function checkGameEnd(
   return { isGameOver: false, isFinalGameOver: false };
 }
 
+/**
+ * Rules engine za Trešetu 1v1 (vidi rulesEngine.js).
+ * Stanje jedne partije; ukupni rezultat serije prenosi se kroz
+ * config.previousState u createInitialState.
+ */
+const tresetaEngine = createTrickTakingEngine({
+  gameType: "treseta",
+  gameMode: "1v1",
+  seats: 2,
+  sideKey: "player",
+  sideOf: (seat) => seat,
+  createDeck,
+  shuffleDeck,
+  deal: (deck) => dealCards(deck, false),
+  trickWinner: ([first, second], leader) =>
+    determineRoundWinner(first.card, second.card, leader),
+  playableCards: (hand, table) => getPlayableCards(hand, table),
+  explainIllegal: (card, hand, table) => isValidMove(card, hand, table).reason,
+  initialState: (state, config) => {
+    const previous = config.previousState;
+    return {
+      ...state,
+      player1Akuze: { points: 0, details: [] },
+      player2Akuze: { points: 0, details: [] },
+      ultimaWinner: null,
+      totalPlayer1Points: previous?.totalPlayer1Points ?? 0,
+      totalPlayer2Points: previous?.totalPlayer2Points ?? 0,
+      partijas: previous?.partijas ?? [],
+      currentPartija: previous ? (previous.currentPartija || 0) + 1 : 1,
+      targetScore: config.targetScore ?? previous?.targetScore ?? 31,
+      beleRounding: config.beleRounding ?? previous?.beleRounding ?? "floor",
+      akuzeTypes: config.akuzeTypes ?? previous?.akuzeTypes ?? null,
+      capotRule: config.capot ?? previous?.capotRule ?? "off",
+      capot: null,
+      hasPlayedFirstCard: false,
+      partijaResult: null,
+    };
+  },
+  afterTrick: (state, winner, { isDealComplete, score }) => {
+    // Zadnja ruka nosi ultimu (i možda kapot) - postavi ih prije bodovanja
+    const settled = isDealComplete(state)
+      ? {
+          ...state,
+          ultimaWinner: winner,
+          capot: detectCapot(
+            { 1: state.player1Cards, 2: state.player2Cards },
+            state.capotRule,
+          ),
+        }
+      : state;
+    const { points, gameEnd } = score(settled);
+    if (!gameEnd.isGameOver) return settled;
+
+    // Partija gotova - upiši je u ukupni rezultat serije
+    const player1Partija =
+      points[1].points +
+      (settled.player1Akuze?.points || 0) +
+      capotPoints(settled.capot, 1);
+    const player2Partija =
+      points[2].points +
+      (settled.player2Akuze?.points || 0) +
+      capotPoints(settled.capot, 2);
+    return {
+      ...settled,
+      totalPlayer1Points: gameEnd.newTotalPlayer1Points,
+      totalPlayer2Points: gameEnd.newTotalPlayer2Points,
+      partijas: [
+        ...(settled.partijas || []),
+        {
+          partija: settled.currentPartija,
+          player1Points: player1Partija,
+          player2Points: player2Partija,
+          winner:
+            player1Partija > player2Partija
+              ? 1
+              : player2Partija > player1Partija
+                ? 2
+                : 0,
+          capot: settled.capot?.side ?? null,
+        },
+      ],
+      partijaResult: gameEnd,
+    };
+  },
+  score: (state) => {
+    const player1Points = calculatePoints(
+      state.player1Cards || [],
+      state.ultimaWinner,
+      1,
+      state.beleRounding,
+    );
+    const player2Points = calculatePoints(
+      state.player2Cards || [],
+      state.ultimaWinner,
+      2,
+      state.beleRounding,
+    );
+    // Nakon upisa partije ukupni bodovi su već ažurirani
+    const gameEnd =
+      state.partijaResult ||
+      checkGameEnd(
+        player1Points,
+        player2Points,
+        state.player1Akuze || { points: 0 },
+        state.player2Akuze || { points: 0 },
+        state.remainingDeck || [],
+        state.player1Hand || [],
+        state.player2Hand || [],
+        state.totalPlayer1Points || 0,
+        state.totalPlayer2Points || 0,
+        state.targetScore,
+        state.capot,
+      );
+    return {
+      points: { 1: player1Points, 2: player2Points },
+      totals: { 1: player1Points.points, 2: player2Points.points },
+      gameEnd: { ...gameEnd, isPartidaOver: Boolean(gameEnd.isGameOver) },
+    };
+  },
+});
+
 export {
   createDeck,
   shuffleDeck,
@@ -318,4 +472,5 @@ export {
   getCardStrength,
   isValidMove,
   getPlayableCards,
+  tresetaEngine,
 };
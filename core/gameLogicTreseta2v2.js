@@ -7,7 +7,13 @@ import {
   getCardStrengthName,
   isValidMove,
   getPlayableCards,
+  normalizeSignalRule,
+  validateSignal,
+  belePoints,
+  detectCapot,
+  capotPoints,
 } from "./tresetaCommon.js";
+import { createTrickTakingEngine, tableCards } from "./rulesEngine.js";
 
 /**
  * Dijeli karte za Trešeta 2v2
@@ -125,8 +131,14 @@ function determineRoundWinner(playedCards, firstPlayer) {
 
 /**
  * Računa bodove u Trešeta sustavu za tim
+ * @param {string} [beleRounding] - Kućno pravilo za ostatak bela ("floor" | "round")
  */
-function calculateTeamPoints(cards, ultimaWinner = null, teamNumber = null) {
+function calculateTeamPoints(
+  cards,
+  ultimaWinner = null,
+  teamNumber = null,
+  beleRounding = "floor"
+) {
   let points = 0;
   let bele = 0;
 
@@ -144,7 +156,7 @@ function calculateTeamPoints(cards, ultimaWinner = null, teamNumber = null) {
   });
 
   // 3 bele = 1 bod
-  points += Math.floor(bele / 3);
+  points += belePoints(bele, beleRounding);
 
   // Dodaj bod za zadnju rundu ako je ovaj tim pobjedio zadnju
   if (ultimaWinner === teamNumber) {
@@ -188,6 +200,7 @@ function getWinningTeam(winningPlayer) {
  * @param {number} totalTeam1Points - Ukupni bodovi tima 1 kroz sve partije
  * @param {number} totalTeam2Points - Ukupni bodovi tima 2 kroz sve partije
  * @param {number} targetScore - Cilj bodova (31 ili 41)
+ * @param {Object} [capot] - Kapot na kraju partije ({ side, rule, bonus })
  */
 function checkGameEnd(
   team1Points,
@@ -201,12 +214,17 @@ function checkGameEnd(
   player4Hand,
   totalTeam1Points = 0,
   totalTeam2Points = 0,
-  targetScore = null
+  targetScore = null,
+  capot = null
 ) {
   const partidaT1 =
-    team1Points.points + team1Akuze.reduce((sum, akuz) => sum + akuz.points, 0);
+    team1Points.points +
+    team1Akuze.reduce((sum, akuz) => sum + akuz.points, 0) +
+    capotPoints(capot, 1);
   const partidaT2 =
-    team2Points.points + team2Akuze.reduce((sum, akuz) => sum + akuz.points, 0);
+    team2Points.points +
+    team2Akuze.reduce((sum, akuz) => sum + akuz.points, 0) +
+    capotPoints(capot, 2);
 
   // Dinamički cilj: 31 bod bez akuže ili 41 bod s akužom (ako nije eksplicitno zadan)
   const hasAkuze = team1Akuze.length > 0 || team2Akuze.length > 0;
@@ -225,6 +243,22 @@ function checkGameEnd(
     const newTotalT1 = totalTeam1Points + partidaT1;
     const newTotalT2 = totalTeam2Points + partidaT2;
 
+    // Kućno pravilo: kapot odmah dobiva cijelu seriju
+    if (capot?.rule === "win") {
+      return {
+        isGameOver: true,
+        isPartidaOver: true,
+        isFinalGameOver: true,
+        winner: capot.side,
+        reason: `Kapot! Pobjeda u seriji (${partidaT1} - ${partidaT2})`,
+        partidaWinner: capot.side,
+        partidaScore: `${partidaT1} - ${partidaT2}`,
+        newTotalTeam1Points: newTotalT1,
+        newTotalTeam2Points: newTotalT2,
+        capot,
+      };
+    }
+
     // Provjeri je li postignuto konačno prvo mjesto (31/41 bodova)
     const isFinalGameOver =
       newTotalT1 >= actualTargetScore || newTotalT2 >= actualTargetScore;
@@ -243,6 +277,7 @@ function checkGameEnd(
           partidaScore: `${partidaT1} - ${partidaT2}`,
           newTotalTeam1Points: newTotalT1,
           newTotalTeam2Points: newTotalT2,
+          capot,
         };
       } else if (newTotalT2 > newTotalT1) {
         return {
@@ -256,6 +291,7 @@ function checkGameEnd(
           partidaScore: `${partidaT1} - ${partidaT2}`,
           newTotalTeam1Points: newTotalT1,
           newTotalTeam2Points: newTotalT2,
+          capot,
         };
       } else {
         return {
@@ -269,6 +305,7 @@ function checkGameEnd(
           partidaScore: `${partidaT1} - ${partidaT2}`,
           newTotalTeam1Points: newTotalT1,
           newTotalTeam2Points: newTotalT2,
+          capot,
         };
       }
     } else {
@@ -284,6 +321,7 @@ function checkGameEnd(
         partidaScore: `${partidaT1} - ${partidaT2}`,
         newTotalTeam1Points: newTotalT1,
         newTotalTeam2Points: newTotalT2,
+        capot,
       };
     }
   }
@@ -324,6 +362,144 @@ function checkGameEnd(
   return { isGameOver: false, isFinalGameOver: false };
 }
 
+const sumAkuze = (akuze = []) =>
+  akuze.reduce((sum, akuz) => sum + akuz.points, 0);
+
+/**
+ * Rules engine za Trešetu 2v2 (vidi rulesEngine.js)
+ */
+const treseta2v2Engine = createTrickTakingEngine({
+  gameType: "treseta",
+  gameMode: "2v2",
+  seats: 4,
+  sideKey: "team",
+  sideOf: getWinningTeam,
+  createDeck,
+  shuffleDeck,
+  deal: (deck) => dealCards2v2(deck),
+  trickWinner: (playedCards, leader) =>
+    determineRoundWinner(playedCards, leader),
+  playableCards: (hand, table) => getPlayableCards(hand, table),
+  explainIllegal: (card, hand, table) => isValidMove(card, hand, table).reason,
+  // Znakovi partneru (tučem / strišo / volo) prema pravilima sobe
+  validateSignal: (state, seat, card, signal) =>
+    validateSignal(
+      signal,
+      card,
+      state[`player${seat}Hand`] || [],
+      tableCards(state),
+      state.signalRule,
+    ),
+  initialState: (state, config) => {
+    const previous = config.previousState;
+    return {
+      ...state,
+      trump: null, // Trešeta nema trump
+      trumpSuit: null,
+      ultimaWinner: null,
+      signalRule: normalizeSignalRule(config.signals ?? previous?.signalRule),
+      gameLog: previous?.gameLog ?? [],
+      team1Akuze: [],
+      team2Akuze: [],
+      player1Akuze: { points: 0, details: [] },
+      player2Akuze: { points: 0, details: [] },
+      player3Akuze: { points: 0, details: [] },
+      player4Akuze: { points: 0, details: [] },
+      totalTeam1Points: previous?.totalTeam1Points ?? 0,
+      totalTeam2Points: previous?.totalTeam2Points ?? 0,
+      partijas: previous?.partijas ?? [],
+      currentPartija: previous ? (previous.currentPartija || 0) + 1 : 1,
+      targetScore: config.targetScore ?? previous?.targetScore ?? 31,
+      beleRounding: config.beleRounding ?? previous?.beleRounding ?? "floor",
+      akuzeTypes: config.akuzeTypes ?? previous?.akuzeTypes ?? null,
+      capotRule: config.capot ?? previous?.capotRule ?? "off",
+      capot: null,
+      hasPlayedFirstCard: false,
+      partijaResult: null,
+    };
+  },
+  afterTrick: (state, winner, { isDealComplete, score }) => {
+    const settled = isDealComplete(state)
+      ? {
+          ...state,
+          ultimaWinner: getWinningTeam(winner),
+          capot: detectCapot(
+            { 1: state.team1Cards, 2: state.team2Cards },
+            state.capotRule,
+          ),
+        }
+      : state;
+    const { points, gameEnd } = score(settled);
+    if (!gameEnd.isGameOver) return settled;
+
+    const team1Partija =
+      points[1].points +
+      sumAkuze(settled.team1Akuze) +
+      capotPoints(settled.capot, 1);
+    const team2Partija =
+      points[2].points +
+      sumAkuze(settled.team2Akuze) +
+      capotPoints(settled.capot, 2);
+    return {
+      ...settled,
+      totalTeam1Points: gameEnd.newTotalTeam1Points,
+      totalTeam2Points: gameEnd.newTotalTeam2Points,
+      partijas: [
+        ...(settled.partijas || []),
+        {
+          partija: settled.currentPartija,
+          team1Points: team1Partija,
+          team2Points: team2Partija,
+          winner:
+            team1Partija > team2Partija
+              ? 1
+              : team2Partija > team1Partija
+                ? 2
+                : 0,
+          capot: settled.capot?.side ?? null,
+        },
+      ],
+      partijaResult: gameEnd,
+    };
+  },
+  score: (state) => {
+    const team1Points = calculateTeamPoints(
+      state.team1Cards || [],
+      state.ultimaWinner,
+      1,
+      state.beleRounding,
+    );
+    const team2Points = calculateTeamPoints(
+      state.team2Cards || [],
+      state.ultimaWinner,
+      2,
+      state.beleRounding,
+    );
+    const gameEnd =
+      state.partijaResult ||
+      checkGameEnd(
+        team1Points,
+        team2Points,
+        state.team1Akuze || [],
+        state.team2Akuze || [],
+        state.remainingDeck || [],
+        state.player1Hand || [],
+        state.player2Hand || [],
+        state.player3Hand || [],
+        state.player4Hand || [],
+        state.totalTeam1Points || 0,
+        state.totalTeam2Points || 0,
+        state.targetScore,
+        state.capot,
+      );
+    return {
+      points: { 1: team1Points, 2: team2Points },
+      totals: { 1: team1Points.points, 2: team2Points.points },
+      gameEnd: { ...gameEnd, isPartidaOver: Boolean(gameEnd.isGameOver) },
+    };
+  },
+});
+
 export {
   createDeck,
   shuffleDeck,
@@ -339,4 +515,5 @@ export {
   getPlayableCards,
   getNextPlayer2v2,
   getWinningTeam,
+  treseta2v2Engine,
 };
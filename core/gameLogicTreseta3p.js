@@ -0,0 +1,262 @@
+// gameLogicTreseta3p.js - Logika za Trešetu u troje (svatko za sebe)
+//
+// - 3 igrača x 13 karata, 40. karta je "mrtva" (ne igra se i ne boduje)
+// - Nema špila za vučenje - cijela partija se igra iz ruke
+// - Svaki igrač skuplja svoje karte (player{N}Cards), ultima nosi 1 bod
+// - Serija partija do cilja (31/41) kao u 1v1
+
+import {
+  createDeck,
+  shuffleDeck,
+  getCardStrength,
+  isValidMove,
+  getPlayableCards,
+} from "./tresetaCommon.js";
+import { calculatePoints } from "./gameLogicTreseta.js";
+import { createTrickTakingEngine } from "./rulesEngine.js";
+
+const PLAYER_COUNT = 3;
+const CARDS_PER_PLAYER = 13;
+const SEATS = [1, 2, 3];
+
+/**
+ * Dijeli po 13 karata svakom igraču, zadnja karta ostaje mrtva
+ */
+function dealCards3p(deck) {
+  return {
+    player1Hand: deck.slice(0, CARDS_PER_PLAYER),
+    player2Hand: deck.slice(CARDS_PER_PLAYER, CARDS_PER_PLAYER * 2),
+    player3Hand: deck.slice(CARDS_PER_PLAYER * 2, CARDS_PER_PLAYER * 3),
+    deadCard: deck[CARDS_PER_PLAYER * PLAYER_COUNT],
+    remainingDeck: [], // Nema vučenja u troje
+  };
+}
+
+/**
+ * Određuje pobjednika ruke - najjača karta u boji prve karte
+ * @param {Array} playedCards - [{card, playerNumber}] u redoslijedu igranja
+ * @param {number} firstPlayer - Broj igrača koji je igrao prvi
+ * @returns {number} - Broj pobjedničkog igrača
+ */
+function determineRoundWinner3p(playedCards, firstPlayer) {
+  if (playedCards.length === 0) return firstPlayer;
+
+  const leadingSuit = playedCards[0].card.suit;
+  let winner = playedCards[0];
+
+  playedCards.slice(1).forEach((played) => {
+    if (
+      played.card.suit === leadingSuit &&
+      getCardStrength(played.card) > getCardStrength(winner.card)
+    ) {
+      winner = played;
+    }
+  });
+
+  return winner.playerNumber;
+}
+
+/**
+ * Poredak igrača po bodovima. Igrači s istim brojem bodova dijele mjesto.
+ * @param {Object} pointsBySeat - { [seat]: bodovi }
+ * @returns {Array<{playerNumber: number, points: number, place: number}>}
+ */
+function rankPlayers3p(pointsBySeat) {
+  const sorted = Object.entries(pointsBySeat)
+    .map(([seat, points]) => ({ playerNumber: Number(seat), points }))
+    .sort((a, b) => b.points - a.points || a.playerNumber - b.playerNumber);
+
+  return sorted.map((entry) => ({
+    ...entry,
+    place: sorted.findIndex((other) => other.points === entry.points) + 1,
+  }));
+}
+
+// Jedinstveni vodeći igrač ili null ako ih je više s istim bodovima
+function uniqueLeader(pointsBySeat) {
+  const ranking = rankPlayers3p(pointsBySeat);
+  return ranking.filter((entry) => entry.place === 1).length === 1
+    ? ranking[0].playerNumber
+    : null;
+}
+
+const formatScore = (pointsBySeat) =>
+  SEATS.map((seat) => pointsBySeat[seat]).join(" - ");
+
+/**
+ * Provjera kraja igre za Trešetu u troje
+ * @param {Object} playerPoints - { [seat]: { points } } bodovi iz karata u partiji
+ * @param {Object} playerAkuze - { [seat]: { points } } akuže u partiji
+ * @param {Array} remainingDeck - Preostale karte u špilu (uvijek prazan)
+ * @param {Array} allHands - Ruke svih igrača
+ * @param {Object} totalPoints - { [seat]: ukupni bodovi kroz sve partije }
+ * @param {number} targetScore - Cilj bodova (31 ili 41)
+ */
+function checkGameEnd(
+  playerPoints,
+  playerAkuze,
+  remainingDeck,
+  allHands,
+  totalPoints = {},
+  targetScore = null,
+) {
+  const partida = {};
+  const newTotals = {};
+  SEATS.forEach((seat) => {
+    partida[seat] =
+      (playerPoints[seat]?.points || 0) + (playerAkuze[seat]?.points || 0);
+    newTotals[seat] = (totalPoints[seat] || 0) + partida[seat];
+  });
+
+  // Dinamički cilj: 31 bod bez akuže ili 41 bod s akužom (ako nije eksplicitno zadan)
+  const hasAkuze = SEATS.some((seat) => (playerAkuze[seat]?.points || 0) > 0);
+  const actualTargetScore = targetScore || (hasAkuze ? 41 : 31);
+
+  const allCardsPlayed =
+    remainingDeck.length === 0 && allHands.every((hand) => hand.length === 0);
+  // Cilj dosegnut tijekom partije (rijetko, ali moguće s akužama)
+  const reachedInPartida = SEATS.some(
+    (seat) => partida[seat] >= actualTargetScore,
+  );
+
+  if (!allCardsPlayed && !reachedInPartida) {
+    return { isGameOver: false, isFinalGameOver: false };
+  }
+
+  const partidaWinner = uniqueLeader(partida);
+  const result = {
+    isGameOver: true,
+    partidaWinner,
+    partidaScore: formatScore(partida),
+    newTotals,
+  };
+
+  const isFinalGameOver =
+    reachedInPartida ||
+    SEATS.some((seat) => newTotals[seat] >= actualTargetScore);
+
+  if (!isFinalGameOver) {
+    // Partija završena, ali serija nastavlja - pripremi za novu partiju
+    return {
+      ...result,
+      isFinalGameOver: false,
+      winner: partidaWinner,
+      reason: `Partija završena ${formatScore(partida)}. Ukupno: ${formatScore(newTotals)}`,
+    };
+  }
+
+  // Konačni poredak po ukupnim bodovima serije
+  const winner = uniqueLeader(newTotals);
+  return {
+    ...result,
+    isFinalGameOver: true,
+    winner,
+    reason: winner
+      ? `Konačna pobjeda ${formatScore(newTotals)}`
+      : `Konačno neriješeno ${formatScore(newTotals)}`,
+    ranking: rankPlayers3p(newTotals),
+  };
+}
+
+const bySeat = (state, key) =>
+  Object.fromEntries(SEATS.map((seat) => [seat, state[`player${seat}${key}`]]));
+
+/**
+ * Rules engine za Trešetu u troje (vidi rulesEngine.js).
+ * Ukupni rezultat serije prenosi se kroz config.previousState.
+ */
+const treseta3pEngine = createTrickTakingEngine({
+  gameType: "treseta",
+  gameMode: "1v1v1",
+  seats: PLAYER_COUNT,
+  sideKey: "player",
+  sideOf: (seat) => seat,
+  createDeck,
+  shuffleDeck,
+  deal: (deck) => dealCards3p(deck),
+  trickWinner: (playedCards, leader) =>
+    determineRoundWinner3p(playedCards, leader),
+  playableCards: (hand, table) => getPlayableCards(hand, table),
+  explainIllegal: (card, hand, table) => isValidMove(card, hand, table).reason,
+  initialState: (state, config) => {
+    const previous = config.previousState;
+    const next = {
+      ...state,
+      trump: null, // Trešeta nema trump
+      trumpSuit: null,
+      ultimaWinner: null,
+      partijas: previous?.partijas ?? [],
+      currentPartija: previous ? (previous.currentPartija || 0) + 1 : 1,
+      targetScore: config.targetScore ?? previous?.targetScore ?? 31,
+      beleRounding: config.beleRounding ?? previous?.beleRounding ?? "floor",
+      akuzeTypes: config.akuzeTypes ?? previous?.akuzeTypes ?? null,
+      hasPlayedFirstCard: false,
+      partijaResult: null,
+    };
+    SEATS.forEach((seat) => {
+      next[`player${seat}Akuze`] = { points: 0, details: [] };
+      next[`totalPlayer${seat}Points`] =
+        previous?.[`totalPlayer${seat}Points`] ?? 0;
+    });
+    return next;
+  },
+  afterTrick: (state, winner, { isDealComplete, score }) => {
+    // Zadnja ruka nosi ultimu - postavi je prije bodovanja
+    const settled = isDealComplete(state)
+      ? { ...state, ultimaWinner: winner }
+      : state;
+    const { points, gameEnd } = score(settled);
+    if (!gameEnd.isGameOver) return settled;
+
+    // Partija gotova - upiši je u ukupni rezultat serije
+    const partija = { partija: settled.currentPartija };
+    const next = { ...settled, partijaResult: gameEnd };
+    SEATS.forEach((seat) => {
+      partija[`player${seat}Points`] =
+        points[seat].points + (settled[`player${seat}Akuze`]?.points || 0);
+      next[`totalPlayer${seat}Points`] = gameEnd.newTotals[seat];
+    });
+    partija.winner = gameEnd.partidaWinner || 0;
+    next.partijas = [...(settled.partijas || []), partija];
+    return next;
+  },
+  score: (state) => {
+    const points = {};
+    const totals = {};
+    SEATS.forEach((seat) => {
+      points[seat] = calculatePoints(
+        state[`player${seat}Cards`] || [],
+        state.ultimaWinner,
+        seat,
+        state.beleRounding,
+      );
+      totals[seat] = points[seat].points;
+    });
+    // Nakon upisa partije ukupni bodovi su već ažurirani
+    const gameEnd =
+      state.partijaResult ||
+      checkGameEnd(
+        points,
+        bySeat(state, "Akuze"),
+        state.remainingDeck || [],
+        SEATS.map((seat) => state[`player${seat}Hand`] || []),
+        Object.fromEntries(
+          SEATS.map((seat) => [seat, state[`totalPlayer${seat}Points`] || 0]),
+        ),
+        state.targetScore,
+      );
+    return {
+      points,
+      totals,
+      gameEnd: { ...gameEnd, isPartidaOver: Boolean(gameEnd.isGameOver) },
+    };
+  },
+});
+
+export {
+  dealCards3p,
+  determineRoundWinner3p,
+  rankPlayers3p,
+  checkGameEnd,
+  treseta3pEngine,
+};
@@ -0,0 +1,262 @@
+// houseRules.js - Kućna pravila za custom sobe
+//
+// Jedna shema po tipu igre: zadane vrijednosti, validacija i prijevod u
+// config rules enginea. Isti modul koriste server (createGame) i klijent
+// (CreateGameModal, lobby, AI način) pa svi čitaju pravila jednako.
+
+import { AKUZE_TYPES, CAPOT_BONUS } from "./tresetaCommon.js";
+
+/**
+ * Shema pravila. Svako pravilo ima:
+ * - type: "boolean" | "choice" | "multi" (podskup opcija)
+ * - default: zadana vrijednost
+ * - options: [{ value, label }] za choice/multi
+ * - modes: varijante igre u kojima pravilo postoji (bez = sve)
+ */
+const HOUSE_RULES = {
+  briskula: {
+    trumpSwap: {
+      type: "choice",
+      label: "Mijenjanje aduta",
+      hint: "Igrač s tom kartom aduta smije je zamijeniti za otvorenog aduta dok u špilu ima karata",
+      default: "off",
+      options: [
+        { value: "off", label: "Isključeno" },
+        { value: "2", label: "Dvicom aduta" },
+        { value: "7", label: "Sedmicom aduta" },
+      ],
+    },
+    endgameRule: {
+      type: "choice",
+      label: "Završnica",
+      hint: "Kad se špil potroši - obavezno odgovaranje na boju",
+      default: "off",
+      options: [
+        { value: "off", label: "Slobodno bacanje" },
+        { value: "follow", label: "Odgovara se na boju" },
+        { value: "overtake", label: "Odgovara se i uzima" },
+      ],
+    },
+    seriesTarget: {
+      type: "choice",
+      label: "Serija",
+      hint: "Igra se dok jedna strana ne dobije toliko igara, prvi igrač se mijenja svaku igru",
+      default: 1,
+      modes: ["1v1", "2v2"],
+      options: [
+        { value: 1, label: "Jedna igra" },
+        { value: 2, label: "Na 2 dobivene" },
+        { value: 3, label: "Na 3 dobivene" },
+        { value: 4, label: "Na 4 dobivene" },
+        { value: 5, label: "Na 5 dobivenih" },
+      ],
+    },
+    partnerReveal: {
+      type: "boolean",
+      label: "Karte partnera nakon špila",
+      hint: "Kad nema više karata za vući, partneri vide preostale karte jedan drugome",
+      default: false,
+      modes: ["2v2"],
+    },
+  },
+  treseta: {
+    targetScore: {
+      type: "choice",
+      label: "Cilj",
+      hint: "Broj bodova kroz partije potreban za pobjedu",
+      default: 31,
+      options: [
+        { value: 31, label: "31 bod" },
+        { value: 41, label: "41 bod" },
+      ],
+    },
+    beleRounding: {
+      type: "choice",
+      label: "Bele",
+      hint: "Tri bele vrijede bod - što s ostatkom na kraju partije",
+      default: "floor",
+      options: [
+        { value: "floor", label: "Ostatak se ne broji" },
+        { value: "round", label: "Dvije bele = bod" },
+      ],
+    },
+    akuzeEnabled: {
+      type: "boolean",
+      label: "Akužavanje",
+      hint: "Akuže se prijavljuju u prvoj ruci partije",
+      default: true,
+    },
+    akuzeTypes: {
+      type: "multi",
+      label: "Akuže koje vrijede",
+      default: Object.keys(AKUZE_TYPES),
+      options: Object.entries(AKUZE_TYPES).map(([value, label]) => ({
+        value,
+        label,
+      })),
+      requires: "akuzeEnabled",
+    },
+    capot: {
+      type: "choice",
+      label: "Kapot",
+      hint: "Strana koja uzme sve ruke partije",
+      default: "off",
+      modes: ["1v1", "2v2"],
+      options: [
+        { value: "off", label: "Bez nagrade" },
+        { value: "bonus", label: `+${CAPOT_BONUS} bodova` },
+        { value: "win", label: "Pobjeda u seriji" },
+      ],
+    },
+    signals: {
+      type: "boolean",
+      label: "Znakovi partneru",
+      hint: "Tučem, strišo i volo uz kartu kojom se otvara ruka",
+      default: true,
+      modes: ["2v2"],
+    },
+  },
+};
+
+/**
+ * Pravila koja vrijede za varijantu igre.
+ * @returns {Array<[string, Object]>} Parovi [ključ, definicija]
+ */
+function houseRulesFor(gameType, gameMode) {
+  return Object.entries(HOUSE_RULES[gameType] || {}).filter(
+    ([, rule]) => !rule.modes || rule.modes.includes(gameMode),
+  );
+}
+
+/**
+ * Zadana kućna pravila za varijantu igre.
+ */
+function defaultHouseRules(gameType, gameMode) {
+  return Object.fromEntries(
+    houseRulesFor(gameType, gameMode).map(([key, rule]) => [
+      key,
+      Array.isArray(rule.default) ? [...rule.default] : rule.default,
+    ]),
+  );
+}
+
+const optionValues = (rule) => rule.options.map((option) => option.value);
+
+/**
+ * Validira pravila iz klijenta i nadopunjuje ih zadanim vrijednostima.
+ * Vrijednosti se uspoređuju kao stringovi jer stižu iz <select> polja.
+ * @param {string} gameType
+ * @param {string} gameMode
+ * @param {Object} [input] - Djelomična pravila
+ * @returns {{ rules: Object, errors: Array<string> }}
+ */
+function normalizeHouseRules(gameType, gameMode, input = {}) {
+  const rules = defaultHouseRules(gameType, gameMode);
+  const errors = [];
+  const known = new Map(houseRulesFor(gameType, gameMode));
+
+  Object.entries(input || {}).forEach(([key, value]) => {
+    const rule = known.get(key);
+    if (!rule) {
+      errors.push(`Nepoznato pravilo "${key}" za ${gameType} ${gameMode}`);
+      return;
+    }
+    if (value === undefined || value === null) return;
+
+    if (rule.type === "boolean") {
+      if (typeof value !== "boolean") {
+        errors.push(`${rule.label}: očekuje se da/ne`);
+        return;
+      }
+      rules[key] = value;
+    } else if (rule.type === "choice") {
+      const match = optionValues(rule).find((v) => String(v) === String(value));
+      if (match === undefined) {
+        errors.push(`${rule.label}: nedopuštena vrijednost ${value}`);
+        return;
+      }
+      rules[key] = match;
+    } else if (rule.type === "multi") {
+      const allowed = optionValues(rule);
+      const invalid = Array.isArray(value)
+        ? value.filter((v) => !allowed.includes(v))
+        : [value];
+      if (invalid.length > 0) {
+        errors.push(`${rule.label}: nedopuštene vrijednosti ${invalid}`);
+        return;
+      }
+      rules[key] = allowed.filter((v) => value.includes(v));
+    }
+  });
+
+  return { rules, errors };
+}
+
+/**
+ * Čitljiv opis pravila za lobby i pregled sobe.
+ * @returns {Array<{ key, label, value }>}
+ */
+function describeHouseRules(gameType, gameMode, rules = {}) {
+  return houseRulesFor(gameType, gameMode)
+    .filter(([, rule]) => !rule.requires || rules[rule.requires])
+    .map(([key, rule]) => {
+      const value = rules[key] ?? rule.default;
+      let text;
+      if (rule.type === "boolean") {
+        text = value ? "Da" : "Ne";
+      } else if (rule.type === "choice") {
+        text =
+          rule.options.find((o) => String(o.value) === String(value))?.label ??
+          String(value);
+      } else {
+        text =
+          value.length === rule.options.length
+            ? "Sve"
+            : value.length === 0
+              ? "Nijedna"
+              : rule.options
+                  .filter((o) => value.includes(o.value))
+                  .map((o) => o.label)
+                  .join(", ");
+      }
+      return { key, label: rule.label, value: text };
+    });
+}
+
+/**
+ * Prevodi kućna pravila u config za engine.createInitialState.
+ */
+function houseRulesEngineConfig(gameType, rules = {}) {
+  if (gameType === "briskula") {
+    return {
+      ...(rules.trumpSwap &&
+        rules.trumpSwap !== "off" && {
+          trumpSwap: {
+            cardValue: Number(rules.trumpSwap),
+            requireCardsInDeck: true,
+          },
+        }),
+      ...(rules.endgameRule &&
+        rules.endgameRule !== "off" && { endgameRule: rules.endgameRule }),
+      ...(rules.seriesTarget > 1 && { seriesTarget: rules.seriesTarget }),
+    };
+  }
+  return {
+    ...(rules.targetScore && { targetScore: rules.targetScore }),
+    ...(rules.beleRounding && { beleRounding: rules.beleRounding }),
+    ...(rules.akuzeTypes && { akuzeTypes: rules.akuzeTypes }),
+    ...(rules.capot && { capot: rules.capot }),
+    ...(rules.signals !== undefined && {
+      signals: { enabled: rules.signals, leadOnly: true },
+    }),
+  };
+}
+
+export {
+  HOUSE_RULES,
+  houseRulesFor,
+  defaultHouseRules,
+  normalizeHouseRules,
+  describeHouseRules,
+  houseRulesEngineConfig,
+};
@@ -0,0 +1,167 @@
+// ismcts.js - "Ekspert" AI: Information-Set Monte Carlo Tree Search
+//
+// Umjesto ručno pisanih pravila (briskulaAI.js) AI gradi stablo poteza iz
+// onoga što stvarno zna. Svaka iteracija nasumično presloži skrivene karte
+// (determinize.js), spusti se stablom po UCB formuli (samo kroz poteze koji
+// su u toj raspodjeli mogući), doda novi čvor i odigra ostatak dijeljenja
+// nasumičnim potezima. Na kraju igra kartu koja je najviše puta isprobana.
+
+import { MOVE_TYPES } from "./rulesEngine.js";
+import { determinize } from "./determinize.js";
+import { sidePoints, solveEndgame } from "./endgameSolver.js";
+
+// Zadani budžet po potezu - što se prije potroši
+export const DEFAULT_ISMCTS_BUDGET = {
+  iterations: 4000,
+  timeMs: 700,
+};
+
+// Konstanta istraživanja u UCB formuli (nagrade su između 0 i 1)
+const EXPLORATION = 0.7;
+
+function createNode(cardId, seat, parent) {
+  return {
+    cardId,
+    seat,
+    parent,
+    children: [],
+    visits: 0,
+    reward: 0,
+    available: 0,
+  };
+}
+
+function ucb(node) {
+  return (
+    node.reward / node.visits +
+    EXPLORATION * Math.sqrt(Math.log(node.available) / node.visits)
+  );
+}
+
+/**
+ * Nagrada svake strane na kraju dijeljenja - udio osvojenih bodova (0-1).
+ */
+function sideRewards(engine, state) {
+  const points = Object.fromEntries(
+    engine.sides.map((side) => [side, sidePoints(engine, state, side)]),
+  );
+  const total = Object.values(points).reduce((sum, p) => sum + p, 0) || 1;
+  return Object.fromEntries(
+    engine.sides.map((side) => [side, points[side] / total]),
+  );
+}
+
+function playRandomly(engine, state, random) {
+  let current = state;
+  while (!engine.isTerminal(current)) {
+    if (engine.isTrickComplete(current)) {
+      current = engine.applyMove(current, { type: MOVE_TYPES.COLLECT });
+      continue;
+    }
+    const seat = current.currentPlayer;
+    const legal = engine.legalMoves(current, seat);
+    current = engine.applyMove(current, {
+      type: MOVE_TYPES.PLAY,
+      seat,
+      cardId: legal[Math.floor(random() * legal.length)],
+    });
+  }
+  return current;
+}
+
+/**
+ * Jedna iteracija: odabir i širenje stabla u jednoj raspodjeli, simulacija
+ * do kraja dijeljenja i upis nagrade natrag do korijena.
+ */
+function iterate(engine, root, world, random) {
+  let node = root;
+  let state = world;
+
+  while (!engine.isTerminal(state)) {
+    if (engine.isTrickComplete(state)) {
+      state = engine.applyMove(state, { type: MOVE_TYPES.COLLECT });
+      continue;
+    }
+
+    const seat = state.currentPlayer;
+    const legal = engine.legalMoves(state, seat);
+    const available = node.children.filter((c) => legal.includes(c.cardId));
+    available.forEach((c) => {
+      c.available++;
+    });
+
+    const untried = legal.filter(
+      (id) => !node.children.some((c) => c.cardId === id),
+    );
+    if (untried.length > 0) {
+      const cardId = untried[Math.floor(random() * untried.length)];
+      const child = createNode(cardId, seat, node);
+      child.available = 1;
+      node.children.push(child);
+      node = child;
+      state = engine.applyMove(state, { type: MOVE_TYPES.PLAY, seat, cardId });
+      break;
+    }
+
+    node = available.reduce((best, c) => (ucb(c) > ucb(best) ? c : best));
+    state = engine.applyMove(state, {
+      type: MOVE_TYPES.PLAY,
+      seat,
+      cardId: node.cardId,
+    });
+  }
+
+  const rewards = sideRewards(engine, playRandomly(engine, state, random));
+  for (let n = node; n; n = n.parent) {
+    n.visits++;
+    if (n.seat) n.reward += rewards[engine.sideOf(n.seat)];
+  }
+}
+
+/**
+ * Ekspert AI bira kartu pretraživanjem stabla nad skupom informacija.
+ * Skrivene karte u stanju se ne gledaju - svaka iteracija ih preslaže.
+ * @param {Object} engine - Rules engine varijante (getEngine)
+ * @param {Object} state - Stanje igre (tuđe ruke i špil AI ne koristi)
+ * @param {number} seat - AI igrač na potezu
+ * @param {Object} [options]
+ * @param {number} [options.iterations] - Najviše iteracija
+ * @param {number} [options.timeMs] - Najviše milisekundi razmišljanja
+ * @param {Object} [options.knowledge] - { voids: { [seat]: Set<suit> } }
+ * @param {Function} [options.random] - Izvor slučajnih brojeva
+ * @returns {string|number|null} - Id odabrane karte
+ */
+export function chooseIsmctsCard(engine, state, seat, options = {}) {
+  const legal = engine.legalMoves(state, seat);
+  if (legal.length <= 1) return legal[0] ?? null;
+
+  const iterations = options.iterations || DEFAULT_ISMCTS_BUDGET.iterations;
+  const timeMs = options.timeMs || DEFAULT_ISMCTS_BUDGET.timeMs;
+  const knowledge = options.knowledge || { voids: {} };
+  const random = options.random || Math.random;
+
+  // Sa samo jednim protivnikom i praznim špilom sve karte su poznate -
+  // završnica se rješava točno
+  if (engine.seats === 2) {
+    const world = determinize(engine, state, seat, knowledge, random);
+    const solved = solveEndgame(engine, world, seat);
+    if (solved) return solved.cardId;
+  }
+
+  const root = createNode(null, null, null);
+  const deadline = Date.now() + timeMs;
+  for (let i = 0; i < iterations && Date.now() < deadline; i++) {
+    iterate(
+      engine,
+      root,
+      determinize(engine, state, seat, knowledge, random),
+      random,
+    );
+  }
+
+  const best = root.children.reduce(
+    (top, c) => (!top || c.visits > top.visits ? c : top),
+    null,
+  );
+  return best ? best.cardId : legal[0];
+}
@@ -0,0 +1,124 @@
+// moveLog.js - Dnevnik poteza sobe i replay iz njega
+//
+// Server za svaku sobu vodi uređen dnevnik (gameState.moveLog, nikad ne ide
+// klijentu dok igra traje): dijeljenja, odigrane karte, pokupljene ruke s
+// vučenjem, mijenjanje aduta i akuže. Dijeljenje nosi cijelo početno stanje
+// (sve ruke i špil), ostali unosi samo potez - replay zato vrti isti rules
+// engine od dijeljenja do bilo kojeg koraka i dobiva ruke kakve su bile.
+
+import { MOVE_TYPES } from "./rulesEngine.js";
+import { addAkuze } from "./tresetaCommon.js";
+
+export const MOVE_LOG_TYPES = {
+  DEAL: "deal",
+  PLAY: "play",
+  TRICK: "trick",
+  SWAP_TRUMP: "swapTrump",
+  AKUZE: "akuze",
+};
+
+// Polja stanja koja ne pripadaju snimci dijeljenja
+const SNAPSHOT_EXCLUDED_FIELDS = [
+  "moveLog",
+  "dealSeed",
+  "fairness",
+  "revealedDeals",
+  "version",
+  "lastMove",
+];
+
+/**
+ * Dodaje unos na kraj dnevnika (ulazni niz se ne mijenja).
+ * @param {Array} [log] - Dosadašnji dnevnik
+ * @param {Object} entry - { type, ... }
+ * @returns {Array}
+ */
+export function appendMove(log = [], entry) {
+  return [...log, { ...entry, at: Date.now() }];
+}
+
+/**
+ * Samo javni podaci o akužu - pokazane karte vide svi igrači. U tom obliku
+ * akuž ide u stanje i u dnevnik poteza.
+ * @param {Object} akuz - Akuž iz checkAkuze
+ * @returns {Object} - { type, description, points, cards: [{id, name, value, suit}] }
+ */
+export function publicAkuz(akuz) {
+  return {
+    type: akuz.type,
+    description: akuz.description,
+    points: akuz.points,
+    cards: akuz.cards.map((c) => ({
+      id: c.id,
+      name: c.name,
+      value: c.value,
+      suit: c.suit,
+    })),
+  };
+}
+
+/**
+ * Unos za novo dijeljenje - kopija početnog stanja bez tajnih i
+ * serverskih polja.
+ * @param {Object} state - Stanje odmah nakon dijeljenja
+ * @param {string} [seed] - Seed dijeljenja (fairShuffle.js), ako postoji
+ */
+export function dealEntry(state, seed) {
+  const snapshot = { ...state };
+  SNAPSHOT_EXCLUDED_FIELDS.forEach((field) => delete snapshot[field]);
+  return {
+    type: MOVE_LOG_TYPES.DEAL,
+    ...(seed && { seed }),
+    state: JSON.parse(JSON.stringify(snapshot)),
+  };
+}
+
+function replayEntry(engine, state, entry) {
+  switch (entry.type) {
+    case MOVE_LOG_TYPES.DEAL:
+      return JSON.parse(JSON.stringify(entry.state));
+    case MOVE_LOG_TYPES.PLAY:
+      return engine.applyMove(state, {
+        type: MOVE_TYPES.PLAY,
+        seat: entry.seat,
+        cardId: entry.cardId,
+        ...(entry.signal && { signal: entry.signal }),
+      });
+    case MOVE_LOG_TYPES.TRICK:
+      return engine.applyMove(state, { type: MOVE_TYPES.COLLECT });
+    case MOVE_LOG_TYPES.SWAP_TRUMP:
+      return engine.applyMove(state, {
+        type: MOVE_TYPES.SWAP_TRUMP,
+        seat: entry.seat,
+      });
+    case MOVE_LOG_TYPES.AKUZE:
+      return addAkuze(state, entry.seat, entry.akuz);
+    default:
+      return state;
+  }
+}
+
+/**
+ * Gradi korake replaya - stanje igre nakon svakog unosa dnevnika.
+ * Ako se dnevnik ne može odigrati do kraja (npr. nepotpun), vraća korake
+ * do mjesta greške i samu grešku.
+ * @param {Object} engine - Rules engine varijante (getEngine)
+ * @param {Array} moveLog - Dnevnik poteza
+ * @returns {{ frames: Array<{ entry, state }>, error: string|null }}
+ */
+export function buildReplayFrames(engine, moveLog = []) {
+  const frames = [];
+  let state = null;
+
+  for (const entry of moveLog) {
+    if (!state && entry.type !== MOVE_LOG_TYPES.DEAL) continue;
+    try {
+      state = replayEntry(engine, state, entry);
+    } catch (error) {
+      return { frames, error: error.message };
+    }
+    frames.push({ entry, state });
+  }
+
+  return { frames, error: null };
+}
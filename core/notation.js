@@ -0,0 +1,440 @@
+// notation.js - Tekstualni zapis partije (po uzoru na šahovski PGN)
+//
+// Zapis ima zaglavlje s oznakama i tijelo s dijeljenjima i rukama:
+//
+//   [Game "briskula"]
+//   [Mode "1v1"]
+//   [Date "2026.10.19"]
+//   [Player1 "Ana"]
+//   [Player2 "AI Bot"]
+//   [HouseRules "endgameRule=follow; trumpSwap=7"]
+//   [Seed "9f2c... -"]          seed svakog dijeljenja, "-" ako ga nema
+//   [Winner "1"]                strana pobjednika, "-" za neriješeno
+//   [Score "1:74 2:46"]
+//
+//   D1 L:1 H1:kupe_1,bate_3,kupe_11 H2:... T:spade_4 S:dinare_2,...
+//   1. 1:kupe_3 2:kupe_1 *2
+//   2. 2:~ 2:bate_7 1:bate_1 *1
+//
+// "D<n>" počinje dijeljenje: L je igrač koji otvara, H<sjedalo> početne
+// ruke, T adut (ili "-"), S špil redom kojim se vuče, a X karta koja se
+// ne dijeli (Trešeta u troje). Potez je
+// "<sjedalo>:<id karte>" (id iz createDeck), uz "!<znak>" za znak partneru,
+// "<sjedalo>:~" je mijenjanje aduta, "<sjedalo>:+<vrsta>(<id>,...)" akuža,
+// a "*<sjedalo>" zatvara ruku i kaže tko ju je odnio. Tekst u {vitičastim
+// zagradama} je komentar.
+//
+// Uvoz vrti isti rules engine pa vraća dnevnik poteza (moveLog.js) koji
+// replay i analiza koriste kao i za mečeve sa servera.
+
+import { getEngine, MOVE_TYPES } from "./engines.js";
+import {
+  appendMove,
+  dealEntry,
+  MOVE_LOG_TYPES,
+  publicAkuz,
+} from "./moveLog.js";
+import { addAkuze, checkAkuze } from "./tresetaCommon.js";
+import {
+  houseRulesFor,
+  normalizeHouseRules,
+  houseRulesEngineConfig,
+} from "./houseRules.js";
+
+export const NOTATION_EXTENSION = "btn";
+
+const NONE = "-";
+
+const quote = (value) =>
+  `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+const ids = (cards = []) =>
+  cards.length > 0 ? cards.map((card) => card.id).join(",") : NONE;
+
+function formatDate(value) {
+  const date = value ? new Date(value) : new Date();
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}.${pad(date.getMonth() + 1)}.${pad(date.getDate())}`;
+}
+
+function formatHouseRules(houseRules) {
+  return Object.entries(houseRules || {})
+    .map(([key, value]) =>
+      Array.isArray(value) ? `${key}=${value.join(",")}` : `${key}=${value}`,
+    )
+    .join("; ");
+}
+
+function formatDeal(number, state, seats) {
+  const hands = Array.from(
+    { length: seats },
+    (_, i) => `H${i + 1}:${ids(state[`player${i + 1}Hand`])}`,
+  );
+  return [
+    `D${number}`,
+    `L:${state.currentPlayer}`,
+    ...hands,
+    `T:${state.trump?.id ?? NONE}`,
+    `S:${ids(state.remainingDeck)}`,
+    ...(state.deadCard ? [`X:${state.deadCard.id}`] : []),
+  ].join(" ");
+}
+
+/**
+ * Zapis meča u tekstualnoj notaciji.
+ * @param {Object} match - { gameType, gameMode, players, houseRules, moves,
+ *   winner, score, startedAt, finishedAt } - kao zapis povijesti mečeva
+ * @returns {string}
+ */
+export function exportNotation(match) {
+  const engine = getEngine(match.gameType, match.gameMode);
+  const moves = match.moves || [];
+  const deals = moves.filter((entry) => entry.type === MOVE_LOG_TYPES.DEAL);
+  const playerName = (seat) =>
+    match.players?.find((p) => p.playerNumber === seat)?.name ||
+    `Igrač ${seat}`;
+
+  const tags = [
+    ["Game", match.gameType],
+    ["Mode", match.gameMode],
+    ["Date", formatDate(match.finishedAt || match.startedAt)],
+    ...Array.from({ length: engine.seats }, (_, i) => [
+      `Player${i + 1}`,
+      playerName(i + 1),
+    ]),
+    ...(match.houseRules
+      ? [["HouseRules", formatHouseRules(match.houseRules)]]
+      : []),
+    ["Seed", deals.map((entry) => entry.seed || NONE).join(" ")],
+    ["Winner", match.winner ?? NONE],
+    [
+      "Score",
+      Object.entries(match.score || {})
+        .map(([side, points]) => `${side}:${points}`)
+        .join(" "),
+    ],
+  ];
+
+  const lines = [];
+  let dealNumber = 0;
+  let trickNumber = 0;
+  let trick = [];
+
+  for (const entry of moves) {
+    switch (entry.type) {
+      case MOVE_LOG_TYPES.DEAL:
+        dealNumber++;
+        trickNumber = 0;
+        lines.push("", formatDeal(dealNumber, entry.state, engine.seats));
+        break;
+      case MOVE_LOG_TYPES.PLAY:
+        trick.push(
+          `${entry.seat}:${entry.cardId}${entry.signal ? `!${entry.signal}` : ""}`,
+        );
+        break;
+      case MOVE_LOG_TYPES.SWAP_TRUMP:
+        trick.push(`${entry.seat}:~`);
+        break;
+      case MOVE_LOG_TYPES.AKUZE:
+        trick.push(
+          `${entry.seat}:+${entry.akuz.type}(${ids(entry.akuz.cards)})`,
+        );
+        break;
+      case MOVE_LOG_TYPES.TRICK:
+        trickNumber++;
+        lines.push(
+          `${trickNumber}. ${[...trick, `*${entry.winner}`].join(" ")}`,
+        );
+        trick = [];
+        break;
+      default:
+        break;
+    }
+  }
+  // Nedovršena ruka (npr. prekinuta partija)
+  if (trick.length > 0) {
+    lines.push(`${trickNumber + 1}. ${trick.join(" ")}`);
+  }
+
+  return `${tags.map(([name, value]) => `[${name} ${quote(value)}]`).join("\n")}\n${lines.join("\n")}\n`;
+}
+
+/**
+ * Ime datoteke za preuzimanje zapisa.
+ */
+export function notationFileName(match) {
+  const date = formatDate(match.finishedAt || match.startedAt).replace(
+    /\./g,
+    "-",
+  );
+  return `${match.gameType}-${match.gameMode}-${date}.${NOTATION_EXTENSION}`;
+}
+
+function parseHeader(text) {
+  const tags = {};
+  const tagPattern = /^\s*\[(\w+)\s+"((?:[^"\\]|\\.)*)"\]\s*$/;
+  const body = [];
+
+  text.split(/\r?\n/).forEach((line) => {
+    const match = line.match(tagPattern);
+    if (match) {
+      tags[match[1]] = match[2].replace(/\\(.)/g, "$1");
+    } else {
+      body.push(line);
+    }
+  });
+
+  return { tags, body: body.join("\n") };
+}
+
+function parseHouseRules(gameType, gameMode, text) {
+  if (!text) return null;
+  const known = new Map(houseRulesFor(gameType, gameMode));
+  const input = {};
+
+  text
+    .split(";")
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .forEach((pair) => {
+      const [key, value = ""] = pair.split("=").map((part) => part.trim());
+      const rule = known.get(key);
+      input[key] =
+        rule?.type === "boolean"
+          ? value === "true"
+          : rule?.type === "multi"
+            ? value.split(",").filter(Boolean)
+            : value;
+    });
+
+  const { rules, errors } = normalizeHouseRules(gameType, gameMode, input);
+  if (errors.length > 0) {
+    throw new Error(`Neispravna kućna pravila: ${errors.join(", ")}`);
+  }
+  return rules;
+}
+
+/**
+ * Početno stanje dijeljenja iz zapisa: engine podijeli kao na serveru
+ * (kućna pravila, prethodna partija), a ruke, adut i špil se postave
+ * iz zapisa.
+ */
+function buildDealState(engine, config, previousState, layout) {
+  const fresh = engine.createInitialState({
+    ...config,
+    ...(previousState && { previousState }),
+  });
+
+  const cards = new Map();
+  const collect = (list = []) =>
+    list.forEach((card) => cards.set(String(card.id), card));
+  for (let seat = 1; seat <= engine.seats; seat++) {
+    collect(fresh[`player${seat}Hand`]);
+  }
+  collect(fresh.remainingDeck);
+  if (fresh.trump) collect([fresh.trump]);
+  if (fresh.deadCard) collect([fresh.deadCard]);
+
+  const toCards = (list) =>
+    list.map((id) => {
+      const card = cards.get(id);
+      if (!card) throw new Error(`Nepoznata karta "${id}"`);
+      return card;
+    });
+
+  const state = {
+    ...fresh,
+    remainingDeck: toCards(layout.deck),
+    currentPlayer: layout.leader,
+    roundStartPlayer: layout.leader,
+  };
+  for (let seat = 1; seat <= engine.seats; seat++) {
+    state[`player${seat}Hand`] = toCards(layout.hands[seat] || []);
+  }
+  if (fresh.trump || layout.trump) {
+    const [trump] = layout.trump ? toCards([layout.trump]) : [null];
+    state.trump = trump;
+    state.trumpSuit = trump?.suit ?? fresh.trumpSuit;
+  }
+  if (layout.deadCard) {
+    [state.deadCard] = toCards([layout.deadCard]);
+  }
+  return state;
+}
+
+const cardList = (value) => (value === NONE ? [] : value.split(","));
+
+/**
+ * Čita tekstualni zapis i provjerava ga kroz rules engine.
+ * Baca grešku s opisom ako zapis nije ispravan ili potez nije legalan.
+ * @param {string} text - Sadržaj datoteke
+ * @returns {Object} Meč u obliku zapisa povijesti mečeva (s moves)
+ */
+export function importNotation(text) {
+  const { tags, body } = parseHeader(String(text || ""));
+  if (!tags.Game || !tags.Mode) {
+    throw new Error('Zapis nema oznake "Game" i "Mode"');
+  }
+
+  const engine = getEngine(tags.Game, tags.Mode);
+  const houseRules = parseHouseRules(tags.Game, tags.Mode, tags.HouseRules);
+  const config = houseRules
+    ? houseRulesEngineConfig(tags.Game, houseRules)
+    : {};
+  const seeds = (tags.Seed || "").split(/\s+/).filter(Boolean);
+
+  let moves = [];
+  let state = null;
+  let layout = null;
+  let trickNumber = 0;
+
+  const startDeal = () => {
+    if (!layout) return;
+    state = buildDealState(engine, config, state, layout);
+    const seed = seeds[layout.number - 1];
+    moves = appendMove(
+      moves,
+      dealEntry(state, seed && seed !== NONE ? seed : undefined),
+    );
+    layout = null;
+  };
+  const requireState = (token) => {
+    startDeal();
+    if (!state) throw new Error(`Potez "${token}" prije dijeljenja`);
+  };
+
+  const tokens = body
+    .replace(/\{[^}]*\}/g, " ")
+    .split(/\s+/)
+    .filter(Boolean);
+
+  for (const token of tokens) {
+    try {
+      let match;
+      if ((match = token.match(/^D(\d+)$/))) {
+        startDeal();
+        trickNumber = 0;
+        layout = {
+          number: Number(match[1]),
+          leader: 1,
+          hands: {},
+          trump: null,
+          deck: [],
+          deadCard: null,
+        };
+      } else if (layout && (match = token.match(/^([LHTSX])(\d*):(.+)$/))) {
+        const [, key, seat, value] = match;
+        if (key === "L") layout.leader = Number(value);
+        if (key === "H") layout.hands[Number(seat)] = cardList(value);
+        if (key === "T") layout.trump = value === NONE ? null : value;
+        if (key === "S") layout.deck = cardList(value);
+        if (key === "X") layout.deadCard = value;
+      } else if ((match = token.match(/^(\d+)\.$/))) {
+        startDeal();
+        trickNumber = Number(match[1]);
+      } else if ((match = token.match(/^\*(\d+)$/))) {
+        requireState(token);
+        state = engine.applyMove(state, { type: MOVE_TYPES.COLLECT });
+        const winner = state.lastTrick?.winner;
+        if (winner !== Number(match[1])) {
+          throw new Error(
+            `ruku nosi igrač ${winner}, a ne ${match[1]} kako piše u zapisu`,
+          );
+        }
+        moves = appendMove(moves, {
+          type: MOVE_LOG_TYPES.TRICK,
+          winner,
+          drawn: Object.fromEntries(
+            Object.entries(state.lastTrick.drawn || {}).map(([s, card]) => [
+              s,
+              card?.id ?? null,
+            ]),
+          ),
+        });
+      } else if ((match = token.match(/^(\d+):~$/))) {
+        requireState(token);
+        const seat = Number(match[1]);
+        state = engine.applyMove(state, { type: MOVE_TYPES.SWAP_TRUMP, seat });
+        moves = appendMove(moves, { type: MOVE_LOG_TYPES.SWAP_TRUMP, seat });
+      } else if ((match = token.match(/^(\d+):\+([^(]+)\(([^)]*)\)$/))) {
+        requireState(token);
+        const seat = Number(match[1]);
+        const declared = cardList(match[3]).sort().join(",");
+        const found = checkAkuze(
+          state[`player${seat}Hand`],
+          state.akuzeTypes,
+        ).find(
+          (a) =>
+            a.type === match[2] &&
+            a.cards
+              .map((c) => String(c.id))
+              .sort()
+              .join(",") === declared,
+        );
+        if (!found) throw new Error(`igrač ${seat} nema akužu ${match[2]}`);
+        // Isti oblik kao akuž koji server upisuje u dnevnik
+        const akuz = publicAkuz(found);
+        state = addAkuze(state, seat, akuz);
+        moves = appendMove(moves, { type: MOVE_LOG_TYPES.AKUZE, seat, akuz });
+      } else if ((match = token.match(/^(\d+):([^!~+]+)(?:!(\w+))?$/))) {
+        requireState(token);
+        const seat = Number(match[1]);
+        const card = (state[`player${seat}Hand`] || []).find(
+          (c) => String(c.id) === match[2],
+        );
+        if (!card) throw new Error(`igrač ${seat} nema kartu ${match[2]}`);
+        const move = {
+          type: MOVE_TYPES.PLAY,
+          seat,
+          cardId: card.id,
+          ...(match[3] && { signal: match[3] }),
+        };
+        state = engine.applyMove(state, move);
+        moves = appendMove(moves, { ...move, type: MOVE_LOG_TYPES.PLAY });
+      } else {
+        throw new Error(`nepoznat znak "${token}"`);
+      }
+    } catch (error) {
+      throw new Error(
+        `Neispravan zapis${trickNumber ? ` (ruka ${trickNumber})` : ""}: ${error.message}`,
+      );
+    }
+  }
+  startDeal();
+
+  if (moves.length === 0) {
+    throw new Error("Zapis nema nijednog dijeljenja");
+  }
+
+  const date = tags.Date ? new Date(tags.Date.replace(/\./g, "-")) : null;
+  const winner =
+    tags.Winner && tags.Winner !== NONE ? Number(tags.Winner) : null;
+  const score = Object.fromEntries(
+    (tags.Score || "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((pair) => pair.split(":"))
+      .map(([side, points]) => [side, Number(points)]),
+  );
+
+  return {
+    id: null,
+    imported: true,
+    gameType: tags.Game,
+    gameMode: tags.Mode,
+    players: Array.from({ length: engine.seats }, (_, i) => ({
+      userId: null,
+      name: tags[`Player${i + 1}`] || `Igrač ${i + 1}`,
+      playerNumber: i + 1,
+      side: engine.sideOf(i + 1),
+    })),
+    houseRules,
+    winner,
+    score,
+    partijas: [],
+    moves,
+    startedAt: null,
+    finishedAt: date && !isNaN(date) ? date.toISOString() : null,
+    durationMs: null,
+  };
+}
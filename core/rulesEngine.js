@@ -0,0 +1,394 @@
+// rulesEngine.js - Zajednički ugovor za sve varijante igre (Briskula/Trešeta)
+//
+// Svaka varijanta (npr. "briskula-1v1", "treseta-2v2") izlaže isti, čisti
+// (pure) API nad stanjem igre koje ima isti oblik kao room.gameState na
+// serveru (player{N}Hand, playedCards [{card, playerNumber}], remainingDeck...):
+//
+//   createInitialState(config, seed) -> state (seed: string/broj ili random())
+//   legalMoves(state, seat)          -> [cardId]
+//   applyMove(state, move)           -> novo stanje (ulaz se ne mijenja)
+//   isTerminal(state)                -> boolean
+//   score(state)                     -> { points, totals, gameEnd }
+//
+// Potezi:
+//   { type: "play", seat, cardId } - igrač baca kartu
+//     (+ opcionalni signal, npr. "volo" u timskoj Trešeti)
+//   { type: "collect" }            - puna ruka se pokupi (pobjednik, vučenje)
+//   { type: "swapTrump", seat }    - posebni potezi varijante (spec.moves)
+//
+// Server, lokalni AI mod i alati (replay, analiza) vrte isti reducer.
+
+/**
+ * Greška pravila - nosi kod koji server prosljeđuje klijentu.
+ */
+export class RulesError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = "RulesError";
+    this.code = code;
+  }
+}
+
+export const MOVE_TYPES = {
+  PLAY: "play",
+  COLLECT: "collect",
+  SWAP_TRUMP: "swapTrump",
+};
+
+const REQUIRED_METHODS = [
+  "createInitialState",
+  "legalMoves",
+  "applyMove",
+  "isTerminal",
+  "score",
+];
+
+const registry = new Map();
+
+export function getEngineId(gameType, gameMode = "1v1") {
+  return `${gameType}-${gameMode}`;
+}
+
+/**
+ * Registrira varijantu. Engine mora implementirati cijeli ugovor.
+ */
+export function registerEngine(engine) {
+  if (!engine || !engine.id) {
+    throw new Error("Engine mora imati id");
+  }
+  REQUIRED_METHODS.forEach((method) => {
+    if (typeof engine[method] !== "function") {
+      throw new Error(`Engine ${engine.id} nema metodu ${method}`);
+    }
+  });
+  registry.set(engine.id, engine);
+  return engine;
+}
+
+/**
+ * Vraća registrirani engine za gameType + gameMode.
+ */
+export function getEngine(gameType, gameMode = "1v1") {
+  const engine = registry.get(getEngineId(gameType, gameMode));
+  if (!engine) {
+    throw new RulesError(
+      "UNKNOWN_VARIANT",
+      `Nepoznata varijanta igre: ${gameType} ${gameMode}`,
+    );
+  }
+  return engine;
+}
+
+export function hasEngine(gameType, gameMode = "1v1") {
+  return registry.has(getEngineId(gameType, gameMode));
+}
+
+export function listEngines() {
+  return Array.from(registry.values());
+}
+
+/**
+ * Deterministički generator slučajnih brojeva iz seeda (string ili broj).
+ * Isti seed uvijek daje isti redoslijed karata.
+ */
+export function createSeededRandom(seed) {
+  // xmur3 hash seeda -> 32-bitno početno stanje
+  const str = String(seed);
+  let h = 1779033703 ^ str.length;
+  for (let i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 3432918353);
+    h = (h << 13) | (h >>> 19);
+  }
+  h = Math.imul(h ^ (h >>> 16), 2246822507);
+  h = Math.imul(h ^ (h >>> 13), 3266489909);
+  let a = (h ^= h >>> 16) >>> 0;
+
+  // mulberry32
+  return function random() {
+    a = (a + 0x6d2b79f5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Karte na stolu bez playerNumber omotača.
+ */
+export function tableCards(state) {
+  return (state.playedCards || []).map((pc) => pc.card);
+}
+
+/**
+ * Gradi engine za igre "na štih" (sve četiri postojeće varijante).
+ *
+ * spec:
+ *  - gameType, gameMode, seats
+ *  - sideOf(seat)      -> strana koja skuplja karte (igrač u 1v1, tim u 2v2)
+ *  - sideKey           -> "player" | "team" (ključ player1Cards / team1Cards)
+ *  - createDeck(), shuffleDeck(deck, rng), deal(deck, config)
+ *  - trickWinner(playedCards, leader, state) -> seat
+ *  - playableCards(hand, table, state)       -> [cardId] (opcionalno)
+ *  - explainIllegal(card, hand, table, state) -> razlog (opcionalno)
+ *  - trumpIsLastCard   -> adut se vuče kao zadnja karta špila (Briskula)
+ *  - initialState(state, config)             -> dodatna polja varijante
+ *  - afterTrick(state, winner, helpers)      -> stanje nakon pokupljene ruke
+ *                                               (ultima, zbroj partije...)
+ *  - score(state)                            -> { points, totals, gameEnd }
+ *  - moves: { [type]: { validate(state, seat), apply(state, seat) } }
+ *                      -> posebni potezi (npr. mijenjanje aduta); validate
+ *                         vraća null ili { code, message }
+ *  - validateSignal(state, seat, card, signal) -> null ili { code, message }
+ *                      -> znak uz odigranu kartu (opcionalno); bez njega
+ *                         varijanta ne prima znakove
+ */
+export function createTrickTakingEngine(spec) {
+  const { seats, sideOf, sideKey } = spec;
+  const seatList = Array.from({ length: seats }, (_, i) => i + 1);
+  const sides = [...new Set(seatList.map(sideOf))];
+
+  const handKey = (seat) => `player${seat}Hand`;
+  const wonCardsKey = (side) => `${sideKey}${side}Cards`;
+  const nextSeat = (seat) => (seat % seats) + 1;
+
+  function isDealComplete(state) {
+    return (
+      (state.playedCards || []).length === 0 &&
+      (state.remainingDeck || []).length === 0 &&
+      seatList.every((seat) => (state[handKey(seat)] || []).length === 0)
+    );
+  }
+
+  function isTrickComplete(state) {
+    return (state.playedCards || []).length >= seats;
+  }
+
+  function playableCards(state, seat) {
+    const hand = state[handKey(seat)] || [];
+    if (isTrickComplete(state)) return [];
+    if (!spec.playableCards) return hand.map((c) => c.id);
+    return spec.playableCards(hand, tableCards(state), state);
+  }
+
+  function score(state) {
+    const result = spec.score(state);
+    // Dok je ruka na stolu, partija ne može biti gotova
+    if ((state.playedCards || []).length > 0) {
+      return {
+        ...result,
+        gameEnd: { isGameOver: false, winner: null, reason: null },
+      };
+    }
+    return result;
+  }
+
+  function isTerminal(state) {
+    if ((state.playedCards || []).length > 0) return false;
+    return isDealComplete(state) || Boolean(score(state).gameEnd?.isGameOver);
+  }
+
+  function createInitialState(config = {}, seed) {
+    // Seed može biti i gotov random() - npr. CSPRNG iz fairShuffle.js
+    const rng =
+      typeof seed === "function"
+        ? seed
+        : seed === undefined || seed === null
+          ? Math.random
+          : createSeededRandom(seed);
+    const deck = spec.shuffleDeck(spec.createDeck(), rng);
+    const firstPlayer = config.firstPlayer || 1;
+
+    const state = {
+      gameType: spec.gameType,
+      ...spec.deal(deck, config),
+      playedCards: [],
+      currentPlayer: firstPlayer,
+      roundStartPlayer: firstPlayer,
+      roundNumber: 1,
+      lastTrick: null,
+      lastTrickWinner: null,
+      gamePhase: "playing",
+      winner: null,
+    };
+    sides.forEach((side) => {
+      state[wonCardsKey(side)] = [];
+    });
+
+    return spec.initialState ? spec.initialState(state, config) : state;
+  }
+
+  function legalMoves(state, seat) {
+    if (state.gamePhase && state.gamePhase !== "playing") return [];
+    if (state.currentPlayer !== seat || isTerminal(state)) return [];
+    return playableCards(state, seat);
+  }
+
+  function playCard(state, { seat, cardId, signal }) {
+    if (isTerminal(state)) {
+      throw new RulesError("GAME_OVER", "Partija je završena");
+    }
+    if (isTrickComplete(state)) {
+      throw new RulesError("TRICK_COMPLETE", "Ruka se još skuplja");
+    }
+    if (state.currentPlayer !== seat) {
+      throw new RulesError("NOT_YOUR_TURN", "Nije vaš red");
+    }
+
+    const hand = state[handKey(seat)] || [];
+    const card = hand.find((c) => c.id === cardId);
+    if (!card) {
+      throw new RulesError("CARD_NOT_IN_HAND", "Ta karta nije u vašoj ruci");
+    }
+    if (!playableCards(state, seat).includes(card.id)) {
+      const reason = spec.explainIllegal
+        ? spec.explainIllegal(card, hand, tableCards(state), state)
+        : "Nevaljan potez";
+      throw new RulesError("ILLEGAL_CARD", reason);
+    }
+    if (signal) {
+      const error = spec.validateSignal
+        ? spec.validateSignal(state, seat, card, signal)
+        : { code: "SIGNALS_DISABLED", message: "Znakovi nisu dopušteni" };
+      if (error) throw new RulesError(error.code, error.message);
+    }
+
+    const playedCards = [
+      ...(state.playedCards || []),
+      { card, playerNumber: seat, ...(signal && { signal }) },
+    ];
+    const next = {
+      ...state,
+      [handKey(seat)]: hand.filter((c) => c.id !== card.id),
+      playedCards,
+      roundStartPlayer:
+        playedCards.length === 1 ? seat : state.roundStartPlayer,
+    };
+    // Znak je javan - ostaje u dnevniku igre i nakon što se ruka pokupi
+    if (signal) {
+      next.gameLog = [
+        ...(state.gameLog || []),
+        {
+          type: "signal",
+          seat,
+          cardId: card.id,
+          signal,
+          roundNumber: state.roundNumber || 1,
+          ...(state.currentPartija && { partija: state.currentPartija }),
+        },
+      ];
+    }
+    // Nakon zadnje karte u ruci red se ne mijenja dok se ruka ne pokupi
+    if (playedCards.length < seats) {
+      next.currentPlayer = nextSeat(seat);
+    }
+    return next;
+  }
+
+  function drawAfterTrick(state, winner) {
+    const pile = [...(state.remainingDeck || [])];
+    const trumpInPile = Boolean(spec.trumpIsLastCard && state.trump);
+    if (trumpInPile) pile.push(state.trump);
+
+    const next = { ...state };
+    const drawn = {};
+    let seat = winner;
+    for (let i = 0; i < seats && pile.length > 0; i++) {
+      const card = pile.shift();
+      next[handKey(seat)] = [...next[handKey(seat)], card];
+      drawn[seat] = card;
+      seat = nextSeat(seat);
+    }
+
+    if (trumpInPile && !pile.includes(state.trump)) {
+      next.trump = null;
+    }
+    next.remainingDeck = trumpInPile
+      ? pile.filter((c) => c !== state.trump)
+      : pile;
+    return { state: next, drawn };
+  }
+
+  function collectTrick(state) {
+    if (!isTrickComplete(state)) {
+      throw new RulesError("TRICK_NOT_COMPLETE", "Ruka još nije odigrana");
+    }
+
+    const trick = state.playedCards;
+    const leader = state.roundStartPlayer || trick[0].playerNumber;
+    const winner = spec.trickWinner(trick, leader, state);
+    const side = sideOf(winner);
+
+    const collected = {
+      ...state,
+      [wonCardsKey(side)]: [
+        ...(state[wonCardsKey(side)] || []),
+        ...trick.map((pc) => pc.card),
+      ],
+      playedCards: [],
+      currentPlayer: winner,
+      roundStartPlayer: winner,
+      lastTrickWinner: winner,
+      roundNumber: (state.roundNumber || 1) + 1,
+    };
+
+    const { state: afterDraw, drawn } = drawAfterTrick(collected, winner);
+    const next = {
+      ...afterDraw,
+      lastTrick: { cards: trick, winner, side, drawn },
+    };
+
+    return spec.afterTrick
+      ? spec.afterTrick(next, winner, { isDealComplete, score })
+      : next;
+  }
+
+  // Posebni potezi igraju se samo na svom redu, prije nego je ruka puna
+  function specialMoveError(state, type, seat) {
+    if (isTerminal(state)) {
+      return { code: "GAME_OVER", message: "Partija je završena" };
+    }
+    if (isTrickComplete(state)) {
+      return { code: "TRICK_COMPLETE", message: "Ruka se još skuplja" };
+    }
+    if (state.currentPlayer !== seat) {
+      return { code: "NOT_YOUR_TURN", message: "Nije vaš red" };
+    }
+    return spec.moves[type].validate(state, seat);
+  }
+
+  function availableMoves(state, seat) {
+    return Object.keys(spec.moves || {}).filter(
+      (type) => !specialMoveError(state, type, seat),
+    );
+  }
+
+  function applyMove(state, move) {
+    const type = move?.type || MOVE_TYPES.PLAY;
+    if (type === MOVE_TYPES.PLAY) return playCard(state, move);
+    if (type === MOVE_TYPES.COLLECT) return collectTrick(state);
+    if (spec.moves?.[type]) {
+      const error = specialMoveError(state, type, move.seat);
+      if (error) throw new RulesError(error.code, error.message);
+      return spec.moves[type].apply(state, move.seat);
+    }
+    throw new RulesError("UNKNOWN_MOVE", `Nepoznat potez: ${type}`);
+  }
+
+  return {
+    id: getEngineId(spec.gameType, spec.gameMode),
+    gameType: spec.gameType,
+    gameMode: spec.gameMode,
+    seats,
+    sides,
+    sideOf,
+    createInitialState,
+    legalMoves,
+    availableMoves,
+    playableCards,
+    applyMove,
+    isTerminal,
+    isDealComplete,
+    isTrickComplete,
+    score,
+  };
+}
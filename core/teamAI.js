@@ -0,0 +1,208 @@
+// teamAI.js - AI igrači u igri u parovima (2v2)
+//
+// Za Briskulu i Trešetu u parovima AI koristi iste heuristike kao 1v1
+// (briskulaAI.js / tresetaAI.js) - "protivnička" karta je karta koja
+// trenutno nosi ruku. Povrh toga AI pazi na partnera: ne prebija partnera
+// koji već nosi ruku, a kad partnerovu kartu više nitko ne može prebiti
+// "namaže" mu bodove.
+
+import { chooseAiCard as chooseAiBriskula } from "./briskulaAI.js";
+import { chooseAiCard as chooseAiTreseta, thirdsOf } from "./tresetaAI.js";
+import {
+  createDeck as createBriskulaDeck,
+  isDeckExhausted,
+} from "./gameLogicBriskula.js";
+import {
+  createDeck as createTresetaDeck,
+  getCardStrength,
+} from "./tresetaCommon.js";
+import { sidePoints } from "./endgameSolver.js";
+import { normalizeDifficulty } from "./aiDifficulty.js";
+
+const handOf = (state, seat) => state[`player${seat}Hand`] || [];
+
+// Pokupljene karte: po igraču u 1v1 i FFA, po timu u 2v2
+const wonCards = (engine, state) =>
+  engine.sides.flatMap(
+    (s) => state[`player${s}Cards`] || state[`team${s}Cards`] || [],
+  );
+
+const strengthOf = (gameType, card) =>
+  gameType === "treseta" ? getCardStrength(card) : card.strength;
+
+/**
+ * Bodovi karte: Briskula u bodovima, Trešeta u trećinama boda.
+ */
+const valueOf = (gameType, card) =>
+  gameType === "treseta" ? thirdsOf(card) : card.points || 0;
+
+/**
+ * Prebija li karta trenutno najjaču kartu na stolu (Trešeta nema aduta -
+ * nosi samo jača karta iste boje).
+ */
+function beats(gameType, card, best, trumpSuit) {
+  if (card.suit === best.suit) {
+    return strengthOf(gameType, card) > strengthOf(gameType, best);
+  }
+  return gameType !== "treseta" && card.suit === trumpSuit;
+}
+
+/**
+ * Tko trenutno nosi ruku na stolu.
+ * @returns {{ card, playerNumber }|null}
+ */
+function currentTrickWinner(state) {
+  return (state.playedCards || []).reduce(
+    (best, pc) =>
+      !best || beats(state.gameType, pc.card, best.card, state.trumpSuit)
+        ? pc
+        : best,
+    null,
+  );
+}
+
+/**
+ * Karte koje AI nije vidio (tuđe ruke i špil).
+ */
+function unseenCards(engine, state, seat) {
+  const seen = new Set(
+    [
+      ...handOf(state, seat),
+      ...(state.playedCards || []).map((pc) => pc.card),
+      ...wonCards(engine, state),
+      ...(state.trump ? [state.trump] : []),
+    ].map((c) => c.id),
+  );
+  const deck =
+    state.gameType === "treseta" ? createTresetaDeck() : createBriskulaDeck();
+  return deck.filter((c) => !seen.has(c.id));
+}
+
+/**
+ * Boje koje sigurno nema nijedan od igrača (knownVoids iz determinize.js).
+ */
+function commonVoids(knowledge, seats) {
+  const voids = seats.map((s) => knowledge?.voids?.[s] || new Set());
+  return [...voids[0]].filter((suit) => voids.every((v) => v.has(suit)));
+}
+
+/**
+ * Heuristika varijante kao u 1v1, s kartom koja nosi kao protivničkom.
+ * Više protivnika (FFA, 2v2) AI gleda kao jednog: bodovi najboljeg od
+ * njih, zajednička ruka i boje koje nema nitko od njih.
+ */
+function chooseSoloCard(
+  engine,
+  state,
+  seat,
+  hand,
+  { difficulty, random, knowledge },
+) {
+  const side = engine.sideOf(seat);
+  const opponentSides = engine.sides.filter((s) => s !== side);
+  const opponentSeats = Array.from(
+    { length: engine.seats },
+    (_, i) => i + 1,
+  ).filter((s) => engine.sideOf(s) !== side);
+  const winning = currentTrickWinner(state);
+  const context = {
+    hand,
+    opponentCard: winning?.card || null,
+    aiIsFirst: !winning,
+    difficulty,
+    random,
+    roundNumber: state.roundNumber || 1,
+    myPoints: sidePoints(engine, state, side),
+    opponentPoints: Math.max(
+      ...opponentSides.map((s) => sidePoints(engine, state, s)),
+    ),
+    remainingDeckCount: (state.remainingDeck || []).length,
+    cardsPlayed: wonCards(engine, state),
+  };
+
+  if (state.gameType === "treseta") {
+    return chooseAiTreseta({
+      ...context,
+      fullHand: handOf(state, seat),
+      trickCards: (state.playedCards || []).map((pc) => pc.card),
+      opponentHandSize: opponentSeats.reduce(
+        (sum, s) => sum + handOf(state, s).length,
+        0,
+      ),
+      opponentAkuze: opponentSeats.flatMap(
+        (s) => state[`player${s}Akuze`]?.details || [],
+      ),
+      opponentVoids: commonVoids(knowledge, opponentSeats),
+    });
+  }
+  return chooseAiBriskula({
+    ...context,
+    trumpSuit: state.trumpSuit,
+    endgameRule: state.endgameRule,
+    deckExhausted: isDeckExhausted(state),
+  });
+}
+
+/**
+ * Partner nosi ruku: ne prebija ga se. Ako partnerovu kartu nitko iza
+ * više ne može prebiti, baca se karta s najviše bodova (u Briskuli ne
+ * adut), inače karta s najmanje bodova.
+ */
+function choosePartnerSupportCard(engine, state, seat, hand, winning) {
+  const { gameType, trumpSuit } = state;
+  const playersAfter = engine.seats - (state.playedCards || []).length - 1;
+  const safe =
+    playersAfter === 0 ||
+    !unseenCards(engine, state, seat).some((c) =>
+      beats(gameType, c, winning.card, trumpSuit),
+    );
+
+  const underPartner = hand.filter(
+    (c) => !beats(gameType, c, winning.card, trumpSuit),
+  );
+  const candidates = underPartner.length > 0 ? underPartner : hand;
+  const nonTrump = candidates.filter((c) => c.suit !== trumpSuit);
+  const pool = safe && nonTrump.length > 0 ? nonTrump : candidates;
+
+  return pool.reduce((best, card) => {
+    const diff = valueOf(gameType, card) - valueOf(gameType, best);
+    if (diff !== 0) return (safe ? diff > 0 : diff < 0) ? card : best;
+    return strengthOf(gameType, card) < strengthOf(gameType, best)
+      ? card
+      : best;
+  });
+}
+
+/**
+ * AI igrač u igri u parovima bira kartu iz stanja rules enginea.
+ * @param {Object} engine - Rules engine varijante (getEngine(type, "2v2"))
+ * @param {Object} state - Stanje igre (tuđe ruke AI ne gleda)
+ * @param {number} seat - AI igrač na potezu
+ * @param {Object} [options]
+ * @param {string} [options.difficulty] - Razina težine (aiDifficulty.js)
+ * @param {Function} [options.random] - Izvor slučajnih brojeva
+ * @param {Object} [options.knowledge] - Boje koje igrači nemaju (knownVoids)
+ * @returns {Object|null} - Odabrana karta iz ruke
+ */
+export function chooseTeamAiCard(engine, state, seat, options = {}) {
+  const difficulty = normalizeDifficulty(options.difficulty);
+  const random = options.random || Math.random;
+  const legal = engine.legalMoves(state, seat);
+  const hand = handOf(state, seat).filter((c) => legal.includes(c.id));
+  if (hand.length <= 1) return hand[0] || null;
+
+  // Početnik ne gleda što partner igra
+  const winning = currentTrickWinner(state);
+  if (
+    difficulty !== "easy" &&
+    winning &&
+    engine.sideOf(winning.playerNumber) === engine.sideOf(seat)
+  ) {
+    return choosePartnerSupportCard(engine, state, seat, hand, winning);
+  }
+  return chooseSoloCard(engine, state, seat, hand, {
+    difficulty,
+    random,
+    knowledge: options.knowledge,
+  });
+}
@@ -1,32 +1,159 @@
 import { determineRoundWinner, getCardStrength } from "./gameLogicTreseta.js";
-import { checkAkuze } from "./tresetaCommon.js";
+import { checkAkuze, createDeck } from "./tresetaCommon.js";
+import { makesMistake, normalizeDifficulty } from "./aiDifficulty.js";
 
-function normalizeDifficulty() {
-  return "hard";
-}
+// Vrijednost karte u trećinama boda: as = 3, trica/duja/figure = 1 (bela),
+// lišo = 0. Ultima (zadnja ruka) vrijedi kao as.
+const THIRDS_BY_VALUE = { 1: 3, 2: 1, 3: 1, 11: 1, 12: 1, 13: 1 };
+const ULTIMA_THIRDS = 3;
 
-function getRoundPhase(roundNumber = 1) {
-  if (roundNumber <= 3) return "early";
-  if (roundNumber >= 8) return "late";
-  return "mid";
-}
+const thirdsOf = (card) => THIRDS_BY_VALUE[card?.value] || 0;
 
 function chooseWeakestByStrength(cards, strengthOf) {
   return cards.reduce((w, c) => (strengthOf(c) < strengthOf(w) ? c : w));
 }
 
-function chooseCheapestWinningCard(cards, strengthOf) {
-  return cards.reduce((best, card) => {
-    const currentCost = card.points * 12 + strengthOf(card);
-    const bestCost = best.points * 12 + strengthOf(best);
-    return currentCost < bestCost ? card : best;
-  });
-}
-
 function chooseStrongestByStrength(cards, strengthOf) {
   return cards.reduce((s, c) => (strengthOf(c) > strengthOf(s) ? c : s));
 }
 
+/**
+ * Što AI zna o kartama koje ne vidi: koje su još u igri (tuđe ruke i špil),
+ * koje protivnik sigurno drži (akužao ih je) i koje boje sigurno nema.
+ */
+function readTable({
+  fullHand,
+  trickCards,
+  cardsPlayed,
+  opponentAkuze,
+  opponentVoids,
+  opponentHandSize,
+}) {
+  const seen = new Set(
+    [...fullHand, ...trickCards, ...cardsPlayed].map((c) => c.id),
+  );
+  const unseen = createDeck().filter((c) => !seen.has(c.id));
+  const declared = new Set(
+    opponentAkuze.flatMap((akuz) => (akuz.cards || []).map((c) => c.id)),
+  );
+  return {
+    unseen,
+    known: new Set(unseen.filter((c) => declared.has(c.id)).map((c) => c.id)),
+    voids: new Set(opponentVoids),
+    opponentHandSize: opponentHandSize ?? fullHand.length,
+  };
+}
+
+const strongerUnseen = (card, table) =>
+  table.unseen.filter(
+    (c) => c.suit === card.suit && getCardStrength(c) > getCardStrength(card),
+  );
+
+/**
+ * Vjerojatnost da protivnik drži barem jednu od karata: akužanu sigurno,
+ * boju koju nema nikako, ostalo prema broju neviđenih karata.
+ */
+function holdsAnyChance(cards, table) {
+  if (cards.length === 0) return 0;
+  if (table.voids.has(cards[0].suit)) return 0;
+  if (cards.some((c) => table.known.has(c.id))) return 1;
+  const pool = table.unseen.length;
+  if (pool === 0) return 0;
+  const share = Math.min(1, table.opponentHandSize / pool);
+  return 1 - Math.pow(1 - share, cards.length);
+}
+
+/**
+ * Koliko vrijedi sačuvati kartu za kasnije: trica i duja koje su gospodari
+ * boje mogu još uloviti asa ili figuru - to se gubi ako se sad potroše.
+ */
+function controlValue(card, table) {
+  if (getCardStrength(card) < getCardStrength({ value: 2 })) return 0;
+  if (strongerUnseen(card, table).length > 0) return 0;
+  const targets = table.unseen.filter(
+    (c) =>
+      c.suit === card.suit &&
+      getCardStrength(c) < getCardStrength(card) &&
+      thirdsOf(c) > 0,
+  );
+  if (targets.length === 0 || table.voids.has(card.suit)) return 0;
+  return Math.max(...targets.map(thirdsOf));
+}
+
+/**
+ * Procjena izlaska kartom (u trećinama): kartu koju ništa neviđeno ne
+ * nadjačava AI sigurno nosi, ostale protivnik može uloviti jačom kartom
+ * iste boje (najjeftinijom kojom nosi).
+ */
+function leadValue(card, hand, table, endgame) {
+  const thirds = thirdsOf(card);
+  const stronger = strongerUnseen(card, table);
+  const risk = holdsAnyChance(stronger, table);
+  const captureCost = stronger.length ? Math.min(...stronger.map(thirdsOf)) : 0;
+  let value =
+    (1 - risk) * thirds -
+    risk * (thirds + captureCost) -
+    controlValue(card, table);
+
+  // Ultima: sa praznim špilom zadnji sigurni gospodar čuva se za zadnju ruku
+  if (endgame && risk === 0 && hand.length > 1) {
+    const sureWinners = hand.filter(
+      (c) => holdsAnyChance(strongerUnseen(c, table), table) === 0,
+    );
+    if (sureWinners.length === 1) value -= ULTIMA_THIRDS * 0.5;
+  }
+  return value;
+}
+
+/**
+ * Procjena odgovora (u trećinama): tko nosi dobiva sve karte na stolu, a
+ * potrošena trica ili duja više ne lovi ništa.
+ */
+function followValue(card, trickCards, winsTrick, table, lastTrick) {
+  const pot =
+    trickCards.reduce((sum, c) => sum + thirdsOf(c), 0) +
+    thirdsOf(card) +
+    (lastTrick ? ULTIMA_THIRDS : 0);
+  return winsTrick ? pot - controlValue(card, table) : -pot;
+}
+
+/**
+ * Jaka razina: broji odigrane karte, prati boje koje protivnik nema i
+ * akužane karte, čuva trice i duje kao gospodare boje i planira ultimu.
+ * Među jednako vrijednim kartama igra najslabiju (ostaje jača ruka).
+ */
+function chooseCountingCard({
+  hand,
+  opponentCard,
+  aiIsFirst,
+  winsAgainst,
+  trickCards,
+  remainingDeckCount,
+  ...knowledge
+}) {
+  const table = readTable({ trickCards, ...knowledge });
+  const endgame = remainingDeckCount === 0;
+  const lastTrick = endgame && knowledge.fullHand.length === 1;
+
+  const valueOf = (card) =>
+    !opponentCard || aiIsFirst
+      ? leadValue(card, hand, table, endgame)
+      : followValue(card, trickCards, winsAgainst(card), table, lastTrick);
+
+  return hand
+    .map((card) => ({ card, value: valueOf(card) }))
+    .reduce((best, option) => {
+      if (option.value > best.value + 1e-9) return option;
+      if (Math.abs(option.value - best.value) <= 1e-9) {
+        const weaker =
+          thirdsOf(option.card) * 20 + getCardStrength(option.card) <
+          thirdsOf(best.card) * 20 + getCardStrength(best.card);
+        return weaker ? option : best;
+      }
+      return best;
+    }).card;
+}
+
 /**
  * AI za Trešeta bira kartu ovisno o tome igra li prvi (aiIsFirst) ili odgovara na protivničku kartu.
  * API i debug stil su usklađeni s core/briskulaAI.js
@@ -34,41 +161,70 @@ function chooseStrongestByStrength(cards, strengthOf) {
  * @param {Array} params.hand - AI-ova ruka (niz karata)
  * @param {Object|null} params.opponentCard - Protivnička karta (ako AI odgovara)
  * @param {boolean} [params.aiIsFirst=false] - Je li AI prvi na potezu
+ * @param {string} [params.difficulty] - Razina težine (aiDifficulty.js)
+ * @param {Function} [params.random] - Izvor slučajnih brojeva (greške slabijih razina)
+ * @param {Array} [params.fullHand] - Cijela AI ruka kad je hand samo boja za odgovor
+ * @param {Array} [params.trickCards] - Sve karte na stolu (zadano opponentCard)
+ * @param {Array} [params.cardsPlayed] - Karte iz već pokupljenih ruku
+ * @param {number} [params.remainingDeckCount] - Karte u špilu (0 = završnica)
+ * @param {Array} [params.opponentAkuze] - Protivnikovi akuži (karte su poznate)
+ * @param {Array<string>} [params.opponentVoids] - Boje koje protivnik sigurno nema
+ * @param {number} [params.opponentHandSize] - Broj karata u protivnikovoj ruci
  * @returns {Object} - Odabrana karta iz ruke
  */
 function chooseAiCard({
   hand,
   opponentCard = null,
   aiIsFirst = false,
-  difficulty: rawDifficulty = "easy",
-  roundNumber = 1,
-  myPoints = 0,
-  opponentPoints = 0,
+  difficulty: rawDifficulty,
+  random = Math.random,
+  fullHand = hand,
+  trickCards = opponentCard ? [opponentCard] : [],
+  cardsPlayed = [],
+  remainingDeckCount = null,
+  opponentAkuze = [],
+  opponentVoids = [],
+  opponentHandSize,
 }) {
   const difficulty = normalizeDifficulty(rawDifficulty);
-
-  const phase = getRoundPhase(roundNumber);
-  const isBehind = myPoints < opponentPoints;
+  // Slabije razine povremeno se zabune i bace bilo koju kartu koju smiju
+  if (makesMistake(difficulty, random)) {
+    return hand[Math.floor(random() * hand.length)];
+  }
 
   // Helper: dobije jačinu karte koristeći shared helper
   const strengthOf = (card) => getCardStrength(card);
 
+  const winsAgainst = (c) =>
+    aiIsFirst
+      ? // AI je prvi -> testiramo kao (AIcard, opponentCard)
+        determineRoundWinner(c, opponentCard, 1) === 1
+      : // Protivnik igra prvi -> testiramo kao (opponentCard, AIcard)
+        determineRoundWinner(opponentCard, c, 1) === 2;
+
+  if (difficulty === "hard" || difficulty === "expert") {
+    return chooseCountingCard({
+      hand,
+      opponentCard,
+      aiIsFirst,
+      winsAgainst,
+      trickCards,
+      remainingDeckCount,
+      fullHand,
+      cardsPlayed,
+      opponentAkuze,
+      opponentVoids,
+      opponentHandSize,
+    });
+  }
+
   // AI igra prvi (nema protivničke karte)
   if (!opponentCard) {
     if (difficulty === "easy") {
-      // Baci najslabiju kartu (najmanja jačina)
-      return chooseWeakestByStrength(hand, strengthOf);
-    }
-
-    // Medium/Hard: when behind later in the hand, pressure with strongest safe card.
-    if ((phase === "late" || difficulty === "hard") && isBehind) {
-      const nonPointCards = hand.filter((c) => c.points === 0);
-      if (nonPointCards.length > 0) {
-        return chooseStrongestByStrength(nonPointCards, strengthOf);
-      }
+      // Početnik odmah vuče najjaču kartu
       return chooseStrongestByStrength(hand, strengthOf);
     }
-
+    // Baci najslabiju kartu (najmanja jačina)
     return chooseWeakestByStrength(hand, strengthOf);
   }
 
@@ -76,50 +232,57 @@ function chooseAiCard({
 
   // Note: follow-suit enforcement should be handled by the caller (Game.jsx)
   // This AI function receives an already-filtered hand if follow-suit is required
-  let playableHand = hand;
-
-  const winning = playableHand.filter((c) => {
-    let winner;
-
-    if (aiIsFirst) {
-      // AI je prvi -> testiramo kao (AIcard, opponentCard)
-      winner = determineRoundWinner(c, opponentCard, 1);
-      return winner === 1; // AI pobjeđuje ako je prvi
-    } else {
-      // Protivnik igra prvi -> testiramo kao (opponentCard, AIcard)
-      winner = determineRoundWinner(opponentCard, c, 1);
-      return winner === 2; // AI pobjeđuje ako je drugi
-    }
-  });
+  const winning = hand.filter(winsAgainst);
 
   if (winning.length) {
     if (difficulty === "easy") {
-      // Ako može pobijediti, odaberi najslabiju pobjedničku kartu (da se štedi jača)
-      return chooseWeakestByStrength(winning, strengthOf);
+      // Početnik nosi najjačom kartom koja nosi
+      return chooseStrongestByStrength(winning, strengthOf);
     }
+    // Ako može pobijediti, odaberi najslabiju pobjedničku kartu (da se štedi jača)
+    return chooseWeakestByStrength(winning, strengthOf);
+  }
 
-    const trickValue = opponentCard.points || 0;
-    const shouldContest =
-      phase === "late" ||
-      (difficulty === "hard" ? trickValue >= 0.33 : trickValue >= 0.66) ||
-      (isBehind && trickValue > 0);
+  // Ako ne može pobijediti, baci najslabiju kartu iz dostupne ruke
+  return chooseWeakestByStrength(hand, strengthOf);
+}
 
-    if (shouldContest) {
-      return chooseCheapestWinningCard(winning, strengthOf);
-    }
-  }
+/**
+ * AI za stol s više igrača (Trešeta u troje): "protivnička" karta je
+ * trenutno najjača karta u boji prve karte na stolu.
+ * @param {Object} params
+ * @param {Array} params.hand - Karte koje AI smije odigrati
+ * @param {Array} params.playedCards - Karte na stolu [{card, playerNumber}]
+ * @returns {Object} - Odabrana karta iz ruke
+ */
+function chooseAiCardMultiplayer({ hand, playedCards = [], ...context }) {
+  const table = playedCards.map((pc) => pc.card || pc);
+  const leadSuit = table[0]?.suit;
+  const winningCard = table
+    .filter((card) => card.suit === leadSuit)
+    .reduce(
+      (best, card) =>
+        !best || getCardStrength(card) > getCardStrength(best) ? card : best,
+      null,
+    );
 
-  // Ako ne može pobijediti (ili čuva kartu), baci najslabiju kartu iz dostupne ruke
-  return chooseWeakestByStrength(playableHand, strengthOf);
+  return chooseAiCard({
+    ...context,
+    hand,
+    opponentCard: winningCard,
+    aiIsFirst: false,
+    trickCards: table,
+  });
 }
 
 /**
  * AI detektira svoje akuže na početku partije i vraća samo najjaču opciju
  * @param {Array} hand - AI-ova početna ruka (10 karata)
+ * @param {Array} [allowedTypes] - Akuže koje vrijede po kućnim pravilima
  * @returns {Array} - Niz s jednim najjačim akužom
  */
-function checkAiAkuze(hand) {
-  const availableAkuze = checkAkuze(hand);
+function checkAiAkuze(hand, allowedTypes = null) {
+  const availableAkuze = checkAkuze(hand, allowedTypes);
 
   if (availableAkuze.length === 0) {
     return [];
@@ -155,4 +318,4 @@ function checkAiAkuze(hand) {
   return [];
 }
 
-export { chooseAiCard, checkAiAkuze };
+export { chooseAiCard, chooseAiCardMultiplayer, checkAiAkuze, thirdsOf };
@@ -68,11 +68,12 @@ function getCardImage(name, suit) {
 
 /**
  * Miješa špil karata
+ * @param {Function} [random] - Izvor slučajnih brojeva (seedani za replay)
  */
-function shuffleDeck(deck) {
+function shuffleDeck(deck, random = Math.random) {
   const shuffled = [...deck];
   for (let i = shuffled.length - 1; i > 0; i--) {
-    const j = Math.floor(Math.random() * (i + 1));
+    const j = Math.floor(random() * (i + 1));
     [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
   }
   return shuffled;
@@ -171,12 +172,139 @@ function getPlayableCards(hand, playedCards) {
   }
 }
 
+/**
+ * Znakovi partneru u timskoj Trešeti - daje ih igrač koji otvara ruku
+ */
+const SIGNALS = {
+  busso: {
+    label: "Tučem",
+    description: "Uzmi ruku najjačom kartom i vrati mi boju",
+  },
+  striso: {
+    label: "Strišo",
+    description: "Imam još karata u ovoj boji",
+  },
+  volo: {
+    label: "Volo",
+    description: "Ovo mi je zadnja karta u ovoj boji",
+  },
+};
+
+const DEFAULT_SIGNAL_RULE = { enabled: true, leadOnly: true };
+
+/**
+ * Normalizira pravilo znakova iz configa sobe.
+ * @param {Object|boolean} [rule] - { enabled, leadOnly }
+ * @returns {Object} Potpuno pravilo
+ */
+function normalizeSignalRule(rule) {
+  if (rule === undefined || rule === null || rule === true) {
+    return { ...DEFAULT_SIGNAL_RULE };
+  }
+  if (rule === false) return { ...DEFAULT_SIGNAL_RULE, enabled: false };
+
+  return {
+    enabled: rule.enabled !== false,
+    leadOnly: rule.leadOnly !== false,
+  };
+}
+
+/**
+ * Provjerava smije li se uz kartu dati znak.
+ * @param {string} signal - Ključ iz SIGNALS
+ * @param {Object} card - Karta koja se igra
+ * @param {Array} hand - Ruka igrača prije poteza
+ * @param {Array} playedCards - Karte već na stolu
+ * @param {Object} rule - Pravilo znakova
+ * @returns {Object|null} null ili { code, message }
+ */
+function validateSignal(signal, card, hand, playedCards, rule) {
+  if (!rule?.enabled) {
+    return { code: "SIGNALS_DISABLED", message: "Znakovi nisu dopušteni" };
+  }
+  if (!SIGNALS[signal]) {
+    return { code: "UNKNOWN_SIGNAL", message: `Nepoznat znak: ${signal}` };
+  }
+  if (rule.leadOnly && playedCards.length > 0) {
+    return {
+      code: "SIGNAL_NOT_LEAD",
+      message: "Znak se daje samo kad otvarate ruku",
+    };
+  }
+  // Volo se ne smije lagati - provjeri da je to zaista zadnja karta u boji
+  if (
+    signal === "volo" &&
+    hand.some((c) => c.suit === card.suit && c.id !== card.id)
+  ) {
+    return {
+      code: "SIGNAL_NOT_ALLOWED",
+      message: `Volo se daje samo sa zadnjom kartom boje ${card.suit}`,
+    };
+  }
+  return null;
+}
+
+/**
+ * Katalog akuža (type iz checkAkuze -> naziv) - kućna pravila biraju koje vrijede
+ */
+const AKUZE_TYPES = {
+  tri_asa: "Tri asa",
+  tri_dvice: "Tri dvice",
+  tri_trice: "Tri trice",
+  četiri_asa: "Četiri asa",
+  četiri_dvice: "Četiri dvice",
+  četiri_trice: "Četiri trice",
+  napolitana: "Napolitana",
+};
+
+/**
+ * Bodovi od bela - 3 bele = 1 bod
+ * @param {number} bele - Broj bela
+ * @param {string} [rounding] - "floor" (ostatak se ne broji) ili "round" (2 bele = bod)
+ */
+function belePoints(bele, rounding = "floor") {
+  return rounding === "round" ? Math.round(bele / 3) : Math.floor(bele / 3);
+}
+
+/**
+ * Kapot (sve ruke) - kućno pravilo određuje nagradu:
+ * "off" (samo se bilježi), "bonus" (+CAPOT_BONUS bodova) ili "win" (pobjeda u seriji)
+ */
+const CAPOT_BONUS = 11;
+
+/**
+ * Provjerava je li jedna strana uzela sve ruke partije
+ * @param {Object} cardsBySide - { [strana]: pokupljene karte } na kraju partije
+ * @param {string} [rule] - Kućno pravilo za kapot
+ * @returns {Object|null} null ili { side, rule, bonus }
+ */
+function detectCapot(cardsBySide, rule = "off") {
+  const sides = Object.keys(cardsBySide).filter(
+    (side) => (cardsBySide[side] || []).length > 0
+  );
+  if (sides.length !== 1) return null;
+
+  return {
+    side: Number(sides[0]),
+    rule,
+    bonus: rule === "bonus" ? CAPOT_BONUS : 0,
+  };
+}
+
+/**
+ * Bodovi kapota za stranu (0 ako ga nije napravila)
+ */
+function capotPoints(capot, side) {
+  return capot?.side === side ? capot.bonus : 0;
+}
+
 /**
  * Provjerava akuze u ruci igrača
  * @param {Array} hand - Ruka igrača
+ * @param {Array} [allowedTypes] - Akuže koje vrijede po kućnim pravilima (null = sve)
  * @returns {Array} Lista akuza s opisom i bodovima
  */
-function checkAkuze(hand) {
+function checkAkuze(hand, allowedTypes = null) {
   // Defensive check: return empty array if hand is not valid
   if (!Array.isArray(hand)) {
     return [];
@@ -246,7 +374,39 @@ function checkAkuze(hand) {
     }
   });
 
-  return akuze;
+  return allowedTypes
+    ? akuze.filter((akuz) => allowedTypes.includes(akuz.type))
+    : akuze;
+}
+
+/**
+ * Upisuje prijavljeni akuž u stanje - igraču, a u timskoj igri i timu.
+ * Isti upis rade server (prijava akuža) i replay iz dnevnika poteza.
+ * @param {Object} state - Stanje igre
+ * @param {number} seat - Igrač koji akuža
+ * @param {Object} akuz - { type, description, points, cards }
+ * @param {Object} [teamEntry] - Dodatna polja za timsku listu (npr. playerName)
+ * @returns {Object} Novo stanje
+ */
+function addAkuze(state, seat, akuz, teamEntry = {}) {
+  const key = `player${seat}Akuze`;
+  const current = state[key] || { points: 0, details: [] };
+  const next = {
+    ...state,
+    [key]: {
+      points: current.points + akuz.points,
+      details: [...current.details, akuz],
+    },
+  };
+
+  const teamKey = `team${seat % 2 === 1 ? 1 : 2}Akuze`;
+  if (Array.isArray(state[teamKey])) {
+    next[teamKey] = [
+      ...state[teamKey],
+      { playerNumber: seat, ...teamEntry, ...akuz },
+    ];
+  }
+  return next;
 }
 
 export {
@@ -258,4 +418,13 @@ export {
   isValidMove,
   getPlayableCards,
   checkAkuze,
+  addAkuze,
+  AKUZE_TYPES,
+  belePoints,
+  CAPOT_BONUS,
+  detectCapot,
+  capotPoints,
+  SIGNALS,
+  normalizeSignalRule,
+  validateSignal,
 };
@@ -12,12 +12,19 @@ import { createClient } from "@supabase/supabase-js";
  * - New players (< 30 games): K = 40
  * - Intermediate (30-100 games): K = 32
  * - Established (> 100 games): K = 24
+ *
+ * Schema changes (Supabase SQL reference):
+ *  -- capot counter (recordCapot, getPlayerStats, getLeaderboard)
+ *  ALTER TABLE player_stats ADD COLUMN IF NOT EXISTS capots int not null default 0;
  */
 class EloService {
   constructor() {
     this.supabase = null;
     this.initialized = false;
 
+    // Match history store (Supabase or in-memory, see ManagerFactory)
+    this.matchHistory = null;
+
     // Default starting ELO
     this.DEFAULT_ELO = 1000;
 
@@ -31,7 +38,8 @@ class EloService {
   /**
    * Initialize Supabase connection
    */
-  init() {
+  init(matchHistory = null) {
+    if (matchHistory) this.matchHistory = matchHistory;
     if (this.initialized) return;
 
     const url = process.env.SUPABASE_URL;
@@ -127,6 +135,7 @@ class EloService {
         losses: data.losses,
         currentStreak: data.current_streak,
         bestStreak: data.best_streak,
+        capots: data.capots || 0,
       };
     } catch (err) {
       console.error("Error fetching player stats:", err);
@@ -210,24 +219,6 @@ class EloService {
         ),
       ]);
 
-      // Record match history
-      await this.recordMatch({
-        gameType,
-        gameMode: "1v1",
-        winnerId: winner.userId,
-        winnerName: winner.userName,
-        loserId: loser.userId,
-        loserName: loser.userName,
-        winnerScore: scores.winnerScore,
-        loserScore: scores.loserScore,
-        winnerEloBefore: winnerStats.elo,
-        winnerEloAfter: newWinnerElo,
-        loserEloBefore: loserStats.elo,
-        loserEloAfter: newLoserElo,
-        eloChange: Math.abs(winnerChange),
-      });
-
-
       return {
         winnerChange,
         loserChange,
@@ -333,6 +324,91 @@ class EloService {
     }
   }
 
+  /**
+   * Process free-for-all (3 or 4 player) game result
+   *
+   * Every player is rated against every other rated player as a series of
+   * 1v1 results (better place = win, same place = draw). The summed change
+   * is averaged over the opponents so one game moves a rating about as
+   * much as a 1v1 game.
+   *
+   * @param {Array} ranking - [{ userId, userName, isGuest, place, points }, ...]
+   * @param {string} gameType - 'briskula' or 'treseta'
+   */
+  async processGameResultMultiplayer(ranking, gameType) {
+    if (!this.supabase) {
+      return { changes: [] };
+    }
+
+    try {
+      // Filter out guests and AI
+      const validPlayers = ranking.filter((p) => p.userId && !p.isGuest);
+
+      if (validPlayers.length < 2) {
+        return { changes: [] };
+      }
+
+      const stats = await Promise.all(
+        validPlayers.map((p) => this.getPlayerStats(p.userId, gameType))
+      );
+      const winnersCount = validPlayers.filter((p) => p.place === 1).length;
+
+      const results = validPlayers.map((player, i) => {
+        let expected = 0;
+        let actual = 0;
+        validPlayers.forEach((opponent, j) => {
+          if (i === j) return;
+          expected += this.calculateExpectedScore(stats[i].elo, stats[j].elo);
+          actual +=
+            player.place < opponent.place
+              ? 1
+              : player.place === opponent.place
+              ? 0.5
+              : 0;
+        });
+
+        const k = this.getKFactor(stats[i].gamesPlayed);
+        let change = Math.round(
+          (k * (actual - expected)) / (validPlayers.length - 1)
+        );
+        change = Math.max(
+          -this.MAX_ELO_CHANGE,
+          Math.min(this.MAX_ELO_CHANGE, change)
+        );
+
+        return { player, stats: stats[i], change };
+      });
+
+      const totalPoints = ranking.reduce((sum, p) => sum + (p.points || 0), 0);
+      const changes = [];
+
+      for (const { player, stats: playerStats, change } of results) {
+        await this.updatePlayerStats(
+          player.userId,
+          player.userName,
+          gameType,
+          player.place === 1 && winnersCount === 1,
+          change,
+          player.points || 0,
+          totalPoints - (player.points || 0)
+        );
+
+        changes.push({
+          userId: player.userId,
+          userName: player.userName,
+          place: player.place,
+          change,
+          newElo: Math.max(this.MIN_ELO, playerStats.elo + change),
+        });
+      }
+
+      return { changes };
+    } catch (err) {
+      console.error("Error processing multiplayer game result:", err);
+      return { changes: [] };
+    }
+  }
+
   /**
    * Update player stats in database
    */
@@ -422,11 +498,81 @@ class EloService {
   }
 
   /**
-   * Record match in history (disabled - no match_history table)
+   * Count a capot (Trešeta partija where one side took every trick)
+   * @param {string} userId - Player's user ID
+   * @param {string} userName - Player's display name
+   * @param {string} gameType - 'treseta'
+   */
+  async recordCapot(userId, userName, gameType) {
+    if (!this.supabase) return;
+
+    try {
+      const { data: existing } = await this.supabase
+        .from("player_stats")
+        .select("capots")
+        .eq("user_id", userId)
+        .eq("game_type", gameType)
+        .maybeSingle();
+
+      if (existing) {
+        const { error: updateError } = await this.supabase
+          .from("player_stats")
+          .update({
+            capots: (existing.capots || 0) + 1,
+            updated_at: new Date().toISOString(),
+          })
+          .eq("user_id", userId)
+          .eq("game_type", gameType);
+
+        if (updateError) {
+          console.error("Error updating capots:", updateError);
+        }
+      } else {
+        // First game still in progress - stats row is created here
+        const { error: insertError } = await this.supabase
+          .from("player_stats")
+          .insert({
+            user_id: userId,
+            user_name: userName || null,
+            game_type: gameType,
+            elo: this.DEFAULT_ELO,
+            highest_elo: this.DEFAULT_ELO,
+            wins: 0,
+            losses: 0,
+            games_played: 0,
+            current_streak: 0,
+            best_streak: 0,
+            capots: 1,
+          });
+
+        if (insertError) {
+          console.error("Error inserting capots:", insertError);
+        }
+      }
+    } catch (err) {
+      console.error("Error recording capot:", err);
+    }
+  }
+
+  /**
+   * Record a finished match in history
+   * @param {Object} matchData - { roomId, gameType, gameMode, players, houseRules,
+   *   winner, score, partijas, moves, startedAt, finishedAt, durationMs }
+   *   players: [{ userId, name, playerNumber, side, isGuest, isAI, aiTakeovers,
+   *     eloChange, newElo }] - aiTakeovers: [{ startedAt, endedAt }] kad je
+   *     umjesto odspojenog igrača igrao AI
+   * @returns {Object|null} Stored match with its id
    */
   async recordMatch(matchData) {
-    // Disabled - match_history table doesn't exist
-    // Could be enabled later if needed
+    if (!this.matchHistory) return null;
+
+    // Guest-only and AI games have nobody to show the history to
+    const hasRegisteredPlayer = matchData.players.some(
+      (p) => p.userId && !p.isGuest && !p.isAI
+    );
+    if (!hasRegisteredPlayer) return null;
+
+    return this.matchHistory.recordMatch(matchData);
   }
 
   /**
@@ -498,6 +644,7 @@ class EloService {
               : "0.0",
           bestStreak: player.best_streak,
           currentStreak: player.current_streak,
+          capots: player.capots || 0,
           userId: player.user_id,
           gameType: player.game_type,
         };
@@ -0,0 +1,62 @@
+// InMemoryMatchHistoryManager.js - Match history kept in memory (fallback without Supabase)
+
+import { v4 as uuidv4 } from "uuid";
+
+class InMemoryMatchHistoryManager {
+  constructor() {
+    this.matches = new Map();
+
+    // Najstariji mečevi se brišu kad se prijeđe limit
+    this.maxMatches = 5000;
+  }
+
+  async recordMatch(match) {
+    try {
+      const record = {
+        id: uuidv4(),
+        ...match,
+      };
+
+      this.matches.set(record.id, record);
+      if (this.matches.size > this.maxMatches) {
+        const oldestId = this.matches.keys().next().value;
+        this.matches.delete(oldestId);
+      }
+
+      return record;
+    } catch (error) {
+      console.error("Error recording match to memory:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Mečevi igrača od najnovijeg, po stranicama (bez dnevnika poteza)
+   */
+  async getPlayerMatches(userId, { gameType, limit = 20, offset = 0 } = {}) {
+    try {
+      const matches = [...this.matches.values()]
+        .filter((match) => match.players.some((p) => p.userId === userId))
+        .filter((match) => !gameType || match.gameType === gameType)
+        .reverse();
+
+      return {
+        matches: matches.slice(offset, offset + limit).map((match) => {
+          const summary = { ...match };
+          delete summary.moves;
+          return summary;
+        }),
+        total: matches.length,
+      };
+    } catch (error) {
+      console.error(`Error loading matches from memory for ${userId}:`, error);
+      return { matches: [], total: 0 };
+    }
+  }
+
+  async getMatch(matchId) {
+    return this.matches.get(matchId) || null;
+  }
+}
+
+export default InMemoryMatchHistoryManager;
@@ -2,6 +2,7 @@
 
 import InMemorySessionManager from "./InMemorySessionManager.js";
 import InMemoryGameStateManager from "./InMemoryGameStateManager.js";
+import InMemoryMatchHistoryManager from "./InMemoryMatchHistoryManager.js";
 
 class ManagerFactory {
   /**
@@ -47,6 +48,28 @@ class ManagerFactory {
       return new InMemoryGameStateManager();
     }
   }
+
+  /**
+   * Create match history manager with fallback to in-memory
+   */
+  static async createMatchHistoryManager() {
+    // Check if Supabase environment variables are available
+    if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) {
+      try {
+        const module = await import("./SupabaseMatchHistoryManager.js");
+        const SupabaseMatchHistoryManager = module.default;
+        return new SupabaseMatchHistoryManager();
+      } catch (error) {
+        console.warn(
+          "⚠️ Failed to initialize Supabase Match History Manager, falling back to InMemory:",
+          error.message
+        );
+        return new InMemoryMatchHistoryManager();
+      }
+    } else {
+      return new InMemoryMatchHistoryManager();
+    }
+  }
 }
 
 export default ManagerFactory;
@@ -0,0 +1,224 @@
+// StateProjection.js - Per-viewer projekcija stanja igre
+//
+// Autoritativno stanje sobe (room.gameState) nikad ne ide klijentu direktno.
+// Svaki emit koji nosi stanje igre (gameStart, roundFinished, spectatorUpdate,
+// reconnect payloadi) prolazi kroz projectGameState() za konkretnog gledatelja.
+
+/**
+ * Uloge gledatelja:
+ * - seat: igrač za stolom (vidi svoju ruku)
+ * - spectator: promatrač (ne vidi nijednu ruku)
+ * - admin: interni/debug pogled (vidi sve)
+ */
+export const VIEWER_ROLES = {
+  SEAT: "seat",
+  SPECTATOR: "spectator",
+  ADMIN: "admin",
+};
+
+/**
+ * Odnos gledatelja prema ruci nekog sjedala.
+ */
+export const HAND_RELATIONS = {
+  SELF: "self",
+  PARTNER: "partner",
+  OPPONENT: "opponent",
+};
+
+/**
+ * Polja koja nikad ne napuštaju server (ni u admin pogledu ih ne šaljemo).
+ */
+const SERVER_ONLY_FIELDS = ["disconnectTimeouts", "dealSeed", "moveLog"];
+
+const MAX_SEATS = 4;
+
+export function seatViewer(playerNumber) {
+  return { role: VIEWER_ROLES.SEAT, playerNumber };
+}
+
+export function spectatorViewer() {
+  return { role: VIEWER_ROLES.SPECTATOR, playerNumber: null };
+}
+
+export function adminViewer() {
+  return { role: VIEWER_ROLES.ADMIN, playerNumber: null };
+}
+
+/**
+ * Vraća odnos sjedala prema gledatelju (self / partner / opponent).
+ * U 2v2 su partneri igrači 1&3 i 2&4.
+ */
+export function getHandRelation(room, viewerNumber, seatNumber) {
+  if (viewerNumber === seatNumber) return HAND_RELATIONS.SELF;
+  if (room?.gameMode === "2v2" && viewerNumber % 2 === seatNumber % 2) {
+    return HAND_RELATIONS.PARTNER;
+  }
+  return HAND_RELATIONS.OPPONENT;
+}
+
+/**
+ * Kućno pravilo 2v2 Briskule: kad se špil (i adut) potroši, partneri si
+ * pokazuju preostale karte.
+ */
+export function isPartnerRevealActive(room) {
+  const gameState = room?.gameState;
+  return Boolean(
+    room?.houseRules?.partnerReveal &&
+    room.gameType === "briskula" &&
+    room.gameMode === "2v2" &&
+    gameState &&
+    (gameState.remainingDeck || []).length === 0 &&
+    !gameState.trump,
+  );
+}
+
+/**
+ * Smije li gledatelj vidjeti karte u ruci zadanog sjedala.
+ * Partnerovu ruku vidi samo uz partnerReveal, nakon praznog špila.
+ */
+export function canSeeHand(room, viewer, seatNumber) {
+  if (!viewer) return false;
+  if (viewer.role === VIEWER_ROLES.ADMIN) return true;
+  if (viewer.role !== VIEWER_ROLES.SEAT) return false;
+
+  const relation = getHandRelation(room, viewer.playerNumber, seatNumber);
+  if (relation === HAND_RELATIONS.PARTNER) {
+    return isPartnerRevealActive(room);
+  }
+  return relation === HAND_RELATIONS.SELF;
+}
+
+function hideCards(cards) {
+  return Array.isArray(cards) ? cards.map(() => ({ hidden: true })) : [];
+}
+
+function maskDrawn(room, viewer, drawn, seatOf) {
+  const masked = { ...drawn };
+  Object.keys(masked).forEach((key) => {
+    if (masked[key] && !canSeeHand(room, viewer, Number(seatOf(key)))) {
+      masked[key] = { hidden: true };
+    }
+  });
+  return masked;
+}
+
+/**
+ * Maskira ruke (player{N}Hand) i playable liste (player{N}PlayableCards)
+ * u bilo kojem objektu koji ih sadrži - gameState ili roundFinished payload.
+ */
+export function maskHands(room, viewer, source) {
+  if (!source) return source;
+
+  const masked = { ...source };
+  for (let seat = 1; seat <= MAX_SEATS; seat++) {
+    const handKey = `player${seat}Hand`;
+    const playableKey = `player${seat}PlayableCards`;
+    const visible = canSeeHand(room, viewer, seat);
+
+    if (handKey in masked && !visible) {
+      masked[handKey] = hideCards(masked[handKey]);
+    }
+    if (playableKey in masked && !visible) {
+      delete masked[playableKey];
+    }
+  }
+
+  // Karte povučene iz špila nakon ruke - u Trešeti se pokazuju svima,
+  // u Briskuli ih vidi samo onaj tko ih je povukao
+  if (room?.gameType !== "treseta") {
+    if (masked.lastTrick?.drawn) {
+      masked.lastTrick = {
+        ...masked.lastTrick,
+        drawn: maskDrawn(room, viewer, masked.lastTrick.drawn, (key) => key),
+      };
+    }
+    if (masked.newCards) {
+      masked.newCards = maskDrawn(room, viewer, masked.newCards, (key) =>
+        key.replace("player", ""),
+      );
+    }
+  }
+  return masked;
+}
+
+/**
+ * Sve što napušta server za gledatelja prolazi ovdje: maskirane ruke, bez
+ * serverskih polja (seed dijeljenja, dnevnik poteza), skriven redoslijed
+ * špila i mrtva karta dok partija traje.
+ */
+function sanitizeForViewer(room, viewer, source) {
+  const view = maskHands(room, viewer, source);
+  SERVER_ONLY_FIELDS.forEach((field) => delete view[field]);
+
+  if (viewer?.role !== VIEWER_ROLES.ADMIN && "remainingDeck" in view) {
+    view.remainingDeck = hideCards(view.remainingDeck);
+  }
+
+  // Mrtva karta (Trešeta u troje) ostaje skrivena dok partija traje
+  if (
+    viewer?.role !== VIEWER_ROLES.ADMIN &&
+    view.deadCard &&
+    view.gamePhase === "playing"
+  ) {
+    view.deadCard = { hidden: true };
+  }
+  return view;
+}
+
+/**
+ * Gradi pogled na stanje igre za zadanog gledatelja.
+ * @param {Object} room - Soba s autoritativnim stanjem
+ * @param {Object} viewer - seatViewer(n) / spectatorViewer() / adminViewer()
+ * @param {Object} [gameState] - Stanje za projekciju (default room.gameState)
+ * @returns {Object|null} Stanje sigurno za slanje tom gledatelju
+ */
+export function projectGameState(room, viewer, gameState = room?.gameState) {
+  if (!gameState) return null;
+
+  const view = sanitizeForViewer(room, viewer, gameState);
+
+  if (viewer?.role === VIEWER_ROLES.SEAT) {
+    view.myHand = gameState[`player${viewer.playerNumber}Hand`] || [];
+  }
+
+  return view;
+}
+
+/**
+ * Šalje event svim igračima i promatračima sobe, svakome s vlastitom
+ * projekcijom payloada (umjesto io.to(roomId).emit sa svim rukama).
+ * @param {Function} [extend] - (payload, viewer) => dodatna polja po gledatelju
+ */
+export function emitProjected(io, room, event, payload, extend) {
+  if (!room) return;
+
+  const send = (socketId, viewer) => {
+    const socket = io.sockets.sockets.get(socketId);
+    if (!socket) return;
+    const projected = sanitizeForViewer(room, viewer, payload);
+    socket.emit(event, {
+      ...projected,
+      ...(extend ? extend(projected, viewer) : {}),
+    });
+  };
+
+  room.players.forEach((p) => {
+    if (p.isConnected === false || p.isAI) return;
+    send(p.id, seatViewer(p.playerNumber));
+  });
+  (room.spectators || []).forEach((sid) => send(sid, spectatorViewer()));
+}
+
+/**
+ * Javni popis igrača sobe - bez socket id-eva i session tokena.
+ */
+export function projectPlayers(room) {
+  return (room?.players || []).map((p) => ({
+    name: p.name,
+    userId: p.userId,
+    playerNumber: p.playerNumber,
+    isConnected: p.isConnected,
+    ...(p.team !== undefined && { team: p.team }),
+    ...(p.isAI && { isAI: true }),
+  }));
+}
@@ -0,0 +1,158 @@
+// SupabaseMatchHistoryManager.js - Match history stored in Supabase PostgreSQL (ESM)
+
+import { createClient } from "@supabase/supabase-js";
+
+/**
+ * Tablica match_history (kreira se ručno u Supabase SQL Editoru):
+ *
+ *   id uuid primary key default gen_random_uuid(),
+ *   room_id text,
+ *   game_type text not null,
+ *   game_mode text not null,
+ *   player_ids text[] not null default '{}',  -- registrirani igrači, za pretragu
+ *   players jsonb not null,                   -- [{ userId, name, playerNumber, side, eloChange, newElo, aiTakeovers, ... }]
+ *   house_rules jsonb,                        -- kućna pravila custom sobe (core/houseRules.js)
+ *   winner integer,                           -- strana pobjednika (igrač ili tim), null za neriješeno
+ *   score jsonb not null,                     -- { [strana]: bodovi }
+ *   partijas jsonb not null default '[]',     -- partije Trešete / igre Briskula serije
+ *   moves jsonb not null default '[]',        -- dnevnik poteza (core/moveLog.js) za replay
+ *   started_at timestamptz,
+ *   finished_at timestamptz not null,
+ *   duration_ms integer
+ */
+// Stupci za popis mečeva - dnevnik poteza samo u detaljima meča
+const SUMMARY_COLUMNS =
+  "id, room_id, game_type, game_mode, players, house_rules, winner, score, partijas, started_at, finished_at, duration_ms";
+
+class SupabaseMatchHistoryManager {
+  constructor() {
+    this.supabaseUrl = process.env.SUPABASE_URL;
+    this.supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY; // Server-side key
+
+    if (!this.supabaseUrl || !this.supabaseServiceKey) {
+      throw new Error("Missing Supabase environment variables for server");
+    }
+
+    this.supabase = createClient(this.supabaseUrl, this.supabaseServiceKey, {
+      auth: { persistSession: false },
+    });
+  }
+
+  async recordMatch(match) {
+    try {
+      const { data, error } = await this.supabase
+        .from("match_history")
+        .insert({
+          room_id: match.roomId,
+          game_type: match.gameType,
+          game_mode: match.gameMode,
+          player_ids: match.players
+            .filter((p) => p.userId && !p.isGuest && !p.isAI)
+            .map((p) => p.userId),
+          players: match.players,
+          house_rules: match.houseRules,
+          winner: match.winner,
+          score: match.score,
+          partijas: match.partijas,
+          moves: match.moves,
+          started_at: match.startedAt,
+          finished_at: match.finishedAt,
+          duration_ms: match.durationMs,
+        })
+        .select()
+        .single();
+
+      if (error) {
+        console.error("Error recording match to Supabase:", error);
+        return null;
+      }
+
+      return this.fromRow(data);
+    } catch (error) {
+      console.error("Error recording match to Supabase:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Mečevi igrača od najnovijeg, po stranicama (bez dnevnika poteza)
+   */
+  async getPlayerMatches(userId, { gameType, limit = 20, offset = 0 } = {}) {
+    try {
+      let query = this.supabase
+        .from("match_history")
+        .select(SUMMARY_COLUMNS, { count: "exact" })
+        .contains("player_ids", [userId])
+        .order("finished_at", { ascending: false })
+        .range(offset, offset + limit - 1);
+
+      if (gameType) {
+        query = query.eq("game_type", gameType);
+      }
+
+      const { data, error, count } = await query;
+
+      if (error) {
+        console.error(
+          `Error loading matches from Supabase for ${userId}:`,
+          error,
+        );
+        return { matches: [], total: 0 };
+      }
+
+      return {
+        matches: (data || []).map((row) => this.fromRow(row)),
+        total: count || 0,
+      };
+    } catch (error) {
+      console.error(
+        `Error loading matches from Supabase for ${userId}:`,
+        error,
+      );
+      return { matches: [], total: 0 };
+    }
+  }
+
+  async getMatch(matchId) {
+    try {
+      const { data, error } = await this.supabase
+        .from("match_history")
+        .select("*")
+        .eq("id", matchId)
+        .maybeSingle();
+
+      if (error) {
+        console.error(`Error loading match ${matchId} from Supabase:`, error);
+        return null;
+      }
+
+      return data ? this.fromRow(data) : null;
+    } catch (error) {
+      console.error(`Error loading match ${matchId} from Supabase:`, error);
+      return null;
+    }
+  }
+
+  /**
+   * Redak tablice u isti oblik koji vraća InMemoryMatchHistoryManager
+   */
+  fromRow(row) {
+    return {
+      id: row.id,
+      roomId: row.room_id,
+      gameType: row.game_type,
+      gameMode: row.game_mode,
+      players: row.players || [],
+      houseRules: row.house_rules || null,
+      winner: row.winner,
+      score: row.score || {},
+      partijas: row.partijas || [],
+      ...(row.moves && { moves: row.moves }),
+      startedAt: row.started_at,
+      finishedAt: row.finished_at,
+      durationMs: row.duration_ms,
+    };
+  }
+}
+
+export default SupabaseMatchHistoryManager;
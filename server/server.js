@@ -12,6 +12,15 @@ import { v4 as uuidv4 } from "uuid";
 import TournamentManager from "./TournamentManager.js";
 import { Resend } from "resend";
 import eloService from "./EloService.js";
+import {
+  projectGameState,
+  projectPlayers,
+  seatViewer,
+  spectatorViewer,
+  adminViewer,
+  maskHands,
+  emitProjected,
+} from "./StateProjection.js";
 
 // Import novih managera
 import ManagerFactory from "./ManagerFactory.js";
@@ -34,10 +43,12 @@ if (resendApiKey) {
 // Inicijaliziraj managere based on environment
 let sessionManager;
 let gameStateManager;
+let matchHistoryManager;
 const initManagers = async () => {
   sessionManager = await ManagerFactory.createSessionManager();
   gameStateManager = await ManagerFactory.createGameStateManager();
-  eloService.init(); // Initialize ELO service
+  matchHistoryManager = await ManagerFactory.createMatchHistoryManager();
+  eloService.init(matchHistoryManager); // Initialize ELO service
 };
 await initManagers();
 
@@ -102,10 +113,18 @@ const gameRooms = new Map(); // roomId -> game state
 const roomCodes = new Map(); // roomCode -> roomId (for friend invite system)
 const waitingQueue1v1 = []; // korisnici koji čekaju 1v1 protivnika
 const waitingQueue2v2 = []; // korisnici koji čekaju 2v2 protivnike
+// Svatko za sebe (Briskula 3/4 igrača, Trešeta u troje): gameMode -> korisnici
+// koji čekaju (broj igrača isti je kao FFA_MODES u core/gameLogicBriskulaFFA.js)
+const FFA_PLAYER_COUNTS = { "1v1v1": 3, "1v1v1v1": 4 };
+const waitingQueuesFFA = { "1v1v1": [], "1v1v1v1": [] };
 // Tournament match readiness: matchId -> Set of user keys who clicked "Igraj sada"
 const tournamentReady = new Map();
 // Player session mapping for reconnection: playerId -> {roomId, playerNumber, socketId}
 const playerSessions = new Map();
+// Botovi (server-side AI) u custom sobama: roomId -> zakazani potez bota
+const botTurnTimeouts = new Map();
+// Bot "razmišlja" nasumično između min i max ms, kao pravi igrač
+const BOT_THINK_MS = { min: 900, max: 2200 };
 
 // --- Room Code Generation (Friend Invite System) ---
 /**
@@ -163,9 +182,34 @@ function getRoomIdByCode(roomCode) {
   return roomCodes.get(roomCode?.toUpperCase());
 }
 
+/**
+ * Uklanja korisnika iz svih free-for-all queue-ova
+ */
+function removeFromFFAQueues(socketId) {
+  Object.values(waitingQueuesFFA).forEach((queue) => {
+    const index = queue.findIndex((u) => u.id === socketId);
+    if (index !== -1) {
+      queue.splice(index, 1);
+    }
+  });
+}
+
 // Reconnect grace period (ms) - configurable via environment variable
 const GRACE_PERIOD_MS = parseInt(process.env.GRACE_PERIOD_MS || "60000", 10); // default 60s
 
+// Bot preuzima sjedalo odspojenog igrača (AI_TAKEOVER):
+//  - "grace":   odmah, dok traje grace period
+//  - "expired": tek kad grace period istekne (umjesto brisanja sobe)
+//  - "off":     bez preuzimanja - soba se briše kad grace period istekne (zadano)
+// Igrač se može vratiti (resumeGame) i nastaviti igrati u bilo kojem trenutku.
+// Sjedalo koje je bot preuzeo ne ulazi u Elo (botPlayedFor).
+const AI_TAKEOVER_MODES = ["grace", "expired", "off"];
+const AI_TAKEOVER = AI_TAKEOVER_MODES.includes(process.env.AI_TAKEOVER)
+  ? process.env.AI_TAKEOVER
+  : "off";
+// Bot koji igra umjesto igrača ne rješava završnicu točno
+const AI_TAKEOVER_DIFFICULTY = "medium";
+
 // --- Player Session Management ---
 function createPlayerSession(playerId, roomId, playerNumber, socketId) {
   playerSessions.set(playerId, {
@@ -200,6 +244,7 @@ function markPlayerSoftDisconnected(room, player) {
   if (!room || !player) return;
   player.isConnected = false;
   player.disconnectedAt = Date.now();
+  if (AI_TAKEOVER === "grace") startAiTakeover(room, player);
   if (!room.disconnectTimeouts) room.disconnectTimeouts = new Map();
   if (room.disconnectTimeouts.has(player.playerNumber)) {
     clearTimeout(room.disconnectTimeouts.get(player.playerNumber));
@@ -212,6 +257,9 @@ function markPlayerSoftDisconnected(room, player) {
       (p) => p.playerNumber === player.playerNumber,
     );
     if (pl && !pl.isConnected && !pl.permanentlyLeft) {
+      // Uz AI_TAKEOVER bot nastavlja igru umjesto forfeita
+      if (keepSeatWithAi(stillRoom, pl)) return;
+
       // Use old system cleanup instead of finalizeForfeitRoom
       pl.permanentlyLeft = true;
       pl.forfeited = true;
@@ -247,6 +295,7 @@ function markPlayerSoftDisconnected(room, player) {
 
         try {
           for (const player of stillRoom.players) {
+            if (player.isAI) continue;
             const playerSession = await sessionManager.findSessionByUser(
               player.userId || null,
               player.name,
@@ -281,7 +330,7 @@ function markPlayerSoftDisconnected(room, player) {
 // Helper to broadcast public game state to all spectators
 function broadcastSpectatorUpdate(room) {
   if (!room || !room.spectators || room.spectators.length === 0) return;
-  const publicState = getPublicGameState(room.gameState);
+  const publicState = projectGameState(room, spectatorViewer());
   room.spectators.forEach((sid) => {
     io.to(sid).emit("spectatorUpdate", {
       roomId: room.id,
@@ -300,41 +349,6 @@ function broadcastSpectatorUpdate(room) {
 
 // --- HELPER FUNCTIONS ---
 
-// Kreira "public" verziju game state-a za spectatore (bez tuđih karata)
-function getPublicGameState(gameState) {
-  if (!gameState) return null;
-
-  return {
-    ...gameState,
-    // Spectatori vide samo broj karata, ne i same karte
-    player1Hand: gameState.player1Hand
-      ? gameState.player1Hand.map(() => ({ hidden: true }))
-      : [],
-    player2Hand: gameState.player2Hand
-      ? gameState.player2Hand.map(() => ({ hidden: true }))
-      : [],
-    // Ostale informacije su javne
-    playedCards: gameState.playedCards,
-    trump: gameState.trump,
-    trumpSuit: gameState.trumpSuit,
-    currentPlayer: gameState.currentPlayer,
-    gamePhase: gameState.gamePhase,
-    winner: gameState.winner,
-    gameType: gameState.gameType,
-    remainingDeck: gameState.remainingDeck
-      ? gameState.remainingDeck.map(() => ({ hidden: true }))
-      : [],
-    // Za Trešetu - javni bodovi i partije
-    ...(gameState.gameType === "treseta" && {
-      totalPlayer1Points: gameState.totalPlayer1Points,
-      totalPlayer2Points: gameState.totalPlayer2Points,
-      partijas: gameState.partijas,
-      currentPartija: gameState.currentPartija,
-      targetScore: gameState.targetScore,
-    }),
-  };
-}
-
 // Tournament manager (DB aware if Supabase env vars present)
 const tournamentManager = new TournamentManager({ io });
 
@@ -409,6 +423,59 @@ app.get("/api/player-stats/:userId", async (req, res) => {
   }
 });
 
+// ============ MATCH HISTORY API ============
+// Odigrani mečevi igrača, od najnovijeg, po stranicama
+app.get("/api/match-history/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const gameType = req.query.gameType; // Optional filter
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { matches, total } = await matchHistoryManager.getPlayerMatches(
+      userId,
+      { gameType, limit, offset },
+    );
+
+    res.json({
+      success: true,
+      userId,
+      total,
+      limit,
+      offset,
+      data: matches,
+    });
+  } catch (error) {
+    console.error("Error fetching match history:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch match history",
+    });
+  }
+});
+
+// Detalji jednog meča
+app.get("/api/matches/:matchId", async (req, res) => {
+  try {
+    const match = await matchHistoryManager.getMatch(req.params.matchId);
+
+    if (!match) {
+      return res.status(404).json({ success: false, error: "Match not found" });
+    }
+
+    res.json({
+      success: true,
+      data: match,
+    });
+  } catch (error) {
+    console.error("Error fetching match:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch match",
+    });
+  }
+});
+
 // Bug report email endpoint
 app.post("/api/report-bug", async (req, res) => {
   try {
@@ -495,6 +562,8 @@ app.get("/api/status", (req, res) => {
       queues: {
         queue1v1: waitingQueue1v1.length,
         queue2v2: waitingQueue2v2.length,
+        queue3p: waitingQueuesFFA["1v1v1"].length,
+        queue4p: waitingQueuesFFA["1v1v1v1"].length,
       },
     });
   } catch (error) {
@@ -513,6 +582,48 @@ app.get("/api/health", (req, res) => {
   });
 });
 
+// ADMIN: Puni pogled na stanje sobe (sve ruke i špil) - zahtijeva ADMIN_TOKEN
+app.get("/api/admin/rooms/:roomId/state", (req, res) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken || req.get("x-admin-token") !== adminToken) {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  const room = gameRooms.get(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: "Room not found" });
+  }
+
+  res.json({
+    roomId: room.id,
+    gameType: room.gameType,
+    gameMode: room.gameMode,
+    players: projectPlayers(room),
+    gameState: projectGameState(room, adminViewer()),
+  });
+});
+
+// Provjera miješanja: iz otkrivenog seeda ponovno izvodi dijeljenje i
+// uspoređuje SHA-256(seed) s commitmentom objavljenim na početku igre
+app.get("/api/fairness/verify", async (req, res) => {
+  const { gameType, gameMode = "1v1", seed, commitment } = req.query;
+  if (!gameType || !seed) {
+    return res.status(400).json({ error: "gameType and seed are required" });
+  }
+
+  try {
+    const { hasEngine } = await import("../core/engines.js");
+    if (!hasEngine(gameType, gameMode)) {
+      return res.status(400).json({ error: "Unknown game variant" });
+    }
+    const { verifyDeal } = await import("../core/fairShuffle.js");
+    res.json(await verifyDeal({ gameType, gameMode, seed, commitment }));
+  } catch (error) {
+    console.error("Error verifying deal:", error);
+    res.status(500).json({ error: "Failed to verify deal" });
+  }
+});
+
 // DEV: Hard reset tournaments & related tables (NOT for production)
 app.post("/api/dev/reset-tournaments", async (req, res) => {
   try {
@@ -602,6 +713,8 @@ app.get("/api/status", (req, res) => {
     activeRooms: gameRooms.size,
     waitingQueue1v1: waitingQueue1v1.length,
     waitingQueue2v2: waitingQueue2v2.length,
+    waitingQueue3p: waitingQueuesFFA["1v1v1"].length,
+    waitingQueue4p: waitingQueuesFFA["1v1v1v1"].length,
   });
 });
 
@@ -695,6 +808,9 @@ io.on("connection", (socket) => {
                 player.userId = session.userId; // Update userId to stable version
                 delete player.disconnectedAt;
 
+                // Sjedalo se vraća igraču ako je za njega igrao AI
+                endAiTakeover(player);
+
                 // Clear disconnect timeout if exists
                 if (
                   room.disconnectTimeouts &&
@@ -738,18 +854,18 @@ io.on("connection", (socket) => {
                       userId: p.userId,
                     })),
                     gameState: {
-                      ...room.gameState,
-                      myHand:
-                        room.gameState[`player${player.playerNumber}Hand`] ||
-                        [],
+                      ...projectGameState(
+                        room,
+                        seatViewer(player.playerNumber),
+                      ),
                       opponentHand:
                         room.gameState[
                           `player${player.playerNumber === 1 ? 2 : 1}Hand`
                         ]?.map(() => ({ hidden: true })) || [],
                     },
                   };
-                } else if (room.gameMode === "2v2") {
-                  // 2v2 game structure - provide complete game state
+                } else {
+                  // 2v2 / free-for-all game structure - provide complete game state
                   gameResumeData = {
                     roomId,
                     playerNumber: player.playerNumber,
@@ -765,36 +881,10 @@ io.on("connection", (socket) => {
                       team: p.team,
                     })),
                     gameState: {
-                      ...room.gameState,
-                      // Provide player's own hand
-                      myHand:
-                        room.gameState[`player${player.playerNumber}Hand`] ||
-                        [],
-                      // Hide other players' hands
-                      player1Hand:
-                        player.playerNumber === 1
-                          ? room.gameState.player1Hand
-                          : room.gameState.player1Hand?.map(() => ({
-                              hidden: true,
-                            })) || [],
-                      player2Hand:
-                        player.playerNumber === 2
-                          ? room.gameState.player2Hand
-                          : room.gameState.player2Hand?.map(() => ({
-                              hidden: true,
-                            })) || [],
-                      player3Hand:
-                        player.playerNumber === 3
-                          ? room.gameState.player3Hand
-                          : room.gameState.player3Hand?.map(() => ({
-                              hidden: true,
-                            })) || [],
-                      player4Hand:
-                        player.playerNumber === 4
-                          ? room.gameState.player4Hand
-                          : room.gameState.player4Hand?.map(() => ({
-                              hidden: true,
-                            })) || [],
+                      ...projectGameState(
+                        room,
+                        seatViewer(player.playerNumber),
+                      ),
                     },
                   };
                 } // Notify others that player reconnected
@@ -881,6 +971,9 @@ io.on("connection", (socket) => {
               player.userId = session.userId; // Update userId to stable version
               delete player.disconnectedAt;
 
+              // Sjedalo se vraća igraču ako je za njega igrao AI
+              endAiTakeover(player);
+
               // Clear disconnect timeout if exists
               if (
                 room.disconnectTimeouts &&
@@ -922,17 +1015,15 @@ io.on("connection", (socket) => {
                     userId: p.userId,
                   })),
                   gameState: {
-                    ...room.gameState,
-                    myHand:
-                      room.gameState[`player${player.playerNumber}Hand`] || [],
+                    ...projectGameState(room, seatViewer(player.playerNumber)),
                     opponentHand:
                       room.gameState[
                         `player${player.playerNumber === 1 ? 2 : 1}Hand`
                       ]?.map(() => ({ hidden: true })) || [],
                   },
                 };
-              } else if (room.gameMode === "2v2") {
-                // 2v2 game structure - provide complete game state
+              } else {
+                // 2v2 / free-for-all game structure - provide complete game state
                 gameResumeData = {
                   roomId,
                   playerNumber: player.playerNumber,
@@ -948,35 +1039,7 @@ io.on("connection", (socket) => {
                     team: p.team,
                   })),
                   gameState: {
-                    ...room.gameState,
-                    // Provide player's own hand
-                    myHand:
-                      room.gameState[`player${player.playerNumber}Hand`] || [],
-                    // Hide other players' hands
-                    player1Hand:
-                      player.playerNumber === 1
-                        ? room.gameState.player1Hand
-                        : room.gameState.player1Hand?.map(() => ({
-                            hidden: true,
-                          })) || [],
-                    player2Hand:
-                      player.playerNumber === 2
-                        ? room.gameState.player2Hand
-                        : room.gameState.player2Hand?.map(() => ({
-                            hidden: true,
-                          })) || [],
-                    player3Hand:
-                      player.playerNumber === 3
-                        ? room.gameState.player3Hand
-                        : room.gameState.player3Hand?.map(() => ({
-                            hidden: true,
-                          })) || [],
-                    player4Hand:
-                      player.playerNumber === 4
-                        ? room.gameState.player4Hand
-                        : room.gameState.player4Hand?.map(() => ({
-                            hidden: true,
-                          })) || [],
+                    ...projectGameState(room, seatViewer(player.playerNumber)),
                   },
                 };
               }
@@ -989,39 +1052,29 @@ io.on("connection", (socket) => {
                 message: `${player.name} se vratio u igru`,
               };
 
-              // Add game state info for 2v2 so other players can see correct hand counts
-              if (room.gameMode === "2v2") {
+              // Add game state info so other players can see correct hand counts
+              // (javni pogled - ostali igrači ne smiju vidjeti ničije karte)
+              const publicView = projectGameState(room, spectatorViewer());
+              if (room.gameMode !== "1v1") {
                 reconnectData.gameState = {
-                  player1Hand: new Array(
-                    room.gameState.player1Hand?.length || 0,
-                  ).fill({ hidden: true }),
-                  player2Hand: new Array(
-                    room.gameState.player2Hand?.length || 0,
-                  ).fill({ hidden: true }),
-                  player3Hand: new Array(
-                    room.gameState.player3Hand?.length || 0,
-                  ).fill({ hidden: true }),
-                  player4Hand: new Array(
-                    room.gameState.player4Hand?.length || 0,
-                  ).fill({ hidden: true }),
-                  trump: room.gameState.trump,
-                  trumpSuit: room.gameState.trumpSuit,
-                  remainingDeck: room.gameState.remainingDeck,
-                  deckCount: room.gameState.remainingDeck?.length || 0,
-                  currentPlayer: room.gameState.currentPlayer,
-                  gamePhase: room.gameState.gamePhase,
+                  player1Hand: publicView.player1Hand,
+                  player2Hand: publicView.player2Hand,
+                  player3Hand: publicView.player3Hand,
+                  player4Hand: publicView.player4Hand,
+                  trump: publicView.trump,
+                  trumpSuit: publicView.trumpSuit,
+                  remainingDeck: publicView.remainingDeck,
+                  deckCount: publicView.remainingDeck?.length || 0,
+                  currentPlayer: publicView.currentPlayer,
+                  gamePhase: publicView.gamePhase,
                 };
               } else if (room.gameMode === "1v1") {
                 // For 1v1, just send hand counts
                 reconnectData.gameState = {
-                  player1Hand: new Array(
-                    room.gameState.player1Hand?.length || 0,
-                  ).fill({ hidden: true }),
-                  player2Hand: new Array(
-                    room.gameState.player2Hand?.length || 0,
-                  ).fill({ hidden: true }),
-                  trump: room.gameState.trump,
-                  deckCount: room.gameState.remainingDeck?.length || 0,
+                  player1Hand: publicView.player1Hand,
+                  player2Hand: publicView.player2Hand,
+                  trump: publicView.trump,
+                  deckCount: publicView.remainingDeck?.length || 0,
                 };
               }
 
@@ -1148,6 +1201,9 @@ io.on("connection", (socket) => {
           player.userId = user.userId; // Ensure userId is current
           delete player.disconnectedAt;
 
+          // Sjedalo se vraća igraču ako je za njega igrao AI
+          endAiTakeover(player);
+
           // Clear disconnect timeout if exists
           if (
             room.disconnectTimeouts &&
@@ -1189,17 +1245,15 @@ io.on("connection", (socket) => {
                 userId: p.userId,
               })),
               gameState: {
-                ...room.gameState,
-                myHand:
-                  room.gameState[`player${player.playerNumber}Hand`] || [],
+                ...projectGameState(room, seatViewer(player.playerNumber)),
                 opponentHand:
                   room.gameState[
                     `player${player.playerNumber === 1 ? 2 : 1}Hand`
                   ]?.map(() => ({ hidden: true })) || [],
               },
             };
-          } else if (room.gameMode === "2v2") {
-            // 2v2 game structure - provide complete game state like Game2v2 expects
+          } else {
+            // 2v2 / free-for-all game structure - provide complete game state like Game2v2 expects
             fallbackGameResumeData = {
               roomId,
               playerNumber: player.playerNumber,
@@ -1215,35 +1269,7 @@ io.on("connection", (socket) => {
                 team: p.team,
               })),
               gameState: {
-                ...room.gameState,
-                // Provide player's own hand
-                myHand:
-                  room.gameState[`player${player.playerNumber}Hand`] || [],
-                // Hide other players' hands
-                player1Hand:
-                  player.playerNumber === 1
-                    ? room.gameState.player1Hand
-                    : room.gameState.player1Hand?.map(() => ({
-                        hidden: true,
-                      })) || [],
-                player2Hand:
-                  player.playerNumber === 2
-                    ? room.gameState.player2Hand
-                    : room.gameState.player2Hand?.map(() => ({
-                        hidden: true,
-                      })) || [],
-                player3Hand:
-                  player.playerNumber === 3
-                    ? room.gameState.player3Hand
-                    : room.gameState.player3Hand?.map(() => ({
-                        hidden: true,
-                      })) || [],
-                player4Hand:
-                  player.playerNumber === 4
-                    ? room.gameState.player4Hand
-                    : room.gameState.player4Hand?.map(() => ({
-                        hidden: true,
-                      })) || [],
+                ...projectGameState(room, seatViewer(player.playerNumber)),
               },
             };
           }
@@ -1298,6 +1324,28 @@ io.on("connection", (socket) => {
     }
 
     try {
+      // Broj mjesta daje engine varijante (1v1: 2, 1v1v1: 3, 2v2/1v1v1v1: 4)
+      const { getEngine, hasEngine } = await import("../core/engines.js");
+      if (!hasEngine(gameData.gameType, gameData.gameMode)) {
+        socket.emit("gameCreationError", {
+          message: "Ova varijanta igre nije podržana",
+        });
+        return;
+      }
+      const { seats } = getEngine(gameData.gameType, gameData.gameMode);
+
+      // Kućna pravila sobe - zadane vrijednosti i validacija iz sheme
+      const { normalizeHouseRules } = await import("../core/houseRules.js");
+      const { rules: houseRules, errors } = normalizeHouseRules(
+        gameData.gameType,
+        gameData.gameMode,
+        gameData.houseRules,
+      );
+      if (errors.length > 0) {
+        socket.emit("gameCreationError", { message: errors.join("; ") });
+        return;
+      }
+
       const roomId = uuidv4();
       const roomCode = generateRoomCode(); // Generate unique 6-char code
 
@@ -1312,12 +1360,12 @@ io.on("connection", (socket) => {
         isCustom: true,
         hasPassword: !!gameData.password,
         password: gameData.password || null,
-        maxPlayers: gameData.gameMode === "2v2" ? 4 : 2,
+        maxPlayers: seats,
+        houseRules,
         // Include akuze setting for Treseta
-        ...(gameData.gameType === "treseta" &&
-          gameData.akuzeEnabled !== undefined && {
-            akuzeEnabled: gameData.akuzeEnabled,
-          }),
+        ...(gameData.gameType === "treseta" && {
+          akuzeEnabled: houseRules.akuzeEnabled,
+        }),
         players: [
           {
             id: socket.id,
@@ -1672,6 +1720,59 @@ io.on("connection", (socket) => {
     broadcastGameList();
   });
 
+  // Host popunjava slobodno mjesto custom sobe botom (server-side AI)
+  socket.on("addBot", async (data = {}) => {
+    const user = connectedUsers.get(socket.id);
+    if (!user) {
+      socket.emit("addBotError", { message: "Korisnik nije registriran" });
+      return;
+    }
+
+    const { roomId } = data;
+    const room = gameRooms.get(roomId);
+
+    if (!room || !room.isCustom) {
+      socket.emit("addBotError", { message: "Igra ne postoji" });
+      return;
+    }
+
+    if (room.creator !== user.name) {
+      socket.emit("addBotError", {
+        message: "Samo kreator igre može dodati bota",
+      });
+      return;
+    }
+
+    if (room.status === "playing") {
+      socket.emit("addBotError", { message: "Igra je već u tijeku" });
+      return;
+    }
+
+    if (room.players.length >= room.maxPlayers) {
+      socket.emit("addBotError", { message: "Igra je puna" });
+      return;
+    }
+
+    const { normalizeDifficulty } = await import("../core/aiDifficulty.js");
+    const bot = createBotPlayer(room, normalizeDifficulty(data.difficulty));
+    room.players.push(bot);
+
+    if (room.players.length === room.maxPlayers) {
+      room.status = "full";
+    }
+
+    io.to(roomId).emit("playerJoined", {
+      player: bot,
+      gameData: room,
+    });
+
+    if (room.players.length === room.maxPlayers) {
+      startCustomGame(roomId);
+    }
+
+    broadcastGameList();
+  });
+
   socket.on("getActiveGames", (data) => {
     const requestedGameType = data?.gameType;
 
@@ -1716,8 +1817,8 @@ io.on("connection", (socket) => {
     room.players.splice(playerIndex, 1);
     socket.leave(roomId);
 
-    // If room is empty, delete it
-    if (room.players.length === 0) {
+    // If room is empty (only bots left), delete it
+    if (room.players.every((p) => p.isAI)) {
       gameRooms.delete(roomId);
     } else {
       // Update player numbers and teams
@@ -1730,7 +1831,7 @@ io.on("connection", (socket) => {
 
       // If creator left, assign new creator
       if (leavingPlayer.name === room.creator) {
-        room.creator = room.players[0].name;
+        room.creator = room.players.find((p) => !p.isAI).name;
       }
 
       room.status = "waiting";
@@ -1746,7 +1847,7 @@ io.on("connection", (socket) => {
   });
 
   // Traženje protivnika (matchmaking) - UPDATED za 1v1 i 2v2 + gameType
-  socket.on("findMatch", (data) => {
+  socket.on("findMatch", async (data) => {
     const user = connectedUsers.get(socket.id);
     if (!user) {
       socket.emit("error", { message: "Morate se prvo registrirati" });
@@ -1755,8 +1856,24 @@ io.on("connection", (socket) => {
 
     const gameMode = data?.gameMode || "1v1";
     const gameType = data?.gameType || "briskula"; // Dodano gameType
-    const queue = gameMode === "1v1" ? waitingQueue1v1 : waitingQueue2v2;
-    const playersNeeded = gameMode === "1v1" ? 2 : 4;
+    const ffaQueue = waitingQueuesFFA[gameMode];
+
+    // Svatko za sebe: Briskula za 3 i 4 igrača, Trešeta samo u troje
+    const { hasEngine } = await import("../core/engines.js");
+    if (ffaQueue && !hasEngine(gameType, gameMode)) {
+      socket.emit("error", {
+        message: "Ova varijanta igre nije podržana",
+      });
+      return;
+    }
+
+    const queue =
+      ffaQueue || (gameMode === "1v1" ? waitingQueue1v1 : waitingQueue2v2);
+    const playersNeeded = ffaQueue
+      ? FFA_PLAYER_COUNTS[gameMode]
+      : gameMode === "1v1"
+        ? 2
+        : 4;
 
     // Dodaj gameType informaciju u user podatke za queue
     const userWithGameInfo = { ...user, gameType };
@@ -1769,11 +1886,22 @@ io.on("connection", (socket) => {
       (u) => u.id === socket.id,
     );
 
-    if (existingIndex1v1 !== -1 || existingIndex2v2 !== -1) {
+    const existingIndexFFA = Math.max(
+      ...Object.values(waitingQueuesFFA).map((q) =>
+        q.findIndex((u) => u.id === socket.id),
+      ),
+    );
+
+    if (
+      existingIndex1v1 !== -1 ||
+      existingIndex2v2 !== -1 ||
+      existingIndexFFA !== -1
+    ) {
       socket.emit("matchmaking", {
         status: "already_waiting",
         message: "Već čekate protivnike...",
-        queuePosition: Math.max(existingIndex1v1, existingIndex2v2) + 1,
+        queuePosition:
+          Math.max(existingIndex1v1, existingIndex2v2, existingIndexFFA) + 1,
       });
       return;
     }
@@ -1807,6 +1935,8 @@ io.on("connection", (socket) => {
 
       if (gameMode === "1v1") {
         createGameRoom1v1(players[0], players[1], firstGameType);
+      } else if (ffaQueue) {
+        createGameRoomFFA(players, gameMode, firstGameType);
       } else {
         createGameRoom2v2(players, firstGameType);
       }
@@ -1831,13 +1961,14 @@ io.on("connection", (socket) => {
     if (index2v2 !== -1) {
       waitingQueue2v2.splice(index2v2, 1);
     }
+    removeFromFFAQueues(socket.id);
 
     socket.emit("matchmaking", { status: "cancelled" });
   });
 
   // Igranje karte - UPDATED za oba načina
   socket.on("playCard", (data) => {
-    const { roomId, card } = data;
+    const { roomId, card, signal } = data;
 
     const room = gameRooms.get(roomId);
 
@@ -1885,13 +2016,82 @@ io.on("connection", (socket) => {
     if (room.gameMode === "1v1") {
       processCardPlay1v1(roomId, socket.id, card);
     } else {
-      processCardPlay2v2(roomId, socket.id, card);
+      // Timska Trešeta: uz kartu može ići znak partneru (tučem/strišo/volo)
+      processCardPlay2v2(roomId, socket.id, card, signal);
+    }
+  });
+
+  // Mijenjanje aduta u Briskuli - dvica/sedmica aduta za otvorenog aduta
+  socket.on("swapTrump", async (data) => {
+    const { roomId } = data || {};
+
+    const room = gameRooms.get(roomId);
+    if (!room || room.gameType !== "briskula") {
+      socket.emit("error", {
+        message: "Mijenjanje aduta nije dostupno za ovu igru",
+      });
+      return;
+    }
+
+    const player = room.players.find((p) => p.id === socket.id);
+    if (!player) {
+      socket.emit("error", { message: "Niste igrač u ovoj sobi" });
+      return;
+    }
+    if (player.permanentlyLeft) {
+      socket.emit("error", { message: "Napustili ste ovu igru" });
+      return;
+    }
+    if (!player.isConnected) {
+      socket.emit("error", { message: "Niste trenutno povezani u igri" });
+      return;
+    }
+
+    // Rules engine provjerava pravilo sobe, red i kartu u ruci
+    const { RulesError, MOVE_TYPES } = await import("../core/engines.js");
+    const engine = await getRoomEngine(room);
+    try {
+      room.gameState = engine.applyMove(room.gameState, {
+        type: MOVE_TYPES.SWAP_TRUMP,
+        seat: player.playerNumber,
+      });
+    } catch (error) {
+      if (error instanceof RulesError) {
+        rejectMove(player.id, error.code, error.message);
+      } else {
+        console.error(`Error swapping trump in room ${roomId}:`, error);
+        rejectMove(player.id, "SERVER_ERROR", MOVE_FAILED_MESSAGE);
+      }
+      return;
     }
+    room.gameState.version = Date.now();
+    room.gameState.lastMove = new Date();
+    const { MOVE_LOG_TYPES } = await import("../core/moveLog.js");
+    await logMove(room, {
+      type: MOVE_LOG_TYPES.SWAP_TRUMP,
+      seat: player.playerNumber,
+    });
+
+    // Obje karte su javne (otvoreni adut), nova ruka samo vlasniku
+    const { seat, took } = room.gameState.lastTrumpSwap;
+    emitProjected(io, room, "trumpSwapped", {
+      playerNumber: seat,
+      playerName: player.name,
+      trump: room.gameState.trump,
+      takenCard: took,
+      [`player${seat}Hand`]: room.gameState[`player${seat}Hand`],
+    });
+    broadcastSpectatorUpdate(room);
+
+    gameStateManager.saveGameState(roomId, room).catch((err) => {
+      console.error("Error saving game state:", err);
+    });
   });
 
   // Akuže handler for Treseta (1v1 and 2v2)
-  socket.on("akuze", (data) => {
-    const { roomId, akuz } = data;
+  socket.on("akuze", async (data) => {
+    const { roomId } = data;
+    let akuz;
 
     const room = gameRooms.get(roomId);
     if (!room || room.gameType !== "treseta") {
@@ -1926,27 +2126,61 @@ io.on("connection", (socket) => {
       return;
     }
 
-    // Add akuz to player's akuze list
+    const rejectAkuze = (code, message) => {
+      socket.emit("akuzeRejected", { code, message, akuz: data.akuz });
+    };
+
+    // Akužati se smije samo u prvoj ruci partije, prije vlastite prve karte
+    if (!isAkuzeWindowOpen(room, playerNumber)) {
+      rejectAkuze("AKUZE_WINDOW_CLOSED", "Akužati se može samo u prvoj ruci");
+      return;
+    }
+
+    // Ne vjerujemo klijentu - akuže računamo iz serverske ruke
+    const { checkAkuze, addAkuze } = await import("../core/tresetaCommon.js");
+    const { MOVE_LOG_TYPES, publicAkuz } = await import("../core/moveLog.js");
+    const available = checkAkuze(
+      room.gameState[`player${playerNumber}Hand`],
+      room.gameState.akuzeTypes,
+    );
+    const verified = available.find(
+      (a) =>
+        a.type === data.akuz?.type && a.description === data.akuz?.description,
+    );
+
+    if (!verified) {
+      rejectAkuze("AKUZE_NOT_HELD", "Nemate karte za taj akuž");
+      return;
+    }
+
     const akuzeKey = `player${playerNumber}Akuze`;
     if (!room.gameState[akuzeKey]) {
       room.gameState[akuzeKey] = { points: 0, details: [] };
     }
 
-    room.gameState[akuzeKey].details.push(akuz);
-    room.gameState[akuzeKey].points += akuz.points;
+    // Provjera i upis akuža bez await između - dvije brze prijave ne prolaze
+    const alreadyDeclared = room.gameState[akuzeKey].details.some(
+      (a) => a.type === verified.type && a.description === verified.description,
+    );
+    if (alreadyDeclared) {
+      rejectAkuze("AKUZE_DUPLICATE", "Taj akuž ste već prijavili");
+      return;
+    }
+
+    akuz = publicAkuz(verified);
+
+    // Akuž igraču (i timu u 2v2) te u dnevnik poteza
+    room.gameState = addAkuze(room.gameState, playerNumber, akuz, {
+      playerName: player.name,
+    });
+    await logMove(room, {
+      type: MOVE_LOG_TYPES.AKUZE,
+      seat: playerNumber,
+      akuz,
+    });
 
     if (room.gameMode === "2v2") {
-      // 2v2 mode - also add to team akuze for tracking
       const team = playerNumber === 1 || playerNumber === 3 ? 1 : 2;
-      const teamAkuzeKey = `team${team}Akuze`;
-      if (!room.gameState[teamAkuzeKey]) {
-        room.gameState[teamAkuzeKey] = [];
-      }
-      room.gameState[teamAkuzeKey].push({
-        playerNumber,
-        playerName: player.name,
-        ...akuz,
-      });
 
       // Broadcast akuze to all players with team info
       io.to(roomId).emit("akuzeAnnounced", {
@@ -2309,6 +2543,9 @@ io.on("connection", (socket) => {
         player.isConnected = true;
         delete player.disconnectedAt;
 
+        // Sjedalo se vraća igraču ako je za njega igrao AI
+        endAiTakeover(player);
+
         // Clear disconnect timeout if exists
         if (
           room.disconnectTimeouts &&
@@ -2335,19 +2572,17 @@ io.on("connection", (socket) => {
         // Join socket room
         socket.join(roomId);
 
-        // Calculate playable cards for Treseta
+        // Igrive karte iz rules enginea (Trešeta, Briskula sa završnicom)
         let playableCards = null;
         if (
-          room.gameType === "treseta" &&
+          tracksPlayableCards(room) &&
           room.gameState.gamePhase === "playing"
         ) {
-          const gameLogic = await import("../core/gameLogicTreseta.js");
-          const { getPlayableCards } = gameLogic;
-          const playedCardsOnly = room.gameState.playedCards.map(
-            (pc) => pc.card,
+          const engine = await getRoomEngine(room);
+          playableCards = engine.playableCards(
+            room.gameState,
+            player.playerNumber,
           );
-          const playerHand = room.gameState[`player${player.playerNumber}Hand`];
-          playableCards = getPlayableCards(playerHand, playedCardsOnly);
         }
 
         // Send personalized game state based on game mode
@@ -2381,14 +2616,8 @@ io.on("connection", (socket) => {
               userId: p.userId,
             })),
             gameState: {
-              ...room.gameState,
               // Show my cards, hide opponent's cards
-              [`player${player.playerNumber}Hand`]:
-                room.gameState[`player${player.playerNumber}Hand`],
-              [`player${player.playerNumber === 1 ? 2 : 1}Hand`]:
-                room.gameState[
-                  `player${player.playerNumber === 1 ? 2 : 1}Hand`
-                ].map(() => ({ hidden: true })),
+              ...projectGameState(room, seatViewer(player.playerNumber)),
               playableCards: playableCards || [],
               // Add personalized points mapping
               myPoints:
@@ -2404,8 +2633,8 @@ io.on("connection", (socket) => {
             tournamentId: room.tournamentId,
             matchId: room.matchId,
           };
-        } else if (room.gameMode === "2v2") {
-          // 2v2 game structure - like gameStart format
+        } else {
+          // 2v2 / free-for-all game structure - like gameStart format
           reconnectResponse = {
             success: true,
             roomId,
@@ -2423,30 +2652,7 @@ io.on("connection", (socket) => {
               team: p.team,
             })),
             gameState: {
-              ...room.gameState,
-              // Provide player's own hand
-              myHand: room.gameState[`player${player.playerNumber}Hand`] || [],
-              // Hide other players' hands
-              player1Hand:
-                player.playerNumber === 1
-                  ? room.gameState.player1Hand
-                  : room.gameState.player1Hand?.map(() => ({ hidden: true })) ||
-                    [],
-              player2Hand:
-                player.playerNumber === 2
-                  ? room.gameState.player2Hand
-                  : room.gameState.player2Hand?.map(() => ({ hidden: true })) ||
-                    [],
-              player3Hand:
-                player.playerNumber === 3
-                  ? room.gameState.player3Hand
-                  : room.gameState.player3Hand?.map(() => ({ hidden: true })) ||
-                    [],
-              player4Hand:
-                player.playerNumber === 4
-                  ? room.gameState.player4Hand
-                  : room.gameState.player4Hand?.map(() => ({ hidden: true })) ||
-                    [],
+              ...projectGameState(room, seatViewer(player.playerNumber)),
               playableCards: playableCards || [],
             },
             isTournamentMatch: room.type === "tournament",
@@ -2523,6 +2729,9 @@ io.on("connection", (socket) => {
       player.isConnected = true;
       delete player.disconnectedAt;
 
+      // Sjedalo se vraća igraču ako je za njega igrao AI
+      endAiTakeover(player);
+
       // Clear disconnect timeout if exists
       if (
         room.disconnectTimeouts &&
@@ -2543,31 +2752,12 @@ io.on("connection", (socket) => {
       socket.join(roomId);
 
       // Send personalized gameStart like when game originally started
-      let gameLogic;
-      if (room.gameType === "treseta") {
-        gameLogic = await import("../core/gameLogicTreseta.js");
-      } else {
-        gameLogic = await import("../core/gameLogicBriskula.js");
-      }
-
-      const { getPlayableCards } = gameLogic;
-
-      // Calculate playable cards for current player
-      let playableCards = [];
-      if (room.gameState.gamePhase === "playing") {
-        if (room.gameType === "treseta") {
-          const playedCardsOnly = room.gameState.playedCards.map(
-            (pc) => pc.card,
-          );
-          const playerHand = room.gameState[`player${player.playerNumber}Hand`];
-          playableCards = getPlayableCards(playerHand, playedCardsOnly);
-        } else {
-          // Briskula - all cards are playable
-          playableCards = room.gameState[
-            `player${player.playerNumber}Hand`
-          ].map((c) => c.id);
-        }
-      }
+      // Igrive karte iz rules enginea (Trešeta: boja, Briskula: završnica)
+      const engine = await getRoomEngine(room);
+      const playableCards =
+        room.gameState.gamePhase === "playing"
+          ? engine.playableCards(room.gameState, player.playerNumber)
+          : [];
 
       // Create personalized gameStart payload like in normal game creation
       const opponent = room.players.find(
@@ -2595,13 +2785,8 @@ io.on("connection", (socket) => {
           userId: p.userId,
         })),
         gameState: {
-          ...room.gameState,
-          // Show my cards, hide opponent's cards
-          [`player${player.playerNumber}Hand`]:
-            room.gameState[`player${player.playerNumber}Hand`],
-          [`player${player.playerNumber === 1 ? 2 : 1}Hand`]: room.gameState[
-            `player${player.playerNumber === 1 ? 2 : 1}Hand`
-          ].map(() => ({ hidden: true })),
+          // Show my cards, hide everyone else's (2v2 included)
+          ...projectGameState(room, seatViewer(player.playerNumber)),
           playableCards: playableCards,
           // Add personalized points mapping
           myPoints:
@@ -2666,6 +2851,7 @@ io.on("connection", (socket) => {
       if (queueIndex2v2 !== -1) {
         waitingQueue2v2.splice(queueIndex2v2, 1);
       }
+      removeFromFFAQueues(socket.id);
 
       // Remove from connected users
       connectedUsers.delete(socket.id);
@@ -2694,6 +2880,14 @@ io.on("connection", (socket) => {
       return;
     }
 
+    // Bez ovoga jedini čovjek za stolom s botovima prekida partiju u tijeku
+    if (room.gameState?.gamePhase !== "partidaFinished") {
+      socket.emit("error", {
+        message: "Nova partija nije moguća u ovom trenutku",
+      });
+      return;
+    }
+
     // Mark this player as ready for next partija
     if (!room.nextPartidaReady) {
       room.nextPartidaReady = new Set();
@@ -2701,8 +2895,8 @@ io.on("connection", (socket) => {
 
     room.nextPartidaReady.add(player.playerNumber);
 
-    // Check if both players are ready
-    const totalPlayers = room.gameMode === "1v1" ? 2 : 4;
+    // Check if all players are ready (botovi su uvijek spremni)
+    const totalPlayers = room.players.filter((p) => !isBotSeat(p)).length;
     if (room.nextPartidaReady.size >= totalPlayers) {
       // Clear ready status
       room.nextPartidaReady.clear();
@@ -2782,7 +2976,10 @@ io.on("connection", (socket) => {
         const playerSocket = io.sockets.sockets.get(roomPlayer.id);
         if (playerSocket) {
           playerSocket.emit("rematchAccepted", {
-            gameState: room.gameState,
+            gameState: projectGameState(
+              room,
+              seatViewer(roomPlayer.playerNumber),
+            ),
             myTeam: teamAssignments[roomPlayer.playerNumber],
           });
         }
@@ -3031,6 +3228,9 @@ io.on("connection", (socket) => {
       message: `${forfeitingPlayer.name} je predao meč. ${winnerPlayer.name} pobjeđuje!`,
     };
 
+    // Predaja završava dijeljenje - otkrij seed miješanja
+    revealDealSeed(room);
+
     // For tournament matches, report the result immediately
     if (
       room.gameState?.isTournamentMatch &&
@@ -3058,7 +3258,7 @@ io.on("connection", (socket) => {
           winnerPlayerNumber: winnerPlayer.playerNumber,
           reason: reason,
           roomId: roomId,
-          gameState: room.gameState, // Include updated game state
+          gameState: projectGameState(room, seatViewer(player.playerNumber)), // Include updated game state
         });
       }
     });
@@ -3246,64 +3446,16 @@ io.on("connection", (socket) => {
           status: "playing",
         };
 
-        // Initialize game state
-        let gameLogic;
-        if (tournament.gameType === "treseta") {
-          gameLogic = await import("../core/gameLogicTreseta.js");
-        } else {
-          gameLogic = await import("../core/gameLogicBriskula.js");
-        }
-        const { createDeck, shuffleDeck, dealCards } = gameLogic;
-        const deck = shuffleDeck(createDeck());
-        const dealt = dealCards(deck);
-
-        // Ensure every card has an id (suit-value uniqueness) to avoid React key issues
-        const ensureIds = (arr) =>
-          (arr || []).map((c, idx) => ({
-            ...c,
-            id:
-              c.id ||
-              `${c.suit || c.Suit || "S"}-${c.value || c.rank || "R"}-${idx}`,
-          }));
-        dealt.player1Hand = ensureIds(dealt.player1Hand);
-        dealt.player2Hand = ensureIds(dealt.player2Hand);
-        if (dealt.trump && !dealt.trump.id) {
-          dealt.trump.id = `TRUMP-${dealt.trump.suit}-${dealt.trump.value}`;
-        }
-
-        // Standardize state fields like non-tournament games
+        // Početno stanje daje rules engine varijante
+        const { getEngine } = await import("../core/engines.js");
+        const engine = getEngine(tournament.gameType, "1v1");
         const gameState = {
-          player1Hand: dealt.player1Hand,
-          player2Hand: dealt.player2Hand,
-          player1Cards: [],
-          player2Cards: [],
-          remainingDeck: dealt.remainingDeck || dealt.remaining || [],
-          currentPlayer: 1,
-          playedCards: [],
-          gamePhase: "playing",
-          winner: null,
-          gameType: tournament.gameType,
+          ...(await dealFairState(engine)),
           version: Date.now(),
           lastMove: new Date(),
           isTournamentMatch: true,
           tournamentId,
           matchId,
-          ...(tournament.gameType === "briskula" && {
-            trump: dealt.trump || dealt.trumpCard,
-            trumpSuit: (dealt.trump || dealt.trumpCard)?.suit,
-            lastTrickWinner: null,
-          }),
-          ...(tournament.gameType === "treseta" && {
-            player1Akuze: { points: 0, details: [] },
-            player2Akuze: { points: 0, details: [] },
-            ultimaWinner: null,
-            totalPlayer1Points: 0,
-            totalPlayer2Points: 0,
-            partijas: [],
-            currentPartija: 1,
-            targetScore: 31,
-            hasPlayedFirstCard: false,
-          }),
         };
 
         room.gameState = gameState;
@@ -3336,15 +3488,7 @@ io.on("connection", (socket) => {
           }));
         } catch (e) {}
 
-        // Send personalized start like normal lobby games
-        const getPlayableCards =
-          tournament.gameType === "treseta"
-            ? (await import("../core/gameLogicTreseta.js")).getPlayableCards
-            : null;
-
         // --- FIX: Svaki igrač dobiva SVOJE karte, protivničke skrivene ---
-        const p1Hand = room.gameState.player1Hand;
-        const p2Hand = room.gameState.player2Hand;
         const p1Payload = {
           roomId,
           playerId: `${roomId}_p1`, // Add playerId for localStorage
@@ -3356,15 +3500,10 @@ io.on("connection", (socket) => {
           tournamentId,
           matchId,
           gameState: {
-            ...room.gameState,
-            player1Hand: p1Hand, // IGRAČ 1 vidi SVOJE karte
-            player2Hand: p2Hand.map(() => ({ hidden: true })), // Protivničke skrivene
-            playableCards:
-              tournament.gameType === "treseta"
-                ? getPlayableCards(p1Hand, [])
-                : p1Hand.map((c) => c.id),
+            ...projectGameState(room, seatViewer(1)), // IGRAČ 1 vidi SVOJE karte
+            playableCards: engine.playableCards(room.gameState, 1),
           },
-          players: room.players,
+          players: projectPlayers(room),
         };
 
         const p2Payload = {
@@ -3378,15 +3517,10 @@ io.on("connection", (socket) => {
           tournamentId,
           matchId,
           gameState: {
-            ...room.gameState,
-            player1Hand: p1Hand.map(() => ({ hidden: true })), // Protivničke skrivene
-            player2Hand: p2Hand, // IGRAČ 2 vidi SVOJE karte
-            playableCards:
-              tournament.gameType === "treseta"
-                ? getPlayableCards(p2Hand, [])
-                : p2Hand.map((c) => c.id),
+            ...projectGameState(room, seatViewer(2)), // IGRAČ 2 vidi SVOJE karte
+            playableCards: engine.playableCards(room.gameState, 2),
           },
-          players: room.players,
+          players: projectPlayers(room),
         };
 
         // Debug logovi za karte
@@ -3475,8 +3609,8 @@ io.on("connection", (socket) => {
         user.status = "spectating"; // Different from "in-game"
       }
 
-      // Koristi getPublicGameState helper za spectatore
-      const publicState = getPublicGameState(room.gameState);
+      // Spectator projekcija - bez ičijih karata
+      const publicState = projectGameState(room, spectatorViewer());
 
       // Emit gameStart for spectators with proper spectator flags
       socket.emit("gameStart", {
@@ -3528,8 +3662,8 @@ io.on("connection", (socket) => {
         roomId,
         gameType: room.gameType,
         gameMode: room.gameMode,
-        players: room.players,
-        gameState: getPublicGameState(room.gameState), // Only public state
+        players: projectPlayers(room),
+        gameState: projectGameState(room, spectatorViewer()), // Only public state
         spectator: true, // Mark as spectator
         playerNumber: null, // No player number for spectators
         opponent: null, // No specific opponent for spectators
@@ -3643,6 +3777,7 @@ io.on("connection", (socket) => {
     if (queueIndex2v2 !== -1) {
       waitingQueue2v2.splice(queueIndex2v2, 1);
     }
+    removeFromFFAQueues(socket.id);
 
     // Handle game disconnection with session preservation
     if (user) {
@@ -3732,19 +3867,9 @@ const handleTournamentGameFinished = async (data) => {
 async function createGameRoom1v1(player1, player2, gameType = "briskula") {
   const roomId = uuidv4();
 
-  // Importiraj odgovarajuću game logiku
-  let gameLogic;
-  if (gameType === "treseta") {
-    gameLogic = await import("../core/gameLogicTreseta.js");
-  } else {
-    gameLogic = await import("../core/gameLogicBriskula.js");
-  }
-
-  const { createDeck, shuffleDeck, dealCards } = gameLogic;
-
-  const deck = createDeck();
-  const shuffledDeck = shuffleDeck(deck);
-  const dealt = dealCards(shuffledDeck, false);
+  // Početno stanje daje rules engine varijante
+  const { getEngine } = await import("../core/engines.js");
+  const engine = getEngine(gameType, "1v1");
 
   const gameRoom = {
     id: roomId,
@@ -3768,38 +3893,9 @@ async function createGameRoom1v1(player1, player2, gameType = "briskula") {
     ],
     spectators: [], // Array of socket IDs for spectators
     gameState: {
-      player1Hand: dealt.player1Hand,
-      player2Hand: dealt.player2Hand,
-      player1Cards: [],
-      player2Cards: [],
-      remainingDeck: dealt.remainingDeck,
-      currentPlayer: 1,
-      playedCards: [],
-      gamePhase: "playing",
-      winner: null,
-      gameType: gameType, // DODANO
+      ...(await dealFairState(engine)),
       version: Date.now(), // Add version for sync
       lastMove: new Date(),
-      // Specifične za Briskula
-      ...(gameType === "briskula" && {
-        trump: dealt.trump,
-        trumpSuit: dealt.trump.suit,
-        lastTrickWinner: null, // Dodano za tie-breaker 60-60
-      }),
-      // Specifične za Trešeta
-      ...(gameType === "treseta" && {
-        player1Akuze: { points: 0, details: [] },
-        player2Akuze: { points: 0, details: [] },
-        ultimaWinner: null, // Tko će dobiti zadnji punat
-
-        // Long-term scoring for 1v1 Treseta
-        totalPlayer1Points: 0,
-        totalPlayer2Points: 0,
-        partijas: [], // History of completed partijas
-        currentPartija: 1,
-        targetScore: 31, // Target score for match victory
-        hasPlayedFirstCard: false,
-      }),
     },
     createdAt: new Date(),
   };
@@ -3831,23 +3927,8 @@ async function createGameRoom1v1(player1, player2, gameType = "briskula") {
     player2Socket.join(roomId);
 
     // Pošalji početno stanje svakom igraču (personalizirano)
-    const { getPlayableCards } = gameLogic;
-
-    const player1PlayableCards =
-      gameType === "treseta"
-        ? getPlayableCards(
-            gameRoom.gameState.player1Hand,
-            gameRoom.gameState.playedCards,
-          )
-        : gameRoom.gameState.player1Hand.map((card) => card.id); // Briskula - sve karte igrive
-
-    const player2PlayableCards =
-      gameType === "treseta"
-        ? getPlayableCards(
-            gameRoom.gameState.player2Hand,
-            gameRoom.gameState.playedCards,
-          )
-        : gameRoom.gameState.player2Hand.map((card) => card.id); // Briskula - sve karte igrive
+    const player1PlayableCards = engine.playableCards(gameRoom.gameState, 1);
+    const player2PlayableCards = engine.playableCards(gameRoom.gameState, 2);
 
     player1Socket.emit("gameStart", {
       roomId: roomId,
@@ -3861,10 +3942,7 @@ async function createGameRoom1v1(player1, player2, gameType = "briskula") {
           akuzeEnabled: gameRoom.akuzeEnabled,
         }),
       gameState: {
-        ...gameRoom.gameState,
-        player2Hand: gameRoom.gameState.player2Hand.map(() => ({
-          hidden: true,
-        })), // Sakrij karte protivnika
+        ...projectGameState(gameRoom, seatViewer(1)), // Sakrij karte protivnika
         playableCards: player1PlayableCards,
       },
     });
@@ -3881,10 +3959,7 @@ async function createGameRoom1v1(player1, player2, gameType = "briskula") {
           akuzeEnabled: gameRoom.akuzeEnabled,
         }),
       gameState: {
-        ...gameRoom.gameState,
-        player1Hand: gameRoom.gameState.player1Hand.map(() => ({
-          hidden: true,
-        })), // Sakrij karte protivnika
+        ...projectGameState(gameRoom, seatViewer(2)), // Sakrij karte protivnika
         playableCards: player2PlayableCards,
       },
     });
@@ -3897,15 +3972,10 @@ async function createGameRoom1v1(player1, player2, gameType = "briskula") {
 async function createGameRoom2v2(players, gameType = "briskula") {
   const roomId = uuidv4();
 
-  // Importiraj game logiku ovisno o gameType
-  let gameState;
-  if (gameType === "treseta") {
-    const treseta2v2 = await import("../core/gameLogicTreseta2v2.js");
-    gameState = treseta2v2.createGameState2v2();
-  } else {
-    const logic2v2 = await import("../core/gameLogicBriskula2v2.js");
-    gameState = logic2v2.createGameState2v2();
-  }
+  // Početno stanje daje rules engine varijante
+  const { getEngine } = await import("../core/engines.js");
+  const engine = getEngine(gameType, "2v2");
+  const gameState = await dealFairState(engine);
 
   // ISPRAVKA: Assign teams correctly: 1&3 = team 1, 2&4 = team 2
   const gameRoom = {
@@ -3927,6 +3997,7 @@ async function createGameRoom2v2(players, gameType = "briskula") {
     gameState,
     createdAt: new Date(),
   };
+  refreshPlayableCards2v2(gameRoom, engine);
 
   gameRooms.set(roomId, gameRoom);
 
@@ -3963,24 +4034,8 @@ async function createGameRoom2v2(players, gameType = "briskula") {
           team: p.team,
         })),
         gameState: {
-          ...gameState,
           // Send actual hand lengths but hide the cards themselves
-          player1Hand:
-            playerNumber === 1
-              ? gameState.player1Hand
-              : new Array(gameState.player1Hand.length).fill({}),
-          player2Hand:
-            playerNumber === 2
-              ? gameState.player2Hand
-              : new Array(gameState.player2Hand.length).fill({}),
-          player3Hand:
-            playerNumber === 3
-              ? gameState.player3Hand
-              : new Array(gameState.player3Hand.length).fill({}),
-          player4Hand:
-            playerNumber === 4
-              ? gameState.player4Hand
-              : new Array(gameState.player4Hand.length).fill({}),
+          ...projectGameState(gameRoom, seatViewer(playerNumber)),
           // Dodaj playableCards za Trešetu 2v2
           playableCards:
             gameType === "treseta"
@@ -4003,75 +4058,388 @@ async function createGameRoom2v2(players, gameType = "briskula") {
 }
 
 /**
- * Obrađuje igranje karte za 1v1 - AŽURIRANO za gameType
+ * Kreira novu sobu za Briskulu svatko za sebe (3 ili 4 igrača)
  */
-async function processCardPlay1v1(roomId, playerId, card) {
-  const room = gameRooms.get(roomId);
-  if (!room) return;
+async function createGameRoomFFA(players, gameMode, gameType = "briskula") {
+  const roomId = uuidv4();
 
-  // Importiraj odgovarajuću logiku
-  let gameLogic;
-  if (room.gameType === "treseta") {
-    gameLogic = await import("../core/gameLogicTreseta.js");
-  } else {
-    gameLogic = await import("../core/gameLogicBriskula.js");
-  }
+  // Početno stanje daje rules engine varijante
+  const { getEngine } = await import("../core/engines.js");
+  const engine = getEngine(gameType, gameMode);
+
+  const gameRoom = {
+    id: roomId,
+    gameMode,
+    gameType,
+    // Enable akuze by default for Treseta games
+    ...(gameType === "treseta" && { akuzeEnabled: true }),
+    players: players.map((player, index) => ({
+      ...player,
+      playerNumber: index + 1,
+      isConnected: true,
+      team: null,
+      playerId: `${roomId}_p${index + 1}`,
+    })),
+    spectators: [], // Array of socket IDs for spectators
+    gameState: {
+      ...(await dealFairState(engine)),
+      version: Date.now(),
+      lastMove: new Date(),
+    },
+    createdAt: new Date(),
+  };
 
-  const {
-    determineRoundWinner,
-    calculatePoints,
-    checkGameEnd,
-    isValidMove,
-    getPlayableCards,
-  } = gameLogic;
+  gameRooms.set(roomId, gameRoom);
 
-  // Za Trešetu - provjeri je li potez valjan
-  if (room.gameType === "treseta") {
-    const playerNumber = room.players.find(
-      (p) => p.id === playerId,
-    ).playerNumber;
-    const playerHand =
-      playerNumber === 1
-        ? room.gameState.player1Hand
-        : room.gameState.player2Hand;
-
-    const moveValidation = isValidMove(
-      card,
-      playerHand,
-      room.gameState.playedCards,
+  gameRoom.players.forEach((player) => {
+    createPlayerSession(
+      player.playerId,
+      roomId,
+      player.playerNumber,
+      player.id,
     );
+    if (player.sessionToken) {
+      sessionManager.assignToGameRoom(
+        player.sessionToken,
+        roomId,
+        player.playerNumber,
+      );
+    }
+  });
 
-    if (!moveValidation.isValid) {
-      const playerSocket = io.sockets.sockets.get(playerId);
-      if (playerSocket) {
-        playerSocket.emit("invalidMove", {
-          message: moveValidation.reason,
-          card: card,
-        });
-      }
-      return;
+  await gameStateManager.saveGameState(roomId, gameRoom);
+
+  gameRoom.players.forEach((player) => {
+    const playerSocket = io.sockets.sockets.get(player.id);
+    if (!playerSocket) return;
+
+    playerSocket.join(roomId);
+    playerSocket.emit("gameStart", {
+      roomId,
+      playerId: player.playerId,
+      playerNumber: player.playerNumber,
+      gameType,
+      gameMode,
+      ...(gameRoom.akuzeEnabled !== undefined && {
+        akuzeEnabled: gameRoom.akuzeEnabled,
+      }),
+      players: projectPlayers(gameRoom),
+      gameState: {
+        ...projectGameState(gameRoom, seatViewer(player.playerNumber)),
+        playableCards: engine.playableCards(
+          gameRoom.gameState,
+          player.playerNumber,
+        ),
+      },
+    });
+  });
+
+  io.to(roomId).emit("matchmaking", {
+    status: "players_found",
+    message: "Svi igrači pronađeni! Igra počinje...",
+    players: gameRoom.players.map((p) => ({ name: p.name })),
+  });
+}
+
+/**
+ * Provjerava je li igraču još otvoren prozor za akuže: prva ruka partije
+ * (nitko još nije osvojio karte) i igrač još nije odigrao svoju kartu.
+ */
+function isAkuzeWindowOpen(room, playerNumber) {
+  const gs = room.gameState;
+  if (!gs) return false;
+  // Trešeta 2v2 stanje nema gamePhase dok partija traje
+  if (gs.gamePhase && gs.gamePhase !== "playing") return false;
+
+  const wonCards =
+    room.gameMode === "2v2"
+      ? (gs.team1Cards || []).length + (gs.team2Cards || []).length
+      : room.players.reduce(
+          (sum, p) => sum + (gs[`player${p.playerNumber}Cards`] || []).length,
+          0,
+        );
+  if (wonCards > 0) return false;
+
+  return !(gs.playedCards || []).some(
+    (pc) => pc && pc.playerNumber === playerNumber,
+  );
+}
+
+// Neočekivana greška enginea - klijent dobiva samo općenitu poruku
+const MOVE_FAILED_MESSAGE = "Potez nije uspio, pokušajte ponovno";
+
+/**
+ * Šalje odbijenicu poteza s kodom greške svim klijentima (Game.jsx čita
+ * `message`, Game2v2.jsx čita `reason`).
+ */
+function rejectMove(playerId, code, message, card) {
+  const playerSocket = io.sockets.sockets.get(playerId);
+  if (playerSocket) {
+    playerSocket.emit("invalidMove", {
+      code,
+      message,
+      reason: message,
+      card,
+    });
+  }
+}
+
+/**
+ * Vraća rules engine za varijantu sobe (gameType + gameMode).
+ * Engine je jedini izvor pravila: vlasništvo karte, red, valjanost poteza,
+ * pobjednik ruke, vučenje i bodovanje.
+ */
+async function getRoomEngine(room) {
+  const { getEngine } = await import("../core/engines.js");
+  return getEngine(room.gameType || "briskula", room.gameMode || "1v1");
+}
+
+/**
+ * Novo dijeljenje s provjerljivim miješanjem (commit–reveal, vidi
+ * core/fairShuffle.js). Seed ostaje na serveru (dealSeed), igrači odmah
+ * dobivaju samo commitment u gameState.fairness.
+ * @param {Object} engine - Rules engine sobe
+ * @param {Object} [config] - previousState prenosi i povijest dijeljenja
+ */
+async function dealFairState(engine, config = {}) {
+  const { createFairDeal, FAIRNESS_ALGORITHM } =
+    await import("../core/fairShuffle.js");
+  const { appendMove, dealEntry } = await import("../core/moveLog.js");
+  const { state, seed, commitment } = await createFairDeal(engine, config);
+  const previous = config.previousState;
+
+  return {
+    ...state,
+    // Dnevnik poteza meča - svako dijeljenje počinje snimkom svih ruku
+    moveLog: appendMove(previous?.moveLog, dealEntry(state, seed)),
+    dealSeed: seed,
+    fairness: {
+      dealNumber: (previous?.fairness?.dealNumber || 0) + 1,
+      commitment,
+      algorithm: FAIRNESS_ALGORITHM,
+    },
+    revealedDeals: previous?.revealedDeals || [],
+  };
+}
+
+/**
+ * Otkriva seed završenog dijeljenja i pamti ga u revealedDeals.
+ * @returns {Object|null} { dealNumber, commitment, algorithm, seed, ... }
+ */
+function revealDealSeed(room) {
+  const gameState = room?.gameState;
+  if (!gameState?.dealSeed) return null;
+
+  const revealed = {
+    ...gameState.fairness,
+    seed: gameState.dealSeed,
+    gameType: room.gameType,
+    gameMode: room.gameMode,
+  };
+  gameState.revealedDeals = [...(gameState.revealedDeals || []), revealed];
+  gameState.dealSeed = null;
+  return revealed;
+}
+
+/**
+ * Dodaje potez u dnevnik sobe (gameState.moveLog, samo na serveru).
+ * @param {Object} room
+ * @param {Object} entry - { type, ... } (vidi MOVE_LOG_TYPES u core/moveLog.js)
+ */
+async function logMove(room, entry) {
+  const { appendMove } = await import("../core/moveLog.js");
+  room.gameState.moveLog = appendMove(room.gameState.moveLog, entry);
+}
+
+/**
+ * Primjenjuje potez igrača kroz rules engine. Klijent šalje samo identitet
+ * karte - pravi objekt karte uzima se iz serverske ruke.
+ * @returns {Object|null} Odigrana karta ili null ako je potez odbijen
+ */
+async function applyPlayMove(room, player, clientCard, signal = null) {
+  const { RulesError, MOVE_TYPES } = await import("../core/engines.js");
+  const engine = await getRoomEngine(room);
+
+  try {
+    room.gameState = engine.applyMove(room.gameState, {
+      type: MOVE_TYPES.PLAY,
+      seat: player.playerNumber,
+      cardId: clientCard?.id,
+      ...(signal && { signal }),
+    });
+  } catch (error) {
+    if (error instanceof RulesError) {
+      rejectMove(player.id, error.code, error.message, clientCard);
+    } else {
+      console.error(`Error applying move in room ${room.id}:`, error);
+      rejectMove(player.id, "SERVER_ERROR", MOVE_FAILED_MESSAGE, clientCard);
     }
+    return null;
   }
 
-  // Dodaj kartu u odigrane karte
-  const playerNumber = room.players.find((p) => p.id === playerId).playerNumber;
-  room.gameState.playedCards.push({
-    card: card,
-    playerNumber: playerNumber,
+  room.gameState.version = Date.now();
+  room.gameState.lastMove = new Date();
+  const { MOVE_LOG_TYPES } = await import("../core/moveLog.js");
+  await logMove(room, {
+    type: MOVE_LOG_TYPES.PLAY,
+    seat: player.playerNumber,
+    cardId: clientCard.id,
+    ...(signal && { signal }),
   });
+  return room.gameState.playedCards[room.gameState.playedCards.length - 1].card;
+}
 
-  // Ukloni kartu iz ruke igrača
-  if (playerNumber === 1) {
-    room.gameState.player1Hand = room.gameState.player1Hand.filter(
-      (c) => c.id !== card.id,
-    );
-  } else {
-    room.gameState.player2Hand = room.gameState.player2Hand.filter(
-      (c) => c.id !== card.id,
-    );
-  }
+/**
+ * Pokuplja punu ruku kroz rules engine (pobjednik, vučenje iz špila,
+ * ultima i zbroj partije).
+ * @returns {Object} { engine, lastTrick, points, totals, gameEnd }
+ */
+async function collectTrick(room) {
+  const { MOVE_TYPES } = await import("../core/engines.js");
+  const engine = await getRoomEngine(room);
+
+  room.gameState = engine.applyMove(room.gameState, {
+    type: MOVE_TYPES.COLLECT,
+  });
+  room.gameState.version = Date.now(); // Add version for sync
+  room.gameState.lastMove = new Date();
+
+  const { MOVE_LOG_TYPES } = await import("../core/moveLog.js");
+  const { winner, drawn } = room.gameState.lastTrick;
+  await logMove(room, {
+    type: MOVE_LOG_TYPES.TRICK,
+    winner,
+    drawn: Object.fromEntries(
+      Object.entries(drawn).map(([seat, card]) => [seat, card.id]),
+    ),
+  });
+
+  const { points, totals, gameEnd } = engine.score(room.gameState);
+  return {
+    engine,
+    lastTrick: room.gameState.lastTrick,
+    points,
+    totals,
+    gameEnd,
+  };
+}
+
+/**
+ * Je li gotov cijeli meč. Trešeta (partije) i Briskula u seriji igraju više
+ * dijeljenja - tada kraj dijeljenja nosi isFinalGameOver: false.
+ */
+function isMatchOver(gameEnd) {
+  return Boolean(gameEnd?.isGameOver) && gameEnd.isFinalGameOver !== false;
+}
 
-  const playerName = room.players.find((p) => p.id === playerId).name;
+/**
+ * Bodovi za statistiku na kraju meča - u Briskula seriji zbroj svih igara.
+ * @param {Object} totals - { [strana]: bodovi } zadnje igre
+ */
+function matchPoints(room, totals) {
+  const games = room.gameState.series?.games;
+  if (!games?.length) return totals;
+  return games.reduce((sum, game) => {
+    Object.entries(game.points).forEach(([side, points]) => {
+      sum[side] = (sum[side] || 0) + points;
+    });
+    return sum;
+  }, {});
+}
+
+/**
+ * Konačni rezultat meča po stranama - Trešeta zbraja partije (ukupni bodovi
+ * u stanju), Briskula bodove igre ili cijele serije.
+ * @param {Object} totals - { [strana]: bodovi } zadnje igre
+ */
+function finalScore(room, totals) {
+  if (room.gameType !== "treseta") return matchPoints(room, totals);
+  const prefix = room.gameMode === "2v2" ? "totalTeam" : "totalPlayer";
+  const sides =
+    room.gameMode === "2v2" ? [1, 2] : room.players.map((p) => p.playerNumber);
+  return Object.fromEntries(
+    sides.map((side) => [side, room.gameState[`${prefix}${side}Points`] || 0]),
+  );
+}
+
+/**
+ * Strana igrača u bodovanju - u 2v2 tim (igrači 1 i 3 / 2 i 4), inače igrač.
+ */
+function playerSide(room, playerNumber) {
+  if (room.gameMode !== "2v2") return playerNumber;
+  return playerNumber % 2 === 1 ? 1 : 2;
+}
+
+/**
+ * Kapot (Trešeta) ide u statistiku registriranih igrača strane koja ga je
+ * napravila.
+ */
+function recordCapotStats(room, capot) {
+  room.players
+    .filter((p) => playerSide(room, p.playerNumber) === capot.side)
+    .filter((p) => p.userId && !botPlayedFor(p) && !p.isGuest)
+    .forEach((p) => {
+      eloService
+        .recordCapot(p.userId, p.name, room.gameType)
+        .catch((err) => console.error("Error recording capot:", err));
+    });
+}
+
+/**
+ * Upisuje završeni meč u povijest: igrači, sjedala, konačni rezultat,
+ * partije (Trešeta) ili igre serije (Briskula), promjene Elo i trajanje.
+ * @param {Object} room - Soba nakon kraja meča
+ * @param {Object} result - { winner, score, eloUpdates: { [userId]: { change, newElo } } }
+ */
+function recordMatchHistory(room, { winner, score, eloUpdates = {} }) {
+  const finishedAt = new Date();
+  const startedAt = new Date(room.startedAt || room.createdAt || finishedAt);
+
+  eloService
+    .recordMatch({
+      roomId: room.id,
+      gameType: room.gameType,
+      gameMode: room.gameMode,
+      players: room.players.map((p) => ({
+        userId: p.userId || null,
+        name: p.name,
+        playerNumber: p.playerNumber,
+        side: playerSide(room, p.playerNumber),
+        isGuest: p.isGuest === true,
+        isAI: p.isAI === true,
+        // Razdoblja u kojima je umjesto odspojenog igrača igrao AI
+        aiTakeovers: p.aiTakeovers || [],
+        eloChange: eloUpdates[p.userId]?.change ?? 0,
+        newElo: eloUpdates[p.userId]?.newElo ?? null,
+      })),
+      houseRules: room.houseRules || null,
+      winner: winner ?? null,
+      score,
+      partijas: room.gameState.partijas || room.gameState.series?.games || [],
+      moves: room.gameState.moveLog || [],
+      startedAt: startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - startedAt,
+    })
+    .catch((err) => console.error("Error recording match history:", err));
+}
+
+/**
+ * Obrađuje igranje karte za 1v1 - AŽURIRANO za gameType
+ */
+async function processCardPlay1v1(roomId, playerId, clientCard) {
+  const room = gameRooms.get(roomId);
+  if (!room) return;
+
+  const player = room.players.find((p) => p.id === playerId);
+  if (!player) return;
+
+  // Rules engine provjerava vlasništvo karte i pravila (Trešeta: boja)
+  const card = await applyPlayMove(room, player, clientCard);
+  if (!card) return;
+
+  const playerNumber = player.playerNumber;
+  const playerName = player.name;
   // Pošalji ažuriranje svim igračima u sobi
   io.to(roomId).emit("cardPlayed", {
     playerId: playerId,
@@ -4087,152 +4455,106 @@ async function processCardPlay1v1(roomId, playerId, card) {
   });
   broadcastSpectatorUpdate(room);
 
+  const engine = await getRoomEngine(room);
+
   // Ako su odigrane 2 karte, završi rundu
-  if (room.gameState.playedCards.length === 2) {
+  if (engine.isTrickComplete(room.gameState)) {
     setTimeout(() => finishRound1v1(roomId), 1500); // Kratka pauza za animaciju
   } else {
-    // Promijeni red
-    room.gameState.currentPlayer = room.gameState.currentPlayer === 1 ? 2 : 1;
     const currentPlayerName = room.players.find(
       (p) => p.playerNumber === room.gameState.currentPlayer,
     ).name;
 
     // Za Trešetu - pošaljite ažurirane playableCards svakom igraču
-    if (room.gameType === "treseta") {
-      // Extract just the cards from playedCards for getPlayableCards function
-      const playedCardsOnly = room.gameState.playedCards.map((pc) => pc.card);
-
-      const player1PlayableCards = getPlayableCards(
-        room.gameState.player1Hand,
-        playedCardsOnly,
-      );
-      const player2PlayableCards = getPlayableCards(
-        room.gameState.player2Hand,
-        playedCardsOnly,
-      );
-
-      const player1Socket = io.sockets.sockets.get(
-        room.players.find((p) => p.playerNumber === 1)?.id,
-      );
-      const player2Socket = io.sockets.sockets.get(
-        room.players.find((p) => p.playerNumber === 2)?.id,
-      );
-
-      if (player1Socket) {
-        player1Socket.emit("playableCardsUpdate", {
-          playableCards: player1PlayableCards,
-        });
-      }
-      if (player2Socket) {
-        player2Socket.emit("playableCardsUpdate", {
-          playableCards: player2PlayableCards,
-        });
-      }
+    if (tracksPlayableCards(room)) {
+      room.players.forEach((p) => {
+        const playerSocket = io.sockets.sockets.get(p.id);
+        if (playerSocket) {
+          playerSocket.emit("playableCardsUpdate", {
+            playableCards: engine.playableCards(room.gameState, p.playerNumber),
+          });
+        }
+      });
     }
 
     io.to(roomId).emit("turnChange", {
       currentPlayer: room.gameState.currentPlayer,
       currentPlayerName: currentPlayerName,
     });
+    scheduleBotTurn(room);
   }
 }
 
 /**
- * Obrađuje igranje karte za 2v2 - NOVO
+ * Šalju li se klijentima igrive karte - u Trešeti uvijek, u Briskuli samo uz
+ * pravilo odgovaranja u završnici (inače je svaka karta igriva).
  */
-async function processCardPlay2v2(roomId, playerId, card) {
-  const room = gameRooms.get(roomId);
-  if (!room) return;
-
-  // Import correct logic based on gameType
-  let getNextPlayer2v2, isValidMove, getPlayableCards;
-  if (room.gameType === "treseta") {
-    const treseta2v2 = await import("../core/gameLogicTreseta2v2.js");
-    getNextPlayer2v2 = treseta2v2.getNextPlayer2v2;
-    isValidMove = treseta2v2.isValidMove;
-    getPlayableCards = treseta2v2.getPlayableCards;
-  } else {
-    const logic2v2 = await import("../core/gameLogicBriskula2v2.js");
-    getNextPlayer2v2 = logic2v2.getNextPlayer2v2;
-  }
-
-  const playerNumber = room.players.find((p) => p.id === playerId).playerNumber;
-  const playerHand = room.gameState[`player${playerNumber}Hand`];
-
-  // Validate move for Trešeta
-  if (room.gameType === "treseta") {
-    const playedCardsOnly = room.gameState.playedCards.map((pc) => pc.card);
-    const validation = isValidMove(card, playerHand, playedCardsOnly);
+function tracksPlayableCards(room) {
+  return (
+    room.gameType === "treseta" ||
+    (room.gameState?.endgameRule || "off") !== "off"
+  );
+}
 
-    if (!validation.isValid) {
-      const playerSocket = io.sockets.sockets.get(playerId);
-      if (playerSocket) {
-        playerSocket.emit("invalidMove", { reason: validation.reason });
-      }
-      return;
-    }
+/**
+ * Osvježava player{N}PlayableCards u stanju Trešete 2v2 i u troje (čitaju
+ * ih gameStart i reconnect payloadi) te Briskule s pravilom završnice.
+ */
+function refreshPlayableCards2v2(room, engine) {
+  if (!tracksPlayableCards(room) || room.gameMode === "1v1") return;
+  for (let n = 1; n <= engine.seats; n++) {
+    room.gameState[`player${n}PlayableCards`] = engine.playableCards(
+      room.gameState,
+      n,
+    );
   }
+}
 
-  // Ako je prva karta u rundi, zapišii tko je počeo
-  if (room.gameState.playedCards.length === 0) {
-    room.gameState.roundStartPlayer = playerNumber;
-  }
+/**
+ * Obrađuje igranje karte za 2v2 - NOVO
+ */
+async function processCardPlay2v2(roomId, playerId, clientCard, signal) {
+  const room = gameRooms.get(roomId);
+  if (!room) return;
 
-  room.gameState.playedCards.push({
-    card: card,
-    playerNumber: playerNumber,
-  });
+  const player = room.players.find((p) => p.id === playerId);
+  if (!player) return;
 
-  room.gameState[`player${playerNumber}Hand`] = room.gameState[
-    `player${playerNumber}Hand`
-  ].filter((c) => c.id !== card.id);
+  // Rules engine provjerava vlasništvo karte i pravila (Trešeta: boja)
+  const card = await applyPlayMove(room, player, clientCard, signal);
+  if (!card) return;
 
-  const playerName = room.players.find((p) => p.id === playerId).name;
+  const playerNumber = player.playerNumber;
+  const playerName = player.name;
   io.to(roomId).emit("cardPlayed", {
     playerId: playerId,
     playerNumber: playerNumber,
     playerName: playerName,
     card: card,
+    ...(signal && { signal }),
     playedCards: room.gameState.playedCards.map((pc) => ({
       ...pc.card,
       playerNumber: pc.playerNumber,
       playerName: room.players.find((p) => p.playerNumber === pc.playerNumber)
         ?.name,
+      ...(pc.signal && { signal: pc.signal }),
     })),
   });
   broadcastSpectatorUpdate(room);
 
-  if (room.gameState.playedCards.length === 4) {
-    setTimeout(() => finishRound2v2(roomId), 2000);
-  } else {
-    room.gameState.currentPlayer = getNextPlayer2v2(
-      room.gameState.currentPlayer,
-    );
+  const engine = await getRoomEngine(room);
 
+  if (engine.isTrickComplete(room.gameState)) {
+    const finishRound =
+      room.gameMode === "2v2" ? finishRound2v2 : finishRoundFFA;
+    setTimeout(() => finishRound(roomId), 2000);
+  } else {
     // Ažuriraj playableCards za Trešetu nakon odigrane karte
-    if (room.gameType === "treseta") {
-      const tresetaLogic = await import("../core/gameLogicTreseta2v2.js");
-      const playedCardsOnly = room.gameState.playedCards.map((pc) => pc.card);
+    if (tracksPlayableCards(room)) {
+      refreshPlayableCards2v2(room, engine);
 
-      room.gameState.player1PlayableCards = tresetaLogic.getPlayableCards(
-        room.gameState.player1Hand,
-        playedCardsOnly,
-      );
-      room.gameState.player2PlayableCards = tresetaLogic.getPlayableCards(
-        room.gameState.player2Hand,
-        playedCardsOnly,
-      );
-      room.gameState.player3PlayableCards = tresetaLogic.getPlayableCards(
-        room.gameState.player3Hand,
-        playedCardsOnly,
-      );
-      room.gameState.player4PlayableCards = tresetaLogic.getPlayableCards(
-        room.gameState.player4Hand,
-        playedCardsOnly,
-      );
-
-      // Pošalji ažurirane playableCards svim igračima
-      io.to(roomId).emit("playableCardsUpdate", {
+      // Pošalji ažurirane playableCards - svaki igrač dobiva samo svoje
+      emitProjected(io, room, "playableCardsUpdate", {
         player1PlayableCards: room.gameState.player1PlayableCards,
         player2PlayableCards: room.gameState.player2PlayableCards,
         player3PlayableCards: room.gameState.player3PlayableCards,
@@ -4247,251 +4569,226 @@ async function processCardPlay2v2(roomId, playerId, card) {
       currentPlayer: room.gameState.currentPlayer,
       currentPlayerName: currentPlayerName,
     });
+    scheduleBotTurn(room);
   }
 }
 
 /**
- * Završava rundu za 1v1 - AŽURIRANO za gameType
+ * Novi bot igrač za custom sobu. Bot nema socket - id samo označava
+ * sjedalo, a emitovi prema njemu (io.to, emitProjected) se preskaču.
  */
-async function finishRound1v1(roomId) {
-  const room = gameRooms.get(roomId);
-  if (!room || room.gameState.playedCards.length !== 2) return;
+function createBotPlayer(room, difficulty) {
+  const playerNumber = room.players.length + 1;
+  const botNumber = room.players.filter((p) => p.isAI).length + 1;
+  return {
+    id: `bot:${uuidv4()}`,
+    name: `AI Bot ${botNumber}`,
+    userId: null,
+    isGuest: false,
+    isAI: true,
+    aiDifficulty: difficulty,
+    playerNumber,
+    isConnected: true,
+    team: room.gameMode === "2v2" ? (playerNumber % 2 === 1 ? 1 : 2) : null,
+  };
+}
 
-  // Importiraj odgovarajuću logiku
-  let gameLogic;
-  if (room.gameType === "treseta") {
-    gameLogic = await import("../core/gameLogicTreseta.js");
-  } else {
-    gameLogic = await import("../core/gameLogicBriskula.js");
-  }
+/**
+ * Igra li za ovo sjedalo bot - bot igrač ili odspojeni igrač kojeg je
+ * preuzeo AI (AI_TAKEOVER).
+ */
+function isBotSeat(player) {
+  return Boolean(player?.isAI || player?.aiControlled);
+}
 
-  const { determineRoundWinner, calculatePoints, checkGameEnd } = gameLogic;
+/**
+ * Je li bot igrao za ovo sjedalo barem dio igre - takvo sjedalo ne ulazi
+ * u Elo ni u statistiku.
+ */
+function botPlayedFor(player) {
+  return Boolean(player?.isAI || player?.aiTakeovers?.length);
+}
 
-  const [cardA, cardB] = room.gameState.playedCards;
-  // cardA je prva odigrana karta, cardB je druga
-  // firstPlayer je igrač koji je prvi bacio kartu (iz playedCards)
-  const firstPlayer = cardA.playerNumber;
-  const card1 = cardA.card; // Karta koju je igrao firstPlayer
-  const card2 = cardB.card; // Karta koju je igrao drugi igrač
+/**
+ * Bot preuzima sjedalo odspojenog igrača. Igrač ostaje vlasnik sjedala
+ * (Elo, povijest mečeva), a preuzimanje se pamti u player.aiTakeovers.
+ * Bot ne igra ako za stolom nije ostao nijedan povezani igrač.
+ * @returns {boolean} Je li bot preuzeo sjedalo
+ */
+function startAiTakeover(room, player) {
+  if (AI_TAKEOVER === "off" || !room || !player || player.isAI) return false;
+  if (player.aiControlled) return true;
+  if (room.gameState?.gamePhase === "finished") return false;
 
-  let roundWinner;
-  if (room.gameType === "treseta") {
-    // Trešeta nema trump suit
-    roundWinner = determineRoundWinner(card1, card2, firstPlayer);
-  } else {
-    // Briskula ima trump suit
-    roundWinner = determineRoundWinner(
-      card1,
-      card2,
-      room.gameState.trumpSuit,
-      firstPlayer,
-    );
-  }
+  const othersConnected = room.players.some(
+    (p) => p !== player && !isBotSeat(p) && p.isConnected,
+  );
+  if (!othersConnected) return false;
 
-  // Dodijeli karte pobjedniku - izvuci samo card objekte, ne cijeli playedCards objekt
-  const wonCards = room.gameState.playedCards.map((pc) => pc.card);
-  if (roundWinner === 1) {
-    room.gameState.player1Cards.push(...wonCards);
-  } else {
-    room.gameState.player2Cards.push(...wonCards);
-  }
+  player.aiControlled = true;
+  player.aiTakeovers = [
+    ...(player.aiTakeovers || []),
+    { startedAt: new Date().toISOString(), endedAt: null },
+  ];
+  scheduleBotTurn(room);
+  return true;
+}
 
-  // Uzmi nove karte iz špila i čuvaj informacije o pokupljenim kartama
-  let newCards = { player1: null, player2: null };
-
-  if (room.gameState.remainingDeck.length >= 2) {
-    // Normalno uzimanje - pobjednik uzima prvu, drugi uzima drugu
-    if (roundWinner === 1) {
-      const card1 = room.gameState.remainingDeck[0];
-      const card2 = room.gameState.remainingDeck[1];
-      room.gameState.player1Hand.push(card1);
-      room.gameState.player2Hand.push(card2);
-      newCards = { player1: card1, player2: card2 };
-    } else {
-      const card1 = room.gameState.remainingDeck[0];
-      const card2 = room.gameState.remainingDeck[1];
-      room.gameState.player2Hand.push(card1);
-      room.gameState.player1Hand.push(card2);
-      newCards = { player1: card2, player2: card1 };
-    }
-    room.gameState.remainingDeck = room.gameState.remainingDeck.slice(2);
-  } else if (room.gameState.remainingDeck.length === 1) {
-    // Zadnja karta u špilu
-    if (room.gameType === "briskula") {
-      // Briskula: pobjednik uzima zadnju kartu, drugi uzima trump
-      if (roundWinner === 1) {
-        const lastCard = room.gameState.remainingDeck[0];
-        const trumpCard = room.gameState.trump;
-        room.gameState.player1Hand.push(lastCard);
-        room.gameState.player2Hand.push(trumpCard);
-        newCards = { player1: lastCard, player2: trumpCard };
-      } else {
-        const lastCard = room.gameState.remainingDeck[0];
-        const trumpCard = room.gameState.trump;
-        room.gameState.player2Hand.push(lastCard);
-        room.gameState.player1Hand.push(trumpCard);
-        newCards = { player1: trumpCard, player2: lastCard };
-      }
-      room.gameState.trump = null;
-    } else {
-      // Trešeta: samo pobjednik uzima zadnju kartu
-      const lastCard = room.gameState.remainingDeck[0];
-      if (roundWinner === 1) {
-        room.gameState.player1Hand.push(lastCard);
-        newCards = { player1: lastCard, player2: null };
-      } else {
-        room.gameState.player2Hand.push(lastCard);
-        newCards = { player1: null, player2: lastCard };
-      }
-    }
-    room.gameState.remainingDeck = [];
-  }
+/**
+ * Igrač se vratio - sjedalo odmah ponovno igra on (zakazani potez bota
+ * provjerava isBotSeat kad istekne razmišljanje).
+ */
+function endAiTakeover(player) {
+  if (!player?.aiControlled) return;
+  player.aiControlled = false;
+  const current = player.aiTakeovers?.[player.aiTakeovers.length - 1];
+  if (current && !current.endedAt) current.endedAt = new Date().toISOString();
+}
 
-  // Provjeri završetak igre - različito za Briskula/Trešeta
-  let gameEnd;
-  let player1Points, player2Points;
+/**
+ * Grace period je istekao: uz AI_TAKEOVER bot nastavlja igrati umjesto
+ * igrača i soba ostaje otvorena (igrač se još uvijek može vratiti).
+ * @returns {boolean} Igra li bot i dalje za igrača
+ */
+function keepSeatWithAi(room, player) {
+  if (player.aiControlled) return true;
+  if (!startAiTakeover(room, player)) return false;
+
+  io.to(room.id).emit("aiTakeover", {
+    playerNumber: player.playerNumber,
+    playerName: player.name,
+    message: `AI bot igra dok se ${player.name} ne vrati`,
+  });
+  return true;
+}
 
-  if (room.gameType === "treseta") {
-    // Trešeta logika
-    player1Points = calculatePoints(
-      room.gameState.player1Cards,
-      room.gameState.ultimaWinner,
-      1,
-    );
-    player2Points = calculatePoints(
-      room.gameState.player2Cards,
-      room.gameState.ultimaWinner,
-      2,
-    );
+/**
+ * Zakazuje potez bota ako je bot na redu. Poziva se nakon svake promjene
+ * reda (početak igre, odigrana karta, kraj ruke, nova partija) - je li
+ * potez još na botu provjerava se tek kad istekne "razmišljanje".
+ */
+function scheduleBotTurn(room) {
+  if (!room?.players.some(isBotSeat) || botTurnTimeouts.has(room.id)) {
+    return;
+  }
+  const delay =
+    BOT_THINK_MS.min + Math.random() * (BOT_THINK_MS.max - BOT_THINK_MS.min);
+  const timeoutId = setTimeout(() => {
+    botTurnTimeouts.delete(room.id);
+    playBotTurn(room.id).catch((err) => {
+      console.error(`Error playing bot turn in room ${room.id}:`, err);
+    });
+  }, delay);
+  botTurnTimeouts.set(room.id, timeoutId);
+}
 
-    // Izračunaj akuže ako su sve karte odigrane
-    const isPartidaFinished =
-      room.gameState.remainingDeck.length === 0 &&
-      room.gameState.player1Hand.length === 0 &&
-      room.gameState.player2Hand.length === 0;
+/**
+ * Bot odigra kartu istim putem kao igrač (processCardPlay1v1/2v2).
+ * Karta se bira samo iz onoga što bot smije znati (core/botPlayer.js).
+ */
+async function playBotTurn(roomId) {
+  const room = gameRooms.get(roomId);
+  const gs = room?.gameState;
+  if (!gs || (room.isCustom && room.status !== "playing")) return;
+  // Trešeta 2v2 stanje nema gamePhase dok partija traje
+  if (gs.gamePhase && gs.gamePhase !== "playing") return;
 
-    if (isPartidaFinished) {
-      room.gameState.ultimaWinner = roundWinner; // Zadnja ruka
-    }
+  const bot = room.players.find(
+    (p) => isBotSeat(p) && p.playerNumber === gs.currentPlayer,
+  );
+  if (!bot) return;
 
-    // For 1v1 Treseta with long-term scoring
+  const engine = await getRoomEngine(room);
+  if (engine.isTrickComplete(gs) || engine.isTerminal(gs)) return;
 
-    if (
-      room.gameMode === "1v1" &&
-      room.gameState.totalPlayer1Points !== undefined
-    ) {
-      if (isPartidaFinished) {
-        // Add akuze to base points for total partija score
-        const player1PartidaPoints = player1Points.points + room.gameState.player1Akuze.points;
-        const player2PartidaPoints = player2Points.points + room.gameState.player2Akuze.points;
-
-        // Add partija points to totals
-        room.gameState.totalPlayer1Points += player1PartidaPoints;
-        room.gameState.totalPlayer2Points += player2PartidaPoints;
-
-        // Add to partijas history
-        room.gameState.partijas.push({
-          partija: room.gameState.currentPartija,
-          player1Points: player1PartidaPoints,
-          player2Points: player2PartidaPoints,
-          winner:
-            player1PartidaPoints > player2PartidaPoints
-              ? 1
-              : player2PartidaPoints > player1PartidaPoints
-                ? 2
-                : 0,
-        });
+  if (
+    room.gameType === "treseta" &&
+    room.akuzeEnabled !== false &&
+    isAkuzeWindowOpen(room, bot.playerNumber)
+  ) {
+    await declareBotAkuze(room, bot);
+  }
 
-        // Check if match is finished (target score reached)
-        const matchFinished =
-          room.gameState.totalPlayer1Points >= room.gameState.targetScore ||
-          room.gameState.totalPlayer2Points >= room.gameState.targetScore;
-
-        if (matchFinished) {
-          // Match is completely finished
-          gameEnd = {
-            isGameOver: true,
-            isPartidaOver: true,
-            winner:
-              room.gameState.totalPlayer1Points >= room.gameState.targetScore
-                ? 1
-                : 2,
-            reason: `Match finished: ${room.gameState.totalPlayer1Points} - ${room.gameState.totalPlayer2Points}`,
-          };
-        } else {
-          // Just partija finished, match continues
-          gameEnd = {
-            isGameOver: false,
-            isPartidaOver: true,
-            winner: null,
-            reason: `Partija ${room.gameState.currentPartija} finished: ${player1PartidaPoints} - ${player2PartidaPoints}`,
-          };
-        }
-      } else {
-        // Round finished but partija continues
-        gameEnd = { isGameOver: false, isPartidaOver: false };
-      }
-    } else {
-      // Original single-game logic for non-1v1 or games without long-term scoring
-      gameEnd = checkGameEnd(
-        player1Points,
-        player2Points,
-        room.gameState.player1Akuze,
-        room.gameState.player2Akuze,
-        room.gameState.remainingDeck,
-        room.gameState.player1Hand,
-        room.gameState.player2Hand,
-        room.gameState.totalPlayer1Points || 0,
-        room.gameState.totalPlayer2Points || 0,
-        room.gameState.targetScore,
-      );
-    }
+  const { chooseBotCardId } = await import("../core/botPlayer.js");
+  const cardId = chooseBotCardId(engine, room.gameState, bot.playerNumber, {
+    difficulty: bot.isAI ? bot.aiDifficulty : AI_TAKEOVER_DIFFICULTY,
+  });
+  const card = { id: cardId };
+
+  if (room.gameMode === "1v1") {
+    await processCardPlay1v1(roomId, bot.id, card);
   } else {
-    // Briskula logika
-    player1Points = calculatePoints(room.gameState.player1Cards);
-    player2Points = calculatePoints(room.gameState.player2Cards);
-
-    // Za Briskulu, čuvaj ko je uzeo zadnju štiku za tie-breaker
-    room.gameState.lastTrickWinner = roundWinner;
-
-    gameEnd = checkGameEnd(
-      player1Points,
-      player2Points,
-      room.gameState.remainingDeck,
-      room.gameState.player1Hand,
-      room.gameState.player2Hand,
-      room.gameState.lastTrickWinner,
-    );
+    await processCardPlay2v2(roomId, bot.id, card);
+  }
+}
 
-    // Debug: Log player mapping and points
-    if (gameEnd.isGameOver) {
-      const p1 = room.players.find((p) => p.playerNumber === 1);
-      const p2 = room.players.find((p) => p.playerNumber === 2);
-    }
+/**
+ * Bot akuža prije svoje prve karte u partiji (najjači akuž, kao AI u
+ * lokalnoj igri).
+ */
+async function declareBotAkuze(room, bot) {
+  const { checkAiAkuze } = await import("../core/tresetaAI.js");
+  const { addAkuze } = await import("../core/tresetaCommon.js");
+  const { MOVE_LOG_TYPES, publicAkuz } = await import("../core/moveLog.js");
+  const seat = bot.playerNumber;
+  const declared = room.gameState[`player${seat}Akuze`]?.details || [];
+
+  const akuze = checkAiAkuze(
+    room.gameState[`player${seat}Hand`],
+    room.gameState.akuzeTypes,
+  ).filter(
+    (a) =>
+      !declared.some(
+        (d) => d.type === a.type && d.description === a.description,
+      ),
+  );
+
+  for (const available of akuze) {
+    const akuz = publicAkuz(available);
+    room.gameState = addAkuze(room.gameState, seat, akuz, {
+      playerName: bot.name,
+    });
+    await logMove(room, { type: MOVE_LOG_TYPES.AKUZE, seat, akuz });
+
+    io.to(room.id).emit("akuzeAnnounced", {
+      playerNumber: seat,
+      playerName: bot.name,
+      akuz,
+      ...(room.gameMode === "2v2" && { team: playerSide(room, seat) }),
+    });
   }
 
-  // Ažuriraj stanje
-  room.gameState.playedCards = [];
-  room.gameState.currentPlayer = roundWinner;
-  room.gameState.version = Date.now(); // Add version for sync
-  room.gameState.lastMove = new Date();
+  if (akuze.length > 0) broadcastSpectatorUpdate(room);
+}
+
+/**
+ * Završava rundu za 1v1 - AŽURIRANO za gameType
+ */
+async function finishRound1v1(roomId) {
+  const room = gameRooms.get(roomId);
+  if (!room || room.gameState.playedCards.length !== 2) return;
+
+  const { engine, lastTrick, points, gameEnd } = await collectTrick(room);
+  const roundWinner = lastTrick.winner;
+
+  // Karte pokupljene iz špila (za animaciju na klijentu)
+  const newCards = {
+    player1: lastTrick.drawn[1] || null,
+    player2: lastTrick.drawn[2] || null,
+  };
+
+  // Briskula: broj bodova; Trešeta: { points, bele, totalPossible }
+  const player1Points = points[1];
+  const player2Points = points[2];
 
   // Handle game end logic
   if (gameEnd.isGameOver) {
-    // For Briskula, isGameOver = isFinalGameOver (no partija system)
-    const isFinalOver =
-      room.gameType === "briskula"
-        ? gameEnd.isGameOver
-        : gameEnd.isFinalGameOver;
+    // Briskula bez serije: kraj igre je kraj meča
+    const isFinalOver = isMatchOver(gameEnd);
 
-    // Ažuriraj totalScore ako je Trešeta
-    if (
-      room.gameType === "treseta" &&
-      gameEnd.newTotalPlayer1Points !== undefined
-    ) {
-      room.gameState.totalPlayer1Points = gameEnd.newTotalPlayer1Points;
-      room.gameState.totalPlayer2Points = gameEnd.newTotalPlayer2Points;
-    }
+    if (gameEnd.capot) recordCapotStats(room, gameEnd.capot);
+
+    // Ukupni rezultat Trešete već je upisao rules engine (afterTrick)
 
     if (isFinalOver) {
       // Konačna pobjeda - završi sovu
@@ -4504,6 +4801,13 @@ async function finishRound1v1(roomId) {
 
       // === ELO UPDATE FOR 1v1 GAMES ===
 
+      // Elo se računa jednom za cijelu seriju
+      const scores = matchPoints(room, {
+        1: player1Points,
+        2: player2Points,
+      });
+      let eloUpdatesPromise = Promise.resolve({});
+
       if (room.gameMode === "1v1" && room.players.length === 2) {
         if (gameEnd.winner == null) {
         } else {
@@ -4514,54 +4818,65 @@ async function finishRound1v1(roomId) {
             (p) => p.playerNumber !== gameEnd.winner,
           );
 
-          if (winner && loser && !winner.isAI && !loser.isAI) {
+          if (
+            winner &&
+            loser &&
+            !botPlayedFor(winner) &&
+            !botPlayedFor(loser)
+          ) {
             // Skip if BOTH players are guests (no persistent stats)
             const winnerIsGuest = winner.isGuest === true;
             const loserIsGuest = loser.isGuest === true;
 
             if (!winnerIsGuest || !loserIsGuest) {
-              eloService
+              eloUpdatesPromise = eloService
                 .processGameResult1v1(
                   { userId: winner.userId, userName: winner.name },
                   { userId: loser.userId, userName: loser.name },
                   room.gameType,
                   {
-                    winnerScore:
-                      gameEnd.winner === 1 ? player1Points : player2Points,
-                    loserScore:
-                      gameEnd.winner === 1 ? player2Points : player1Points,
+                    winnerScore: gameEnd.winner === 1 ? scores[1] : scores[2],
+                    loserScore: gameEnd.winner === 1 ? scores[2] : scores[1],
                   },
                 )
                 .then((eloResult) => {
+                  const eloUpdates = {
+                    [winner.userId]: {
+                      change: eloResult.winnerChange,
+                      newElo: eloResult.winnerNewElo,
+                    },
+                    [loser.userId]: {
+                      change: eloResult.loserChange,
+                      newElo: eloResult.loserNewElo,
+                    },
+                  };
                   // Send ELO change to players
                   if (
                     eloResult.winnerChange !== 0 ||
                     eloResult.loserChange !== 0
                   ) {
-                    io.to(roomId).emit("eloUpdate", {
-                      [winner.userId]: {
-                        change: eloResult.winnerChange,
-                        newElo: eloResult.winnerNewElo,
-                      },
-                      [loser.userId]: {
-                        change: eloResult.loserChange,
-                        newElo: eloResult.loserNewElo,
-                      },
-                    });
+                    io.to(roomId).emit("eloUpdate", eloUpdates);
                   }
+                  return eloUpdates;
                 })
                 .catch((err) => {
                   console.error("Error processing ELO:", err);
+                  return {};
                 });
             }
           }
         }
       }
-    } else if (
-      room.gameType === "treseta" &&
-      gameEnd.isFinalGameOver === false
-    ) {
-      // Partija završena u Trešeti, pripremi novu partiju
+
+      eloUpdatesPromise.then((eloUpdates) =>
+        recordMatchHistory(room, {
+          winner: gameEnd.winner,
+          score: finalScore(room, scores),
+          eloUpdates,
+        }),
+      );
+    } else if (gameEnd.isFinalGameOver === false) {
+      // Partija u Trešeti ili igra Briskula serije - pripremi novo dijeljenje
       room.gameState.gamePhase = "partidaFinished";
       room.gameState.winner = gameEnd.partidaWinner;
 
@@ -4582,6 +4897,10 @@ async function finishRound1v1(roomId) {
   }
 
   // Save game state asynchronously
+  // Dijeljenje je gotovo - otkrij seed miješanja
+  const fairnessReveal =
+    gameEnd.isGameOver || gameEnd.isPartidaOver ? revealDealSeed(room) : null;
+
   gameStateManager.saveGameState(room.id, room).catch((err) => {
     console.error("Error saving game state:", err);
   });
@@ -4592,6 +4911,7 @@ async function finishRound1v1(roomId) {
     player1Points: player1Points,
     player2Points: player2Points,
     gameEnd: gameEnd,
+    ...(fairnessReveal && { fairnessReveal }),
     currentPlayer: room.gameState.currentPlayer,
     remainingCards: room.gameState.remainingDeck.length,
     player1Hand: room.gameState.player1Hand,
@@ -4608,33 +4928,32 @@ async function finishRound1v1(roomId) {
   } else {
     roundFinishedData.trump = room.gameState.trump; // Može biti null ako je uzeta
     roundFinishedData.trumpSuit = room.gameState.trumpSuit;
+    if (room.gameState.series) {
+      roundFinishedData.series = room.gameState.series;
+    }
   }
 
   // Za Trešetu - pošaljite ažurirane playableCards ako igra nije završena
-  if (room.gameType === "treseta" && !gameEnd.isGameOver) {
-    const { getPlayableCards } = gameLogic;
-
-    // playedCards should be empty at start of new round
-    const playedCardsOnly = room.gameState.playedCards.map((pc) => pc.card);
-
-    const player1PlayableCards = getPlayableCards(
-      room.gameState.player1Hand,
-      playedCardsOnly,
+  if (tracksPlayableCards(room) && !gameEnd.isGameOver) {
+    roundFinishedData.player1PlayableCards = engine.playableCards(
+      room.gameState,
+      1,
     );
-    const player2PlayableCards = getPlayableCards(
-      room.gameState.player2Hand,
-      playedCardsOnly,
+    roundFinishedData.player2PlayableCards = engine.playableCards(
+      room.gameState,
+      2,
     );
-
-    roundFinishedData.player1PlayableCards = player1PlayableCards;
-    roundFinishedData.player2PlayableCards = player2PlayableCards;
   }
 
-  io.to(roomId).emit("roundFinished", roundFinishedData);
+  emitProjected(io, room, "roundFinished", roundFinishedData);
   broadcastSpectatorUpdate(room);
+  scheduleBotTurn(room);
+
+  // Trešeta/Briskula serija: kraj dijeljenja nije kraj meča
+  const matchOver = isMatchOver(gameEnd);
 
   // Check if this is a tournament match that just finished
-  if (gameEnd.isGameOver && room.gameState.isTournamentMatch) {
+  if (matchOver && room.gameState.isTournamentMatch) {
     // Automatically report tournament result
     setTimeout(() => {
       // Emit tournament game finished event to trigger bracket update
@@ -4653,10 +4972,7 @@ async function finishRound1v1(roomId) {
   }
 
   // Only delete room after timeout if it's truly game over (not just partija over for Treseta)
-  if (
-    gameEnd.isGameOver &&
-    (room.gameType !== "treseta" || gameEnd.isFinalGameOver === true)
-  ) {
+  if (matchOver) {
     setTimeout(() => {
       gameRooms.delete(roomId);
     }, 30000);
@@ -4670,157 +4986,26 @@ async function finishRound2v2(roomId) {
   const room = gameRooms.get(roomId);
   if (!room || room.gameState.playedCards.length !== 4) return;
 
-  // Import correct logic based on gameType
-  let determineRoundWinner2v2, getPlayerTeam, calculatePoints, checkGameEnd2v2;
-
-  if (room.gameType === "treseta") {
-    const tresetaLogic = await import("../core/gameLogicTreseta2v2.js");
-    // Za Trešetu proslijedi playedCards direktno
-    determineRoundWinner2v2 = (playedCards, firstPlayer) => {
-      return tresetaLogic.determineRoundWinner(playedCards, firstPlayer);
-    };
-    getPlayerTeam = tresetaLogic.getWinningTeam;
-    calculatePoints = tresetaLogic.calculateTeamPoints;
-    checkGameEnd2v2 = tresetaLogic.checkGameEnd; // Use new checkGameEnd function
-  } else {
-    const logic2v2 = await import("../core/gameLogicBriskula2v2.js");
-    determineRoundWinner2v2 = logic2v2.determineRoundWinner2v2;
-    getPlayerTeam = logic2v2.getPlayerTeam;
-    calculatePoints = logic2v2.calculatePoints;
-    checkGameEnd2v2 = logic2v2.checkGameEnd2v2;
-  }
-
-  // Tko je počeo ovu rundu
-  const firstPlayerInRound = room.gameState.roundStartPlayer;
-
-  const roundWinner = determineRoundWinner2v2(
-    room.gameState.playedCards,
-    firstPlayerInRound,
-    room.gameState.trumpSuit,
-  );
-
-  const winningTeam = getPlayerTeam(roundWinner);
-  const roundCards = room.gameState.playedCards.map((pc) => pc.card);
-
-  // Add cards to winning team
-  if (winningTeam === 1) {
-    room.gameState.team1Cards.push(...roundCards);
-  } else {
-    room.gameState.team2Cards.push(...roundCards);
-  }
-
-  // Draw new cards (same logic as 1v1, but for 4 players)
-  if (room.gameState.remainingDeck.length >= 4) {
-    // Winner draws first, then in order
-    const drawOrder = [];
-    let nextPlayer = roundWinner;
-    for (let i = 0; i < 4; i++) {
-      drawOrder.push(nextPlayer);
-      nextPlayer = nextPlayer === 4 ? 1 : nextPlayer + 1;
-    }
-
-    drawOrder.forEach((playerNum, index) => {
-      room.gameState[`player${playerNum}Hand`].push(
-        room.gameState.remainingDeck[index],
-      );
-    });
-    room.gameState.remainingDeck = room.gameState.remainingDeck.slice(4);
-  } else if (room.gameState.remainingDeck.length > 0) {
-    // Handle remaining cards + trump
-    const remaining = [...room.gameState.remainingDeck];
-    if (room.gameState.trump) remaining.push(room.gameState.trump);
-
-    // Distribute remaining cards starting with winner
-    let playerIndex = roundWinner;
-    remaining.forEach((card) => {
-      room.gameState[`player${playerIndex}Hand`].push(card);
-      playerIndex = playerIndex === 4 ? 1 : playerIndex + 1;
-    });
-
-    room.gameState.remainingDeck = [];
-    room.gameState.trump = null;
-  }
-
-  const allHands = [
-    room.gameState.player1Hand,
-    room.gameState.player2Hand,
-    room.gameState.player3Hand,
-    room.gameState.player4Hand,
-  ];
-
-  // Calculate points - check if all cards are played for ultima bonus
-  const allCardsPlayed =
-    room.gameState.remainingDeck.length === 0 &&
-    allHands.every((hand) => hand.length === 0);
-
-  const ultimaWinner = allCardsPlayed ? winningTeam : null;
+  const { engine, lastTrick, points, totals, gameEnd } =
+    await collectTrick(room);
+  const roundWinner = lastTrick.winner;
+  const winningTeam = lastTrick.side;
 
-  const team1Points = calculatePoints(
-    room.gameState.team1Cards,
-    ultimaWinner,
-    1,
-  );
-  const team2Points = calculatePoints(
-    room.gameState.team2Cards,
-    ultimaWinner,
-    2,
-  );
-
-  // Calculate base points from won cards only (no akuze during game)
-  let team1TotalPoints = team1Points.points;
-  let team2TotalPoints = team2Points.points;
-
-  // DON'T add akuze points here - they are added only at the end of partija
-
-  let gameEnd;
-  if (room.gameType === "treseta") {
-    // Use new checkGameEnd with totalScore for Treseta 2v2
-    const team1Akuze = room.gameState.team1Akuze || [];
-    const team2Akuze = room.gameState.team2Akuze || [];
-
-    gameEnd = checkGameEnd2v2(
-      team1Points,
-      team2Points,
-      team1Akuze,
-      team2Akuze,
-      room.gameState.remainingDeck,
-      room.gameState.player1Hand,
-      room.gameState.player2Hand,
-      room.gameState.player3Hand,
-      room.gameState.player4Hand,
-      room.gameState.totalTeam1Points || 0,
-      room.gameState.totalTeam2Points || 0,
-      room.gameState.targetScore,
-    );
-  } else {
-    gameEnd = checkGameEnd2v2(
-      team1Points,
-      team2Points,
-      room.gameState.remainingDeck,
-      allHands,
-    );
-  }
+  // Briskula: broj bodova; Trešeta: { points, bele, totalPossible }
+  const team1Points = points[1];
+  const team2Points = points[2];
 
-  room.gameState.playedCards = [];
-  room.gameState.currentPlayer = roundWinner; // Pobjednik počinje sljedeću rundu
-  room.gameState.roundStartPlayer = roundWinner; // I on je početni igrač sljedeće runde
-  room.gameState.roundNumber++;
+  // Bodovi iz osvojenih karata - akuže se dodaju tek na kraju partije
+  const team1TotalPoints = totals[1];
+  const team2TotalPoints = totals[2];
 
   if (gameEnd.isGameOver) {
-    // For Briskula, isGameOver = isFinalGameOver (no partija system)
-    const isFinalOver2v2 =
-      room.gameType === "briskula"
-        ? gameEnd.isGameOver
-        : gameEnd.isFinalGameOver;
+    // Briskula bez serije: kraj igre je kraj meča
+    const isFinalOver2v2 = isMatchOver(gameEnd);
 
-    // Ažuriraj totalScore ako je Trešeta
-    if (
-      room.gameType === "treseta" &&
-      gameEnd.newTotalTeam1Points !== undefined
-    ) {
-      room.gameState.totalTeam1Points = gameEnd.newTotalTeam1Points;
-      room.gameState.totalTeam2Points = gameEnd.newTotalTeam2Points;
-    }
+    if (gameEnd.capot) recordCapotStats(room, gameEnd.capot);
+
+    // Ukupni rezultat Trešete već je upisao rules engine (afterTrick)
 
     if (isFinalOver2v2) {
       // Konačna pobjeda - završi sobu
@@ -4850,38 +5035,43 @@ async function finishRound2v2(roomId) {
               (p.playerNumber === 1 || p.playerNumber === 3)),
         );
 
-        // Filter out AI and guests
+        // Filter out AI (and AI takeover seats) and guests
         const validWinners = winningTeam.filter(
-          (p) => p.userId && !p.isAI && !p.isGuest,
+          (p) => p.userId && !botPlayedFor(p) && !p.isGuest,
         );
         const validLosers = losingTeam.filter(
-          (p) => p.userId && !p.isAI && !p.isGuest,
+          (p) => p.userId && !botPlayedFor(p) && !p.isGuest,
         );
+        // Elo se računa jednom za cijelu seriju
+        const teamScores = matchPoints(room, {
+          1: team1TotalPoints,
+          2: team2TotalPoints,
+        });
 
+        let eloUpdatesPromise = Promise.resolve({});
         if (validWinners.length > 0 || validLosers.length > 0) {
-          eloService
+          eloUpdatesPromise = eloService
             .processGameResult2v2(
               winningTeam.map((p) => ({
                 userId: p.userId,
                 userName: p.name,
-                isGuest: p.isGuest,
+                // Sjedalo koje je igrao bot ne dobiva Elo (kao u FFA)
+                isGuest: p.isGuest || botPlayedFor(p),
               })),
               losingTeam.map((p) => ({
                 userId: p.userId,
                 userName: p.name,
-                isGuest: p.isGuest,
+                isGuest: p.isGuest || botPlayedFor(p),
               })),
               room.gameType,
               {
-                winnerScore:
-                  winningTeamNumber === 1 ? team1TotalPoints : team2TotalPoints,
-                loserScore:
-                  winningTeamNumber === 1 ? team2TotalPoints : team1TotalPoints,
+                winnerScore: teamScores[winningTeamNumber],
+                loserScore: teamScores[winningTeamNumber === 1 ? 2 : 1],
               },
             )
             .then((eloResult) => {
+              const eloUpdates = {};
               if (eloResult.changes && eloResult.changes.length > 0) {
-                const eloUpdates = {};
                 eloResult.changes.forEach((change) => {
                   eloUpdates[change.userId] = {
                     change: change.change,
@@ -4890,17 +5080,24 @@ async function finishRound2v2(roomId) {
                 });
                 io.to(roomId).emit("eloUpdate", eloUpdates);
               }
+              return eloUpdates;
             })
             .catch((err) => {
               console.error("Error processing 2v2 ELO:", err);
+              return {};
             });
         }
+
+        eloUpdatesPromise.then((eloUpdates) =>
+          recordMatchHistory(room, {
+            winner: winningTeamNumber,
+            score: finalScore(room, teamScores),
+            eloUpdates,
+          }),
+        );
       }
-    } else if (
-      room.gameType === "treseta" &&
-      gameEnd.isFinalGameOver === false
-    ) {
-      // Partija završena u Trešeti, pripremi novu partiju
+    } else if (gameEnd.isFinalGameOver === false) {
+      // Partija u Trešeti ili igra Briskula serije - pripremi novo dijeljenje
       room.gameState.gamePhase = "partidaFinished";
       room.gameState.winner = gameEnd.partidaWinner;
 
@@ -4916,6 +5113,9 @@ async function finishRound2v2(roomId) {
     }
   }
 
+  // Dijeljenje je gotovo - otkrij seed miješanja
+  const fairnessReveal = gameEnd.isGameOver ? revealDealSeed(room) : null;
+
   const roundFinishedData = {
     roundWinner: roundWinner,
     roundWinningTeam: winningTeam,
@@ -4928,6 +5128,7 @@ async function finishRound2v2(roomId) {
       points: team2TotalPoints, // Send total points including akuze
     },
     gameEnd: gameEnd,
+    ...(fairnessReveal && { fairnessReveal }),
     currentPlayer: room.gameState.currentPlayer,
     remainingCards: room.gameState.remainingDeck.length,
     player1Hand: room.gameState.player1Hand,
@@ -4937,6 +5138,7 @@ async function finishRound2v2(roomId) {
     team1Cards: room.gameState.team1Cards,
     team2Cards: room.gameState.team2Cards,
     trump: room.gameState.trump,
+    ...(room.gameState.series && { series: room.gameState.series }),
     // Add akuze data for Treseta
     ...(room.gameType === "treseta" &&
       room.akuzeEnabled && {
@@ -4950,35 +5152,147 @@ async function finishRound2v2(roomId) {
   };
 
   // Add playableCards for Trešeta
-  if (room.gameType === "treseta") {
-    const tresetaLogic = await import("../core/gameLogicTreseta2v2.js");
-
-    roundFinishedData.player1PlayableCards = tresetaLogic.getPlayableCards(
-      room.gameState.player1Hand,
-      room.gameState.playedCards.map((pc) => pc.card),
-    );
-    roundFinishedData.player2PlayableCards = tresetaLogic.getPlayableCards(
-      room.gameState.player2Hand,
-      room.gameState.playedCards.map((pc) => pc.card),
-    );
-    roundFinishedData.player3PlayableCards = tresetaLogic.getPlayableCards(
-      room.gameState.player3Hand,
-      room.gameState.playedCards.map((pc) => pc.card),
-    );
-    roundFinishedData.player4PlayableCards = tresetaLogic.getPlayableCards(
-      room.gameState.player4Hand,
-      room.gameState.playedCards.map((pc) => pc.card),
-    );
+  if (tracksPlayableCards(room)) {
+    refreshPlayableCards2v2(room, engine);
+
+    roundFinishedData.player1PlayableCards =
+      room.gameState.player1PlayableCards;
+    roundFinishedData.player2PlayableCards =
+      room.gameState.player2PlayableCards;
+    roundFinishedData.player3PlayableCards =
+      room.gameState.player3PlayableCards;
+    roundFinishedData.player4PlayableCards =
+      room.gameState.player4PlayableCards;
   }
 
-  io.to(roomId).emit("roundFinished", roundFinishedData);
+  emitProjected(io, room, "roundFinished", roundFinishedData);
   broadcastSpectatorUpdate(room);
+  scheduleBotTurn(room);
 
   // Only delete room after timeout if it's truly game over (not just partija over for Treseta)
-  if (
-    gameEnd.isGameOver &&
-    (room.gameType !== "treseta" || gameEnd.isFinalGameOver === true)
-  ) {
+  if (isMatchOver(gameEnd)) {
+    setTimeout(() => {
+      gameRooms.delete(roomId);
+    }, 30000);
+  }
+}
+
+/**
+ * Završava rundu za igru svatko za sebe (Briskula 3/4 igrača, Trešeta u troje)
+ */
+async function finishRoundFFA(roomId) {
+  const room = gameRooms.get(roomId);
+  if (!room) return;
+
+  const engine = await getRoomEngine(room);
+  if (!engine.isTrickComplete(room.gameState)) return;
+
+  const { lastTrick, totals, gameEnd } = await collectTrick(room);
+  const seats = room.players.map((p) => p.playerNumber);
+  const isTreseta = room.gameType === "treseta";
+  // Briskula nema seriju partija - kraj dijeljenja je kraj igre
+  const isFinalOver =
+    gameEnd.isGameOver && (!isTreseta || gameEnd.isFinalGameOver);
+
+  if (gameEnd.isGameOver && !isFinalOver) {
+    // Partija završena u Trešeti, serija nastavlja
+    room.gameState.gamePhase = "partidaFinished";
+    room.gameState.winner = gameEnd.partidaWinner;
+  }
+
+  if (isFinalOver) {
+    room.gameState.gamePhase = "finished";
+    room.gameState.winner = gameEnd.winner;
+
+    gameStateManager.markGameAsFinished(room.id).catch((err) => {
+      console.error("Error marking game as finished:", err);
+    });
+
+    // === ELO UPDATE FOR FREE-FOR-ALL GAMES ===
+    const ranking = (gameEnd.ranking || []).map((entry) => {
+      const player = room.players.find(
+        (p) => p.playerNumber === entry.playerNumber,
+      );
+      return {
+        ...entry,
+        userId: player?.userId,
+        userName: player?.name,
+        isGuest: player?.isGuest || botPlayedFor(player),
+      };
+    });
+
+    eloService
+      .processGameResultMultiplayer(ranking, room.gameType)
+      .then((eloResult) => {
+        const eloUpdates = {};
+        if (eloResult.changes && eloResult.changes.length > 0) {
+          eloResult.changes.forEach((change) => {
+            eloUpdates[change.userId] = {
+              change: change.change,
+              newElo: change.newElo,
+            };
+          });
+          io.to(roomId).emit("eloUpdate", eloUpdates);
+        }
+        return eloUpdates;
+      })
+      .catch((err) => {
+        console.error("Error processing free-for-all ELO:", err);
+        return {};
+      })
+      .then((eloUpdates) =>
+        recordMatchHistory(room, {
+          winner: gameEnd.winner,
+          score: finalScore(room, totals),
+          eloUpdates,
+        }),
+      );
+  }
+
+  // Dijeljenje je gotovo - otkrij seed miješanja
+  const fairnessReveal = gameEnd.isGameOver ? revealDealSeed(room) : null;
+
+  // Bodovi iz osvojenih karata po igraču - akuže se dodaju tek na kraju partije
+  const roundFinishedData = {
+    roundWinner: lastTrick.winner,
+    points: totals,
+    gameEnd,
+    ...(fairnessReveal && { fairnessReveal }),
+    newCards: {},
+    currentPlayer: room.gameState.currentPlayer,
+    remainingCards: room.gameState.remainingDeck.length,
+    trump: room.gameState.trump,
+    // Mrtva karta u Trešeti u troje otkriva se na kraju partije
+    ...(isTreseta &&
+      gameEnd.isGameOver && { deadCard: room.gameState.deadCard || null }),
+  };
+  refreshPlayableCards2v2(room, engine);
+  seats.forEach((seat) => {
+    // Karte pokupljene iz špila (za animaciju na klijentu)
+    roundFinishedData.newCards[`player${seat}`] = lastTrick.drawn[seat] || null;
+    roundFinishedData[`player${seat}Hand`] =
+      room.gameState[`player${seat}Hand`];
+    roundFinishedData[`player${seat}Cards`] =
+      room.gameState[`player${seat}Cards`];
+    if (tracksPlayableCards(room)) {
+      roundFinishedData[`player${seat}PlayableCards`] =
+        room.gameState[`player${seat}PlayableCards`];
+    }
+    if (isTreseta) {
+      roundFinishedData[`totalPlayer${seat}Points`] =
+        room.gameState[`totalPlayer${seat}Points`];
+      roundFinishedData[`player${seat}Akuze`] = room.gameState[
+        `player${seat}Akuze`
+      ] || { points: 0, details: [] };
+    }
+  });
+
+  emitProjected(io, room, "roundFinished", roundFinishedData);
+  broadcastSpectatorUpdate(room);
+  scheduleBotTurn(room);
+
+  // Soba se briše tek na kraju cijele serije (ne nakon partije u Trešeti)
+  if (isFinalOver) {
     setTimeout(() => {
       gameRooms.delete(roomId);
     }, 30000);
@@ -5002,7 +5316,8 @@ async function handlePlayerDisconnectWithReconnect(socketId, force = false) {
           const leavingPlayer = room.players[leavingIndex];
           room.players.splice(leavingIndex, 1);
 
-          if (room.players.length === 0) {
+          // Sami botovi ne drže sobu otvorenom
+          if (room.players.every((p) => p.isAI)) {
             if (room.roomCode) {
               unregisterRoomCode(room.roomCode);
             }
@@ -5016,7 +5331,7 @@ async function handlePlayerDisconnectWithReconnect(socketId, force = false) {
             });
 
             if (room.creator === leavingPlayer.name) {
-              room.creator = room.players[0].name;
+              room.creator = room.players.find((p) => !p.isAI).name;
             }
 
             room.status = "waiting";
@@ -5043,6 +5358,10 @@ async function handlePlayerDisconnectWithReconnect(socketId, force = false) {
       // Save game state to preserve it for reconnection
       await gameStateManager.saveGameState(roomId, room);
 
+      // Bot igra umjesto igrača dok traje grace period
+      const aiTakeover =
+        AI_TAKEOVER === "grace" && startAiTakeover(room, disconnectedPlayer);
+
       let message;
       if (room.gameMode === "2v2") {
         // Za 2v2 igre, prikaži tim informacije
@@ -5052,6 +5371,9 @@ async function handlePlayerDisconnectWithReconnect(socketId, force = false) {
         // Za 1v1 igre
         message = `${disconnectedPlayer.name} se odspojio. Može se reconnectati.`;
       }
+      if (aiTakeover) {
+        message += " AI bot igra dok se ne vrati.";
+      }
 
       // Obavijesti ostale igrače
       io.to(roomId).emit("playerDisconnected", {
@@ -5060,6 +5382,7 @@ async function handlePlayerDisconnectWithReconnect(socketId, force = false) {
         gameMode: room.gameMode,
         playerTeam: disconnectedPlayer.team || null,
         canReconnect: true,
+        aiTakeover,
       });
 
       // Set timeout to delete room if no reconnection happens
@@ -5073,6 +5396,9 @@ async function handlePlayerDisconnectWithReconnect(socketId, force = false) {
           );
 
           if (stillDisconnected) {
+            // Uz AI_TAKEOVER bot nastavlja igru umjesto brisanja sobe
+            if (keepSeatWithAi(currentRoom, stillDisconnected)) return;
+
             // Mark player as permanently left
             stillDisconnected.permanentlyLeft = true;
             stillDisconnected.forfeited = true;
@@ -5098,7 +5424,7 @@ async function handlePlayerDisconnectWithReconnect(socketId, force = false) {
           }
         } else {
         }
-      }, 60000); // 60 seconds timeout
+      }, GRACE_PERIOD_MS);
 
       // Store timeout ID in room for potential cleanup
       if (!room.disconnectTimeouts) {
@@ -5173,6 +5499,7 @@ function broadcastGameList() {
       status: room.status,
       createdAt: room.createdAt,
       roomCode: room.roomCode, // Include room code for shareable links
+      houseRules: room.houseRules,
     }));
 
   io.emit("activeGamesUpdate", customGames);
@@ -5183,99 +5510,24 @@ async function startCustomGame(roomId) {
   if (!room) return;
 
   room.status = "playing";
+  room.startedAt = new Date();
   room.gameState.gamePhase = "playing";
 
-  // Import appropriate game logic
-  let gameLogic;
-  if (room.gameType === "treseta") {
-    if (room.gameMode === "2v2") {
-      gameLogic = await import("../core/gameLogicTreseta2v2.js");
-    } else {
-      gameLogic = await import("../core/gameLogicTreseta.js");
-    }
-  } else {
-    if (room.gameMode === "2v2") {
-      gameLogic = await import("../core/gameLogicBriskula2v2.js");
-    } else {
-      gameLogic = await import("../core/gameLogicBriskula.js");
-    }
-  }
-
-  const { createDeck, shuffleDeck, dealCards } = gameLogic;
+  // Početno stanje daje rules engine varijante, prema kućnim pravilima sobe
+  const engine = await getRoomEngine(room);
+  const { houseRulesEngineConfig } = await import("../core/houseRules.js");
 
-  // Create and deal cards
-  const deck = createDeck();
-  const shuffledDeck = shuffleDeck(deck);
-  const dealt = dealCards(shuffledDeck, room.gameMode === "2v2");
-
-  // Create game state based on mode
-  let gameStateData = {
-    currentPlayer: 1,
-    playedCards: [],
-    gamePhase: "playing",
-    winner: null,
-    gameType: room.gameType,
+  // Merge game data with room
+  room.gameState = {
+    ...room.gameState,
+    ...(await dealFairState(
+      engine,
+      houseRulesEngineConfig(room.gameType, room.houseRules),
+    )),
     version: Date.now(),
     lastMove: new Date(),
   };
-
-  if (room.gameMode === "1v1") {
-    gameStateData = {
-      ...gameStateData,
-      player1Hand: dealt.player1Hand,
-      player2Hand: dealt.player2Hand,
-      player1Cards: [],
-      player2Cards: [],
-      remainingDeck: dealt.remainingDeck,
-    };
-
-    // Add game-specific data
-    if (room.gameType === "briskula") {
-      gameStateData.trump = dealt.trump;
-      gameStateData.trumpSuit = dealt.trump.suit;
-      gameStateData.lastTrickWinner = null;
-    } else if (room.gameType === "treseta") {
-      gameStateData.player1Akuze = { points: 0, details: [] };
-      gameStateData.player2Akuze = { points: 0, details: [] };
-      gameStateData.ultimaWinner = null;
-
-      // Long-term scoring for 1v1 Treseta
-      gameStateData.totalPlayer1Points = 0;
-      gameStateData.totalPlayer2Points = 0;
-      gameStateData.partijas = []; // History of completed partijas
-      gameStateData.currentPartija = 1;
-      gameStateData.targetScore = 31; // Target score for match victory
-      gameStateData.hasPlayedFirstCard = false;
-    }
-  } else {
-    // 2v2
-    gameStateData = {
-      ...gameStateData,
-      player1Hand: dealt.player1Hand,
-      player2Hand: dealt.player2Hand,
-      player3Hand: dealt.player3Hand,
-      player4Hand: dealt.player4Hand,
-      team1Cards: [],
-      team2Cards: [],
-      remainingDeck: dealt.remainingDeck,
-    };
-
-    // Add game-specific data
-    if (room.gameType === "briskula") {
-      gameStateData.trump = dealt.trump;
-      gameStateData.trumpSuit = dealt.trump.suit;
-      gameStateData.lastTrickWinner = null;
-    } else if (room.gameType === "treseta") {
-      gameStateData.player1Akuze = { points: 0, details: [] };
-      gameStateData.player2Akuze = { points: 0, details: [] };
-      gameStateData.player3Akuze = { points: 0, details: [] };
-      gameStateData.player4Akuze = { points: 0, details: [] };
-      gameStateData.ultimaWinner = null;
-    }
-  }
-
-  // Merge game data with room
-  room.gameState = { ...room.gameState, ...gameStateData };
+  refreshPlayableCards2v2(room, engine);
 
   try {
     await gameStateManager.saveGameState(roomId, room);
@@ -5283,27 +5535,6 @@ async function startCustomGame(roomId) {
     console.error("Failed to save custom game state:", error);
   }
 
-  // Calculate playable cards for each player
-  const { getPlayableCards } = gameLogic;
-
-  let player1PlayableCards, player2PlayableCards;
-
-  if (room.gameType === "treseta") {
-    // For Treseta, use getPlayableCards function
-    player1PlayableCards = getPlayableCards(
-      room.gameState.player1Hand,
-      room.gameState.playedCards,
-    );
-    player2PlayableCards = getPlayableCards(
-      room.gameState.player2Hand,
-      room.gameState.playedCards,
-    );
-  } else {
-    // For Briskula, all cards are playable
-    player1PlayableCards = room.gameState.player1Hand.map((card) => card.id);
-    player2PlayableCards = room.gameState.player2Hand.map((card) => card.id);
-  }
-
   // Emit game start to each player individually with their playable cards
   room.players.forEach((player) => {
     const playerSocket = io.sockets.sockets.get(player.id);
@@ -5311,20 +5542,23 @@ async function startCustomGame(roomId) {
       const opponent = room.players.find(
         (p) => p.playerNumber !== player.playerNumber,
       );
-      const playableCards =
-        player.playerNumber === 1 ? player1PlayableCards : player2PlayableCards;
+      const playableCards = engine.playableCards(
+        room.gameState,
+        player.playerNumber,
+      );
 
       playerSocket.emit("gameStart", {
         gameState: {
-          ...room.gameState,
+          ...projectGameState(room, seatViewer(player.playerNumber)),
           playableCards: playableCards,
         },
         roomId: roomId,
         gameMode: room.gameMode,
         gameType: room.gameType,
-        players: room.players,
+        players: projectPlayers(room),
         playerNumber: player.playerNumber,
         opponent: opponent ? { name: opponent.name } : null,
+        houseRules: room.houseRules,
         // Include akuze setting for Treseta
         ...(room.gameType === "treseta" &&
           room.akuzeEnabled !== undefined && {
@@ -5336,69 +5570,30 @@ async function startCustomGame(roomId) {
 
   // Remove from game list since it's now playing
   broadcastGameList();
+  scheduleBotTurn(room);
 }
 
-// Function to automatically start new partija in Treseta 1v1 games
+// Function to automatically start new partija in Treseta games and
+// the next game of a Briskula series
 async function startNewPartija(room) {
-  if (
-    !room ||
-    room.gameType !== "treseta" ||
-    (room.gameMode !== "1v1" && room.gameMode !== "2v2")
-  ) {
+  if (!room || (room.gameType !== "treseta" && !room.gameState?.series)) {
     return;
   }
 
   try {
-    // Import game logic
-    const { createDeck, shuffleDeck, dealCards, getPlayableCards } =
-      await import("../core/gameLogicTreseta.js");
-
-    // Create and deal new deck
-    const deck = shuffleDeck(createDeck());
-    const dealt = dealCards(deck, room.gameMode === "2v2");
-
-    // Reset game state for new partija
-    if (room.gameMode === "1v1") {
-      room.gameState.player1Hand = dealt.player1Hand;
-      room.gameState.player2Hand = dealt.player2Hand;
-      room.gameState.player1Cards = [];
-      room.gameState.player2Cards = [];
-
-      // Reset akuze for new partija
-      room.gameState.player1Akuze = { points: 0, details: [] };
-      room.gameState.player2Akuze = { points: 0, details: [] };
-    } else if (room.gameMode === "2v2") {
-      room.gameState.player1Hand = dealt.player1Hand;
-      room.gameState.player2Hand = dealt.player2Hand;
-      room.gameState.player3Hand = dealt.player3Hand;
-      room.gameState.player4Hand = dealt.player4Hand;
-      room.gameState.team1Cards = [];
-      room.gameState.team2Cards = [];
-
-      // Reset akuze for new partija
-      room.gameState.team1Akuze = [];
-      room.gameState.team2Akuze = [];
-    }
-
-    room.gameState.remainingDeck = dealt.remainingDeck;
-    room.gameState.currentPlayer = 1; // Player 1 always starts new partija
-    room.gameState.playedCards = [];
-    room.gameState.gamePhase = "playing";
-    room.gameState.winner = null;
-    room.gameState.ultimaWinner = null;
-    room.gameState.hasPlayedFirstCard = false;
-
-    // Increment partija counter (initialize if undefined)
-    if (
-      !room.gameState.currentPartija ||
-      isNaN(room.gameState.currentPartija)
-    ) {
-      room.gameState.currentPartija = 1;
-    } else {
-      room.gameState.currentPartija += 1;
-    }
-    room.gameState.version = Date.now();
-    room.gameState.lastMove = new Date();
+    // Nova partija iz rules enginea - ukupni rezultat i povijest partija
+    // prenose se iz prethodnog stanja. U Trešeti uvijek počinje igrač 1,
+    // u Briskula seriji prvi igrač se rotira.
+    const engine = await getRoomEngine(room);
+    room.gameState = {
+      ...room.gameState,
+      ...(await dealFairState(engine, { previousState: room.gameState })),
+      version: Date.now(),
+      lastMove: new Date(),
+    };
+    refreshPlayableCards2v2(room, engine);
+    // Spremnost vrijedi samo za partiju koja je upravo završila
+    room.nextPartidaReady?.clear();
 
     // Save state
     try {
@@ -5408,68 +5603,43 @@ async function startNewPartija(room) {
     }
 
     // Calculate playable cards for new partija
-    let partidaData;
-
-    if (room.gameMode === "1v1") {
-      const player1PlayableCards = getPlayableCards(
-        room.gameState.player1Hand,
-        [],
-      );
-      const player2PlayableCards = getPlayableCards(
-        room.gameState.player2Hand,
-        [],
+    const partidaData = {
+      currentPlayer: room.gameState.currentPlayer,
+      remainingCards: room.gameState.remainingDeck.length,
+    };
+    room.players.forEach(({ playerNumber }) => {
+      partidaData[`player${playerNumber}Hand`] =
+        room.gameState[`player${playerNumber}Hand`];
+      partidaData[`player${playerNumber}PlayableCards`] = engine.playableCards(
+        room.gameState,
+        playerNumber,
       );
+    });
 
-      partidaData = {
-        currentPlayer: room.gameState.currentPlayer,
-        remainingCards: room.gameState.remainingDeck.length,
-        player1Hand: room.gameState.player1Hand,
-        player2Hand: room.gameState.player2Hand,
-        player1PlayableCards,
-        player2PlayableCards,
-      };
-    } else if (room.gameMode === "2v2") {
-      const player1PlayableCards = getPlayableCards(
-        room.gameState.player1Hand,
-        [],
-      );
-      const player2PlayableCards = getPlayableCards(
-        room.gameState.player2Hand,
-        [],
-      );
-      const player3PlayableCards = getPlayableCards(
-        room.gameState.player3Hand,
-        [],
-      );
-      const player4PlayableCards = getPlayableCards(
-        room.gameState.player4Hand,
-        [],
-      );
+    // Commitment za novo dijeljenje
+    partidaData.fairness = room.gameState.fairness;
 
-      partidaData = {
-        currentPlayer: room.gameState.currentPlayer,
-        remainingCards: room.gameState.remainingDeck.length,
-        player1Hand: room.gameState.player1Hand,
-        player2Hand: room.gameState.player2Hand,
-        player3Hand: room.gameState.player3Hand,
-        player4Hand: room.gameState.player4Hand,
-        player1PlayableCards,
-        player2PlayableCards,
-        player3PlayableCards,
-        player4PlayableCards,
-      };
+    if (room.gameType === "briskula") {
+      partidaData.trump = room.gameState.trump;
+      partidaData.trumpSuit = room.gameState.trumpSuit;
+      partidaData.trumpSwapRule = room.gameState.trumpSwapRule;
+      partidaData.series = room.gameState.series;
     }
 
     // Send partidaRestarted event to all players in room
     room.players.forEach((player, index) => {
       if (player.isConnected) {
-        io.to(player.id).emit("partidaRestarted", partidaData);
+        io.to(player.id).emit(
+          "partidaRestarted",
+          maskHands(room, seatViewer(player.playerNumber), partidaData),
+        );
       } else {
       }
     });
 
     // Notify spectators of the new partija (public info only)
     broadcastSpectatorUpdate(room);
+    scheduleBotTurn(room);
   } catch (error) {
     console.error(`❌ Error starting new partija for room ${room.id}:`, error);
   }
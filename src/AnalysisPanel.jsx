@@ -0,0 +1,124 @@
+import React, { useState } from "react";
+import { getEngine } from "../core/engines.js";
+import { analyzeGame, MOVE_GRADES } from "../core/analysis.js";
+import "./AnalysisPanel.css";
+
+const GRADE_LABELS = {
+  [MOVE_GRADES.GOOD]: "✅ Dobar potez",
+  [MOVE_GRADES.INACCURACY]: "⚠️ Netočnost",
+  [MOVE_GRADES.BLUNDER]: "❌ Greška",
+};
+
+const cardLabel = (card) => (card ? `${card.name} ${card.suit}` : "");
+
+/**
+ * Panel "Analiza partije" - nakon otvaranja odigra partiju kroz jači
+ * evaluator (core/analysis.js) i prikaže vremensku crtu poteza s ocjenom i
+ * procijenjenim gubitkom bodova.
+ */
+function AnalysisPanel({ match, seats, playerName, onSelect }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [analysis, setAnalysis] = useState(null);
+  const [pending, setPending] = useState(false);
+  const [error, setError] = useState("");
+  const [mistakesOnly, setMistakesOnly] = useState(false);
+
+  if (!match?.moves || match.moves.length === 0) return null;
+
+  const nameOf = (seat) => playerName?.(seat) || `Igrač ${seat}`;
+
+  const runAnalysis = () => {
+    setPending(true);
+    setError("");
+    // Analiza traje sekundu-dvije - pusti prvo da se prikaže "Analiziram..."
+    setTimeout(() => {
+      try {
+        const engine = getEngine(match.gameType, match.gameMode);
+        setAnalysis(analyzeGame(engine, match.moves, { seats }));
+      } catch (err) {
+        console.error("Analysis error:", err);
+        setError(err.message);
+      }
+      setPending(false);
+    }, 50);
+  };
+
+  const toggle = () => {
+    setIsOpen((open) => !open);
+    if (!analysis && !pending) runAnalysis();
+  };
+
+  const moves = (analysis?.moves || []).filter(
+    (move) => !mistakesOnly || move.grade !== MOVE_GRADES.GOOD,
+  );
+
+  return (
+    <div className="analysis-panel">
+      <button className="analysis-toggle" onClick={toggle}>
+        🔍 Analiza partije {isOpen ? "▲" : "▼"}
+      </button>
+
+      {isOpen && (
+        <div className="analysis-body">
+          {pending && <div className="analysis-pending">Analiziram...</div>}
+          {error && <div className="analysis-error">❌ {error}</div>}
+
+          {analysis && (
+            <>
+              {Object.entries(analysis.summary).map(([seat, counts]) => (
+                <div key={seat} className="analysis-summary">
+                  <strong>{nameOf(Number(seat))}</strong>
+                  <span>✅ {counts[MOVE_GRADES.GOOD]}</span>
+                  <span>⚠️ {counts[MOVE_GRADES.INACCURACY]}</span>
+                  <span>❌ {counts[MOVE_GRADES.BLUNDER]}</span>
+                  <span className="analysis-loss">
+                    −{counts.pointLoss} bod.
+                  </span>
+                </div>
+              ))}
+
+              <label className="analysis-filter">
+                <input
+                  type="checkbox"
+                  checked={mistakesOnly}
+                  onChange={(e) => setMistakesOnly(e.target.checked)}
+                />
+                Samo pogreške
+              </label>
+
+              <ol className="analysis-timeline">
+                {moves.map((move) => (
+                  <li
+                    key={move.frameIndex}
+                    className={`analysis-move ${move.grade} ${
+                      onSelect ? "selectable" : ""
+                    }`}
+                    onClick={() => onSelect?.(move.frameIndex)}
+                  >
+                    <span className="analysis-move-card">
+                      {seats?.length === 1 ? "" : `${nameOf(move.seat)}: `}
+                      {cardLabel(move.card)}
+                    </span>
+                    <span className="analysis-move-grade">
+                      {move.forced ? "Jedini potez" : GRADE_LABELS[move.grade]}
+                    </span>
+                    {move.loss > 0 && (
+                      <span className="analysis-loss">−{move.loss}</span>
+                    )}
+                    {move.bestCard && move.grade !== MOVE_GRADES.GOOD && (
+                      <span className="analysis-best">
+                        Bolje: {cardLabel(move.bestCard)}
+                      </span>
+                    )}
+                  </li>
+                ))}
+              </ol>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AnalysisPanel;
@@ -10,15 +10,20 @@ import GameLobby from "./GameLobby";
 import TournamentLobby from "./TournamentLobby";
 import Game from "./Game";
 import Game2v2 from "./Game2v2";
+import GameFFA from "./GameFFA";
 import ReconnectDialog from "./ReconnectDialog";
 import Header from "./Header";
 import Leaderboard from "./Leaderboard";
+import MatchHistory from "./MatchHistory";
 import Footer from "./Footer";
 import BugReportModal from "./BugReportModal";
 import AboutModal from "./AboutModal";
 import PrivacyModal from "./PrivacyModal";
 import "./App.css";
 
+// Lokalne igre protiv AI - bez sobe na serveru
+const LOCAL_AI_MODES = ["1vAI", "1v1v1AI", "2v2AI"];
+
 function AppContent() {
   const {
     isConnected,
@@ -177,7 +182,7 @@ function AppContent() {
       addToast(roomDeletionMessage, "error");
       localStorage.removeItem("roomDeletionMessage");
 
-      if (appState === "game" && gameMode !== "1vAI") {
+      if (appState === "game" && !LOCAL_AI_MODES.includes(gameMode)) {
         resetDeadOnlineGame();
       }
     }
@@ -205,7 +210,7 @@ function AppContent() {
       addToast(message, "warning");
       localStorage.removeItem("reconnectFailureReason");
 
-      if (appState === "game" && gameMode !== "1vAI") {
+      if (appState === "game" && !LOCAL_AI_MODES.includes(gameMode)) {
         resetDeadOnlineGame();
       }
     }
@@ -262,7 +267,7 @@ function AppContent() {
       setGameData({
         gameType: gameType,
         gameMode: "1vAI",
-        aiDifficulty: "hard",
+        aiDifficulty: modeData.aiDifficulty || "hard",
         akuzeEnabled: modeData.akuzeEnabled,
         opponent: { name: "AI Bot", isAI: true },
         gameState: {},
@@ -332,6 +337,10 @@ function AppContent() {
     setAppState("leaderboard");
   };
 
+  const handleOpenMatchHistory = () => {
+    setAppState("matchHistory");
+  };
+
   const handleBackToLogin = () => {
     // Only allow going back to login if user logs out
     logout();
@@ -439,6 +448,7 @@ function AppContent() {
             user={user}
             onLogout={handleLogout}
             onLeaderboard={handleOpenLeaderboard}
+            onMatchHistory={handleOpenMatchHistory}
             onBugReport={() => setShowBugReportModal(true)}
           />
           <GameTypeSelector
@@ -476,17 +486,18 @@ function AppContent() {
             user={user}
             onLogout={handleLogout}
             onLeaderboard={handleOpenLeaderboard}
+            onMatchHistory={handleOpenMatchHistory}
             onBugReport={() => setShowBugReportModal(true)}
           />
           <GameModeSelector
             onModeSelect={(modeData) => {
-              if (modeData.gameMode === "1vAI") {
+              if (LOCAL_AI_MODES.includes(modeData.gameMode)) {
                 // 👉 Direktno u Game (bez matchmakinga)
                 const aiGameData = {
-                  gameMode: "1vAI",
+                  gameMode: modeData.gameMode,
                   opponent: { name: "AI Bot", isAI: true },
                   gameType: gameType, // preuzima odabran tip (briskula/treseta)
-                  aiDifficulty: "hard",
+                  aiDifficulty: modeData.aiDifficulty || "hard",
                   gameState: {}, // Game.jsx sam generira špil
                   // Include akuze setting from modeData
                   ...(modeData.akuzeEnabled !== undefined && {
@@ -495,7 +506,7 @@ function AppContent() {
                 };
 
                 setGameData(aiGameData);
-                setGameMode("1vAI");
+                setGameMode(modeData.gameMode);
                 setAppState("game");
               } else {
                 // 👉 Sve ostalo ide normalno
@@ -538,6 +549,7 @@ function AppContent() {
             user={user}
             onLogout={handleLogout}
             onLeaderboard={handleOpenLeaderboard}
+            onMatchHistory={handleOpenMatchHistory}
             onBugReport={() => setShowBugReportModal(true)}
           />
           <GameLobby
@@ -577,6 +589,7 @@ function AppContent() {
             user={user}
             onLogout={handleLogout}
             onLeaderboard={handleOpenLeaderboard}
+            onMatchHistory={handleOpenMatchHistory}
             onBugReport={() => setShowBugReportModal(true)}
           />
           <TournamentLobby
@@ -632,11 +645,38 @@ function AppContent() {
         </>
       );
 
+    case "matchHistory":
+      return (
+        <>
+          <MatchHistory
+            onBack={handleBackToGameSelect}
+            onLogout={handleLogout}
+            onBugReport={() => setShowBugReportModal(true)}
+          />
+          <Footer
+            onBugReport={() => setShowBugReportModal(true)}
+            onAbout={() => setShowAboutModal(true)}
+            onPrivacy={() => setShowPrivacyModal(true)}
+          />
+          {showBugReportModal && (
+            <BugReportModal onClose={() => setShowBugReportModal(false)} />
+          )}
+          {showAboutModal && (
+            <AboutModal onClose={() => setShowAboutModal(false)} />
+          )}
+          {showPrivacyModal && (
+            <PrivacyModal onClose={() => setShowPrivacyModal(false)} />
+          )}
+        </>
+      );
+
     case "game":
       return (
         <>
-          {gameMode === "2v2" ? (
+          {["2v2", "2v2AI"].includes(gameMode) ? (
             <Game2v2 gameData={gameData} onGameEnd={handleGameEnd} />
+          ) : ["1v1v1", "1v1v1v1", "1v1v1AI"].includes(gameMode) ? (
+            <GameFFA gameData={gameData} onGameEnd={handleGameEnd} />
           ) : (
             <Game gameData={gameData} onGameEnd={handleGameEnd} />
           )}
@@ -1,28 +1,121 @@
 "use client";
 
 import { useState } from "react";
+import {
+  HOUSE_RULES,
+  houseRulesFor,
+  describeHouseRules,
+} from "../core/houseRules.js";
 import "./CreateGameModal.css";
 
+// Broj igrača po načinu igre (svatko za sebe samo u Briskuli)
+const MODE_PLAYERS = { "1v1": 2, "2v2": 4, "1v1v1": 3, "1v1v1v1": 4 };
+
+const MODE_LABELS = {
+  "1v1": "1v1",
+  "2v2": "2v2",
+  "1v1v1": "3 igrača",
+  "1v1v1v1": "4 igrača (svatko za sebe)",
+};
+
+/**
+ * Polje jednog kućnog pravila, prema tipu iz sheme (core/houseRules.js)
+ */
+function HouseRuleField({ name, rule, value, onChange }) {
+  if (rule.type === "boolean") {
+    return (
+      <div className="checkbox-wrapper">
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={value}
+            onChange={(e) => onChange(name, e.target.checked)}
+          />
+          <span className="checkbox-custom"></span>
+          <span className="checkbox-text">{rule.label}</span>
+        </label>
+      </div>
+    );
+  }
+
+  if (rule.type === "choice") {
+    return (
+      <>
+        <label htmlFor={name} className="form-label">
+          {rule.label}
+        </label>
+        <select
+          id={name}
+          value={String(value)}
+          onChange={(e) =>
+            onChange(
+              name,
+              rule.options.find((o) => String(o.value) === e.target.value)
+                .value,
+            )
+          }
+          className="form-input"
+        >
+          {rule.options.map((option) => (
+            <option key={option.value} value={String(option.value)}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </>
+    );
+  }
+
+  // multi - podskup opcija
+  const toggle = (optionValue, checked) =>
+    onChange(
+      name,
+      rule.options
+        .map((o) => o.value)
+        .filter((v) => (v === optionValue ? checked : value.includes(v))),
+    );
+  return (
+    <>
+      <span className="form-label">{rule.label}</span>
+      <div className="house-rules-multi">
+        {rule.options.map((option) => (
+          <label key={option.value} className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={value.includes(option.value)}
+              onChange={(e) => toggle(option.value, e.target.checked)}
+            />
+            <span className="checkbox-custom"></span>
+            <span className="checkbox-text">{option.label}</span>
+          </label>
+        ))}
+      </div>
+    </>
+  );
+}
+
 function CreateGameModal({ gameType, onClose, onCreateGame, createdGameData }) {
   const [formData, setFormData] = useState({
     name: "",
-    maxPlayers: 2, // 2 for 1v1, 4 for 2v2
+    gameMode: "1v1", // 1v1, 2v2, 1v1v1 ili 1v1v1v1
     password: "",
     hasPassword: false,
-    akuzeEnabled: true, // Default to enabled for Treseta
   });
+  // Kućna pravila - zadane vrijednosti iz sheme za sve varijante igre
+  const [houseRules, setHouseRules] = useState(() =>
+    Object.fromEntries(
+      Object.entries(HOUSE_RULES[gameType] || {}).map(([key, rule]) => [
+        key,
+        rule.default,
+      ]),
+    ),
+  );
   const [errors, setErrors] = useState({});
   const [copySuccess, setCopySuccess] = useState(false);
 
   const handleInputChange = (e) => {
     const { name, value, type, checked } = e.target;
-    // Ensure numeric fields (like maxPlayers) are stored as numbers
-    const parsedValue =
-      type === "checkbox"
-        ? checked
-        : name === "maxPlayers"
-          ? parseInt(value, 10)
-          : value;
+    const parsedValue = type === "checkbox" ? checked : value;
 
     setFormData((prev) => ({
       ...prev,
@@ -38,6 +131,16 @@ function CreateGameModal({ gameType, onClose, onCreateGame, createdGameData }) {
     }
   };
 
+  const handleRuleChange = (name, value) => {
+    setHouseRules((prev) => ({ ...prev, [name]: value }));
+  };
+
+  // Samo pravila koja postoje u odabranoj varijanti
+  const modeRules = houseRulesFor(gameType, formData.gameMode);
+  const selectedRules = Object.fromEntries(
+    modeRules.map(([key]) => [key, houseRules[key]]),
+  );
+
   const validateForm = () => {
     const newErrors = {};
 
@@ -72,18 +175,18 @@ function CreateGameModal({ gameType, onClose, onCreateGame, createdGameData }) {
 
     const gameData = {
       name: formData.name.trim(),
-      maxPlayers: parseInt(formData.maxPlayers),
+      gameMode: formData.gameMode,
+      maxPlayers: MODE_PLAYERS[formData.gameMode],
       password: formData.hasPassword ? formData.password : null,
       hasPassword: formData.hasPassword,
-      // Include akuze setting for Treseta
-      ...(gameType === "treseta" && { akuzeEnabled: formData.akuzeEnabled }),
+      houseRules: selectedRules,
     };
 
     onCreateGame(gameData);
   };
 
-  const getGameModeText = (players) => {
-    return players === 2 ? "1v1" : "2v2";
+  const getGameModeText = (gameMode) => {
+    return MODE_LABELS[gameMode] || gameMode;
   };
 
   const getGameIcon = () => {
@@ -134,7 +237,7 @@ function CreateGameModal({ gameType, onClose, onCreateGame, createdGameData }) {
               <p className="game-details">
                 {getGameIcon()}{" "}
                 {gameType.charAt(0).toUpperCase() + gameType.slice(1)} •{" "}
-                {createdGameData.maxPlayers === 2 ? "1v1" : "2v2"}
+                {getGameModeText(createdGameData.gameMode)}
               </p>
             </div>
 
@@ -217,20 +320,20 @@ function CreateGameModal({ gameType, onClose, onCreateGame, createdGameData }) {
           </div>
 
           <div className="form-section">
-            <label htmlFor="maxPlayers" className="form-label">
+            <label htmlFor="gameMode" className="form-label">
               Game Mode
             </label>
             <div className="mode-selector">
               <label
                 className={`mode-option ${
-                  formData.maxPlayers === 2 ? "selected" : ""
+                  formData.gameMode === "1v1" ? "selected" : ""
                 }`}
               >
                 <input
                   type="radio"
-                  name="maxPlayers"
-                  value={2}
-                  checked={formData.maxPlayers === 2}
+                  name="gameMode"
+                  value="1v1"
+                  checked={formData.gameMode === "1v1"}
                   onChange={handleInputChange}
                 />
                 <div className="mode-content">
@@ -244,14 +347,14 @@ function CreateGameModal({ gameType, onClose, onCreateGame, createdGameData }) {
 
               <label
                 className={`mode-option ${
-                  formData.maxPlayers === 4 ? "selected" : ""
+                  formData.gameMode === "2v2" ? "selected" : ""
                 }`}
               >
                 <input
                   type="radio"
-                  name="maxPlayers"
-                  value={4}
-                  checked={formData.maxPlayers === 4}
+                  name="gameMode"
+                  value="2v2"
+                  checked={formData.gameMode === "2v2"}
                   onChange={handleInputChange}
                 />
                 <div className="mode-content">
@@ -262,6 +365,57 @@ function CreateGameModal({ gameType, onClose, onCreateGame, createdGameData }) {
                   </div>
                 </div>
               </label>
+
+              {/* Svatko za sebe - u troje za obje igre, u četvero samo Briskula */}
+              <label
+                className={`mode-option ${
+                  formData.gameMode === "1v1v1" ? "selected" : ""
+                }`}
+              >
+                <input
+                  type="radio"
+                  name="gameMode"
+                  value="1v1v1"
+                  checked={formData.gameMode === "1v1v1"}
+                  onChange={handleInputChange}
+                />
+                <div className="mode-content">
+                  <span className="mode-icon">👤👤👤</span>
+                  <div className="mode-info">
+                    <span className="mode-title">3 igrača</span>
+                    <span className="mode-desc">
+                      {gameType === "briskula"
+                        ? "Svatko za sebe, bez jedne dvice"
+                        : "Svatko za sebe, 13 karata i mrtva karta"}
+                    </span>
+                  </div>
+                </div>
+              </label>
+
+              {gameType === "briskula" && (
+                <>
+                  <label
+                    className={`mode-option ${
+                      formData.gameMode === "1v1v1v1" ? "selected" : ""
+                    }`}
+                  >
+                    <input
+                      type="radio"
+                      name="gameMode"
+                      value="1v1v1v1"
+                      checked={formData.gameMode === "1v1v1v1"}
+                      onChange={handleInputChange}
+                    />
+                    <div className="mode-content">
+                      <span className="mode-icon">👤👤👤👤</span>
+                      <div className="mode-info">
+                        <span className="mode-title">4 igrača</span>
+                        <span className="mode-desc">Svatko za sebe</span>
+                      </div>
+                    </div>
+                  </label>
+                </>
+              )}
             </div>
           </div>
 
@@ -303,29 +457,20 @@ function CreateGameModal({ gameType, onClose, onCreateGame, createdGameData }) {
             )}
           </div>
 
-          {/* Akuze option for Treseta */}
-          {gameType === "treseta" && (
-            <div className="form-section">
-              <div className="checkbox-wrapper">
-                <label className="checkbox-label">
-                  <input
-                    type="checkbox"
-                    name="akuzeEnabled"
-                    checked={formData.akuzeEnabled}
-                    onChange={handleInputChange}
-                  />
-                  <span className="checkbox-custom"></span>
-                  <span className="checkbox-text">
-                    🃏 Omogući akužavanje u igri
-                  </span>
-                </label>
-              </div>
-              <div className="akuze-hint">
-                Akuzi: Tri/Četiri asa/dvice/trice (3-4 boda), Napolitana (3
-                boda)
+          {/* Kućna pravila prema shemi za odabranu varijantu */}
+          {modeRules
+            .filter(([, rule]) => !rule.requires || houseRules[rule.requires])
+            .map(([key, rule]) => (
+              <div key={key} className="form-section">
+                <HouseRuleField
+                  name={key}
+                  rule={rule}
+                  value={houseRules[key]}
+                  onChange={handleRuleChange}
+                />
+                {rule.hint && <div className="akuze-hint">{rule.hint}</div>}
               </div>
-            </div>
-          )}
+            ))}
 
           <div className="game-preview">
             <h4>Game Preview:</h4>
@@ -346,7 +491,7 @@ function CreateGameModal({ gameType, onClose, onCreateGame, createdGameData }) {
               <div className="preview-item">
                 <span className="preview-label">Mode:</span>
                 <span className="preview-value">
-                  {getGameModeText(formData.maxPlayers)}
+                  {getGameModeText(formData.gameMode)}
                 </span>
               </div>
               <div className="preview-item">
@@ -355,15 +500,16 @@ function CreateGameModal({ gameType, onClose, onCreateGame, createdGameData }) {
                   {formData.hasPassword ? "🔒 Password Protected" : "🌐 Public"}
                 </span>
               </div>
-              {/* Show akuze status for Treseta */}
-              {gameType === "treseta" && (
-                <div className="preview-item">
-                  <span className="preview-label">Akužavanje:</span>
-                  <span className="preview-value">
-                    {formData.akuzeEnabled ? "🃏 Omogućeno" : "🚫 Onemogućeno"}
-                  </span>
+              {describeHouseRules(
+                gameType,
+                formData.gameMode,
+                selectedRules,
+              ).map((rule) => (
+                <div key={rule.key} className="preview-item">
+                  <span className="preview-label">{rule.label}:</span>
+                  <span className="preview-value">{rule.value}</span>
                 </div>
-              )}
+              ))}
             </div>
           </div>
 
@@ -0,0 +1,162 @@
+import React, { useState } from "react";
+import { verifyDeal, sameCards } from "../core/fairShuffle.js";
+import "./FairnessPanel.css";
+
+const shortHash = (hash) =>
+  hash ? `${hash.slice(0, 12)}…${hash.slice(-6)}` : "";
+
+/**
+ * Panel "Provjera miješanja" - za svako dijeljenje prikazuje commitment
+ * objavljen na početku i, nakon otkrivanja seeda, lokalno (u pregledniku)
+ * ponovno izvodi dijeljenje i uspoređuje ga s početnom rukom igrača.
+ */
+function FairnessPanel({ deals, gameType, gameMode = "1v1", playerNumber }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [results, setResults] = useState({});
+
+  if (!deals || deals.length === 0) return null;
+
+  const sortedDeals = [...deals].sort((a, b) => a.dealNumber - b.dealNumber);
+
+  const runVerification = async (deal) => {
+    setResults((prev) => ({ ...prev, [deal.dealNumber]: { pending: true } }));
+    try {
+      const result = await verifyDeal({
+        gameType: deal.gameType || gameType,
+        gameMode: deal.gameMode || gameMode,
+        seed: deal.seed,
+        commitment: deal.commitment,
+      });
+      const derivedHand = result.hands[playerNumber] || [];
+      setResults((prev) => ({
+        ...prev,
+        [deal.dealNumber]: {
+          commitmentValid: result.commitmentValid,
+          handMatches: deal.initialHand
+            ? sameCards(deal.initialHand, derivedHand)
+            : null,
+          derivedHand,
+          trump: result.trump,
+        },
+      }));
+    } catch (error) {
+      setResults((prev) => ({
+        ...prev,
+        [deal.dealNumber]: { error: error.message },
+      }));
+    }
+  };
+
+  return (
+    <div className="fairness-panel">
+      <button
+        className="fairness-toggle"
+        onClick={() => setIsOpen((open) => !open)}
+      >
+        🔒 Provjera miješanja {isOpen ? "▲" : "▼"}
+      </button>
+
+      {isOpen && (
+        <div className="fairness-body">
+          <p className="fairness-intro">
+            Prije dijeljenja server objavljuje SHA-256 hash tajnog seeda. Na
+            kraju dijeljenja otkriva seed pa možete sami provjeriti da špil nije
+            namješten.
+          </p>
+
+          {sortedDeals.map((deal) => {
+            const result = results[deal.dealNumber];
+            return (
+              <div key={deal.dealNumber} className="fairness-deal">
+                <div className="fairness-deal-title">
+                  Dijeljenje #{deal.dealNumber}
+                </div>
+                <div className="fairness-row">
+                  <span className="fairness-label">Commitment:</span>
+                  <code title={deal.commitment}>
+                    {shortHash(deal.commitment)}
+                  </code>
+                </div>
+
+                {deal.seed ? (
+                  <>
+                    <div className="fairness-row">
+                      <span className="fairness-label">Seed:</span>
+                      <code title={deal.seed}>{shortHash(deal.seed)}</code>
+                    </div>
+                    <button
+                      className="fairness-verify-btn"
+                      disabled={result?.pending}
+                      onClick={() => runVerification(deal)}
+                    >
+                      {result?.pending ? "Provjeravam..." : "Provjeri"}
+                    </button>
+                  </>
+                ) : (
+                  <div className="fairness-pending">
+                    Seed se otkriva na kraju dijeljenja.
+                  </div>
+                )}
+
+                {result && !result.pending && (
+                  <div className="fairness-result">
+                    {result.error ? (
+                      <div className="fairness-bad">❌ {result.error}</div>
+                    ) : (
+                      <>
+                        <div
+                          className={
+                            result.commitmentValid
+                              ? "fairness-ok"
+                              : "fairness-bad"
+                          }
+                        >
+                          {result.commitmentValid
+                            ? "✅ Seed odgovara objavljenom commitmentu"
+                            : "❌ Seed NE odgovara commitmentu"}
+                        </div>
+                        {result.handMatches !== null && (
+                          <div
+                            className={
+                              result.handMatches
+                                ? "fairness-ok"
+                                : "fairness-bad"
+                            }
+                          >
+                            {result.handMatches
+                              ? "✅ Vaša početna ruka odgovara seedu"
+                              : "❌ Vaša početna ruka NE odgovara seedu"}
+                          </div>
+                        )}
+                        <div className="fairness-row">
+                          <span className="fairness-label">
+                            Početna ruka iz seeda:
+                          </span>
+                          <span>
+                            {result.derivedHand
+                              .map((c) => `${c.name} ${c.suit}`)
+                              .join(", ")}
+                          </span>
+                        </div>
+                        {result.trump && (
+                          <div className="fairness-row">
+                            <span className="fairness-label">Adut:</span>
+                            <span>
+                              {result.trump.name} {result.trump.suit}
+                            </span>
+                          </div>
+                        )}
+                      </>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default FairnessPanel;
@@ -5,27 +5,36 @@ import { track } from "@plausible-analytics/tracker";
 import Card from "./Card";
 import { useSocket } from "./SocketContext";
 import { useToast } from "./ToastProvider";
+import FairnessPanel from "./FairnessPanel";
+import AnalysisPanel from "./AnalysisPanel";
+import SeriesScoreboard from "./SeriesScoreboard";
+import { downloadNotation } from "./notationFile";
 import "./Game.css";
 
 import {
-  determineRoundWinner,
-  createDeck,
-  shuffleDeck,
-  dealCards,
   calculatePoints,
-  checkGameEnd,
+  findTrumpSwapCard,
+  CARD_NAMES,
+  getBriskulaPlayableCards,
+  isDeckExhausted,
 } from "../core/gameLogicBriskula.js";
+import { calculatePoints as calculatePointsTreseta } from "../core/gameLogicTreseta.js";
+import { getEngine, MOVE_TYPES } from "../core/engines.js";
+import { solveEndgame } from "../core/endgameSolver.js";
+import { chooseIsmctsCard } from "../core/ismcts.js";
+import { knownVoids } from "../core/determinize.js";
+import { appendMove, dealEntry, MOVE_LOG_TYPES } from "../core/moveLog.js";
 import {
-  determineRoundWinner as determineRoundWinnerTreseta,
-  createDeck as createDeckTreseta,
-  shuffleDeck as shuffleDeckTreseta,
-  dealCards as dealCardsTreseta,
-  calculatePoints as calculatePointsTreseta,
-  calculateAkuze as calculateAkuzeTreseta,
-  checkGameEnd as checkGameEndTreseta,
-} from "../core/gameLogicTreseta.js";
+  recordDeal,
+  recordReveal,
+  dealHistoryFromState,
+} from "../core/fairShuffle.js";
 
-import { checkAkuze } from "../core/tresetaCommon.js";
+import { checkAkuze, capotPoints } from "../core/tresetaCommon.js";
+import {
+  normalizeHouseRules,
+  houseRulesEngineConfig,
+} from "../core/houseRules.js";
 
 import { chooseAiCard as chooseAiBriskula } from "../core/briskulaAI.js";
 import {
@@ -98,6 +107,198 @@ function sortCards(cards, gameType = "briskula") {
   });
 }
 
+const sumAkuzePoints = (akuze) =>
+  (akuze || []).reduce((sum, akuz) => sum + akuz.points, 0);
+
+/**
+ * AI stanje (myHand/aiHand, myCards/aiCards) u obliku room.gameState za
+ * rules engine.
+ * @param {Object} state - AI stanje
+ * @param {Array} table - Karte na stolu [{card, playerNumber}] redom bacanja
+ * @param {number} currentPlayer - Igrač na potezu
+ */
+function localEngineState(state, table, currentPlayer) {
+  const useTreseta = state.gameType === "treseta";
+  return {
+    gameType: state.gameType,
+    player1Hand: state.myHand || [],
+    player2Hand: state.aiHand || [],
+    player1Cards: state.myCards || [],
+    player2Cards: state.aiCards || [],
+    remainingDeck: state.remainingDeck || [],
+    trump: state.trump || null,
+    trumpSuit: state.trumpSuit,
+    endgameRule: state.endgameRule,
+    playedCards: table,
+    currentPlayer,
+    roundStartPlayer: table[0]?.playerNumber || currentPlayer,
+    lastTrickWinner: state.lastTrickWinner || null,
+    ...(useTreseta && {
+      player1Akuze: {
+        points: sumAkuzePoints(state.myAkuze),
+        details: state.myAkuze || [],
+      },
+      player2Akuze: {
+        points: sumAkuzePoints(state.opponentAkuze),
+        details: state.opponentAkuze || [],
+      },
+      ultimaWinner: null,
+      totalPlayer1Points: state.totalMyPoints || 0,
+      totalPlayer2Points: state.totalOpponentPoints || 0,
+      currentPartija: state.currentPartija || 1,
+      targetScore: state.targetScore || 31,
+      beleRounding: state.beleRounding,
+      capotRule: state.capotRule,
+    }),
+  };
+}
+
+/**
+ * Rješava lokalnu (AI) rundu kroz isti rules engine koji koristi server.
+ * AI stanje mapira se na oblik room.gameState, ruka se pokupi i rezultat
+ * vrati u AI oblik.
+ * @param {Object} state - AI stanje s rukama nakon odigranih karata
+ * @param {Array} playedCards - Karte na stolu indeksirane po igraču [p1, p2]
+ * @param {number} firstPlayer - Igrač koji je prvi bacio kartu
+ */
+function resolveLocalTrick(state, playedCards, firstPlayer) {
+  const engine = getEngine(state.gameType || "briskula", "1v1");
+  const secondPlayer = firstPlayer === 1 ? 2 : 1;
+
+  const next = engine.applyMove(
+    localEngineState(
+      state,
+      [
+        { card: playedCards[firstPlayer - 1], playerNumber: firstPlayer },
+        { card: playedCards[secondPlayer - 1], playerNumber: secondPlayer },
+      ],
+      secondPlayer,
+    ),
+    { type: MOVE_TYPES.COLLECT },
+  );
+  const { totals, gameEnd } = engine.score(next);
+
+  // Trešeta: kraj partije nije kraj meča - isGameOver samo za konačnu pobjedu
+  const end =
+    gameEnd.isFinalGameOver === undefined
+      ? gameEnd
+      : {
+          ...gameEnd,
+          isGameOver: gameEnd.isFinalGameOver,
+          winner: gameEnd.isFinalGameOver ? gameEnd.winner : null,
+          newTotalMyPoints: gameEnd.newTotalPlayer1Points,
+          newTotalOpponentPoints: gameEnd.newTotalPlayer2Points,
+        };
+
+  return {
+    winner: next.lastTrick.winner,
+    newCards: {
+      player1: next.lastTrick.drawn[1] || null,
+      player2: next.lastTrick.drawn[2] || null,
+    },
+    myHand: next.player1Hand,
+    aiHand: next.player2Hand,
+    myCards: next.player1Cards,
+    aiCards: next.player2Cards,
+    remainingDeck: next.remainingDeck,
+    trump: next.trump,
+    myCardPoints: totals[1],
+    opponentCardPoints: totals[2],
+    capot: gameEnd.capot || null,
+    end,
+  };
+}
+
+/**
+ * Igrive karte u lokalnoj (AI) Briskuli - pravilo završnice vrijedi tek kad
+ * se potroše špil i adut.
+ */
+function localBriskulaPlayableCards(state) {
+  return getBriskulaPlayableCards(
+    state.myHand || [],
+    (state.playedCards || []).filter(Boolean),
+    state.trumpSuit,
+    state.endgameRule,
+    isDeckExhausted(state),
+  );
+}
+
+/**
+ * Teška razina: kad se špil potroši AI brojanjem zna i karte igrača, pa
+ * završnicu rješava točno. Vraća null dok se završnica ne može riješiti.
+ */
+function chooseAiEndgameCard(state, firstPlayedCard) {
+  if (!["hard", "expert"].includes(state.aiDifficulty || "hard")) return null;
+  const engine = getEngine(state.gameType || "briskula", "1v1");
+  const table = firstPlayedCard
+    ? [{ card: firstPlayedCard, playerNumber: 1 }]
+    : [];
+  const solved = solveEndgame(engine, localEngineState(state, table, 2), 2);
+  return solved
+    ? (state.aiHand || []).find((c) => c.id === solved.cardId) || null
+    : null;
+}
+
+/**
+ * Ekspert razina (Briskula): ISMCTS pretraga nad onim što AI zna - karte
+ * igrača i redoslijed špila u svakoj se iteraciji nasumično preslože.
+ */
+function chooseAiExpertCard(state, firstPlayedCard) {
+  if (state.aiDifficulty !== "expert" || state.gameType === "treseta") {
+    return null;
+  }
+  const table = firstPlayedCard
+    ? [{ card: firstPlayedCard, playerNumber: 1 }]
+    : [];
+  const cardId = chooseIsmctsCard(
+    getEngine("briskula", "1v1"),
+    localEngineState(state, table, 2),
+    2,
+  );
+  return (state.aiHand || []).find((c) => c.id === cardId) || null;
+}
+
+/**
+ * Početno dijeljenje za lokalnu (AI) partiju iz rules enginea.
+ * Kućna pravila idu kroz isti config kao na serveru.
+ */
+function dealLocalGame(gameType, houseRules = {}) {
+  return getEngine(gameType || "briskula", "1v1").createInitialState(
+    houseRulesEngineConfig(gameType || "briskula", houseRules),
+  );
+}
+
+/**
+ * Dnevnik poteza lokalne (AI) partije, isti oblik kao na serveru - dijeljenje
+ * i akuže koje AI prijavi odmah uz dijeljenje.
+ */
+function logLocalDeal(moveLog, dealt, aiAkuze = []) {
+  return aiAkuze.reduce(
+    (log, akuz) =>
+      appendMove(log, { type: MOVE_LOG_TYPES.AKUZE, seat: 2, akuz }),
+    appendMove(moveLog, dealEntry(dealt)),
+  );
+}
+
+/**
+ * Lokalna partija u obliku zapisa povijesti mečeva - za preuzimanje zapisa.
+ */
+function localMatchRecord(state, playerName, score) {
+  return {
+    gameType: state.gameType || "briskula",
+    gameMode: "1v1",
+    players: [
+      { name: playerName || "Igrač", playerNumber: 1 },
+      { name: state.opponent?.name || "AI Bot", playerNumber: 2 },
+    ],
+    houseRules: state.houseRules || null,
+    winner: state.gamePhase === "finished" ? state.winner : null,
+    score: { 1: score.myPoints, 2: score.opponentPoints },
+    moves: state.moveLog || [],
+    finishedAt: new Date().toISOString(),
+  };
+}
+
 function Game({
   gameData,
   onGameEnd,
@@ -327,6 +528,12 @@ function Game({
         playableCards: data.gameState?.playableCards || [],
         myPoints: data.gameState?.myPoints || 0,
         opponentPoints: data.gameState?.opponentPoints || 0,
+        fairnessDeals: dealHistoryFromState(data.gameState, myHand),
+        trumpSwapRule: data.gameState?.trumpSwapRule || null,
+        endgameRule: data.gameState?.endgameRule || "off",
+        series: data.gameState?.series || null,
+        akuzeTypes: data.gameState?.akuzeTypes || null,
+        beleRounding: data.gameState?.beleRounding || "floor",
         player1Name:
           data.players?.find((p) => p.playerNumber === 1)?.name || "Igrač 1",
         player2Name:
@@ -437,6 +644,12 @@ function Game({
       playableCards: data.gameState.playableCards || [], // Lista ID-jeva karata koje se mogu igrati
       myPoints: 0, // Bodovi igrača
       opponentPoints: 0, // Bodovi protivnika
+      fairnessDeals: dealHistoryFromState(data.gameState, myHand),
+      trumpSwapRule: data.gameState.trumpSwapRule || null,
+      endgameRule: data.gameState.endgameRule || "off",
+      series: data.gameState.series || null, // Briskula serija
+      akuzeTypes: data.gameState.akuzeTypes || null,
+      beleRounding: data.gameState.beleRounding || "floor",
 
       // Tournament support
       isTournamentMatch: data.isTournamentMatch || false,
@@ -511,20 +724,35 @@ function Game({
 
       // Lokalna partija 1v1 protiv AI-ja
       const useTreseta = (gameData.gameType || "briskula") === "treseta";
-      const deck = useTreseta
-        ? shuffleDeckTreseta(createDeckTreseta())
-        : shuffleDeck(createDeck());
-
-      // For Trešeta AI mode we must use 1v1 dealing (do NOT pass is2v2=true)
-      const dealt = useTreseta ? dealCardsTreseta(deck) : dealCards(deck);
+      const { rules: houseRules } = normalizeHouseRules(
+        gameData.gameType || "briskula",
+        "1v1",
+        {
+          ...gameData.houseRules,
+          ...(useTreseta &&
+            gameData.akuzeEnabled !== undefined && {
+              akuzeEnabled: gameData.akuzeEnabled,
+            }),
+        },
+      );
+      const dealt = dealLocalGame(gameData.gameType, houseRules);
+      // AI automatski prijavi svoje akuže samo ako je akužavanje omogućeno
+      const aiAkuze =
+        useTreseta && houseRules.akuzeEnabled
+          ? checkAiAkuze(dealt.player2Hand, dealt.akuzeTypes)
+          : [];
 
       const initialState = {
         mode: "ai",
         playerNumber: 1,
         roomId: "local-ai",
-        opponent: { id: "ai", name: "AI Bot", isAI: true },
+        opponent: {
+          id: "ai",
+          name: gameData.aiDifficulty === "expert" ? "AI Ekspert" : "AI Bot",
+          isAI: true,
+        },
         gameType: gameData.gameType || "briskula",
-        aiDifficulty: "hard",
+        aiDifficulty: gameData.aiDifficulty || "hard",
         myHand: dealt.player1Hand,
         aiHand: dealt.player2Hand,
         myCards: [],
@@ -543,6 +771,9 @@ function Game({
         opponentHandCount: dealt.player2Hand.length,
         remainingCardsCount: dealt.remainingDeck.length,
         playableCards: dealt.player1Hand.map((c) => c.id), // Za AI mod, sve karte su igrive
+        houseRules,
+        moveLog: logLocalDeal([], dealt, aiAkuze),
+        ...(!useTreseta && { endgameRule: dealt.endgameRule }),
 
         // Treseta: dugoročno bodovanje i akužavanje
         ...(useTreseta && {
@@ -550,20 +781,17 @@ function Game({
           totalOpponentPoints: 0,
           partijas: [], // Historia partija
           currentPartija: 1,
-          akuzeEnabled:
-            gameData.akuzeEnabled !== undefined ? gameData.akuzeEnabled : true, // Respect user setting or default to true
+          akuzeEnabled: houseRules.akuzeEnabled,
+          akuzeTypes: dealt.akuzeTypes,
+          beleRounding: dealt.beleRounding,
+          capotRule: dealt.capotRule,
           myAkuze: [],
-          opponentAkuze:
-            useTreseta &&
-            (gameData.akuzeEnabled !== undefined ? gameData.akuzeEnabled : true)
-              ? checkAiAkuze(dealt.player2Hand)
-              : [], // AI automatski prijavi svoje akuže samo ako je akužavanje omogućeno
+          opponentAkuze: aiAkuze,
           aiAkuzeAnnounced: false, // Flag da se prati je li AI akuže poruka prikazana
-          canAkuze:
-            gameData.akuzeEnabled !== undefined ? gameData.akuzeEnabled : true, // Može akužavati samo ako je omogućeno
+          canAkuze: houseRules.akuzeEnabled, // Može akužavati samo ako je omogućeno
           hasPlayedFirstCard: false, // Flag da se prati je li odigrana prva karta partije
           hasPlayedFirstRound: false, // Flag da se prati je li završena prva runda (za akuže)
-          targetScore: gameData.targetScore || 31, // Target score from gameData or default
+          targetScore: dealt.targetScore,
         }),
       };
 
@@ -632,6 +860,12 @@ function Game({
       playableCards: gameData.gameState?.playableCards || [], // Lista ID-jeva karata koje se mogu igrati
       myPoints: 0, // Bodovi igrača
       opponentPoints: 0, // Bodovi protivnika
+      fairnessDeals: dealHistoryFromState(gameData.gameState, myHand),
+      trumpSwapRule: gameData.gameState?.trumpSwapRule || null,
+      endgameRule: gameData.gameState?.endgameRule || "off",
+      series: gameData.gameState?.series || null, // Briskula serija
+      akuzeTypes: gameData.gameState?.akuzeTypes || null,
+      beleRounding: gameData.gameState?.beleRounding || "floor",
 
       // Tournament support
       isTournamentMatch: gameData.isTournamentMatch || false,
@@ -819,6 +1053,18 @@ function Game({
       myPoints: state?.opponentPoints || 0,
       opponentPoints: state?.myPoints || 0,
       cardsPlayed: [...(state?.myCards || []), ...(state?.aiCards || [])],
+      endgameRule: state?.endgameRule,
+      deckExhausted: state ? isDeckExhausted(state) : false,
+      // Trešeta: AI broji karte - akužane karte igrača i boje koje nema
+      ...(state?.gameType === "treseta" && {
+        fullHand: state.aiHand || [],
+        opponentHandSize: state.myHand?.length || 0,
+        opponentAkuze: state.myAkuze || [],
+        opponentVoids: [
+          ...(knownVoids(getEngine("treseta", "1v1"), state.moveLog).voids[1] ||
+            []),
+        ],
+      }),
     };
   };
 
@@ -827,6 +1073,11 @@ function Game({
       if (prevState.gamePhase !== "playing") return prevState;
       const newPlayedCards = [...prevState.playedCards];
       newPlayedCards[playerNum - 1] = card;
+      const moveLog = appendMove(prevState.moveLog, {
+        type: MOVE_LOG_TYPES.PLAY,
+        seat: playerNum,
+        cardId: card.id,
+      });
 
       const newMyHand =
         playerNum === 1
@@ -864,182 +1115,29 @@ function Game({
           message: "Određuje se pobjednik runde...",
           roundResolving: true,
           hasPlayedFirstCard: newHasPlayedFirstCard,
+          moveLog,
         };
 
         // Add delay before resolving the round
         // Add delay before resolving the round
         setTimeout(() => {
           setGameState((currentState) => {
-            // 🔑 Odredi koja je prva, a koja druga karta
-            let firstCard, secondCard;
-            if (roundFirstPlayerRef.current === 1) {
-              firstCard = newPlayedCards[0]; // User je igrao prvi
-              secondCard = newPlayedCards[1]; // AI drugi
-            } else {
-              firstCard = newPlayedCards[1]; // AI je igrao prvi
-              secondCard = newPlayedCards[0]; // User drugi
-            }
-
+            // Pobjednik, vučenje iz špila i bodovanje - isti engine kao server
             const useTreseta = prevState.gameType === "treseta";
-            const winner = useTreseta
-              ? determineRoundWinnerTreseta(
-                  firstCard,
-                  secondCard,
-                  roundFirstPlayerRef.current,
-                )
-              : determineRoundWinner(
-                  firstCard,
-                  secondCard,
-                  prevState.trumpSuit,
-                  roundFirstPlayerRef.current,
-                );
-
-            const winnerIsP1 = winner === 1;
-            const wonCards = [...newPlayedCards];
-            const myCards = winnerIsP1
-              ? [...(prevState.myCards || []), ...wonCards]
-              : prevState.myCards;
-            const aiCards = winnerIsP1
-              ? prevState.aiCards
-              : [...(prevState.aiCards || []), ...wonCards];
-
-            // Dvlačenje iz špila – pobjednik vuče prvi
-            let remaining = [...prevState.remainingDeck];
-            let myHandAfterDraw = [...newMyHand];
-            let aiHandAfterDraw = [...newAiHand];
-            // Track which cards were drawn this trick (for pickup animation)
-            let newCards = { player1: null, player2: null };
-
-            if (remaining.length > 0) {
-              if (remaining.length === 1) {
-                // 🃏 Zadnja runda - special handling
-                if (prevState.gameType === "treseta") {
-                  // Trešeta: only one card remains -> winner takes it
-                  if (winnerIsP1) {
-                    myHandAfterDraw = [...myHandAfterDraw, remaining[0]];
-                    newCards.player1 = remaining[0];
-                  } else {
-                    aiHandAfterDraw = [...aiHandAfterDraw, remaining[0]];
-                    newCards.player2 = remaining[0];
-                  }
-                } else {
-                  // Briskula: winner takes hidden, loser takes trump
-                  if (winnerIsP1) {
-                    myHandAfterDraw = [...myHandAfterDraw, remaining[0]]; // pobjednik uzima skrivenu
-                    aiHandAfterDraw = [...aiHandAfterDraw, prevState.trump]; // gubitnik uzima aduta
-                    newCards.player1 = remaining[0];
-                    newCards.player2 = prevState.trump;
-                  } else {
-                    aiHandAfterDraw = [...aiHandAfterDraw, remaining[0]]; // pobjednik uzima skrivenu
-                    myHandAfterDraw = [...myHandAfterDraw, prevState.trump]; // gubitnik uzima aduta
-                    newCards.player2 = remaining[0];
-                    newCards.player1 = prevState.trump;
-                  }
-                }
-                remaining = []; // špil je prazan
-              } else {
-                // Normalno dijeljenje
-                if (winnerIsP1) {
-                  myHandAfterDraw = [...myHandAfterDraw, remaining[0]];
-                  if (remaining[1])
-                    aiHandAfterDraw = [...aiHandAfterDraw, remaining[1]];
-                  newCards.player1 = remaining[0];
-                  newCards.player2 = remaining[1] || null;
-                } else {
-                  aiHandAfterDraw = [...aiHandAfterDraw, remaining[0]];
-                  if (remaining[1])
-                    myHandAfterDraw = [...myHandAfterDraw, remaining[1]];
-                  newCards.player2 = remaining[0];
-                  newCards.player1 = remaining[1] || null;
-                }
-                remaining = remaining.slice(2);
-              }
-            }
-
-            const isAllCardsPlayed =
-              remaining.length === 0 &&
-              myHandAfterDraw.length === 0 &&
-              aiHandAfterDraw.length === 0;
-            const ultimaWinner = useTreseta && isAllCardsPlayed ? winner : null;
-
-            const p1Points = useTreseta
-              ? calculatePointsTreseta(myCards, ultimaWinner, 1).points
-              : calculatePoints(myCards);
-            const p2Points = useTreseta
-              ? calculatePointsTreseta(aiCards, ultimaWinner, 2).points
-              : calculatePoints(aiCards);
-
-            // For Treseta with long-term scoring, check if partija is over
-            let end;
-            if (useTreseta && prevState.totalMyPoints !== undefined) {
-              // Treseta with long-term scoring
-              const partidaEnd = isAllCardsPlayed;
-
-              if (partidaEnd) {
-                // Calculate total points including akuze for this partija
-                const myPartidaPoints =
-                  p1Points +
-                  (prevState.myAkuze?.reduce(
-                    (sum, akuz) => sum + akuz.points,
-                    0,
-                  ) || 0);
-                const opponentPartidaPoints =
-                  p2Points +
-                  (prevState.opponentAkuze?.reduce(
-                    (sum, akuz) => sum + akuz.points,
-                    0,
-                  ) || 0);
-
-                // Add current partija points to total
-                const newTotalMyPoints =
-                  prevState.totalMyPoints + myPartidaPoints;
-                const newTotalOpponentPoints =
-                  prevState.totalOpponentPoints + opponentPartidaPoints;
-
-                // Check if someone reached target score
-                const matchFinished =
-                  newTotalMyPoints >= prevState.targetScore ||
-                  newTotalOpponentPoints >= prevState.targetScore;
-
-                end = {
-                  isGameOver: matchFinished,
-                  winner: matchFinished
-                    ? newTotalMyPoints >= prevState.targetScore
-                      ? 1
-                      : 2
-                    : null,
-                  isPartidaOver: true,
-                  newTotalMyPoints,
-                  newTotalOpponentPoints,
-                };
-              } else {
-                end = { isGameOver: false, isPartidaOver: false };
-              }
-            } else {
-              // Original logic for Briskula or single-partija Treseta
-              end = useTreseta
-                ? (function () {
-                    const p1Akuze = calculateAkuzeTreseta(myCards || []);
-                    const p2Akuze = calculateAkuzeTreseta(aiCards || []);
-                    return checkGameEndTreseta(
-                      { points: p1Points },
-                      { points: p2Points },
-                      p1Akuze,
-                      p2Akuze,
-                      remaining,
-                      myHandAfterDraw,
-                      aiHandAfterDraw,
-                    );
-                  })()
-                : checkGameEnd(
-                    p1Points,
-                    p2Points,
-                    remaining,
-                    myHandAfterDraw,
-                    aiHandAfterDraw,
-                    winner,
-                  );
-            }
+            const resolved = resolveLocalTrick(
+              { ...prevState, myHand: newMyHand, aiHand: newAiHand },
+              newPlayedCards,
+              roundFirstPlayerRef.current,
+            );
+            const { winner, newCards, myCards, aiCards, end } = resolved;
+            const remaining = resolved.remainingDeck;
+            const myHandAfterDraw = resolved.myHand;
+            const aiHandAfterDraw = resolved.aiHand;
+            // Kapot bonus ide uz bodove karata strane koja je uzela sve ruke
+            const p1Points =
+              resolved.myCardPoints + capotPoints(resolved.capot, 1);
+            const p2Points =
+              resolved.opponentCardPoints + capotPoints(resolved.capot, 2);
 
             aiThinking.current = false;
             roundResolving.current = false;
@@ -1074,6 +1172,7 @@ function Game({
               aiHand: aiHandAfterDraw,
               myCards,
               aiCards,
+              trump: resolved.trump,
               playedCards: [],
               currentPlayer: winner, // Winner starts next round
               message:
@@ -1084,6 +1183,14 @@ function Game({
               remainingDeck: remaining,
               remainingCardsCount: remaining.length,
               opponentHandCount: aiHandAfterDraw.length,
+              moveLog: appendMove(moveLog, {
+                type: MOVE_LOG_TYPES.TRICK,
+                winner,
+                drawn: {
+                  1: newCards.player1?.id ?? null,
+                  2: newCards.player2?.id ?? null,
+                },
+              }),
               hasPlayedFirstRound: true, // Mark that first round is complete - no more akuze
               gamePhase: end.isGameOver
                 ? "finished"
@@ -1154,6 +1261,7 @@ function Game({
                                 ) || 0)
                             ? 2
                             : 0,
+                      capot: resolved.capot?.side ?? null,
                     },
                   ],
                   currentPartija: prevState.currentPartija + 1,
@@ -1185,6 +1293,7 @@ function Game({
             : "Vaš red! Odaberite kartu.",
         opponentHandCount: newAiHand.length,
         hasPlayedFirstCard: newHasPlayedFirstCard,
+        moveLog,
       };
     });
 
@@ -1355,7 +1464,9 @@ function Game({
           if (sameSuit.length > 0) aiHandForChoice = sameSuit;
         }
         const aiCard =
-          gameState.gameType === "treseta"
+          chooseAiEndgameCard(gameState, firstPlayedCard) ||
+          chooseAiExpertCard(gameState, firstPlayedCard) ||
+          (gameState.gameType === "treseta"
             ? chooseAiTreseta({
                 hand: aiHandForChoice,
                 opponentCard: firstPlayedCard,
@@ -1368,7 +1479,7 @@ function Game({
                 trumpSuit: gameState.trumpSuit,
                 aiIsFirst: aiIsFirst,
                 ...buildAiStrategyContext(gameState),
-              });
+              }));
         if (aiCard) {
           playLocalCard(aiCard, 2);
         } else {
@@ -1399,151 +1510,26 @@ function Game({
       // Trigger immediate round resolution
       setTimeout(() => {
         setGameState((prevState) => {
-          // Determine first and second card based on roundFirstPlayerRef or assume player played first
-          const firstCard = prevState.playedCards[0];
-          const secondCard = prevState.playedCards[1];
+          // Determine who led based on roundFirstPlayerRef or assume player played first
           const firstPlayer = roundFirstPlayerRef.current || 1;
 
-          const useTreseta = prevState.gameType === "treseta";
-          const winner = useTreseta
-            ? determineRoundWinnerTreseta(firstCard, secondCard, firstPlayer)
-            : determineRoundWinner(
-                firstCard,
-                secondCard,
-                prevState.trumpSuit,
-                firstPlayer,
-              );
-
+          const resolved = resolveLocalTrick(
+            prevState,
+            prevState.playedCards,
+            firstPlayer,
+          );
+          const { winner, newCards, myCards, aiCards, end } = resolved;
           const winnerIsP1 = winner === 1;
-          const wonCards = [...prevState.playedCards];
-          const myCards = winnerIsP1
-            ? [...(prevState.myCards || []), ...wonCards]
-            : prevState.myCards;
-          const aiCards = winnerIsP1
-            ? prevState.aiCards
-            : [...(prevState.aiCards || []), ...wonCards];
-
-          let remaining = [...prevState.remainingDeck];
-          let myHandAfterDraw = [...prevState.myHand];
-          let aiHandAfterDraw = [...prevState.aiHand];
-
-          // Draw cards logic
-          if (remaining.length > 0) {
-            if (remaining.length === 1) {
-              if (useTreseta) {
-                if (winnerIsP1) {
-                  myHandAfterDraw = [...myHandAfterDraw, remaining[0]];
-                } else {
-                  aiHandAfterDraw = [...aiHandAfterDraw, remaining[0]];
-                }
-              } else {
-                if (winnerIsP1) {
-                  myHandAfterDraw = [...myHandAfterDraw, remaining[0]];
-                  aiHandAfterDraw = [...aiHandAfterDraw, prevState.trump];
-                } else {
-                  aiHandAfterDraw = [...aiHandAfterDraw, remaining[0]];
-                  myHandAfterDraw = [...myHandAfterDraw, prevState.trump];
-                }
-              }
-              remaining = [];
-            } else {
-              if (winnerIsP1) {
-                myHandAfterDraw = [...myHandAfterDraw, remaining[0]];
-                if (remaining[1])
-                  aiHandAfterDraw = [...aiHandAfterDraw, remaining[1]];
-              } else {
-                aiHandAfterDraw = [...aiHandAfterDraw, remaining[0]];
-                if (remaining[1])
-                  myHandAfterDraw = [...myHandAfterDraw, remaining[1]];
-              }
-              remaining = remaining.slice(2);
-            }
-          }
-
-          const isAllCardsPlayed =
-            remaining.length === 0 &&
-            myHandAfterDraw.length === 0 &&
-            aiHandAfterDraw.length === 0;
-
-          const p1Points = useTreseta
-            ? calculatePointsTreseta(
-                myCards,
-                isAllCardsPlayed ? winner : null,
-                1,
-              ).points
-            : calculatePoints(myCards);
-          const p2Points = useTreseta
-            ? calculatePointsTreseta(
-                aiCards,
-                isAllCardsPlayed ? winner : null,
-                2,
-              ).points
-            : calculatePoints(aiCards);
-
-          let end;
-          if (useTreseta && prevState.totalMyPoints !== undefined) {
-            const partidaEnd = isAllCardsPlayed;
-            if (partidaEnd) {
-              const myPartidaPoints =
-                p1Points +
-                (prevState.myAkuze?.reduce(
-                  (sum, akuz) => sum + akuz.points,
-                  0,
-                ) || 0);
-              const opponentPartidaPoints =
-                p2Points +
-                (prevState.opponentAkuze?.reduce(
-                  (sum, akuz) => sum + akuz.points,
-                  0,
-                ) || 0);
-              const newTotalMyPoints =
-                prevState.totalMyPoints + myPartidaPoints;
-              const newTotalOpponentPoints =
-                prevState.totalOpponentPoints + opponentPartidaPoints;
-              const matchFinished =
-                newTotalMyPoints >= prevState.targetScore ||
-                newTotalOpponentPoints >= prevState.targetScore;
-              end = {
-                isGameOver: matchFinished,
-                winner: matchFinished
-                  ? newTotalMyPoints >= prevState.targetScore
-                    ? 1
-                    : 2
-                  : null,
-                isPartidaOver: true,
-                newTotalMyPoints,
-                newTotalOpponentPoints,
-              };
-            } else {
-              end = { isGameOver: false, isPartidaOver: false };
-            }
-          } else {
-            end = useTreseta
-              ? checkGameEndTreseta(
-                  { points: p1Points },
-                  { points: p2Points },
-                  calculateAkuzeTreseta(myCards || []),
-                  calculateAkuzeTreseta(aiCards || []),
-                  remaining,
-                  myHandAfterDraw,
-                  aiHandAfterDraw,
-                )
-              : checkGameEnd(
-                  p1Points,
-                  p2Points,
-                  remaining,
-                  myHandAfterDraw,
-                  aiHandAfterDraw,
-                  winner,
-                );
-          }
+          const p1Points = resolved.myCardPoints;
+          const p2Points = resolved.opponentCardPoints;
 
           const newState = {
             ...prevState,
             playedCards: [null, null],
-            myHand: myHandAfterDraw,
-            aiHand: aiHandAfterDraw,
-            remainingDeck: remaining,
+            myHand: resolved.myHand,
+            aiHand: resolved.aiHand,
+            remainingDeck: resolved.remainingDeck,
+            trump: resolved.trump,
             myCards,
             aiCards,
             myPoints: p1Points,
@@ -1551,6 +1537,14 @@ function Game({
             currentPlayer: winner,
             message: winnerIsP1 ? "Osvajate rundu!" : "AI osvaja rundu!",
             roundResolving: false,
+            moveLog: appendMove(prevState.moveLog, {
+              type: MOVE_LOG_TYPES.TRICK,
+              winner,
+              drawn: {
+                1: newCards.player1?.id ?? null,
+                2: newCards.player2?.id ?? null,
+              },
+            }),
           };
 
           // Reset flags before returning state
@@ -1623,7 +1617,9 @@ function Game({
             }
 
             const aiCard =
-              gameState.gameType === "treseta"
+              chooseAiEndgameCard(gameState, firstPlayedCard) ||
+              chooseAiExpertCard(gameState, firstPlayedCard) ||
+              (gameState.gameType === "treseta"
                 ? chooseAiTreseta({
                     hand: aiHandForChoice,
                     opponentCard: firstPlayedCard,
@@ -1636,7 +1632,7 @@ function Game({
                     trumpSuit: gameState.trumpSuit,
                     aiIsFirst,
                     ...buildAiStrategyContext(gameState),
-                  });
+                  }));
 
             if (aiCard) {
               playLocalCard(aiCard, 2);
@@ -1764,6 +1760,7 @@ function Game({
           playerNumber: gameState.playerNumber,
           mode: "ai", // Explicitly save mode
           // Ensure AI-specific fields are preserved
+          aiDifficulty: gameState.aiDifficulty,
           aiHand: gameState.aiHand,
           myHand: gameState.myHand,
           remainingDeck: gameState.remainingDeck,
@@ -1896,11 +1893,18 @@ function Game({
           message: data.message,
           canReconnect: data.canReconnect,
           graceMs: data.graceMs,
+          aiTakeover: data.aiTakeover,
         });
         addToast(`${data.message}`, "info");
       }
     });
 
+    // Grace period je istekao - bot igra umjesto odspojenog igrača
+    socket.on("aiTakeover", (data) => {
+      setDisconnectionInfo((prev) => prev && { ...prev, aiTakeover: true });
+      addToast(data.message, "info");
+    });
+
     socket.on("playerReconnected", (data) => {
       setPlayerDisconnected(false);
       setDisconnectionInfo(null);
@@ -2019,6 +2023,7 @@ function Game({
       socket.off("gameStateReconnected");
       socket.off("reconnectError");
       socket.off("playerDisconnected");
+      socket.off("aiTakeover");
       socket.off("playerReconnected");
       socket.off("playerLeft");
       socket.off("playerForfeited");
@@ -2314,9 +2319,11 @@ function Game({
           playedCards: [],
           currentPlayer: data.currentPlayer,
           remainingCardsCount: data.remainingCards,
-          // Ažuriraj playableCards za Trešetu
+          fairnessDeals: recordReveal(prev.fairnessDeals, data.fairnessReveal),
+          // Ažuriraj playableCards za Trešetu i Briskulu s pravilom završnice
           playableCards:
-            prev.gameType === "treseta"
+            prev.gameType === "treseta" ||
+            (prev.endgameRule && prev.endgameRule !== "off")
               ? (prev.playerNumber === 1
                   ? data.player1PlayableCards
                   : data.player2PlayableCards) || []
@@ -2339,11 +2346,13 @@ function Game({
             newState.myCards,
             ultimaWinner,
             prev.playerNumber,
+            prev.beleRounding,
           ).points;
           const opponentCardPoints = calculatePointsTreseta(
             newState.opponentCards,
             ultimaWinner,
             prev.playerNumber === 1 ? 2 : 1,
+            prev.beleRounding,
           ).points;
 
           // Don't add akuze points here - they will be added only at the end of partija
@@ -2393,9 +2402,16 @@ function Game({
             prev.opponentAkuze?.reduce((sum, akuz) => sum + akuz.points, 0) ||
             0;
 
-          const myPartidaPoints = newState.myPoints + myAkuzePoints;
+          const capot = data.gameEnd.capot || null;
+          const opponentNumber = prev.playerNumber === 1 ? 2 : 1;
+          const myPartidaPoints =
+            newState.myPoints +
+            myAkuzePoints +
+            capotPoints(capot, prev.playerNumber);
           const opponentPartidaPoints =
-            newState.opponentPoints + opponentAkuzePoints;
+            newState.opponentPoints +
+            opponentAkuzePoints +
+            capotPoints(capot, opponentNumber);
 
           // Update display points to include akuze
           newState.myPoints = myPartidaPoints;
@@ -2407,20 +2423,21 @@ function Game({
             prev.totalOpponentPoints + opponentPartidaPoints;
 
           // Check if someone reached target score (only if whole game is over)
+          const capotWin = capot?.rule === "win";
           const matchFinished =
             data.gameEnd.isGameOver &&
-            (newTotalMyPoints >= prev.targetScore ||
+            (capotWin ||
+              newTotalMyPoints >= prev.targetScore ||
               newTotalOpponentPoints >= prev.targetScore);
 
           if (matchFinished) {
             // Game is completely finished
             newState.gamePhase = "finished";
-            newState.winner =
-              newTotalMyPoints >= prev.targetScore
+            newState.winner = capotWin
+              ? capot.side
+              : newTotalMyPoints >= prev.targetScore
                 ? prev.playerNumber
-                : prev.playerNumber === 1
-                  ? 2
-                  : 1;
+                : opponentNumber;
           } else {
             // Just partija finished, not the whole match
             newState.gamePhase = "partidaFinished";
@@ -2444,14 +2461,21 @@ function Game({
                       ? 2
                       : 1
                     : 0,
+              capot: capot?.side ?? null,
             },
           ];
           newState.currentPartija = prev.currentPartija + 1;
           newState.canAkuze = prev.akuzeEnabled; // Reset akuze based on settings
+        } else if (data.series && data.gameEnd.isFinalGameOver === false) {
+          // Briskula serija - igra gotova, serija se nastavlja
+          newState.series = data.series;
+          newState.gamePhase = "partidaFinished";
+          newState.winner = null;
         } else if (data.gameEnd.isGameOver) {
           // Game over logic
           newState.gamePhase = "finished";
           newState.winner = data.gameEnd.winner;
+          if (data.series) newState.series = data.series;
 
           // Update total points from server if provided (for Trešeta series)
           if (data.gameEnd.newTotalPlayer1Points !== undefined) {
@@ -2495,6 +2519,17 @@ function Game({
             } else {
               newState.message = `😔 Izgubili ste meč. (${newState.totalMyPoints}:${newState.totalOpponentPoints})`;
             }
+            if (data.gameEnd.capot?.rule === "win") {
+              newState.message = `🧹 Kapot! ${newState.message}`;
+            }
+          } else if (newState.series) {
+            const myWins = newState.series.wins[prev.playerNumber];
+            const opponentWins =
+              newState.series.wins[prev.playerNumber === 1 ? 2 : 1];
+            newState.message =
+              newState.winner === prev.playerNumber
+                ? `🎉 Pobijedili ste seriju! (${myWins}:${opponentWins})`
+                : `😔 Izgubili ste seriju. (${myWins}:${opponentWins})`;
           } else {
             // Single game finished message
             if (data.gameEnd.winner === prev.playerNumber) {
@@ -2505,12 +2540,20 @@ function Game({
               newState.message = `😔 Izgubili ste.`;
             }
           }
+        } else if (newState.gamePhase === "partidaFinished" && !useTreseta) {
+          const { gameNumber, wins } = newState.series;
+          newState.message = `${gameNumber}. igra završena! (${newState.myPoints}:${newState.opponentPoints}) Serija ${wins[prev.playerNumber]}:${wins[prev.playerNumber === 1 ? 2 : 1]}`;
         } else if (newState.gamePhase === "partidaFinished") {
           const partidaWinner =
             newState.myPoints > newState.opponentPoints ? "Vi" : "Protivnik";
           newState.message = `Partija završena! ${partidaWinner} ste uzeli ${
             newState.currentPartija - 1
           }. partiju. (${newState.myPoints}:${newState.opponentPoints})`;
+          if (data.gameEnd.capot) {
+            newState.message = `🧹 Kapot${
+              data.gameEnd.capot.side === prev.playerNumber ? "" : " protivnika"
+            }! ${newState.message}`;
+          }
         } else {
           // Pokreni animaciju pokupljenih karata iz špila (samo za Trešetu)
           if (
@@ -2636,18 +2679,35 @@ function Game({
       }));
     });
 
-    // Trešeta - nevaljan potez
+    // Nevaljan potez (Trešeta pravila ili karta koja nije u ruci)
     socket.on("invalidMove", (data) => {
-      addToast(`Nevaljan potez: ${data.message}`, "error");
+      setIsCardPlaying(false);
+      addToast(`Nevaljan potez: ${data.message || data.reason}`, "error");
+    });
+
+    // Server odbio akuž - vrati lokalno stanje
+    socket.on("akuzeRejected", (data) => {
+      setGameState((prev) => ({
+        ...prev,
+        myAkuze: (prev.myAkuze || []).filter(
+          (a) => a.description !== data.akuz?.description,
+        ),
+        canAkuze:
+          data.code === "AKUZE_NOT_HELD" ? prev.akuzeEnabled : prev.canAkuze,
+      }));
+      addToast(`Akuž odbijen: ${data.message}`, "error");
     });
 
     // Akuže announced by opponent
     socket.on("akuzeAnnounced", (data) => {
       // Only add to opponentAkuze if it's not from current player
       if (data.playerNumber !== gameState?.playerNumber) {
+        const shownCards = (data.akuz.cards || [])
+          .map((c) => `${c.name} ${c.suit}`)
+          .join(", ");
         const message = `${data.playerName || "Protivnik"} je akužao ${
           data.akuz.description
-        } (+${data.akuz.points} bodova)!`;
+        } (+${data.akuz.points} bodova)${shownCards ? ` – ${shownCards}` : ""}!`;
 
         setGameState((prev) => ({
           ...prev,
@@ -2659,6 +2719,25 @@ function Game({
       }
     });
 
+    // Mijenjanje aduta (Briskula) - otvoreni adut je javna karta
+    socket.on("trumpSwapped", (data) => {
+      const isMe = data.playerNumber === gameState?.playerNumber;
+      const message = isMe
+        ? `Zamijenili ste aduta - uzeli ste ${data.takenCard.name} ${data.takenCard.suit}`
+        : `${data.playerName || "Protivnik"} je zamijenio aduta (${data.takenCard.name} ${data.takenCard.suit})`;
+
+      setGameState((prev) => ({
+        ...prev,
+        trump: data.trump,
+        myHand: isMe
+          ? data[`player${prev.playerNumber}Hand`] || prev.myHand
+          : prev.myHand,
+        message,
+      }));
+
+      addToast(message, "info");
+    });
+
     // New socket listener for partija restart in online Treseta games
     socket.on("partidaRestarted", (data) => {
       // Reset next partija status since new partija started
@@ -2683,6 +2762,11 @@ function Game({
         remainingCardsCount: data.remainingCards || 40,
         myPoints: 0,
         opponentPoints: 0,
+        fairnessDeals: recordDeal(
+          prev.fairnessDeals,
+          data.fairness,
+          prev.playerNumber === 1 ? data.player1Hand : data.player2Hand,
+        ),
         playableCards:
           prev.gameType === "treseta"
             ? (prev.playerNumber === 1
@@ -2702,8 +2786,16 @@ function Game({
         opponentAkuze: [], // Reset akuze for new partija
         hasPlayedFirstCard: false, // Reset for new partija
         hasPlayedFirstRound: false, // Reset for new partija - allow akuze again
+        // Briskula serija - novi adut i stanje serije
+        ...(prev.gameType === "briskula" && {
+          trump: data.trump,
+          trumpSwapRule: data.trumpSwapRule,
+          series: data.series,
+        }),
         message:
-          "Nova partija! " +
+          (prev.gameType === "briskula"
+            ? `${data.series?.gameNumber}. igra serije! `
+            : "Nova partija! ") +
           (data.currentPlayer === prev.playerNumber
             ? "Vaš red."
             : "Protivnikov red."),
@@ -2758,6 +2850,8 @@ function Game({
       socket.off("playableCardsUpdate");
       socket.off("invalidMove");
       socket.off("akuzeAnnounced");
+      socket.off("trumpSwapped");
+      socket.off("akuzeRejected");
       socket.off("partidaRestarted");
       socket.off("partidaContinueStatus");
       socket.off("eloUpdate");
@@ -2818,6 +2912,13 @@ function Game({
 
     setGameState((prev) => ({
       ...prev,
+      ...(mode === "ai" && {
+        moveLog: appendMove(prev.moveLog, {
+          type: MOVE_LOG_TYPES.AKUZE,
+          seat: 1,
+          akuz,
+        }),
+      }),
       myAkuze: [...prev.myAkuze, akuz],
       canAkuze: false, // Može akužavati samo jednom po partiji
       message: `Akužavali ste ${akuz.description} (${akuz.points} bodova)!`,
@@ -2829,6 +2930,11 @@ function Game({
     );
   };
 
+  const handleSwapTrump = () => {
+    if (mode !== "online" || !socket || !gameState?.roomId) return;
+    socket.emit("swapTrump", { roomId: gameState.roomId });
+  };
+
   const handleContinueNextPartija = () => {
     if (!gameState.roomId || gameState.mode !== "online") {
       return;
@@ -2849,8 +2955,12 @@ function Game({
 
     if (gameState.mode === "ai") {
       // AI mode - handle locally
-      const deck = shuffleDeckTreseta(createDeckTreseta());
-      const dealt = dealCardsTreseta(deck);
+      const dealt = dealLocalGame("treseta", gameState.houseRules);
+
+      // AI automatski prijavi nove akuže u novoj partiji
+      const aiAkuze = gameState.akuzeEnabled
+        ? checkAiAkuze(dealt.player2Hand, gameState.akuzeTypes)
+        : [];
 
       setGameState((prev) => ({
         ...prev,
@@ -2869,7 +2979,8 @@ function Game({
         playableCards: dealt.player1Hand.map((c) => c.id),
         canAkuze: prev.akuzeEnabled, // Reset based on settings
         myAkuze: [], // Reset akuze for new partija
-        opponentAkuze: prev.akuzeEnabled ? checkAiAkuze(dealt.player2Hand) : [], // AI automatski prijavi nove akuže u novoj partiji
+        opponentAkuze: aiAkuze,
+        moveLog: logLocalDeal(prev.moveLog, dealt, aiAkuze),
         aiAkuzeAnnounced: false, // Reset for new partija
         hasPlayedFirstCard: false, // Reset for new partija
         hasPlayedFirstRound: false, // Reset for new partija - allow akuze again
@@ -2928,14 +3039,22 @@ function Game({
             return;
           }
         }
+      } else if (!localBriskulaPlayableCards(gameState).includes(card.id)) {
+        addToast(
+          "Špil je potrošen - morate odgovoriti na boju prema pravilu završnice!",
+          "error",
+        );
+        setIsCardPlaying(false);
+        return;
       }
       playLocalCard(card, 1);
       return;
     }
 
-    // Za Trešetu - provjeri je li karta igriva
+    // Za Trešetu i Briskulu s pravilom završnice - provjeri je li karta igriva
     if (
-      gameState.gameType === "treseta" &&
+      (gameState.gameType === "treseta" ||
+        (gameState.endgameRule && gameState.endgameRule !== "off")) &&
       !gameState.playableCards.includes(card.id)
     ) {
       addToast(
@@ -3013,6 +3132,8 @@ function Game({
   const computedWinner = useMemo(() => {
     // If not finished, keep server/local winner as-is
     if (gameState?.gamePhase !== "finished") return gameState?.winner;
+    // Seriju odlučuju dobivene igre, ne bodovi zadnje igre
+    if (gameState.series) return gameState.winner;
 
     if (myPoints > opponentPoints) return gameState.playerNumber;
     if (opponentPoints > myPoints) return gameState.playerNumber === 1 ? 2 : 1;
@@ -3022,6 +3143,7 @@ function Game({
     gameState?.gamePhase,
     gameState?.winner,
     gameState?.playerNumber,
+    gameState?.series,
     myPoints,
     opponentPoints,
   ]);
@@ -3048,6 +3170,22 @@ function Game({
       ? gameState.remainingDeck?.length || 0
       : gameState.remainingCardsCount;
 
+  // Karta kojom igrač smije zamijeniti aduta (samo na svom redu)
+  const trumpSwapCard =
+    mode === "online" &&
+    gameState.gameType === "briskula" &&
+    gameState.gamePhase === "playing" &&
+    gameState.currentPlayer === gameState.playerNumber &&
+    !isCardPlaying &&
+    (gameState.playedCards || []).length < 2
+      ? findTrumpSwapCard(
+          gameState.myHand,
+          gameState.trump,
+          remainingCount,
+          gameState.trumpSwapRule,
+        )
+      : null;
+
   // Spectator and reconnect functions
   const handleReconnectAttempt = () => {
     if (!gameState?.roomId || !user?.name) {
@@ -3131,8 +3269,16 @@ function Game({
               ⏳ {disconnectionInfo.message}
             </div>
             <div style={{ fontSize: "0.8em", marginTop: "5px" }}>
-              Čeka se reconnect...{" "}
-              {graceTimeLeft > 0 ? `(${Math.ceil(graceTimeLeft / 1000)}s)` : ""}
+              {disconnectionInfo.aiTakeover ? (
+                "🤖 AI bot igra dok se igrač ne vrati"
+              ) : (
+                <>
+                  Čeka se reconnect...{" "}
+                  {graceTimeLeft > 0
+                    ? `(${Math.ceil(graceTimeLeft / 1000)}s)`
+                    : ""}
+                </>
+              )}
             </div>
           </div>
         )}
@@ -3257,6 +3403,12 @@ function Game({
               Turnir
             </span>
           )}
+          {gameState.series && (
+            <span className="series-badge">
+              🏅 {gameState.series.wins[gameState.playerNumber || 1]}:
+              {gameState.series.wins[gameState.playerNumber === 2 ? 1 : 2]}
+            </span>
+          )}
         </span>
 
         {/* Simple player names with colors - desktop only */}
@@ -3317,7 +3469,7 @@ function Game({
               const hand = Array.isArray(gameState?.myHand)
                 ? gameState.myHand
                 : [];
-              const availableAkuze = checkAkuze(hand);
+              const availableAkuze = checkAkuze(hand, gameState.akuzeTypes);
 
               return (
                 availableAkuze.length > 0 && (
@@ -3395,7 +3547,10 @@ function Game({
 
               if (!shouldShowMobileAkuze) return null;
 
-              const availableAkuze = checkAkuze(gameState.myHand);
+              const availableAkuze = checkAkuze(
+                gameState.myHand,
+                gameState.akuzeTypes,
+              );
 
               return (
                 availableAkuze.length > 0 && (
@@ -3528,6 +3683,15 @@ function Game({
                   <Card card={{}} isHidden={true} size={trumpCardSize} />
                 </div>
               </div>
+              {trumpSwapCard && (
+                <button
+                  className="trump-swap-btn"
+                  onClick={handleSwapTrump}
+                  title={`Zamijeni ${trumpSwapCard.name} ${trumpSwapCard.suit} za aduta`}
+                >
+                  🔄 Zamijeni aduta ({CARD_NAMES[trumpSwapCard.value]})
+                </button>
+              )}
             </div>
           )}
         </div>
@@ -3577,6 +3741,17 @@ function Game({
                       isPlayable &&
                       (gameState.playableCards || []).includes(card.id);
                   }
+                } else if (
+                  gameState.endgameRule &&
+                  gameState.endgameRule !== "off"
+                ) {
+                  // Briskula s pravilom završnice - u AI modu lokalno, online sa servera
+                  isPlayable =
+                    isPlayable &&
+                    (mode === "ai"
+                      ? localBriskulaPlayableCards(gameState)
+                      : gameState.playableCards || []
+                    ).includes(card.id);
                 } else {
                   // Briskula and other games - use server-provided playableCards if present
                   isPlayable =
@@ -3735,6 +3910,14 @@ function Game({
                                 {partija.myPoints} - {partija.opponentPoints}
                               </span>
                               <span className="partija-winner">
+                                {partija.capot && (
+                                  <span
+                                    className="partija-capot"
+                                    title="Kapot - sve ruke"
+                                  >
+                                    🧹
+                                  </span>
+                                )}
                                 {partija.myPoints > partija.opponentPoints
                                   ? "🏆 Vi"
                                   : partija.opponentPoints > partija.myPoints
@@ -3828,7 +4011,7 @@ function Game({
                   const hand = Array.isArray(gameState?.myHand)
                     ? gameState.myHand
                     : [];
-                  const availableAkuze = checkAkuze(hand);
+                  const availableAkuze = checkAkuze(hand, gameState.akuzeTypes);
                   return availableAkuze.map((akuz, index) => (
                     <button
                       key={index}
@@ -4061,6 +4244,11 @@ function Game({
                   </p>
                 </div>
 
+                <SeriesScoreboard
+                  series={gameState.series}
+                  mySide={gameState.playerNumber}
+                />
+
                 {/* ELO Changes Display */}
                 {mode === "online" && eloChanges && user?.userId && (
                   <div className="elo-changes">
@@ -4085,6 +4273,31 @@ function Game({
                   </div>
                 )}
 
+                {mode === "online" && (
+                  <FairnessPanel
+                    deals={gameState.fairnessDeals}
+                    gameType={gameState.gameType}
+                    gameMode="1v1"
+                    playerNumber={gameState.playerNumber}
+                  />
+                )}
+
+                {mode === "ai" && gameState.moveLog?.length > 0 && (
+                  <AnalysisPanel
+                    match={localMatchRecord(
+                      gameState,
+                      user?.name,
+                      currentPoints,
+                    )}
+                    seats={[1]}
+                    playerName={(seat) =>
+                      seat === 1
+                        ? user?.name
+                        : gameState.opponent?.name || "AI Bot"
+                    }
+                  />
+                )}
+
                 <div className="final-score-actions">
                   {/* Don't show Revanš button for tournament games */}
                   {!gameState.isTournamentMatch &&
@@ -4120,13 +4333,10 @@ function Game({
                         // Stop pending auto-exit
                         setSessionExpiryAt(null);
                         localStorage.removeItem("sessionExpiresAt");
-                        const useTreseta = gameState.gameType === "treseta";
-                        const deck = useTreseta
-                          ? shuffleDeckTreseta(createDeckTreseta())
-                          : shuffleDeck(createDeck());
-                        const dealt = useTreseta
-                          ? dealCardsTreseta(deck)
-                          : dealCards(deck);
+                        const dealt = dealLocalGame(
+                          gameState.gameType,
+                          gameState.houseRules,
+                        );
                         setGameState((prev) => ({
                           ...prev,
                           mode: "ai",
@@ -4148,6 +4358,7 @@ function Game({
                           opponentHandCount: dealt.player2Hand.length,
                           remainingCardsCount: dealt.remainingDeck.length,
                           playableCards: dealt.player1Hand.map((c) => c.id),
+                          moveLog: logLocalDeal([], dealt),
                         }));
                       }}
                       className="btn-primary-large"
@@ -4155,6 +4366,22 @@ function Game({
                       🔄 Revanš (AI)
                     </button>
                   )}
+                  {mode === "ai" && gameState.moveLog?.length > 0 && (
+                    <button
+                      onClick={() =>
+                        downloadNotation(
+                          localMatchRecord(
+                            gameState,
+                            user?.name,
+                            currentPoints,
+                          ),
+                        )
+                      }
+                      className="btn-secondary-large"
+                    >
+                      ⬇ Preuzmi zapis
+                    </button>
+                  )}
                   <button
                     onClick={handleReturnToMenu}
                     className="btn-secondary-large"
@@ -4168,8 +4395,54 @@ function Game({
         </div>
       )}
 
-      {/* Partija Finished Screen for Treseta */}
-      {gameState.gamePhase === "partidaFinished" && (
+      {/* Partija Finished Screen for Treseta / Briskula series game */}
+      {gameState.gamePhase === "partidaFinished" && gameState.series && (
+        <div className="final-score-overlay">
+          <div className="final-score-container">
+            <div className="final-score-header">
+              <h2>🏅 {gameState.series.gameNumber}. igra završena!</h2>
+            </div>
+
+            <div className="partija-result">
+              <p>
+                {gameState.myPoints > gameState.opponentPoints
+                  ? "🎉 Dobili ste ovu igru!"
+                  : gameState.opponentPoints > gameState.myPoints
+                    ? "😔 Izgubili ste ovu igru."
+                    : "🤝 Igra neriješena!"}
+              </p>
+              <div className="partija-scores">
+                Rezultat igre: {gameState.myPoints} - {gameState.opponentPoints}
+              </div>
+            </div>
+
+            <SeriesScoreboard
+              series={gameState.series}
+              mySide={gameState.playerNumber}
+            />
+
+            <div className="final-score-actions">
+              {nextPartidaStatus.playerReady ? (
+                <div className="waiting-opponent-message">
+                  <div className="loading-spinner">⏳</div>
+                  <p>Čeka se protivnikova odluka...</p>
+                </div>
+              ) : (
+                <button
+                  onClick={handleContinueNextPartija}
+                  className="btn-primary-large"
+                >
+                  ▶️ Sljedeća igra
+                </button>
+              )}
+              <button onClick={onGameEnd} className="btn-secondary-large">
+                🏠 Glavni meni
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+      {gameState.gamePhase === "partidaFinished" && !gameState.series && (
         <div className="final-score-overlay">
           <div className="final-score-container">
             <div className="final-score-header">
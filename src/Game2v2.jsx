@@ -1,10 +1,28 @@
 "use client";
 
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useCallback, useRef } from "react";
 import Card from "./Card";
 import { useSocket } from "./SocketContext";
 import { useToast } from "./ToastProvider";
-import { checkAkuze } from "../core/tresetaCommon.js";
+import {
+  addAkuze,
+  checkAkuze,
+  capotPoints,
+  createDeck,
+  SIGNALS,
+  validateSignal,
+} from "../core/tresetaCommon.js";
+import { checkAiAkuze } from "../core/tresetaAI.js";
+import { chooseTeamAiCard } from "../core/teamAI.js";
+import { getEngine, MOVE_TYPES } from "../core/engines.js";
+import { findTrumpSwapCard, CARD_NAMES } from "../core/gameLogicBriskula.js";
+import {
+  recordDeal,
+  recordReveal,
+  dealHistoryFromState,
+} from "../core/fairShuffle.js";
+import FairnessPanel from "./FairnessPanel";
+import SeriesScoreboard from "./SeriesScoreboard";
 import "./Game.css";
 import "./Card.css";
 import "./Game2v2.css";
@@ -13,6 +31,32 @@ function calculatePoints(cards) {
   return cards.reduce((total, card) => total + (card.points || 0), 0);
 }
 
+// Karte Trešete po id-u - dnevnik znakova sa servera čuva samo cardId
+const TRESETA_CARDS = Object.fromEntries(
+  createDeck().map((card) => [card.id, card]),
+);
+
+// Partner u 2v2: 1 & 3, 2 & 4
+const getPartnerNumber = (playerNumber) => ((playerNumber + 1) % 4) + 1;
+
+/**
+ * Partnerove karte ako ih je server otkrio (kućno pravilo partnerReveal),
+ * inače prazna lista - skrivene karte stižu kao { hidden: true }.
+ */
+function revealedCards(hand) {
+  if (!Array.isArray(hand) || hand.length === 0) return [];
+  return hand.every((card) => card && !card.hidden) ? hand : [];
+}
+
+/**
+ * Znakovi partneru iz dnevnika igre (gameLog) u obliku za prikaz
+ */
+function signalLogFromState(serverState) {
+  return (serverState?.gameLog || []).filter(
+    (entry) => entry.type === "signal",
+  );
+}
+
 /**
  * Vraća pravilnu riječ za broj karata u hrvatskom jeziku
  * @param {number} count - Broj karata
@@ -28,6 +72,18 @@ function getCardCountText(count) {
   }
 }
 
+/**
+ * Ograničava li server igrive karte (Trešeta ili Briskula s pravilom završnice)
+ * @param {Object} state - Stanje igre
+ * @returns {boolean}
+ */
+function enforcesPlayableCards(state) {
+  return (
+    state?.gameType === "treseta" ||
+    Boolean(state?.endgameRule && state.endgameRule !== "off")
+  );
+}
+
 /**
  * Sortira karte po boji i jačini i grupiraj po bojama
  * @param {Array} cards - Array karata za sortiranje
@@ -87,6 +143,385 @@ function sortCards(cards, gameType = "briskula") {
   });
 }
 
+function reduceCardPlayed(prev, data) {
+  const newMyHand =
+    data.playerNumber === prev.playerNumber
+      ? prev.myHand.filter((c) => c.id !== data.card.id)
+      : prev.myHand;
+
+  return {
+    ...prev,
+    playedCards: data.playedCards,
+    myHand: newMyHand,
+    partnerHand: (prev.partnerHand || []).filter((c) => c.id !== data.card.id),
+    signalLog: data.signal
+      ? [
+          ...(prev.signalLog || []),
+          {
+            type: "signal",
+            seat: data.playerNumber,
+            cardId: data.card.id,
+            signal: data.signal,
+          },
+        ]
+      : prev.signalLog,
+    handCounts: {
+      ...prev.handCounts,
+      [`player${data.playerNumber}`]: Math.max(
+        0,
+        prev.handCounts[`player${data.playerNumber}`] - 1,
+      ),
+    },
+    message:
+      data.playerNumber === prev.playerNumber
+        ? "Čekamo ostale igrače..."
+        : `${data.playerName} je odigrao kartu.`,
+  };
+}
+
+function reduceTurnChange(prev, data) {
+  return {
+    ...prev,
+    currentPlayer: data.currentPlayer,
+    message:
+      data.currentPlayer === prev.playerNumber
+        ? "Vaš red! Odaberite kartu."
+        : `Red igrača ${data.currentPlayerName}.`,
+  };
+}
+
+/**
+ * Kraj ruke - isti payload šalje server (finishRound2v2) i lokalni AI mod
+ */
+function reduceRoundFinished(prev, data) {
+  // Fallback - calculate myTeam from playerNumber if it's undefined
+  const myTeam =
+    prev.myTeam || (prev.playerNumber === 1 || prev.playerNumber === 3 ? 1 : 2);
+
+  const newMyHand = data[`player${prev.playerNumber}Hand`];
+  const useTreseta = prev.gameType === "treseta";
+  const newState = {
+    ...prev,
+    myHand: newMyHand,
+    partnerHand: revealedCards(
+      data[`player${getPartnerNumber(prev.playerNumber)}Hand`],
+    ),
+    trump: data.trump,
+    team1Cards: data.team1Cards,
+    team2Cards: data.team2Cards,
+    playedCards: [],
+    currentPlayer: data.currentPlayer,
+    remainingCardsCount: data.remainingCards,
+    fairnessDeals: recordReveal(prev.fairnessDeals, data.fairnessReveal),
+    handCounts: {
+      player1: data.player1Hand?.length || prev.handCounts.player1 || 0,
+      player2: data.player2Hand?.length || prev.handCounts.player2 || 0,
+      player3: data.player3Hand?.length || prev.handCounts.player3 || 0,
+      player4: data.player4Hand?.length || prev.handCounts.player4 || 0,
+    },
+    // Dodaj Trešeta specifične podatke
+    playableCards: enforcesPlayableCards(prev)
+      ? data[`player${prev.playerNumber}PlayableCards`] || []
+      : prev.playableCards,
+    team1Points:
+      prev.gameType === "treseta" && data.team1Points
+        ? data.team1Points.points
+        : prev.team1Points,
+    team2Points:
+      prev.gameType === "treseta" && data.team2Points
+        ? data.team2Points.points
+        : prev.team2Points,
+  };
+
+  // Handle Treseta long-term scoring (similar to 1v1)
+  if (useTreseta && (data.gameEnd.isPartidaOver || data.gameEnd.isGameOver)) {
+    // Calculate akuže points for each team
+    const team1AkuzePoints = (prev.team1Akuze || []).reduce(
+      (sum, akuz) => sum + akuz.points,
+      0,
+    );
+    const team2AkuzePoints = (prev.team2Akuze || []).reduce(
+      (sum, akuz) => sum + akuz.points,
+      0,
+    );
+
+    // Add akuže (i kapot) points to the final partija score
+    const capot = data.gameEnd.capot || null;
+    const team1PartidaPoints =
+      (newState.team1Points || 0) + team1AkuzePoints + capotPoints(capot, 1);
+    const team2PartidaPoints =
+      (newState.team2Points || 0) + team2AkuzePoints + capotPoints(capot, 2);
+
+    // Add current partija results to partijas history (including akuže)
+    const newPartijas = [
+      ...(prev.partijas || []),
+      {
+        partija: prev.currentPartija || 1,
+        team1Points: team1PartidaPoints,
+        team2Points: team2PartidaPoints,
+        winner:
+          team1PartidaPoints > team2PartidaPoints
+            ? 1
+            : team2PartidaPoints > team1PartidaPoints
+              ? 2
+              : 0, // 0 for tie
+        capot: capot?.side ?? null,
+      },
+    ];
+
+    // Update total points (including akuže)
+    const newTotalTeam1Points =
+      (prev.totalTeam1Points || 0) + team1PartidaPoints;
+    const newTotalTeam2Points =
+      (prev.totalTeam2Points || 0) + team2PartidaPoints;
+
+    newState.partijas = newPartijas;
+    newState.totalTeam1Points = newTotalTeam1Points;
+    newState.totalTeam2Points = newTotalTeam2Points;
+    newState.currentPartija = (prev.currentPartija || 1) + 1;
+    newState.canAkuze = prev.akuzeEnabled; // Reset akuze based on settings
+    newState.myTeam = myTeam; // Ensure myTeam is preserved
+
+    // Check if game is truly over (reached target score or capot wins)
+    const targetScore = prev.targetScore || 31;
+    const capotWin = capot?.rule === "win";
+    if (
+      capotWin ||
+      newTotalTeam1Points >= targetScore ||
+      newTotalTeam2Points >= targetScore
+    ) {
+      newState.gamePhase = "finished";
+
+      // Determine the winning team
+      const winningTeam = capotWin
+        ? capot.side
+        : newTotalTeam1Points >= targetScore
+          ? 1
+          : 2;
+      newState.winner = winningTeam;
+
+      // Determine message based on winning team
+      if (capotWin) {
+        newState.message =
+          winningTeam === myTeam
+            ? "🧹 Kapot! Vaš tim je pobijedio seriju!"
+            : "😔 Kapot protivnika - vaš tim je izgubio.";
+      } else if (winningTeam === 1) {
+        newState.message =
+          myTeam === 1
+            ? `🎉 Vaš tim je pobijedio! (Dosegnuli ste ${targetScore} bodova)`
+            : "😔 Vaš tim je izgubio.";
+      } else if (winningTeam === 2) {
+        newState.message =
+          myTeam === 2
+            ? `🎉 Vaš tim je pobijedio! (Dosegnuli ste ${targetScore} bodova)`
+            : "😔 Vaš tim je izgubio.";
+      } else {
+        newState.message = "🤝 Neriješeno!";
+      }
+    } else {
+      // Partija finished but game continues
+      newState.gamePhase = "partidaFinished";
+
+      // Partija points (akuže i kapot uključeni) determine the winner message
+      if (team1PartidaPoints > team2PartidaPoints) {
+        // Team 1 won
+        newState.message =
+          myTeam === 1
+            ? "🎉 Dobili ste ovu partiju!"
+            : "😔 Izgubili ste ovu partiju.";
+      } else if (team2PartidaPoints > team1PartidaPoints) {
+        // Team 2 won
+        newState.message =
+          myTeam === 2
+            ? "🎉 Dobili ste ovu partiju!"
+            : "😔 Izgubili ste ovu partiju.";
+      } else {
+        // Tie
+        newState.message = "🤝 Partija neriješena!";
+      }
+      if (capot) {
+        newState.message = `🧹 Kapot${
+          capot.side === myTeam ? "" : " protivnika"
+        }! ${newState.message}`;
+      }
+    }
+  } else if (data.series && data.gameEnd.isFinalGameOver === false) {
+    // Briskula serija - igra gotova, serija se nastavlja
+    newState.series = data.series;
+    newState.gamePhase = "partidaFinished";
+    newState.winner = null;
+    newState.message =
+      data.gameEnd.partidaWinner === myTeam
+        ? "🎉 Vaš tim je dobio ovu igru!"
+        : data.gameEnd.partidaWinner
+          ? "😔 Vaš tim je izgubio ovu igru."
+          : "🤝 Igra neriješena!";
+  } else if (data.gameEnd.isGameOver) {
+    // Non-Treseta games or simple game over
+    newState.gamePhase = "finished";
+    newState.winner = data.gameEnd.winner;
+    if (data.series) newState.series = data.series;
+
+    // Determine message based on winning team
+    if (data.series) {
+      const myWins = data.series.wins[myTeam];
+      const opponentWins = data.series.wins[myTeam === 1 ? 2 : 1];
+      newState.message =
+        data.gameEnd.winner === myTeam
+          ? `🎉 Vaš tim je pobijedio seriju! (${myWins}:${opponentWins})`
+          : `😔 Vaš tim je izgubio seriju. (${myWins}:${opponentWins})`;
+    } else if (data.gameEnd.winner === 1) {
+      newState.message =
+        myTeam === 1 ? "🎉 Vaš tim je pobijedio!" : "😔 Vaš tim je izgubio.";
+    } else if (data.gameEnd.winner === 2) {
+      newState.message =
+        myTeam === 2 ? "🎉 Vaš tim je pobijedio!" : "😔 Vaš tim je izgubio.";
+    } else if (data.gameEnd.winner === null) {
+      newState.message = `🤝 Neriješeno! (${data.gameEnd.reason || ""})`;
+    } else {
+      newState.message = "😔 Vaš tim je izgubio.";
+    }
+  } else {
+    // Round finished, game continues
+    newState.gamePhase = "playing";
+    const winningTeam = data.roundWinningTeam;
+    newState.message =
+      winningTeam === myTeam
+        ? "Vaš tim je uzeo rundu!"
+        : "Protivnički tim je uzeo rundu.";
+  }
+
+  // Mark that first round has been completed - no more akuze allowed
+  if (prev.gameType === "treseta") {
+    newState.hasPlayedFirstRound = true;
+  }
+
+  // Always preserve myTeam in the new state
+  newState.myTeam = myTeam;
+
+  return newState;
+}
+
+/**
+ * Nova partija ili igra serije (partidaRestarted sa servera ili lokalno
+ * dijeljenje)
+ */
+function reducePartidaRestarted(prev, data) {
+  return {
+    ...prev,
+    myHand: data[`player${prev.playerNumber}Hand`],
+    team1Cards: [],
+    team2Cards: [],
+    playedCards: [],
+    currentPlayer: data.currentPlayer || 1,
+    gamePhase: "playing",
+    remainingCardsCount: data.remainingCards || 40,
+    team1Points: 0,
+    team2Points: 0,
+    fairnessDeals: recordDeal(
+      prev.fairnessDeals,
+      data.fairness,
+      data[`player${prev.playerNumber}Hand`],
+    ),
+    playableCards:
+      prev.gameType === "treseta"
+        ? data[`player${prev.playerNumber}PlayableCards`] ||
+          data[`player${prev.playerNumber}Hand`]?.map((c) => c.id) ||
+          []
+        : data[`player${prev.playerNumber}Hand`]?.map((c) => c.id) || [],
+    canAkuze: prev.akuzeEnabled, // Reset based on settings
+    myAkuze: [], // Reset akuze for new partija
+    team1Akuze: [], // Reset akuze for new partija
+    team2Akuze: [], // Reset akuze for new partija
+    hasPlayedFirstRound: false, // Reset for new partija - allow akuze again
+    handCounts: {
+      player1: data.player1Hand?.length || 0,
+      player2: data.player2Hand?.length || 0,
+      player3: data.player3Hand?.length || 0,
+      player4: data.player4Hand?.length || 0,
+    },
+    // Briskula serija - novi adut i stanje serije
+    ...(prev.gameType === "briskula" && {
+      trump: data.trump,
+      trumpSwapRule: data.trumpSwapRule,
+      series: data.series,
+      partnerHand: [],
+    }),
+    message:
+      (prev.gameType === "briskula"
+        ? `${data.series?.gameNumber}. igra serije! `
+        : "Nova partija! ") +
+      (data.currentPlayer === prev.playerNumber
+        ? "Vaš red."
+        : "Čekajte svoj red."),
+  };
+}
+
+// Lokalni AI mod (2v2AI): igrač 1 s AI partnerom protiv dva AI protivnika
+const LOCAL_AI_PLAYERS = [
+  { name: "AI Protivnik 1", playerNumber: 2, team: 2, isAI: true },
+  { name: "AI Partner", playerNumber: 3, team: 1, isAI: true },
+  { name: "AI Protivnik 2", playerNumber: 4, team: 2, isAI: true },
+];
+
+/**
+ * Lokalno dijeljenje - AI igrači odmah prijavljuju najjači akuž ako je
+ * akužavanje uključeno.
+ */
+function dealLocal2v2(engine, akuzeEnabled, previousState) {
+  let state = engine.createInitialState(previousState ? { previousState } : {});
+  if (akuzeEnabled) {
+    LOCAL_AI_PLAYERS.forEach(({ name, playerNumber }) => {
+      checkAiAkuze(
+        state[`player${playerNumber}Hand`],
+        state.akuzeTypes,
+      ).forEach((akuz) => {
+        state = addAkuze(state, playerNumber, akuz, { playerName: name });
+      });
+    });
+  }
+  return state;
+}
+
+/**
+ * Karte na stolu u obliku koji server šalje uz cardPlayed
+ */
+function localPlayedCards(state, players) {
+  return state.playedCards.map((pc) => ({
+    ...pc.card,
+    playerNumber: pc.playerNumber,
+    playerName: players.find((p) => p.playerNumber === pc.playerNumber)?.name,
+  }));
+}
+
+/**
+ * Payload kraja ruke za lokalni AI mod - isti oblik kao finishRound2v2,
+ * tuđe ruke skrivene kao u projekciji servera
+ */
+function localRoundPayload(engine, state, playerNumber) {
+  const { points, totals, gameEnd } = engine.score(state);
+  const data = {
+    roundWinner: state.lastTrick?.winner,
+    roundWinningTeam: state.lastTrick?.side,
+    team1Points: { ...points[1], points: totals[1] },
+    team2Points: { ...points[2], points: totals[2] },
+    gameEnd,
+    currentPlayer: state.currentPlayer,
+    remainingCards: (state.remainingDeck || []).length,
+    team1Cards: state.team1Cards,
+    team2Cards: state.team2Cards,
+    trump: state.trump,
+  };
+  for (let seat = 1; seat <= engine.seats; seat++) {
+    const hand = state[`player${seat}Hand`];
+    data[`player${seat}Hand`] =
+      seat === playerNumber ? hand : hand.map(() => ({ hidden: true }));
+    data[`player${seat}PlayableCards`] = engine.playableCards(state, seat);
+  }
+  return data;
+}
+
 function Game2v2({ gameData, onGameEnd }) {
   const {
     socket,
@@ -110,47 +545,66 @@ function Game2v2({ gameData, onGameEnd }) {
   const [disconnectionInfo, setDisconnectionInfo] = useState(null);
   const [graceTimeLeft, setGraceTimeLeft] = useState(0);
 
+  const isLocal = gameData?.gameMode === "2v2AI";
+  // Lokalni mod vrti isti rules engine kao server
+  const localEngine = isLocal
+    ? getEngine(gameData.gameType || "briskula", "2v2")
+    : null;
+
   const initializeGameState = () => {
     if (!gameData) return null;
 
-    const myPlayerNumber = gameData.playerNumber;
+    const local = isLocal
+      ? dealLocal2v2(
+          localEngine,
+          gameData.gameType === "treseta" && gameData.akuzeEnabled !== false,
+        )
+      : null;
+    const serverState = local || gameData.gameState;
+    const myPlayerNumber = isLocal ? 1 : gameData.playerNumber;
 
     // Try multiple sources for myHand - server might send it in different places
     const myHand =
-      gameData.gameState?.myHand || // From server reconnection
-      gameData.gameState?.[`player${myPlayerNumber}Hand`] || // Direct player hand
+      serverState?.myHand || // From server reconnection
+      serverState?.[`player${myPlayerNumber}Hand`] || // Direct player hand
       gameData.myHand || // Sometimes at root level
       [];
 
     // Try multiple sources for myTeam
-    const myTeam =
-      gameData.myTeam || // Direct from server
-      gameData.gameState?.myTeam || // Nested in gameState
-      gameData.players?.find((p) => p.playerNumber === myPlayerNumber)?.team; // Extract from players
+    const myTeam = isLocal
+      ? 1
+      : gameData.myTeam || // Direct from server
+        serverState?.myTeam || // Nested in gameState
+        gameData.players?.find((p) => p.playerNumber === myPlayerNumber)?.team; // Extract from players
 
     // Ensure all hands exist and have proper fallbacks
-    const player1Hand = gameData.gameState.player1Hand || [];
-    const player2Hand = gameData.gameState.player2Hand || [];
-    const player3Hand = gameData.gameState.player3Hand || [];
-    const player4Hand = gameData.gameState.player4Hand || [];
+    const player1Hand = serverState.player1Hand || [];
+    const player2Hand = serverState.player2Hand || [];
+    const player3Hand = serverState.player3Hand || [];
+    const player4Hand = serverState.player4Hand || [];
 
     return {
-      roomId: gameData.roomId,
+      roomId: isLocal ? null : gameData.roomId,
       playerNumber: myPlayerNumber,
       myTeam: myTeam,
-      players: gameData.players,
+      players: isLocal
+        ? [
+            { name: user?.name || "Vi", playerNumber: 1, team: 1 },
+            ...LOCAL_AI_PLAYERS,
+          ]
+        : gameData.players,
       gameType: gameData.gameType || "briskula", // Dodaj gameType
       myHand: myHand,
       playedCards: [],
-      trump: gameData.gameState.trump,
-      currentPlayer: gameData.gameState.currentPlayer,
+      trump: serverState.trump,
+      currentPlayer: serverState.currentPlayer,
       gamePhase: "playing",
       winner: null,
       message:
-        gameData.gameState.currentPlayer === myPlayerNumber
+        serverState.currentPlayer === myPlayerNumber
           ? "Vaš red! Odaberite kartu za igranje."
           : "Čekajte svoj red...",
-      remainingCardsCount: gameData.gameState.remainingDeck?.length || 0,
+      remainingCardsCount: serverState.remainingDeck?.length || 0,
       team1Cards: [],
       team2Cards: [],
       // Dodaj bodove za Trešetu
@@ -163,15 +617,30 @@ function Game2v2({ gameData, onGameEnd }) {
         player4: player4Hand.length,
       },
       // Dodaj playableCards za Trešetu
-      playableCards: gameData.gameState.playableCards || [],
+      playableCards: local
+        ? localEngine.playableCards(local, myPlayerNumber)
+        : serverState.playableCards || [],
+      fairnessDeals: dealHistoryFromState(serverState, myHand),
+      signalRule: serverState.signalRule || null,
+      signalLog: signalLogFromState(serverState),
+      // Lokalno stanje sadrži sve ruke - partnerova karta se ne otkriva
+      partnerHand: local
+        ? []
+        : revealedCards(
+            serverState[`player${getPartnerNumber(myPlayerNumber)}Hand`],
+          ),
+      trumpSwapRule: serverState.trumpSwapRule || null,
+      endgameRule: serverState.endgameRule || "off",
+      akuzeTypes: serverState.akuzeTypes || null,
+      series: serverState.series || null, // Briskula serija
 
       // Long-term scoring for Treseta (similar to 1v1)
       ...(gameData.gameType === "treseta" && {
-        totalTeam1Points: gameData.gameState.totalTeam1Points || 0,
-        totalTeam2Points: gameData.gameState.totalTeam2Points || 0,
-        currentPartija: gameData.gameState.currentPartija || 1,
-        targetScore: gameData.gameState.targetScore || 31,
-        partijas: gameData.gameState.partijas || [],
+        totalTeam1Points: serverState.totalTeam1Points || 0,
+        totalTeam2Points: serverState.totalTeam2Points || 0,
+        currentPartija: serverState.currentPartija || 1,
+        targetScore: serverState.targetScore || 31,
+        partijas: serverState.partijas || [],
       }),
 
       // Akuže support for Treseta
@@ -179,18 +648,20 @@ function Game2v2({ gameData, onGameEnd }) {
         akuzeEnabled:
           gameData.akuzeEnabled !== undefined ? gameData.akuzeEnabled : true,
         myAkuze: [],
-        team1Akuze: gameData.gameState.team1Akuze || [],
-        team2Akuze: gameData.gameState.team2Akuze || [],
+        team1Akuze: serverState.team1Akuze || [],
+        team2Akuze: serverState.team2Akuze || [],
         canAkuze:
           gameData.akuzeEnabled !== undefined ? gameData.akuzeEnabled : true,
-        hasPlayedFirstRound: gameData.gameState.hasPlayedFirstRound || false, // Track if first round completed for akuze restrictions
+        hasPlayedFirstRound: serverState.hasPlayedFirstRound || false, // Track if first round completed for akuze restrictions
       }),
+      local,
     };
   };
 
   const [gameState, setGameState] = useState(initializeGameState);
   const [showScores, setShowScores] = useState(false);
   const [showAkuzeModal, setShowAkuzeModal] = useState(false);
+  const [selectedSignal, setSelectedSignal] = useState(null);
   const [isMobile, setIsMobile] = useState(false);
 
   // State for next partija continuation (like in 1v1)
@@ -234,6 +705,10 @@ function Game2v2({ gameData, onGameEnd }) {
           player4: 0,
         },
         playableCards: savedGameState.gameState?.playableCards || [],
+        signalRule: savedGameState.gameState?.signalRule || null,
+        signalLog: savedGameState.gameState?.signalLog || [],
+        partnerHand: savedGameState.gameState?.partnerHand || [],
+        endgameRule: savedGameState.gameState?.endgameRule || "off",
 
         // Treseta specific properties
         ...(savedGameState.gameType === "treseta" && {
@@ -305,237 +780,152 @@ function Game2v2({ gameData, onGameEnd }) {
     return () => window.removeEventListener("resize", checkMobile);
   }, []);
 
+  // Akuže AI igrača iz lokalnog dijeljenja - svi ih vide
+  const announceLocalAkuze = useCallback(
+    (local) => {
+      [...(local.team1Akuze || []), ...(local.team2Akuze || [])]
+        .filter((akuz) => akuz.playerNumber !== 1)
+        .forEach((akuz) => {
+          addToast(
+            `${akuz.playerName} je akužao ${akuz.description} (+${akuz.points} bodova)`,
+            "info",
+          );
+        });
+    },
+    [addToast],
+  );
+
+  const initialAkuzeShown = useRef(false);
+  useEffect(() => {
+    if (!isLocal || !gameState?.local || initialAkuzeShown.current) return;
+    initialAkuzeShown.current = true;
+    announceLocalAkuze(gameState.local);
+  }, [isLocal, gameState?.local, announceLocalAkuze]);
+
+  // Lokalni potez kroz rules engine + iste promjene stanja kao sa servera
+  const applyLocalPlay = useCallback(
+    (prev, seat, cardId) => {
+      const local = localEngine.applyMove(prev.local, {
+        type: MOVE_TYPES.PLAY,
+        seat,
+        cardId,
+      });
+      const playerName = prev.players.find(
+        (p) => p.playerNumber === seat,
+      )?.name;
+
+      let next = reduceCardPlayed(
+        { ...prev, local },
+        {
+          playerNumber: seat,
+          playerName,
+          card: local.playedCards[local.playedCards.length - 1].card,
+          playedCards: localPlayedCards(local, prev.players),
+        },
+      );
+      if (!localEngine.isTrickComplete(local)) {
+        next = reduceTurnChange(next, {
+          currentPlayer: local.currentPlayer,
+          currentPlayerName: prev.players.find(
+            (p) => p.playerNumber === local.currentPlayer,
+          )?.name,
+        });
+      }
+      return {
+        ...next,
+        playableCards: enforcesPlayableCards(prev)
+          ? localEngine.playableCards(local, prev.playerNumber)
+          : prev.playableCards,
+      };
+    },
+    [localEngine],
+  );
+
+  const playLocalAiCard = useCallback(() => {
+    setGameState((prev) => {
+      const local = prev.local;
+      const seat = local.currentPlayer;
+      if (
+        prev.gamePhase !== "playing" ||
+        seat === prev.playerNumber ||
+        localEngine.isTrickComplete(local)
+      ) {
+        return prev;
+      }
+
+      const card = chooseTeamAiCard(localEngine, local, seat, {
+        difficulty: gameData?.aiDifficulty,
+      });
+      return card ? applyLocalPlay(prev, seat, card.id) : prev;
+    });
+  }, [localEngine, gameData?.aiDifficulty, applyLocalPlay]);
+
+  const collectLocalTrick = useCallback(() => {
+    setGameState((prev) => {
+      if (!localEngine.isTrickComplete(prev.local)) return prev;
+      const local = localEngine.applyMove(prev.local, {
+        type: MOVE_TYPES.COLLECT,
+      });
+      return {
+        ...reduceRoundFinished(
+          prev,
+          localRoundPayload(localEngine, local, prev.playerNumber),
+        ),
+        local,
+      };
+    });
+  }, [localEngine]);
+
+  // Lokalni mod: AI igra svoj potez, puna ruka se pokupi nakon pauze
+  useEffect(() => {
+    const local = gameState?.local;
+    if (!isLocal || !local || gameState.gamePhase !== "playing") return;
+
+    if (localEngine.isTrickComplete(local)) {
+      const timeoutId = setTimeout(collectLocalTrick, 1500);
+      return () => clearTimeout(timeoutId);
+    }
+    if (local.currentPlayer !== gameState.playerNumber) {
+      const timeoutId = setTimeout(playLocalAiCard, 1000);
+      return () => clearTimeout(timeoutId);
+    }
+  }, [
+    isLocal,
+    localEngine,
+    gameState?.local,
+    gameState?.gamePhase,
+    gameState?.playerNumber,
+    playLocalAiCard,
+    collectLocalTrick,
+  ]);
+
   useEffect(() => {
     if (!socket || !gameState?.roomId) return;
 
     socket.on("cardPlayed", (data) => {
       // Don't reset isCardPlaying here - wait until round finishes to prevent rapid clicking
 
-      setGameState((prev) => {
-        const newMyHand =
-          data.playerNumber === prev.playerNumber
-            ? prev.myHand.filter((c) => c.id !== data.card.id)
-            : prev.myHand;
+      // Znak partneru vide sva četiri igrača
+      if (data.signal && data.playerNumber !== gameState?.playerNumber) {
+        addToast(
+          `${data.playerName}: ${SIGNALS[data.signal]?.label || data.signal}!`,
+          "info",
+        );
+      }
 
-        return {
-          ...prev,
-          playedCards: data.playedCards,
-          myHand: newMyHand,
-          handCounts: {
-            ...prev.handCounts,
-            [`player${data.playerNumber}`]: Math.max(
-              0,
-              prev.handCounts[`player${data.playerNumber}`] - 1,
-            ),
-          },
-          message:
-            data.playerNumber === prev.playerNumber
-              ? "Čekamo ostale igrače..."
-              : `${data.playerName} je odigrao kartu.`,
-        };
-      });
+      setGameState((prev) => reduceCardPlayed(prev, data));
     });
 
     socket.on("turnChange", (data) => {
-      setGameState((prev) => ({
-        ...prev,
-        currentPlayer: data.currentPlayer,
-        message:
-          data.currentPlayer === prev.playerNumber
-            ? "Vaš red! Odaberite kartu."
-            : `Red igrača ${data.currentPlayerName}.`,
-      }));
+      setGameState((prev) => reduceTurnChange(prev, data));
     });
 
     socket.on("roundFinished", (data) => {
       setGameState((prev) => {
-        // Fallback - calculate myTeam from playerNumber if it's undefined
-        const myTeam =
-          prev.myTeam ||
-          (prev.playerNumber === 1 || prev.playerNumber === 3 ? 1 : 2);
-
-        const newMyHand = data[`player${prev.playerNumber}Hand`];
-        const useTreseta = prev.gameType === "treseta";
-        const newState = {
-          ...prev,
-          myHand: newMyHand,
-          trump: data.trump,
-          team1Cards: data.team1Cards,
-          team2Cards: data.team2Cards,
-          playedCards: [],
-          currentPlayer: data.currentPlayer,
-          remainingCardsCount: data.remainingCards,
-          handCounts: {
-            player1: data.player1Hand?.length || prev.handCounts.player1 || 0,
-            player2: data.player2Hand?.length || prev.handCounts.player2 || 0,
-            player3: data.player3Hand?.length || prev.handCounts.player3 || 0,
-            player4: data.player4Hand?.length || prev.handCounts.player4 || 0,
-          },
-          // Dodaj Trešeta specifične podatke
-          playableCards:
-            prev.gameType === "treseta"
-              ? data[`player${prev.playerNumber}PlayableCards`] || []
-              : prev.playableCards,
-          team1Points:
-            prev.gameType === "treseta" && data.team1Points
-              ? data.team1Points.points
-              : prev.team1Points,
-          team2Points:
-            prev.gameType === "treseta" && data.team2Points
-              ? data.team2Points.points
-              : prev.team2Points,
-        };
-
-        // Handle Treseta long-term scoring (similar to 1v1)
-        if (
-          useTreseta &&
-          (data.gameEnd.isPartidaOver || data.gameEnd.isGameOver)
-        ) {
-          // Calculate akuže points for each team
-          const team1AkuzePoints = (prev.team1Akuze || []).reduce(
-            (sum, akuz) => sum + akuz.points,
-            0,
-          );
-          const team2AkuzePoints = (prev.team2Akuze || []).reduce(
-            (sum, akuz) => sum + akuz.points,
-            0,
-          );
-
-          // Add akuže points to the final partija score
-          const team1PartidaPoints =
-            (newState.team1Points || 0) + team1AkuzePoints;
-          const team2PartidaPoints =
-            (newState.team2Points || 0) + team2AkuzePoints;
-
-          // Add current partija results to partijas history (including akuže)
-          const newPartijas = [
-            ...(prev.partijas || []),
-            {
-              partija: prev.currentPartija || 1,
-              team1Points: team1PartidaPoints,
-              team2Points: team2PartidaPoints,
-              winner:
-                team1PartidaPoints > team2PartidaPoints
-                  ? 1
-                  : team2PartidaPoints > team1PartidaPoints
-                    ? 2
-                    : 0, // 0 for tie
-            },
-          ];
-
-          // Update total points (including akuže)
-          const newTotalTeam1Points =
-            (prev.totalTeam1Points || 0) + team1PartidaPoints;
-          const newTotalTeam2Points =
-            (prev.totalTeam2Points || 0) + team2PartidaPoints;
-
-          newState.partijas = newPartijas;
-          newState.totalTeam1Points = newTotalTeam1Points;
-          newState.totalTeam2Points = newTotalTeam2Points;
-          newState.currentPartija = (prev.currentPartija || 1) + 1;
-          newState.canAkuze = prev.akuzeEnabled; // Reset akuze based on settings
-          newState.myTeam = myTeam; // Ensure myTeam is preserved
-
-          // Check if game is truly over (reached target score)
-          const targetScore = prev.targetScore || 31;
-          if (
-            newTotalTeam1Points >= targetScore ||
-            newTotalTeam2Points >= targetScore
-          ) {
-            newState.gamePhase = "finished";
-
-            // Determine the winning team
-            const winningTeam = newTotalTeam1Points >= targetScore ? 1 : 2;
-            newState.winner = winningTeam;
-
-            // Clear saved game state when game ends
-            clearGameState();
-
-            // Determine message based on winning team
-            if (winningTeam === 1) {
-              newState.message =
-                myTeam === 1
-                  ? `🎉 Vaš tim je pobijedio! (Dosegnuli ste ${targetScore} bodova)`
-                  : "😔 Vaš tim je izgubio.";
-            } else if (winningTeam === 2) {
-              newState.message =
-                myTeam === 2
-                  ? `🎉 Vaš tim je pobijedio! (Dosegnuli ste ${targetScore} bodova)`
-                  : "😔 Vaš tim je izgubio.";
-            } else {
-              newState.message = "🤝 Neriješeno!";
-            }
-          } else {
-            // Partija finished but game continues
-            newState.gamePhase = "partidaFinished";
-
-            // Use partija points that include akuže for determining winner message
-            const team1PartidaPoints =
-              (newState.team1Points || 0) + team1AkuzePoints;
-            const team2PartidaPoints =
-              (newState.team2Points || 0) + team2AkuzePoints;
-
-            // Determine winner based on points
-            if (team1PartidaPoints > team2PartidaPoints) {
-              // Team 1 won
-              newState.message =
-                myTeam === 1
-                  ? "🎉 Dobili ste ovu partiju!"
-                  : "😔 Izgubili ste ovu partiju.";
-            } else if (team2PartidaPoints > team1PartidaPoints) {
-              // Team 2 won
-              newState.message =
-                myTeam === 2
-                  ? "🎉 Dobili ste ovu partiju!"
-                  : "😔 Izgubili ste ovu partiju.";
-            } else {
-              // Tie
-              newState.message = "🤝 Partija neriješena!";
-            }
-          }
-        } else if (data.gameEnd.isGameOver) {
-          // Non-Treseta games or simple game over
-          newState.gamePhase = "finished";
-          newState.winner = data.gameEnd.winner;
-
-          // Clear saved game state when game ends
-          clearGameState();
-
-          // Determine message based on winning team
-          if (data.gameEnd.winner === 1) {
-            newState.message =
-              myTeam === 1
-                ? "🎉 Vaš tim je pobijedio!"
-                : "😔 Vaš tim je izgubio.";
-          } else if (data.gameEnd.winner === 2) {
-            newState.message =
-              myTeam === 2
-                ? "🎉 Vaš tim je pobijedio!"
-                : "😔 Vaš tim je izgubio.";
-          } else if (data.gameEnd.winner === null) {
-            newState.message = `🤝 Neriješeno! (${data.gameEnd.reason || ""})`;
-          } else {
-            newState.message = "😔 Vaš tim je izgubio.";
-          }
-        } else {
-          // Round finished, game continues
-          newState.gamePhase = "playing";
-          const winningTeam = data.roundWinningTeam;
-          newState.message =
-            winningTeam === myTeam
-              ? "Vaš tim je uzeo rundu!"
-              : "Protivnički tim je uzeo rundu.";
-        }
-
-        // Mark that first round has been completed - no more akuze allowed
-        if (prev.gameType === "treseta") {
-          newState.hasPlayedFirstRound = true;
-        }
-
-        // Always preserve myTeam in the new state
-        newState.myTeam = myTeam;
-
-        return newState;
+        const next = reduceRoundFinished(prev, data);
+        // Clear saved game state when game ends
+        if (next.gamePhase === "finished") clearGameState();
+        return next;
       });
       // Reset the card playing flag when round finishes
       setIsCardPlaying(false);
@@ -554,6 +944,7 @@ function Game2v2({ gameData, onGameEnd }) {
           message: data.message,
           canReconnect: data.canReconnect,
           graceMs: data.graceMs,
+          aiTakeover: data.aiTakeover,
         });
         addToast(`${data.message}`, "info");
       } else {
@@ -572,6 +963,12 @@ function Game2v2({ gameData, onGameEnd }) {
       }
     });
 
+    // Grace period je istekao - bot igra umjesto odspojenog igrača
+    socket.on("aiTakeover", (data) => {
+      setDisconnectionInfo((prev) => prev && { ...prev, aiTakeover: true });
+      addToast(data.message, "info");
+    });
+
     socket.on("playerReconnected", (data) => {
       setPlayerDisconnected(false);
       setDisconnectionInfo(null);
@@ -678,9 +1075,9 @@ function Game2v2({ gameData, onGameEnd }) {
       }, 2000);
     });
 
-    // Trešeta specific events
+    // Trešeta i Briskula s pravilom završnice
     socket.on("playableCardsUpdate", (data) => {
-      if (gameState?.gameType === "treseta") {
+      if (enforcesPlayableCards(gameState)) {
         setGameState((prev) => ({
           ...prev,
           playableCards: data[`player${prev.playerNumber}PlayableCards`] || [],
@@ -692,18 +1089,56 @@ function Game2v2({ gameData, onGameEnd }) {
       // Reset card playing flag on invalid move
       setIsCardPlaying(false);
 
-      if (gameState?.gameType === "treseta") {
+      if (
+        enforcesPlayableCards(gameState) ||
+        data.code === "CARD_NOT_IN_HAND"
+      ) {
         addToast(`Neispavan potez: ${data.reason}`, "error");
       }
     });
 
+    // Server odbio akuž - vrati lokalno stanje
+    socket.on("akuzeRejected", (data) => {
+      setGameState((prev) => ({
+        ...prev,
+        myAkuze: (prev.myAkuze || []).filter(
+          (a) => a.description !== data.akuz?.description,
+        ),
+        canAkuze:
+          data.code === "AKUZE_NOT_HELD" ? prev.akuzeEnabled : prev.canAkuze,
+      }));
+      addToast(`Akuž odbijen: ${data.message}`, "error");
+    });
+
     // Akuže announced by other players
+    // Mijenjanje aduta (Briskula) - otvoreni adut je javna karta
+    socket.on("trumpSwapped", (data) => {
+      const isMe = data.playerNumber === gameState?.playerNumber;
+      const message = isMe
+        ? `Zamijenili ste aduta - uzeli ste ${data.takenCard.name} ${data.takenCard.suit}`
+        : `${data.playerName} je zamijenio aduta (${data.takenCard.name} ${data.takenCard.suit})`;
+
+      setGameState((prev) => ({
+        ...prev,
+        trump: data.trump,
+        myHand: isMe
+          ? data[`player${prev.playerNumber}Hand`] || prev.myHand
+          : prev.myHand,
+        message,
+      }));
+
+      addToast(message, "info");
+    });
+
     socket.on("akuzeAnnounced", (data) => {
       if (gameState?.gameType === "treseta") {
         // Show toast notification for other players' akuze
         if (data.playerNumber !== gameState?.playerNumber) {
+          const shownCards = (data.akuz.cards || [])
+            .map((c) => `${c.name} ${c.suit}`)
+            .join(", ");
           addToast(
-            `${data.playerName} je akužao ${data.akuz.description} (+${data.akuz.points} bodova)`,
+            `${data.playerName} je akužao ${data.akuz.description} (+${data.akuz.points} bodova)${shownCards ? ` – ${shownCards}` : ""}`,
             "info",
           );
         }
@@ -738,40 +1173,7 @@ function Game2v2({ gameData, onGameEnd }) {
         waitingFor: 0,
       });
 
-      setGameState((prev) => ({
-        ...prev,
-        myHand: data[`player${prev.playerNumber}Hand`],
-        team1Cards: [],
-        team2Cards: [],
-        playedCards: [],
-        currentPlayer: data.currentPlayer || 1,
-        gamePhase: "playing",
-        remainingCardsCount: data.remainingCards || 40,
-        team1Points: 0,
-        team2Points: 0,
-        playableCards:
-          prev.gameType === "treseta"
-            ? data[`player${prev.playerNumber}PlayableCards`] ||
-              data[`player${prev.playerNumber}Hand`]?.map((c) => c.id) ||
-              []
-            : data[`player${prev.playerNumber}Hand`]?.map((c) => c.id) || [],
-        canAkuze: prev.akuzeEnabled, // Reset based on settings
-        myAkuze: [], // Reset akuze for new partija
-        team1Akuze: [], // Reset akuze for new partija
-        team2Akuze: [], // Reset akuze for new partija
-        hasPlayedFirstRound: false, // Reset for new partija - allow akuze again
-        handCounts: {
-          player1: data.player1Hand?.length || 0,
-          player2: data.player2Hand?.length || 0,
-          player3: data.player3Hand?.length || 0,
-          player4: data.player4Hand?.length || 0,
-        },
-        message:
-          "Nova partija! " +
-          (data.currentPlayer === prev.playerNumber
-            ? "Vaš red."
-            : "Čekajte svoj red."),
-      }));
+      setGameState((prev) => reducePartidaRestarted(prev, data));
     });
 
     // Handle partija continuation status from server (like in 1v1)
@@ -808,6 +1210,7 @@ function Game2v2({ gameData, onGameEnd }) {
       socket.off("turnChange");
       socket.off("roundFinished");
       socket.off("playerDisconnected");
+      socket.off("aiTakeover");
       socket.off("playerReconnected");
       socket.off("playerLeft");
       socket.off("roomDeleted");
@@ -815,6 +1218,8 @@ function Game2v2({ gameData, onGameEnd }) {
       socket.off("playableCardsUpdate");
       socket.off("invalidMove");
       socket.off("akuzeAnnounced");
+      socket.off("trumpSwapped");
+      socket.off("akuzeRejected");
       socket.off("partidaRestarted");
       socket.off("partidaContinueStatus");
       socket.off("eloUpdate");
@@ -823,13 +1228,32 @@ function Game2v2({ gameData, onGameEnd }) {
     };
   }, [socket, gameState?.roomId, onGameEnd]);
 
+  const handleSwapTrump = () => {
+    if (!socket || !gameState?.roomId) return;
+    socket.emit("swapTrump", { roomId: gameState.roomId });
+  };
+
   const handleAkuze = (akuz) => {
     if (!gameState || !gameState.akuzeEnabled || !gameState.canAkuze) {
       return;
     }
 
-    // Send to server
-    if (socket) {
+    if (isLocal) {
+      setGameState((prev) => {
+        const local = addAkuze(prev.local, prev.playerNumber, akuz, {
+          playerName: prev.players.find(
+            (p) => p.playerNumber === prev.playerNumber,
+          )?.name,
+        });
+        return {
+          ...prev,
+          local,
+          team1Akuze: local.team1Akuze,
+          team2Akuze: local.team2Akuze,
+        };
+      });
+    } else if (socket) {
+      // Send to server
       socket.emit("akuze", {
         roomId: gameState.roomId,
         akuz: akuz,
@@ -852,6 +1276,26 @@ function Game2v2({ gameData, onGameEnd }) {
   };
 
   const handleContinueNextPartija = () => {
+    if (isLocal) {
+      const local = dealLocal2v2(
+        localEngine,
+        gameState.akuzeEnabled,
+        gameState.local,
+      );
+      setGameState((prev) => ({
+        ...reducePartidaRestarted(
+          prev,
+          localRoundPayload(localEngine, local, prev.playerNumber),
+        ),
+        playableCards: localEngine.playableCards(local, prev.playerNumber),
+        team1Akuze: local.team1Akuze,
+        team2Akuze: local.team2Akuze,
+        local,
+      }));
+      announceLocalAkuze(local);
+      return;
+    }
+
     if (!gameState.roomId) {
       return;
     }
@@ -864,6 +1308,13 @@ function Game2v2({ gameData, onGameEnd }) {
   };
 
   const handleRematch = () => {
+    if (isLocal) {
+      const fresh = initializeGameState();
+      setGameState(fresh);
+      announceLocalAkuze(fresh.local);
+      return;
+    }
+
     if (!gameState.roomId) {
       return;
     }
@@ -931,9 +1382,9 @@ function Game2v2({ gameData, onGameEnd }) {
       return;
     }
 
-    // Provjeri je li karta playable za Trešetu
+    // Provjeri je li karta playable (Trešeta, Briskula sa završnicom)
     if (
-      gameState.gameType === "treseta" &&
+      enforcesPlayableCards(gameState) &&
       !gameState.playableCards.includes(card.id)
     ) {
       alert(
@@ -942,11 +1393,33 @@ function Game2v2({ gameData, onGameEnd }) {
       return;
     }
 
+    // Znak partneru ide uz kartu - ista provjera kao na serveru
+    if (selectedSignal) {
+      const signalError = validateSignal(
+        selectedSignal,
+        card,
+        gameState.myHand,
+        gameState.playedCards,
+        gameState.signalRule,
+      );
+      if (signalError) {
+        addToast(signalError.message, "error");
+        return;
+      }
+    }
+
+    if (isLocal) {
+      setGameState((prev) => applyLocalPlay(prev, prev.playerNumber, card.id));
+      setSelectedSignal(null);
+      return;
+    }
+
     // Set flag to prevent multiple clicks
     setIsCardPlaying(true);
 
     // Play card immediately with one click (like AI)
-    playCard(gameState.roomId, card);
+    playCard(gameState.roomId, card, selectedSignal);
+    setSelectedSignal(null);
 
     // DON'T set timeout to reset isCardPlaying - wait for roundFinished event
     // This prevents cards from becoming clickable before round finishes
@@ -981,6 +1454,31 @@ function Game2v2({ gameData, onGameEnd }) {
       : calculatePoints(gameState.team2Cards);
   const cardSize = isMobile ? "small" : "medium";
 
+  // Znak se može dati kad igrač otvara ruku u timskoj Trešeti
+  const canSignal =
+    gameState.gameType === "treseta" &&
+    gameState.signalRule?.enabled &&
+    gameState.gamePhase === "playing" &&
+    gameState.currentPlayer === gameState.playerNumber &&
+    !isCardPlaying &&
+    (!gameState.signalRule.leadOnly ||
+      (gameState.playedCards || []).length === 0);
+
+  // Karta kojom igrač smije zamijeniti aduta (samo na svom redu)
+  const trumpSwapCard =
+    gameState.gameType === "briskula" &&
+    gameState.gamePhase === "playing" &&
+    gameState.currentPlayer === gameState.playerNumber &&
+    !isCardPlaying &&
+    (gameState.playedCards || []).length < 4
+      ? findTrumpSwapCard(
+          gameState.myHand,
+          gameState.trump,
+          gameState.remainingCardsCount,
+          gameState.trumpSwapRule,
+        )
+      : null;
+
   // Get player positions for 2v2 layout
   const getPlayerByPosition = (position) => {
     const positions = {
@@ -1051,6 +1549,11 @@ function Game2v2({ gameData, onGameEnd }) {
             className="title-suit-icon"
           />
           {gameState.gameType === "treseta" ? "Timska Trešeta" : "Briskula 2v2"}
+          {gameState.series && (
+            <span className="series-badge">
+              🏅 {gameState.series.wins[1]}:{gameState.series.wins[2]}
+            </span>
+          )}
         </h1>
 
         {/* Team scores */}
@@ -1095,7 +1598,10 @@ function Game2v2({ gameData, onGameEnd }) {
             gameState.currentPlayer === gameState.playerNumber &&
             gameState.gamePhase === "playing" &&
             (() => {
-              const availableAkuze = checkAkuze(gameState.myHand);
+              const availableAkuze = checkAkuze(
+                gameState.myHand,
+                gameState.akuzeTypes,
+              );
               return (
                 availableAkuze.length > 0 && (
                   <button
@@ -1112,8 +1618,10 @@ function Game2v2({ gameData, onGameEnd }) {
           {gameState.gamePhase === "playing" && (
             <button
               onClick={() => {
-                clearGameState(); // Clear saved state on manual leave
-                leaveRoomPermanently(gameState.roomId); // Use permanent leave
+                if (!isLocal) {
+                  clearGameState(); // Clear saved state on manual leave
+                  leaveRoomPermanently(gameState.roomId); // Use permanent leave
+                }
                 onGameEnd();
               }}
               className="game-btn btn-danger"
@@ -1163,6 +1671,16 @@ function Game2v2({ gameData, onGameEnd }) {
               </span>
             </div>
           </div>
+          {/* Partnerove karte - otkrivene nakon praznog špila (kućno pravilo) */}
+          {(gameState.partnerHand || []).length > 0 && (
+            <div className="partner-hand">
+              {sortCards(gameState.partnerHand, gameState.gameType).map(
+                (card) => (
+                  <Card key={card.id} card={card} size="small" />
+                ),
+              )}
+            </div>
+          )}
         </div>
 
         {/* Middle section with left player, play area, deck-trump, and right player */}
@@ -1231,6 +1749,14 @@ function Game2v2({ gameData, onGameEnd }) {
                     >
                       <Card card={card} size="played" />
                       <div className="card-player-label">{playerName}</div>
+                      {card.signal && (
+                        <div
+                          className="card-signal"
+                          title={SIGNALS[card.signal]?.description}
+                        >
+                          ✋ {SIGNALS[card.signal]?.label || card.signal}
+                        </div>
+                      )}
                     </div>
                   );
                 })}
@@ -1255,6 +1781,15 @@ function Game2v2({ gameData, onGameEnd }) {
                     <Card card={{}} isHidden={true} size={cardSize} />
                   </div>
                 </div>
+                {trumpSwapCard && (
+                  <button
+                    className="trump-swap-btn"
+                    onClick={handleSwapTrump}
+                    title={`Zamijeni ${trumpSwapCard.name} ${trumpSwapCard.suit} za aduta`}
+                  >
+                    🔄 Zamijeni aduta ({CARD_NAMES[trumpSwapCard.value]})
+                  </button>
+                )}
               </div>
             )}
 
@@ -1299,6 +1834,24 @@ function Game2v2({ gameData, onGameEnd }) {
           <div className="player-status-combined">
             {user?.name} - {gameState.message}
           </div>
+          {canSignal && (
+            <div className="signal-picker">
+              {Object.entries(SIGNALS).map(([key, signal]) => (
+                <button
+                  key={key}
+                  className={`signal-btn ${selectedSignal === key ? "selected" : ""}`}
+                  title={signal.description}
+                  onClick={() =>
+                    setSelectedSignal((current) =>
+                      current === key ? null : key,
+                    )
+                  }
+                >
+                  {signal.label}
+                </button>
+              ))}
+            </div>
+          )}
           <div className="player-cards">
             {sortCards(gameState.myHand, gameState.gameType).map((card) => (
               <Card
@@ -1307,7 +1860,7 @@ function Game2v2({ gameData, onGameEnd }) {
                 isPlayable={
                   gameState.gamePhase === "playing" &&
                   gameState.currentPlayer === gameState.playerNumber &&
-                  (gameState.gameType !== "treseta" ||
+                  (!enforcesPlayableCards(gameState) ||
                     gameState.playableCards.includes(card.id)) &&
                   !isCardPlaying
                 }
@@ -1432,6 +1985,14 @@ function Game2v2({ gameData, onGameEnd }) {
                               {partija.team2Points}
                             </span>
                             <span className="partija-winner">
+                              {partija.capot && (
+                                <span
+                                  className="partija-capot"
+                                  title="Kapot - sve ruke"
+                                >
+                                  🧹
+                                </span>
+                              )}
                               {partija.team1Points > partija.team2Points
                                 ? gameState.myTeam === 1
                                   ? "🏆 Vi"
@@ -1502,6 +2063,30 @@ function Game2v2({ gameData, onGameEnd }) {
                         </div>
                       </div>
                     )}
+
+                  {/* Dnevnik znakova partneru */}
+                  {gameState.signalRule?.enabled && (
+                    <div className="signal-log">
+                      <h4>Znakovi:</h4>
+                      {(gameState.signalLog || []).length > 0 ? (
+                        <ul>
+                          {gameState.signalLog.map((entry, index) => {
+                            const card = TRESETA_CARDS[entry.cardId];
+                            return (
+                              <li key={index}>
+                                {entry.partija && `P${entry.partija} `}
+                                {getPlayerName(entry.seat)}:{" "}
+                                {SIGNALS[entry.signal]?.label || entry.signal}
+                                {card && ` (${card.name} ${card.suit})`}
+                              </li>
+                            );
+                          })}
+                        </ul>
+                      ) : (
+                        <p>Nema znakova</p>
+                      )}
+                    </div>
+                  )}
                 </div>
               )}
 
@@ -1515,42 +2100,59 @@ function Game2v2({ gameData, onGameEnd }) {
         </div>
       )}
 
-      {/* Partija Finished Screen for 2v2 Treseta */}
+      {/* Partija Finished Screen for 2v2 Treseta / Briskula series game */}
       {gameState.gamePhase === "partidaFinished" && (
         <div className="final-score-overlay">
           <div className="final-score-container">
             <div className="final-score-header">
               <h2>
-                🏆 Partija {(gameState.currentPartija || 1) - 1} završena!
+                {gameState.series
+                  ? `🏅 ${gameState.series.gameNumber}. igra završena!`
+                  : `🏆 Partija ${(gameState.currentPartija || 1) - 1} završena!`}
               </h2>
             </div>
 
-            <div className="partija-result">
-              <p>
-                {(gameState.team1Points || 0) > (gameState.team2Points || 0)
-                  ? gameState.myTeam === 1 || gameState.myTeam === "A"
-                    ? "🎉 Vaš tim je dobio ovu partiju!"
-                    : "😔 Vaš tim je izgubio ovu partiju."
-                  : (gameState.team2Points || 0) > (gameState.team1Points || 0)
-                    ? gameState.myTeam === 2 || gameState.myTeam === "B"
+            {gameState.series ? (
+              <>
+                <div className="partija-result">
+                  <p>{gameState.message}</p>
+                </div>
+                <SeriesScoreboard
+                  series={gameState.series}
+                  mySide={gameState.myTeam}
+                  myLabel="Vaš tim"
+                  opponentLabel="Protivnici"
+                />
+              </>
+            ) : (
+              <div className="partija-result">
+                <p>
+                  {(gameState.team1Points || 0) > (gameState.team2Points || 0)
+                    ? gameState.myTeam === 1 || gameState.myTeam === "A"
                       ? "🎉 Vaš tim je dobio ovu partiju!"
                       : "😔 Vaš tim je izgubio ovu partiju."
-                    : "🤝 Partija neriješena!"}
-              </p>
-              <div className="partija-scores">
-                Rezultat partije: {gameState.team1Points || 0} -{" "}
-                {gameState.team2Points || 0}
-              </div>
-              <div className="total-scores">
-                <strong>
-                  Ukupno: {gameState.totalTeam1Points || 0} -{" "}
-                  {gameState.totalTeam2Points || 0}
-                </strong>
-              </div>
-              <div className="target-info">
-                Cilj: {gameState.targetScore || 31} bodova
+                    : (gameState.team2Points || 0) >
+                        (gameState.team1Points || 0)
+                      ? gameState.myTeam === 2 || gameState.myTeam === "B"
+                        ? "🎉 Vaš tim je dobio ovu partiju!"
+                        : "😔 Vaš tim je izgubio ovu partiju."
+                      : "🤝 Partija neriješena!"}
+                </p>
+                <div className="partija-scores">
+                  Rezultat partije: {gameState.team1Points || 0} -{" "}
+                  {gameState.team2Points || 0}
+                </div>
+                <div className="total-scores">
+                  <strong>
+                    Ukupno: {gameState.totalTeam1Points || 0} -{" "}
+                    {gameState.totalTeam2Points || 0}
+                  </strong>
+                </div>
+                <div className="target-info">
+                  Cilj: {gameState.targetScore || 31} bodova
+                </div>
               </div>
-            </div>
+            )}
 
             <div className="final-score-actions">
               {/* Show continue button or status */}
@@ -1572,7 +2174,9 @@ function Game2v2({ gameData, onGameEnd }) {
                   onClick={handleContinueNextPartija}
                   className="btn-primary-large"
                 >
-                  ▶️ Nastavi sljedeću partiju
+                  {gameState.series
+                    ? "▶️ Sljedeća igra"
+                    : "▶️ Nastavi sljedeću partiju"}
                 </button>
               )}
               <button onClick={onGameEnd} className="btn-secondary-large">
@@ -1719,6 +2323,13 @@ function Game2v2({ gameData, onGameEnd }) {
                   <p>{gameState.message}</p>
                 </div>
 
+                <SeriesScoreboard
+                  series={gameState.series}
+                  mySide={gameState.myTeam}
+                  myLabel="Vaš tim"
+                  opponentLabel="Protivnici"
+                />
+
                 {/* ELO Changes Display for 2v2 */}
                 {eloChanges && user?.userId && eloChanges[user.userId] && (
                   <div className="elo-changes">
@@ -1741,6 +2352,13 @@ function Game2v2({ gameData, onGameEnd }) {
                   </div>
                 )}
 
+                <FairnessPanel
+                  deals={gameState.fairnessDeals}
+                  gameType={gameState.gameType}
+                  gameMode="2v2"
+                  playerNumber={gameState.playerNumber}
+                />
+
                 <div className="final-score-actions">
                   <button onClick={handleRematch} className="btn-primary-large">
                     🔄 Revanš
@@ -1775,7 +2393,10 @@ function Game2v2({ gameData, onGameEnd }) {
                 gameState.canAkuze &&
                 !gameState.hasPlayedFirstRound &&
                 (() => {
-                  const availableAkuze = checkAkuze(gameState.myHand);
+                  const availableAkuze = checkAkuze(
+                    gameState.myHand,
+                    gameState.akuzeTypes,
+                  );
                   return availableAkuze.map((akuz, index) => (
                     <button
                       key={index}
@@ -1880,8 +2501,16 @@ function Game2v2({ gameData, onGameEnd }) {
               ⏳ {disconnectionInfo.message}
             </div>
             <div style={{ fontSize: "0.8em", marginTop: "5px" }}>
-              Čeka se reconnect...{" "}
-              {graceTimeLeft > 0 ? `(${Math.ceil(graceTimeLeft / 1000)}s)` : ""}
+              {disconnectionInfo.aiTakeover ? (
+                "🤖 AI bot igra dok se igrač ne vrati"
+              ) : (
+                <>
+                  Čeka se reconnect...{" "}
+                  {graceTimeLeft > 0
+                    ? `(${Math.ceil(graceTimeLeft / 1000)}s)`
+                    : ""}
+                </>
+              )}
             </div>
           </div>
         )}
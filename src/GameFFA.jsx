@@ -0,0 +1,1454 @@
+"use client";
+
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
+import Card from "./Card";
+import { useSocket } from "./SocketContext";
+import { useToast } from "./ToastProvider";
+import {
+  calculatePoints,
+  findTrumpSwapCard,
+  CARD_NAMES,
+} from "../core/gameLogicBriskula.js";
+import { calculatePoints as calculateTresetaPoints } from "../core/gameLogicTreseta.js";
+import { checkAkuze, isValidMove } from "../core/tresetaCommon.js";
+import { chooseAiCardMultiplayer, checkAiAkuze } from "../core/tresetaAI.js";
+import { getEngine, MOVE_TYPES } from "../core/engines.js";
+import {
+  recordDeal,
+  recordReveal,
+  dealHistoryFromState,
+} from "../core/fairShuffle.js";
+import FairnessPanel from "./FairnessPanel";
+import "./Game.css";
+import "./Card.css";
+import "./Game2v2.css";
+import "./GameFFA.css";
+
+// Broj igrača za stolom po načinu igre (1v1v1AI = Trešeta u troje protiv AI)
+const FFA_PLAYER_COUNTS = { "1v1v1": 3, "1v1v1v1": 4, "1v1v1AI": 3 };
+
+// Mjesta za stolom gledano od igrača (igra se u smjeru suprotnom od kazaljke)
+const TABLE_POSITIONS = {
+  3: ["bottom", "right", "left"],
+  4: ["bottom", "right", "top", "left"],
+};
+
+/**
+ * Vraća pravilnu riječ za broj karata u hrvatskom jeziku
+ * @param {number} count - Broj karata
+ * @returns {string} - Pravilna riječ (karta/karte/karata)
+ */
+function getCardCountText(count) {
+  if (count === 1) {
+    return `${count} karta`;
+  } else if (count >= 2 && count <= 4) {
+    return `${count} karte`;
+  } else {
+    return `${count} karata`;
+  }
+}
+
+/**
+ * Karte na stolu u obliku koji šalje cardPlayed ({...card, playerNumber}).
+ * Server u gameStateu čuva [{ card, playerNumber }].
+ */
+function flattenPlayedCards(playedCards = []) {
+  return playedCards
+    .filter(Boolean)
+    .map((pc) =>
+      pc.card ? { ...pc.card, playerNumber: pc.playerNumber } : pc,
+    );
+}
+
+/**
+ * Bodovi iz osvojenih karata (Trešeta bez akuža - one se broje na kraju partije)
+ */
+function cardPoints(gameType, cards, seat, ultimaWinner, beleRounding) {
+  return gameType === "treseta"
+    ? calculateTresetaPoints(cards || [], ultimaWinner, seat, beleRounding)
+        .points
+    : calculatePoints(cards || []);
+}
+
+/**
+ * Akuže po sjedalu iz stanja/payloada (player{N}Akuze.details)
+ */
+function akuzeFromData(data, seats) {
+  const akuze = {};
+  seats.forEach((seat) => {
+    akuze[seat] = data?.[`player${seat}Akuze`]?.details || [];
+  });
+  return akuze;
+}
+
+const sumAkuzePoints = (akuze = []) =>
+  akuze.reduce((sum, akuz) => sum + akuz.points, 0);
+
+const akuzePointsText = (points) =>
+  `${points} bod${points === 1 ? "" : points <= 4 ? "a" : "ova"}`;
+
+function reduceCardPlayed(prev, data) {
+  return {
+    ...prev,
+    playedCards: data.playedCards,
+    myHand:
+      data.playerNumber === prev.playerNumber
+        ? prev.myHand.filter((c) => c.id !== data.card.id)
+        : prev.myHand,
+    handCounts: {
+      ...prev.handCounts,
+      [`player${data.playerNumber}`]: Math.max(
+        0,
+        (prev.handCounts[`player${data.playerNumber}`] || 0) - 1,
+      ),
+    },
+    message:
+      data.playerNumber === prev.playerNumber
+        ? "Čekamo ostale igrače..."
+        : `${data.playerName} je odigrao kartu.`,
+  };
+}
+
+function reduceTurnChange(prev, data) {
+  return {
+    ...prev,
+    currentPlayer: data.currentPlayer,
+    message:
+      data.currentPlayer === prev.playerNumber
+        ? "Vaš red! Odaberite kartu."
+        : `Red igrača ${data.currentPlayerName}.`,
+  };
+}
+
+/**
+ * Ograničava li engine igrive karte (Trešeta ili Briskula s pravilom završnice)
+ */
+function enforcesPlayableCards(state) {
+  return (
+    state?.gameType === "treseta" ||
+    Boolean(state?.endgameRule && state.endgameRule !== "off")
+  );
+}
+
+/**
+ * Kraj ruke - isti payload šalje server (finishRoundFFA) i lokalni AI mod
+ */
+function reduceRoundFinished(prev, data, seats) {
+  const handCounts = {};
+  Object.keys(prev.handCounts).forEach((key) => {
+    handCounts[key] = data[`${key}Hand`]?.length ?? prev.handCounts[key];
+  });
+  const isTreseta = prev.gameType === "treseta";
+
+  const newState = {
+    ...prev,
+    myHand: data[`player${prev.playerNumber}Hand`] || prev.myHand,
+    trump: data.trump,
+    playedCards: [],
+    currentPlayer: data.currentPlayer,
+    remainingCardsCount: data.remainingCards,
+    points: data.points || prev.points,
+    handCounts,
+    firstTrickDone: true,
+    fairnessDeals: recordReveal(prev.fairnessDeals, data.fairnessReveal),
+  };
+
+  if (enforcesPlayableCards(prev)) {
+    newState.playableCards =
+      data[`player${prev.playerNumber}PlayableCards`] || [];
+  }
+  if (isTreseta) {
+    if (data[`player${prev.playerNumber}Akuze`]) {
+      newState.akuze = akuzeFromData(data, seats);
+    }
+    if (data[`totalPlayer${prev.playerNumber}Points`] !== undefined) {
+      newState.totals = {};
+      seats.forEach((seat) => {
+        newState.totals[seat] = data[`totalPlayer${seat}Points`] || 0;
+      });
+    }
+  }
+
+  const roundWinnerName =
+    prev.players.find((p) => p.playerNumber === data.roundWinner)?.name ||
+    `Igrač ${data.roundWinner}`;
+  const gameEnd = data.gameEnd || {};
+
+  if (!gameEnd.isGameOver) {
+    newState.gamePhase = "playing";
+    newState.message =
+      data.roundWinner === prev.playerNumber
+        ? "Uzeli ste rundu!"
+        : `${roundWinnerName} je uzeo rundu.`;
+    return newState;
+  }
+
+  if (isTreseta) {
+    // Partija gotova - upiši je u povijest (bodovi iz karata + akuže)
+    const partija = { partija: prev.currentPartija };
+    seats.forEach((seat) => {
+      partija[`player${seat}Points`] =
+        (newState.points[seat] || 0) + sumAkuzePoints(newState.akuze[seat]);
+    });
+    partija.winner = gameEnd.partidaWinner || 0;
+    newState.partijas = [...(prev.partijas || []), partija];
+    newState.deadCard = data.deadCard || null;
+  }
+
+  if (isTreseta && !gameEnd.isFinalGameOver) {
+    newState.gamePhase = "partidaFinished";
+    newState.message =
+      gameEnd.partidaWinner === prev.playerNumber
+        ? "🎉 Dobili ste ovu partiju!"
+        : gameEnd.partidaWinner
+          ? "😔 Izgubili ste ovu partiju."
+          : "🤝 Partija neriješena!";
+    return newState;
+  }
+
+  newState.gamePhase = "finished";
+  newState.winner = gameEnd.winner;
+  newState.ranking = gameEnd.ranking || null;
+
+  const myPlace = newState.ranking?.find(
+    (entry) => entry.playerNumber === prev.playerNumber,
+  )?.place;
+  if (gameEnd.winner === prev.playerNumber) {
+    newState.message = "🎉 Pobijedili ste!";
+  } else if (gameEnd.winner === null && myPlace === 1) {
+    newState.message = `🤝 Dijelite prvo mjesto! (${gameEnd.reason || ""})`;
+  } else {
+    newState.message = myPlace
+      ? `😔 Završili ste na ${myPlace}. mjestu.`
+      : "😔 Izgubili ste.";
+  }
+  return newState;
+}
+
+/**
+ * Nova partija u Trešeti (partidaRestarted sa servera ili lokalno dijeljenje)
+ */
+function reducePartidaRestarted(prev, data, seats) {
+  const myHand = data[`player${prev.playerNumber}Hand`] || [];
+  const handCounts = {};
+  const points = {};
+  seats.forEach((seat) => {
+    handCounts[`player${seat}`] = data[`player${seat}Hand`]?.length || 0;
+    points[seat] = 0;
+  });
+
+  return {
+    ...prev,
+    myHand,
+    playedCards: [],
+    currentPlayer: data.currentPlayer || 1,
+    gamePhase: "playing",
+    remainingCardsCount: data.remainingCards || 0,
+    points,
+    handCounts,
+    playableCards:
+      data[`player${prev.playerNumber}PlayableCards`] ||
+      myHand.map((c) => c.id),
+    akuze: akuzeFromData(data, seats),
+    firstTrickDone: false,
+    deadCard: null,
+    currentPartija: (prev.currentPartija || 1) + 1,
+    fairnessDeals: recordDeal(prev.fairnessDeals, data.fairness, myHand),
+    message:
+      "Nova partija! " +
+      (data.currentPlayer === prev.playerNumber
+        ? "Vaš red."
+        : "Čekajte svoj red."),
+  };
+}
+
+/**
+ * Lokalna partija Trešete u troje - AI igrači (2 i 3) odmah prijavljuju
+ * najjači akuž ako je akužavanje uključeno.
+ */
+function dealLocalPartija(engine, akuzeEnabled, previousState) {
+  let state = engine.createInitialState(previousState ? { previousState } : {});
+  const announced = [];
+
+  if (akuzeEnabled) {
+    [2, 3].forEach((seat) => {
+      const akuze = checkAiAkuze(state[`player${seat}Hand`], state.akuzeTypes);
+      if (akuze.length === 0) return;
+      state = {
+        ...state,
+        [`player${seat}Akuze`]: {
+          points: sumAkuzePoints(akuze),
+          details: akuze,
+        },
+      };
+      akuze.forEach((akuz) => announced.push({ playerNumber: seat, akuz }));
+    });
+  }
+
+  return { state, announced };
+}
+
+/**
+ * Payload kraja ruke za lokalni AI mod - isti oblik kao finishRoundFFA
+ */
+function localRoundPayload(engine, state, seats) {
+  const { totals, gameEnd } = engine.score(state);
+  const data = {
+    roundWinner: state.lastTrickWinner,
+    points: totals,
+    gameEnd,
+    currentPlayer: state.currentPlayer,
+    remainingCards: (state.remainingDeck || []).length,
+    trump: null,
+    ...(gameEnd.isGameOver && { deadCard: state.deadCard || null }),
+  };
+  seats.forEach((seat) => {
+    data[`player${seat}Hand`] = state[`player${seat}Hand`];
+    data[`player${seat}PlayableCards`] = engine.playableCards(state, seat);
+    data[`player${seat}Akuze`] = state[`player${seat}Akuze`];
+    data[`totalPlayer${seat}Points`] = state[`totalPlayer${seat}Points`];
+  });
+  return data;
+}
+
+/**
+ * Igra svatko za sebe - Briskula za 3 ili 4 igrača, Trešeta u troje
+ * (online ili lokalno protiv dva AI igrača)
+ */
+function GameFFA({ gameData, onGameEnd }) {
+  const {
+    socket,
+    user,
+    playCard,
+    leaveRoomPermanently,
+    saveGameState,
+    clearGameState,
+  } = useSocket();
+
+  const { addToast } = useToast();
+
+  const [isCardPlaying, setIsCardPlaying] = useState(false);
+  const [showScores, setShowScores] = useState(false);
+  const [showAkuzeModal, setShowAkuzeModal] = useState(false);
+  const [isMobile, setIsMobile] = useState(false);
+  const [eloChanges, setEloChanges] = useState(null);
+  const [nextPartidaStatus, setNextPartidaStatus] = useState({
+    playerReady: false,
+    waitingFor: 0,
+  });
+
+  const gameMode = gameData?.gameMode || "1v1v1";
+  const isLocal = gameMode === "1v1v1AI";
+  const playerCount = FFA_PLAYER_COUNTS[gameMode] || 3;
+  const seats = useMemo(
+    () => Array.from({ length: playerCount }, (_, i) => i + 1),
+    [playerCount],
+  );
+  // Lokalni mod vrti isti rules engine kao server
+  const localEngine = isLocal
+    ? getEngine(gameData?.gameType || "treseta", "1v1v1")
+    : null;
+
+  const initializeGameState = () => {
+    if (!gameData) return null;
+
+    const gameType = gameData.gameType || (isLocal ? "treseta" : "briskula");
+    const akuzeEnabled =
+      gameType === "treseta" && gameData.akuzeEnabled !== false;
+    const local = isLocal
+      ? dealLocalPartija(localEngine, akuzeEnabled).state
+      : null;
+    const serverState = local || gameData.gameState || {};
+    const myPlayerNumber = isLocal ? 1 : gameData.playerNumber;
+    const myHand =
+      serverState.myHand || serverState[`player${myPlayerNumber}Hand`] || [];
+
+    const handCounts = {};
+    const points = {};
+    const totals = {};
+    seats.forEach((seat) => {
+      handCounts[`player${seat}`] = (
+        serverState[`player${seat}Hand`] || []
+      ).length;
+      points[seat] = cardPoints(
+        gameType,
+        serverState[`player${seat}Cards`],
+        seat,
+        serverState.ultimaWinner,
+        serverState.beleRounding,
+      );
+      totals[seat] = serverState[`totalPlayer${seat}Points`] || 0;
+    });
+
+    return {
+      roomId: isLocal ? null : gameData.roomId,
+      playerNumber: myPlayerNumber,
+      players: isLocal
+        ? [
+            { name: user?.name || "Vi", playerNumber: 1 },
+            { name: "AI Bot 1", playerNumber: 2, isAI: true },
+            { name: "AI Bot 2", playerNumber: 3, isAI: true },
+          ]
+        : gameData.players || [],
+      gameType,
+      myHand,
+      playedCards: flattenPlayedCards(serverState.playedCards),
+      trump: serverState.trump,
+      currentPlayer: serverState.currentPlayer,
+      gamePhase: "playing",
+      winner: null,
+      ranking: null,
+      message:
+        serverState.currentPlayer === myPlayerNumber
+          ? "Vaš red! Odaberite kartu za igranje."
+          : "Čekajte svoj red...",
+      remainingCardsCount: serverState.remainingDeck?.length || 0,
+      points,
+      handCounts,
+      fairnessDeals: dealHistoryFromState(serverState, myHand),
+      trumpSwapRule: serverState.trumpSwapRule || null,
+      endgameRule: serverState.endgameRule || "off",
+      // Trešeta u troje
+      playableCards: local
+        ? localEngine.playableCards(local, 1)
+        : serverState.playableCards || myHand.map((c) => c.id),
+      akuzeEnabled,
+      akuzeTypes: serverState.akuzeTypes || null,
+      beleRounding: serverState.beleRounding || "floor",
+      akuze: akuzeFromData(serverState, seats),
+      firstTrickDone: seats.some(
+        (seat) => (serverState[`player${seat}Cards`] || []).length > 0,
+      ),
+      totals,
+      partijas: serverState.partijas || [],
+      currentPartija: serverState.currentPartija || 1,
+      targetScore: serverState.targetScore || 31,
+      deadCard: null,
+      local,
+    };
+  };
+
+  const [gameState, setGameState] = useState(initializeGameState);
+
+  const getPlayerName = useCallback(
+    (playerNumber) =>
+      gameState?.players.find((p) => p.playerNumber === playerNumber)?.name ||
+      `Igrač ${playerNumber}`,
+    [gameState?.players],
+  );
+
+  const announceAkuze = useCallback(
+    (announced) => {
+      announced.forEach(({ playerNumber, akuz }) => {
+        addToast(
+          `${getPlayerName(playerNumber)} je akužao ${akuz.description} (+${akuzePointsText(akuz.points)})`,
+          "info",
+        );
+      });
+    },
+    [addToast, getPlayerName],
+  );
+
+  // Spremi stanje za reconnect (kao u 1v1 i 2v2)
+  useEffect(() => {
+    if (gameState && gameState.roomId && gameState?.gamePhase === "playing") {
+      const timeoutId = setTimeout(() => {
+        saveGameState({
+          ...gameState,
+          roomId: gameState.roomId,
+          gameMode,
+          gameType: gameState.gameType,
+          playerNumber: gameState.playerNumber,
+          gameState: { ...gameState },
+        });
+      }, 1000);
+
+      return () => clearTimeout(timeoutId);
+    }
+  }, [gameState, gameMode, saveGameState]);
+
+  useEffect(() => {
+    const checkMobile = () => {
+      setIsMobile(window.innerWidth <= 768);
+    };
+    checkMobile();
+    window.addEventListener("resize", checkMobile);
+    return () => window.removeEventListener("resize", checkMobile);
+  }, []);
+
+  // Akuže AI igrača iz prvog lokalnog dijeljenja
+  const initialAkuzeShown = useRef(false);
+  useEffect(() => {
+    if (!isLocal || !gameState || initialAkuzeShown.current) return;
+    initialAkuzeShown.current = true;
+    announceAkuze(
+      [2, 3].flatMap((seat) =>
+        (gameState.akuze[seat] || []).map((akuz) => ({
+          playerNumber: seat,
+          akuz,
+        })),
+      ),
+    );
+  }, [isLocal, gameState, announceAkuze]);
+
+  // Lokalni potez kroz rules engine + iste promjene stanja kao sa servera
+  const applyLocalPlay = useCallback(
+    (prev, seat, cardId) => {
+      const local = localEngine.applyMove(prev.local, {
+        type: MOVE_TYPES.PLAY,
+        seat,
+        cardId,
+      });
+      const played = local.playedCards[local.playedCards.length - 1];
+
+      let next = reduceCardPlayed(
+        { ...prev, local },
+        {
+          playerNumber: seat,
+          playerName: getPlayerName(seat),
+          card: played.card,
+          playedCards: flattenPlayedCards(local.playedCards),
+        },
+      );
+      if (!localEngine.isTrickComplete(local)) {
+        next = reduceTurnChange(next, {
+          currentPlayer: local.currentPlayer,
+          currentPlayerName: getPlayerName(local.currentPlayer),
+        });
+      }
+      return {
+        ...next,
+        playableCards: localEngine.playableCards(local, prev.playerNumber),
+      };
+    },
+    [localEngine, getPlayerName],
+  );
+
+  const playLocalAiCard = useCallback(() => {
+    setGameState((prev) => {
+      const local = prev.local;
+      const seat = local.currentPlayer;
+      if (
+        prev.gamePhase !== "playing" ||
+        seat === prev.playerNumber ||
+        localEngine.isTrickComplete(local)
+      ) {
+        return prev;
+      }
+
+      const legal = localEngine.legalMoves(local, seat);
+      const hand = local[`player${seat}Hand`].filter((c) =>
+        legal.includes(c.id),
+      );
+      if (hand.length === 0) return prev;
+
+      const { totals } = localEngine.score(local);
+      const card = chooseAiCardMultiplayer({
+        hand,
+        playedCards: local.playedCards,
+        difficulty: gameData?.aiDifficulty,
+        roundNumber: local.roundNumber,
+        myPoints: totals[seat],
+        opponentPoints: Math.max(
+          ...seats.filter((s) => s !== seat).map((s) => totals[s]),
+        ),
+        // Brojanje karata: protivnici zajedno kao jedna ruka
+        fullHand: local[`player${seat}Hand`],
+        remainingDeckCount: (local.remainingDeck || []).length,
+        cardsPlayed: seats.flatMap((s) => local[`player${s}Cards`] || []),
+        opponentHandSize: seats
+          .filter((s) => s !== seat)
+          .reduce((sum, s) => sum + local[`player${s}Hand`].length, 0),
+        opponentAkuze: seats
+          .filter((s) => s !== seat)
+          .flatMap((s) => local[`player${s}Akuze`]?.details || []),
+      });
+      return applyLocalPlay(prev, seat, card.id);
+    });
+  }, [localEngine, seats, gameData?.aiDifficulty, applyLocalPlay]);
+
+  const collectLocalTrick = useCallback(() => {
+    setGameState((prev) => {
+      if (!localEngine.isTrickComplete(prev.local)) return prev;
+      const local = localEngine.applyMove(prev.local, {
+        type: MOVE_TYPES.COLLECT,
+      });
+      return {
+        ...reduceRoundFinished(
+          prev,
+          localRoundPayload(localEngine, local, seats),
+          seats,
+        ),
+        local,
+      };
+    });
+  }, [localEngine, seats]);
+
+  // Lokalni mod: AI igra svoj potez, puna ruka se pokupi nakon pauze
+  useEffect(() => {
+    const local = gameState?.local;
+    if (!isLocal || !local || gameState.gamePhase !== "playing") return;
+
+    if (localEngine.isTrickComplete(local)) {
+      const timeoutId = setTimeout(collectLocalTrick, 1500);
+      return () => clearTimeout(timeoutId);
+    }
+    if (local.currentPlayer !== gameState.playerNumber) {
+      const timeoutId = setTimeout(playLocalAiCard, 1000);
+      return () => clearTimeout(timeoutId);
+    }
+  }, [
+    isLocal,
+    localEngine,
+    gameState?.local,
+    gameState?.gamePhase,
+    gameState?.playerNumber,
+    playLocalAiCard,
+    collectLocalTrick,
+  ]);
+
+  useEffect(() => {
+    if (!socket || !gameState?.roomId) return;
+
+    socket.on("cardPlayed", (data) => {
+      setGameState((prev) => reduceCardPlayed(prev, data));
+    });
+
+    socket.on("turnChange", (data) => {
+      setGameState((prev) => reduceTurnChange(prev, data));
+    });
+
+    socket.on("roundFinished", (data) => {
+      if (data.gameEnd?.isGameOver) {
+        const isFinal =
+          gameState?.gameType !== "treseta" || data.gameEnd.isFinalGameOver;
+        if (isFinal) clearGameState();
+      }
+      setGameState((prev) => reduceRoundFinished(prev, data, seats));
+      setIsCardPlaying(false);
+    });
+
+    // Trešeta i Briskula sa završnicom: nakon svake karte server šalje koje karte smijemo igrati
+    socket.on("playableCardsUpdate", (data) => {
+      setGameState((prev) => ({
+        ...prev,
+        playableCards: data[`player${prev.playerNumber}PlayableCards`] || [],
+      }));
+    });
+
+    socket.on("akuzeAnnounced", (data) => {
+      if (data.playerNumber !== gameState?.playerNumber) {
+        announceAkuze([data]);
+      }
+      setGameState((prev) => ({
+        ...prev,
+        akuze: {
+          ...prev.akuze,
+          [data.playerNumber]: [
+            ...(prev.akuze[data.playerNumber] || []),
+            data.akuz,
+          ],
+        },
+      }));
+    });
+
+    socket.on("akuzeRejected", (data) => {
+      addToast(`Akuž odbijen: ${data.message}`, "error");
+    });
+
+    socket.on("partidaRestarted", (data) => {
+      setNextPartidaStatus({ playerReady: false, waitingFor: 0 });
+      setGameState((prev) => reducePartidaRestarted(prev, data, seats));
+    });
+
+    socket.on("partidaContinueStatus", (data) => {
+      setNextPartidaStatus({
+        playerReady: data.isPlayerReady || false,
+        waitingFor: data.waitingFor || 0,
+      });
+    });
+
+    // Mijenjanje aduta - otvoreni adut je javna karta
+    socket.on("trumpSwapped", (data) => {
+      const isMe = data.playerNumber === gameState?.playerNumber;
+      const message = isMe
+        ? `Zamijenili ste aduta - uzeli ste ${data.takenCard.name} ${data.takenCard.suit}`
+        : `${data.playerName} je zamijenio aduta (${data.takenCard.name} ${data.takenCard.suit})`;
+
+      setGameState((prev) => ({
+        ...prev,
+        trump: data.trump,
+        myHand: isMe
+          ? data[`player${prev.playerNumber}Hand`] || prev.myHand
+          : prev.myHand,
+        message,
+      }));
+
+      addToast(message, "info");
+    });
+
+    socket.on("invalidMove", (data) => {
+      setIsCardPlaying(false);
+      addToast(`Neispravan potez: ${data.message}`, "error");
+    });
+
+    socket.on("playerDisconnected", (data) => {
+      setIsCardPlaying(false);
+      addToast(data.message, "info");
+    });
+
+    // Grace period je istekao - bot igra umjesto odspojenog igrača
+    socket.on("aiTakeover", (data) => {
+      addToast(data.message, "info");
+    });
+
+    socket.on("playerReconnected", (data) => {
+      addToast(data.message, "success");
+    });
+
+    socket.on("playerLeft", (data) => {
+      setIsCardPlaying(false);
+      if (data.permanent) {
+        clearGameState();
+        setGameState((prev) => ({
+          ...prev,
+          gamePhase: "finished",
+          gameInterrupted: true,
+          message: `${data.message} Igra je završena.`,
+        }));
+        addToast(data.message, "error");
+      }
+    });
+
+    socket.on("roomDeleted", (data) => {
+      setIsCardPlaying(false);
+      clearGameState();
+      addToast(data.message, "error");
+      setTimeout(() => {
+        onGameEnd();
+      }, 2000);
+    });
+
+    socket.on("eloUpdate", (data) => {
+      setEloChanges(data);
+    });
+
+    return () => {
+      socket.off("cardPlayed");
+      socket.off("turnChange");
+      socket.off("roundFinished");
+      socket.off("playableCardsUpdate");
+      socket.off("akuzeAnnounced");
+      socket.off("akuzeRejected");
+      socket.off("partidaRestarted");
+      socket.off("partidaContinueStatus");
+      socket.off("trumpSwapped");
+      socket.off("invalidMove");
+      socket.off("playerDisconnected");
+      socket.off("aiTakeover");
+      socket.off("playerReconnected");
+      socket.off("playerLeft");
+      socket.off("roomDeleted");
+      socket.off("eloUpdate");
+    };
+  }, [
+    socket,
+    gameState?.roomId,
+    gameState?.gameType,
+    gameState?.playerNumber,
+    seats,
+    onGameEnd,
+    addToast,
+    announceAkuze,
+    clearGameState,
+  ]);
+
+  const handleSwapTrump = () => {
+    if (!socket || !gameState?.roomId) return;
+    socket.emit("swapTrump", { roomId: gameState.roomId });
+  };
+
+  const handleAkuze = (akuz) => {
+    if (!gameState?.akuzeEnabled) return;
+
+    if (isLocal) {
+      const akuzeKey = `player${gameState.playerNumber}Akuze`;
+      setGameState((prev) => {
+        const current = prev.local[akuzeKey] || { points: 0, details: [] };
+        return {
+          ...prev,
+          local: {
+            ...prev.local,
+            [akuzeKey]: {
+              points: current.points + akuz.points,
+              details: [...current.details, akuz],
+            },
+          },
+          akuze: {
+            ...prev.akuze,
+            [prev.playerNumber]: [
+              ...(prev.akuze[prev.playerNumber] || []),
+              akuz,
+            ],
+          },
+        };
+      });
+    } else {
+      // Server provjerava akuž iz svoje ruke i javlja ga svima (akuzeAnnounced)
+      socket.emit("akuze", { roomId: gameState.roomId, akuz });
+    }
+
+    addToast(
+      `Akužavali ste ${akuz.description} (+${akuzePointsText(akuz.points)})`,
+      "success",
+    );
+    setShowAkuzeModal(false);
+  };
+
+  const handleContinueNextPartija = () => {
+    if (isLocal) {
+      const { state, announced } = dealLocalPartija(
+        localEngine,
+        gameState.akuzeEnabled,
+        gameState.local,
+      );
+      setGameState((prev) => ({
+        ...reducePartidaRestarted(
+          prev,
+          {
+            ...localRoundPayload(localEngine, state, seats),
+            currentPlayer: state.currentPlayer,
+          },
+          seats,
+        ),
+        local: state,
+      }));
+      announceAkuze(announced);
+      return;
+    }
+
+    if (!gameState.roomId) return;
+    setNextPartidaStatus((prev) => ({ ...prev, playerReady: true }));
+    socket.emit("continueNextPartija", {
+      roomId: gameState.roomId,
+      playerNumber: gameState.playerNumber,
+    });
+  };
+
+  const handleLeave = () => {
+    if (!isLocal) {
+      clearGameState();
+      leaveRoomPermanently(gameState.roomId);
+    }
+    onGameEnd();
+  };
+
+  const handleCardClick = (card) => {
+    if (!gameState || isCardPlaying) return;
+
+    if (
+      gameState.gamePhase !== "playing" ||
+      gameState.currentPlayer !== gameState.playerNumber
+    ) {
+      return;
+    }
+
+    // Svi su već odigrali - čeka se da server pokupi ruku
+    if ((gameState.playedCards || []).length >= playerCount) return;
+
+    const alreadyPlayed = (gameState.playedCards || []).some(
+      (played) => played && played.playerNumber === gameState.playerNumber,
+    );
+    if (alreadyPlayed) return;
+
+    // Trešeta: mora se odgovoriti na boju prve karte
+    if (
+      gameState.gameType === "treseta" &&
+      !gameState.playableCards.includes(card.id)
+    ) {
+      const { reason } = isValidMove(
+        card,
+        gameState.myHand,
+        gameState.playedCards,
+      );
+      addToast(`Neispravan potez: ${reason}`, "error");
+      return;
+    }
+
+    // Briskula: pravilo završnice kad se potroši špil
+    if (
+      enforcesPlayableCards(gameState) &&
+      !gameState.playableCards.includes(card.id)
+    ) {
+      addToast(
+        "Neispravan potez: špil je potrošen, morate odgovoriti na boju",
+        "error",
+      );
+      return;
+    }
+
+    if (isLocal) {
+      setGameState((prev) => applyLocalPlay(prev, prev.playerNumber, card.id));
+      return;
+    }
+
+    setIsCardPlaying(true);
+    playCard(gameState.roomId, card);
+  };
+
+  if (!gameState) {
+    return (
+      <div className="game-wrapper">
+        <div className="ffa-loading">Učitavanje igre...</div>
+      </div>
+    );
+  }
+
+  const cardSize = isMobile ? "small" : "medium";
+  const isTreseta = gameState.gameType === "treseta";
+
+  // Koje sjedalo je na kojoj poziciji stola (bottom = ja)
+  const getSeatPosition = (seat) =>
+    TABLE_POSITIONS[playerCount][
+      (seat - gameState.playerNumber + playerCount) % playerCount
+    ];
+  const getSeatAt = (position) =>
+    seats.find((seat) => getSeatPosition(seat) === position);
+
+  const trumpSwapCard =
+    !isTreseta &&
+    gameState.gamePhase === "playing" &&
+    gameState.currentPlayer === gameState.playerNumber &&
+    !isCardPlaying &&
+    (gameState.playedCards || []).length < playerCount
+      ? findTrumpSwapCard(
+          gameState.myHand,
+          gameState.trump,
+          gameState.remainingCardsCount,
+          gameState.trumpSwapRule,
+        )
+      : null;
+
+  // Akužati se može u prvoj ruci partije, prije vlastite karte
+  const myAkuze = gameState.akuze?.[gameState.playerNumber] || [];
+  const availableAkuze =
+    isTreseta &&
+    gameState.akuzeEnabled &&
+    gameState.gamePhase === "playing" &&
+    !gameState.firstTrickDone &&
+    gameState.currentPlayer === gameState.playerNumber &&
+    !(gameState.playedCards || []).some(
+      (played) => played.playerNumber === gameState.playerNumber,
+    )
+      ? checkAkuze(gameState.myHand, gameState.akuzeTypes).filter(
+          (akuz) =>
+            !myAkuze.some(
+              (declared) =>
+                declared.type === akuz.type &&
+                declared.description === akuz.description,
+            ),
+        )
+      : [];
+
+  const renderSeat = (position) => {
+    const seat = getSeatAt(position);
+    if (!seat) return <div className={`player-position ${position}-player`} />;
+
+    const seatAkuze = sumAkuzePoints(gameState.akuze?.[seat]);
+
+    return (
+      <div className={`player-position ${position}-player`}>
+        <div
+          className={`player-icon-display opponent ${
+            gameState.currentPlayer === seat ? "current-turn" : ""
+          }`}
+        >
+          <div className="player-avatar opponent">
+            {getPlayerName(seat).charAt(0).toUpperCase()}
+          </div>
+          <div className="player-name">{getPlayerName(seat)}</div>
+          <div className="player-cards-indicator">
+            <span>
+              {getCardCountText(gameState.handCounts[`player${seat}`] || 0)}
+            </span>
+          </div>
+          <div className="ffa-seat-points">
+            {gameState.points[seat] || 0} b.
+            {seatAkuze > 0 && ` (🃏 +${seatAkuze})`}
+          </div>
+        </div>
+      </div>
+    );
+  };
+
+  // Konačni poredak - sa servera ili iz trenutnih bodova (prekinuta igra)
+  const scoreOf = (seat) =>
+    isTreseta ? gameState.totals[seat] || 0 : gameState.points[seat] || 0;
+  const ranking =
+    gameState.ranking ||
+    seats
+      .map((seat) => ({ playerNumber: seat, points: scoreOf(seat) }))
+      .sort((a, b) => b.points - a.points)
+      .map((entry, index) => ({ ...entry, place: index + 1 }));
+
+  const lastPartija = gameState.partijas?.[gameState.partijas.length - 1];
+
+  return (
+    <div className="game-wrapper game-2v2 game-ffa">
+      {/* Header */}
+      <div className="game-header">
+        <h1 className="game-title">
+          <img
+            src="/cards_img/dinarICON.png"
+            alt="Dinari"
+            className="title-suit-icon"
+          />
+          {isTreseta ? "Trešeta" : "Briskula"} - {playerCount} igrača
+        </h1>
+
+        {/* Bodovi svih igrača (Trešeta: ukupno kroz partije) */}
+        <div className="team-scores">
+          {seats.map((seat) => (
+            <div
+              key={seat}
+              className={`team-score ${
+                seat === gameState.playerNumber ? "my-team" : ""
+              }`}
+            >
+              <span className="team-label">{getPlayerName(seat)}</span>
+              <span className="team-points">{scoreOf(seat)}</span>
+            </div>
+          ))}
+        </div>
+
+        <div className="desktop-controls">
+          <button
+            onClick={() => setShowScores(!showScores)}
+            className="game-btn btn-primary"
+          >
+            {showScores ? "Sakrij" : "Detalji"}
+          </button>
+
+          {availableAkuze.length > 0 && (
+            <button
+              onClick={() => setShowAkuzeModal(true)}
+              className="game-btn btn-warning"
+            >
+              🃏 Akužaj
+            </button>
+          )}
+
+          {gameState.gamePhase === "playing" && (
+            <button onClick={handleLeave} className="game-btn btn-danger">
+              Napusti
+            </button>
+          )}
+
+          {gameState.gamePhase === "finished" && (
+            <button onClick={onGameEnd} className="game-btn btn-secondary">
+              Povratak
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="game-area-2v2">
+        {renderSeat("top")}
+
+        <div
+          className={`middle-section ${
+            gameState.remainingCardsCount === 0 ? "no-deck" : ""
+          }`}
+        >
+          {renderSeat("left")}
+
+          <div className="center-area">
+            <div className="played-cards-section">
+              <div className="played-cards-label">Odigrane karte</div>
+              <div className="played-cards-cross">
+                {gameState.playedCards.map((card) => (
+                  <div
+                    key={`played-${card.id}`}
+                    className={`played-card-position ${getSeatPosition(
+                      card.playerNumber,
+                    )}`}
+                  >
+                    <Card card={card} size="played" />
+                    <div className="card-player-label">
+                      {getPlayerName(card.playerNumber)}
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          </div>
+
+          {gameState.remainingCardsCount > 0 && (
+            <div className="deck-trump-section">
+              <div className="deck-label">
+                Špil ({gameState.remainingCardsCount})
+              </div>
+              <div className="deck-trump-stack">
+                {gameState.trump && (
+                  <div className="trump-card">
+                    <Card card={gameState.trump} size={cardSize} />
+                  </div>
+                )}
+                <div className="deck-card">
+                  <Card card={{}} isHidden={true} size={cardSize} />
+                </div>
+              </div>
+              {trumpSwapCard && (
+                <button
+                  className="trump-swap-btn"
+                  onClick={handleSwapTrump}
+                  title={`Zamijeni ${trumpSwapCard.name} ${trumpSwapCard.suit} za aduta`}
+                >
+                  🔄 Zamijeni aduta ({CARD_NAMES[trumpSwapCard.value]})
+                </button>
+              )}
+            </div>
+          )}
+
+          {renderSeat("right")}
+        </div>
+
+        {/* Bottom player (current user) */}
+        <div className="player-position bottom-player">
+          <div className="player-status-combined">
+            {user?.name} - {gameState.message}
+          </div>
+          <div className="player-cards">
+            {gameState.myHand.map((card) => (
+              <Card
+                key={card.id}
+                card={card}
+                isPlayable={
+                  gameState.gamePhase === "playing" &&
+                  gameState.currentPlayer === gameState.playerNumber &&
+                  !isCardPlaying &&
+                  (!enforcesPlayableCards(gameState) ||
+                    gameState.playableCards.includes(card.id))
+                }
+                isSelected={false}
+                onClick={handleCardClick}
+                size={cardSize}
+              />
+            ))}
+          </div>
+        </div>
+      </div>
+
+      {/* Scores overlay */}
+      {showScores && (
+        <div className="scores-overlay" onClick={() => setShowScores(false)}>
+          <div className="scores-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="scores-header">
+              <h2>Detaljni rezultati - {playerCount} igrača</h2>
+            </div>
+
+            <div className="ffa-standings">
+              {seats.map((seat) => (
+                <div
+                  key={seat}
+                  className={`ffa-standing ${
+                    seat === gameState.playerNumber ? "me" : ""
+                  }`}
+                >
+                  <span>
+                    {getPlayerName(seat)}
+                    {seat === gameState.playerNumber && " (Vi)"}
+                  </span>
+                  <span>
+                    {gameState.points[seat] || 0} bodova
+                    {isTreseta && ` (ukupno ${gameState.totals[seat] || 0})`}
+                  </span>
+                </div>
+              ))}
+            </div>
+
+            {/* Trešeta: povijest partija i akuže */}
+            {isTreseta && (
+              <div className="treseta-details">
+                <div className="treseta-summary">
+                  <div className="target-info">
+                    Cilj: {gameState.targetScore} bodova
+                  </div>
+                  <div className="current-partija">
+                    Trenutna partija: {gameState.currentPartija}
+                  </div>
+                </div>
+
+                {gameState.partijas.length > 0 && (
+                  <div className="partijas-history">
+                    <h4>Prošle partije:</h4>
+                    <div className="partijas-list">
+                      {gameState.partijas.map((partija) => (
+                        <div key={partija.partija} className="partija-item">
+                          <span className="partija-number">
+                            Partija {partija.partija}:
+                          </span>
+                          <span className="partija-score">
+                            {seats
+                              .map((seat) => partija[`player${seat}Points`])
+                              .join(" - ")}
+                          </span>
+                          <span className="partija-winner">
+                            {partija.winner === gameState.playerNumber
+                              ? "🏆 Vi"
+                              : partija.winner
+                                ? getPlayerName(partija.winner)
+                                : "🤝 Neriješeno"}
+                          </span>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                )}
+
+                {gameState.akuzeEnabled && (
+                  <div className="current-akuze">
+                    <h4>Akuže u ovoj partiji:</h4>
+                    {seats.every(
+                      (seat) => (gameState.akuze[seat] || []).length === 0,
+                    ) ? (
+                      <p>Nema akuža</p>
+                    ) : (
+                      <ul>
+                        {seats.flatMap((seat) =>
+                          (gameState.akuze[seat] || []).map((akuz) => (
+                            <li
+                              key={`${seat}-${akuz.type}-${akuz.description}`}
+                            >
+                              {getPlayerName(seat)}: {akuz.description} (+
+                              {akuzePointsText(akuz.points)})
+                            </li>
+                          )),
+                        )}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {gameState.remainingCardsCount > 0 && (
+              <div className="trump-info">
+                <h3>Adut</h3>
+                {gameState.trump && (
+                  <Card card={gameState.trump} size="small" />
+                )}
+                <p>Preostalo: {gameState.remainingCardsCount}</p>
+              </div>
+            )}
+
+            <button
+              className="close-scores"
+              onClick={() => setShowScores(false)}
+            >
+              Zatvori
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Akuže selection modal */}
+      {showAkuzeModal && (
+        <div
+          className="scores-overlay"
+          onClick={() => setShowAkuzeModal(false)}
+        >
+          <div
+            className="scores-modal akuze-modal"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="scores-header">
+              <h2>🃏 Odaberite akuz</h2>
+            </div>
+
+            <div className="akuze-selection">
+              {availableAkuze.map((akuz) => (
+                <button
+                  key={`${akuz.type}-${akuz.description}`}
+                  className="akuz-option"
+                  onClick={() => handleAkuze(akuz)}
+                >
+                  <div className="akuz-description">{akuz.description}</div>
+                  <div className="akuz-points">
+                    +{akuzePointsText(akuz.points)}
+                  </div>
+                  <div className="akuz-cards">
+                    {akuz.cards.map((card) => (
+                      <span key={card.id} className="akuz-card">
+                        {card.name} {card.suit}
+                      </span>
+                    ))}
+                  </div>
+                </button>
+              ))}
+            </div>
+
+            <button
+              className="close-scores"
+              onClick={() => setShowAkuzeModal(false)}
+            >
+              Odustani
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Partija Finished Screen - Trešeta u troje */}
+      {gameState.gamePhase === "partidaFinished" && (
+        <div className="final-score-overlay">
+          <div className="final-score-container">
+            <div className="final-score-header">
+              <h2>🏆 Partija {lastPartija?.partija} završena!</h2>
+            </div>
+
+            <div className="partija-result">
+              <p>{gameState.message}</p>
+              <div className="ffa-standings">
+                {seats.map((seat) => (
+                  <div
+                    key={seat}
+                    className={`ffa-standing ${
+                      seat === gameState.playerNumber ? "me" : ""
+                    }`}
+                  >
+                    <span>
+                      {getPlayerName(seat)}
+                      {seat === gameState.playerNumber && " (Vi)"}
+                    </span>
+                    <span>
+                      +{lastPartija?.[`player${seat}Points`] || 0} → ukupno{" "}
+                      {gameState.totals[seat] || 0}
+                    </span>
+                  </div>
+                ))}
+              </div>
+              {gameState.deadCard && !gameState.deadCard.hidden && (
+                <div className="ffa-dead-card">
+                  <span>Mrtva karta:</span>
+                  <Card card={gameState.deadCard} size="small" />
+                </div>
+              )}
+              <div className="target-info">
+                Cilj: {gameState.targetScore} bodova
+              </div>
+            </div>
+
+            <div className="final-score-actions">
+              {nextPartidaStatus.playerReady ? (
+                <div className="waiting-opponent-message">
+                  <div className="loading-spinner">⏳</div>
+                  <p>
+                    {nextPartidaStatus.waitingFor > 0
+                      ? "Čeka se odluka drugih igrača..."
+                      : "Pokretanje nove partije..."}
+                  </p>
+                </div>
+              ) : (
+                <button
+                  onClick={handleContinueNextPartija}
+                  className="btn-primary-large"
+                >
+                  ▶️ Nastavi sljedeću partiju
+                </button>
+              )}
+              <button onClick={handleLeave} className="btn-secondary-large">
+                🏠 Napusti igru
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Final Score Screen */}
+      {gameState.gamePhase === "finished" && (
+        <div className="final-score-overlay">
+          <div className="final-score-container">
+            <div className="final-score-header">
+              <h2>
+                {gameState.gameInterrupted
+                  ? "⚠️ Igra prekinuta"
+                  : "🎮 Partija završena!"}
+              </h2>
+              <div className="result-emoji">
+                {gameState.gameInterrupted
+                  ? "😕"
+                  : gameState.winner === gameState.playerNumber
+                    ? "🎉"
+                    : gameState.winner === null
+                      ? "🤝"
+                      : "😔"}
+              </div>
+            </div>
+
+            {!gameState.gameInterrupted && (
+              <div className="ffa-standings">
+                {ranking.map((entry) => (
+                  <div
+                    key={entry.playerNumber}
+                    className={`ffa-standing ${
+                      entry.playerNumber === gameState.playerNumber ? "me" : ""
+                    }`}
+                  >
+                    <span className="ffa-place">
+                      {entry.place === 1 ? "👑" : `${entry.place}.`}
+                    </span>
+                    <span>
+                      {getPlayerName(entry.playerNumber)}
+                      {entry.playerNumber === gameState.playerNumber && " (Vi)"}
+                    </span>
+                    <span>{entry.points} bodova</span>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="game-result">
+              <p>{gameState.message}</p>
+            </div>
+
+            {eloChanges && user?.userId && eloChanges[user.userId] && (
+              <div className="elo-changes">
+                <div
+                  className={`elo-change ${
+                    eloChanges[user.userId].change >= 0
+                      ? "elo-positive"
+                      : "elo-negative"
+                  }`}
+                >
+                  <span className="elo-label">ELO:</span>
+                  <span className="elo-value">
+                    {eloChanges[user.userId].change >= 0 ? "+" : ""}
+                    {eloChanges[user.userId].change}
+                  </span>
+                  <span className="elo-new">
+                    → {eloChanges[user.userId].newElo}
+                  </span>
+                </div>
+              </div>
+            )}
+
+            <FairnessPanel
+              deals={gameState.fairnessDeals}
+              gameType={gameState.gameType}
+              gameMode={gameMode}
+              playerNumber={gameState.playerNumber}
+            />
+
+            <div className="final-score-actions">
+              <button onClick={onGameEnd} className="btn-secondary-large">
+                🏠 Glavni meni
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default GameFFA;
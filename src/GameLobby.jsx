@@ -3,6 +3,12 @@
 import { useState, useEffect } from "react";
 import { useSocket } from "./SocketContext";
 import CreateGameModal from "./CreateGameModal";
+import { describeHouseRules } from "../core/houseRules.js";
+import {
+  AI_DIFFICULTIES,
+  AI_DIFFICULTY_LABELS,
+  DEFAULT_AI_DIFFICULTY,
+} from "../core/aiDifficulty.js";
 import "./GameLobby.css";
 import EloWidget from "./EloWidget";
 
@@ -20,9 +26,15 @@ function GameLobby({ onGameStart, onBack, gameType, clearPendingJoinCode }) {
   const [error, setError] = useState("");
   const [roomCode, setRoomCode] = useState("");
   const [joiningByCode, setJoiningByCode] = useState(false);
+  const [botDifficulty, setBotDifficulty] = useState(DEFAULT_AI_DIFFICULTY);
 
   const safeGameType = (gameType || "briskula").toString();
 
+  // Ekspert (pretraga stabla) postoji samo za Briskulu
+  const botDifficulties = AI_DIFFICULTIES.filter(
+    (level) => level !== "expert" || safeGameType !== "treseta",
+  );
+
   const refreshGames = () => {
     setLoading(true);
     if (socket) {
@@ -164,6 +176,12 @@ function GameLobby({ onGameStart, onBack, gameType, clearPendingJoinCode }) {
       setError(errorData.message);
     });
 
+    // Listen for add bot errors
+    socket.on("addBotError", (errorData) => {
+      console.error("❌ Add bot error:", errorData);
+      setError(errorData.message);
+    });
+
     return () => {
       socket.off("activeGamesUpdate");
       socket.off("gameCreated");
@@ -173,6 +191,7 @@ function GameLobby({ onGameStart, onBack, gameType, clearPendingJoinCode }) {
       socket.off("gameCreationError");
       socket.off("gameDeleted");
       socket.off("gameDeletionError");
+      socket.off("addBotError");
     };
   }, [socket, safeGameType, onGameStart]);
 
@@ -186,14 +205,12 @@ function GameLobby({ onGameStart, onBack, gameType, clearPendingJoinCode }) {
     socket.emit("createGame", {
       gameName: gameData.name,
       gameType: safeGameType,
-      gameMode: gameData.maxPlayers === 2 ? "1v1" : "2v2",
+      gameMode:
+        gameData.gameMode || (gameData.maxPlayers === 2 ? "1v1" : "2v2"),
       password: gameData.password,
       hasPassword: gameData.hasPassword,
-      // Include akuze setting for Treseta
-      ...(safeGameType === "treseta" &&
-        gameData.akuzeEnabled !== undefined && {
-          akuzeEnabled: gameData.akuzeEnabled,
-        }),
+      // Kućna pravila (validira ih server prema core/houseRules.js)
+      houseRules: gameData.houseRules,
     });
   };
 
@@ -229,6 +246,19 @@ function GameLobby({ onGameStart, onBack, gameType, clearPendingJoinCode }) {
     });
   };
 
+  // Host popunjava slobodno mjesto botom koji igra na serveru
+  const handleAddBot = (gameId) => {
+    if (!socket || !user) {
+      setError("Connection error");
+      return;
+    }
+
+    socket.emit("addBot", {
+      roomId: gameId,
+      difficulty: botDifficulty,
+    });
+  };
+
   const handlePasswordSubmit = () => {
     if (!joinPassword.trim()) {
       setError("Password is required");
@@ -497,10 +527,44 @@ function GameLobby({ onGameStart, onBack, gameType, clearPendingJoinCode }) {
                     <p>
                       <strong>Type:</strong> {game.gameType}
                     </p>
+                    {game.houseRules && (
+                      <ul className="house-rules-list">
+                        {describeHouseRules(
+                          game.gameType,
+                          game.gameMode,
+                          game.houseRules,
+                        ).map((rule) => (
+                          <li key={rule.key}>
+                            <strong>{rule.label}:</strong> {rule.value}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
                     <p className="created-time">
                       Created: {new Date(game.createdAt).toLocaleTimeString()}
                     </p>
                   </div>
+                  {game.creator === user?.name && !isFull && (
+                    <div className="add-bot-row">
+                      <select
+                        className="bot-difficulty-select"
+                        value={botDifficulty}
+                        onChange={(e) => setBotDifficulty(e.target.value)}
+                      >
+                        {botDifficulties.map((level) => (
+                          <option key={level} value={level}>
+                            {AI_DIFFICULTY_LABELS[level]}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        className="add-bot-btn"
+                        onClick={() => handleAddBot(game.id)}
+                      >
+                        🤖 Dodaj bota
+                      </button>
+                    </div>
+                  )}
                   <button
                     className="join-btn"
                     onClick={() => handleJoinGame(game.id)}
@@ -1,11 +1,22 @@
 "use client";
 
 import { useState } from "react";
+import {
+  AI_DIFFICULTIES,
+  AI_DIFFICULTY_LABELS,
+  DEFAULT_AI_DIFFICULTY,
+} from "../core/aiDifficulty.js";
 import "./GameModeSelector.css";
 
 function GameModeSelector({ onModeSelect, onBack, gameType }) {
   const [selectedMode, setSelectedMode] = useState(null);
   const [akuzeEnabled, setAkuzeEnabled] = useState(true); // Default to enabled
+  const [aiDifficulty, setAiDifficulty] = useState(DEFAULT_AI_DIFFICULTY);
+
+  // Ekspert (pretraga stabla) postoji samo za Briskulu
+  const difficulties = AI_DIFFICULTIES.filter(
+    (level) => level !== "expert" || gameType !== "treseta",
+  );
 
   const handleModeSelect = (mode) => {
     setSelectedMode(mode.gameMode || mode);
@@ -111,12 +122,25 @@ function GameModeSelector({ onModeSelect, onBack, gameType }) {
             <div className="ai-section-header">
               <span className="ai-badge">🤖 AI Opcije</span>
             </div>
+            <div className="ai-difficulty-picker">
+              {difficulties.map((level) => (
+                <button
+                  key={level}
+                  className={`ai-difficulty-btn ${
+                    aiDifficulty === level ? "active" : ""
+                  }`}
+                  onClick={() => setAiDifficulty(level)}
+                >
+                  {AI_DIFFICULTY_LABELS[level]}
+                </button>
+              ))}
+            </div>
             <button
               onClick={() => {
                 const aiMode = {
                   gameMode: "1vAI",
                   opponent: { name: "AI Bot", isAI: true },
-                  aiDifficulty: "hard",
+                  aiDifficulty,
                   gameState: {}, // Game.jsx će sam generirati špil
                 };
 
@@ -131,6 +155,34 @@ function GameModeSelector({ onModeSelect, onBack, gameType }) {
               🎮 Igrajte protiv AI
             </button>
 
+            {/* Igra u parovima - AI partner protiv dva AI protivnika */}
+            <button
+              onClick={() =>
+                handleModeSelect({
+                  gameMode: "2v2AI",
+                  aiDifficulty,
+                  ...(gameType === "treseta" && { akuzeEnabled }),
+                })
+              }
+            >
+              👥🤖 2v2 s AI partnerom
+            </button>
+
+            {/* Trešeta u troje - igrač protiv dva AI protivnika */}
+            {gameType === "treseta" && (
+              <button
+                onClick={() =>
+                  handleModeSelect({
+                    gameMode: "1v1v1AI",
+                    aiDifficulty,
+                    akuzeEnabled,
+                  })
+                }
+              >
+                👤🤖🤖 Trešeta u troje protiv AI
+              </button>
+            )}
+
             {/* Akuze option for Treseta AI games */}
             {gameType === "treseta" && (
               <div className="ai-akuze-option">
@@ -1,7 +1,13 @@
 import React, { useState } from "react";
 import "./Header.css";
 
-const Header = ({ user, onLogout, onLeaderboard, onBugReport }) => {
+const Header = ({
+  user,
+  onLogout,
+  onLeaderboard,
+  onMatchHistory,
+  onBugReport,
+}) => {
   const isLoggedIn = !!user;
   const [menuOpen, setMenuOpen] = useState(false);
 
@@ -74,6 +80,15 @@ const Header = ({ user, onLogout, onLeaderboard, onBugReport }) => {
                   <span>Ljestvica</span>
                 </button>
               )}
+              {isLoggedIn && onMatchHistory && (
+                <button
+                  className="mobile-menu-item"
+                  onClick={() => handleMenuAction(onMatchHistory)}
+                >
+                  <span className="mobile-menu-icon">📜</span>
+                  <span>Povijest mečeva</span>
+                </button>
+              )}
               {isLoggedIn && onBugReport && (
                 <button
                   className="mobile-menu-item"
@@ -132,6 +147,15 @@ const Header = ({ user, onLogout, onLeaderboard, onBugReport }) => {
                   <span className="app-btn-text">Ljestvica</span>
                 </button>
               )}
+              {onMatchHistory && (
+                <button
+                  className="app-action-btn app-history-btn"
+                  onClick={onMatchHistory}
+                >
+                  <span className="app-btn-icon">📜</span>
+                  <span className="app-btn-text">Povijest</span>
+                </button>
+              )}
               <button
                 className="app-action-btn app-logout-btn"
                 onClick={onLogout}
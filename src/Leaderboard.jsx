@@ -188,6 +188,14 @@ function Leaderboard({ onBack, onLogout, onBugReport }) {
                           {player.winRate}%
                         </span>
                       </div>
+                      {filter === "treseta" && (
+                        <div className="mobile-stat-item">
+                          <span className="mobile-stat-label">Kapoti:</span>
+                          <span className="mobile-stat-value">
+                            {player.capots || 0}
+                          </span>
+                        </div>
+                      )}
                     </div>
                   </div>
                 );
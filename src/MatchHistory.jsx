@@ -0,0 +1,237 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useSocket } from "./SocketContext";
+import Header from "./Header";
+import ReplayViewer from "./ReplayViewer";
+import { importNotation, NOTATION_EXTENSION } from "../core/notation.js";
+import "./MatchHistory.css";
+
+const PAGE_SIZE = 10;
+
+const apiBase = () =>
+  import.meta.env.VITE_SERVER_URL ||
+  import.meta.env.VITE_API_URL ||
+  window.location.origin;
+
+function formatDuration(ms) {
+  const minutes = Math.round((ms || 0) / 60000);
+  return minutes < 1 ? "< 1 min" : `${minutes} min`;
+}
+
+/**
+ * Povijest odigranih mečeva prijavljenog igrača, s replayem svakog meča.
+ */
+function MatchHistory({ onBack, onLogout, onBugReport }) {
+  const { user } = useSocket();
+  const [matches, setMatches] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [offset, setOffset] = useState(0);
+  const [filter, setFilter] = useState("all"); // 'all' | 'briskula' | 'treseta'
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [replayMatch, setReplayMatch] = useState(null);
+
+  const canFetch = user?.userId && !user.isGuest;
+
+  const fetchMatches = useCallback(async () => {
+    setLoading(true);
+    setError("");
+
+    try {
+      const params = new URLSearchParams({
+        limit: PAGE_SIZE,
+        offset,
+        ...(filter !== "all" && { gameType: filter }),
+      });
+      const response = await fetch(
+        `${apiBase()}/api/match-history/${user.userId}?${params}`,
+      );
+      if (!response.ok) {
+        throw new Error("Failed to fetch match history");
+      }
+
+      const result = await response.json();
+      setMatches(result.success ? result.data : []);
+      setTotal(result.success ? result.total : 0);
+    } catch (err) {
+      console.error("Match history fetch error:", err);
+      setError("Greška pri učitavanju povijesti mečeva");
+    }
+    setLoading(false);
+  }, [filter, offset, user?.userId]);
+
+  useEffect(() => {
+    if (canFetch) fetchMatches();
+    else setLoading(false);
+  }, [canFetch, fetchMatches]);
+
+  const openReplay = async (matchId) => {
+    try {
+      const response = await fetch(`${apiBase()}/api/matches/${matchId}`);
+      if (!response.ok) {
+        throw new Error("Failed to fetch match");
+      }
+      const result = await response.json();
+      setReplayMatch(result.data);
+    } catch (err) {
+      console.error("Match fetch error:", err);
+      setError("Greška pri učitavanju meča");
+    }
+  };
+
+  // Zapis partije iz datoteke (npr. s foruma) otvara se u istom replayu
+  const importFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    try {
+      setReplayMatch(importNotation(await file.text()));
+      setError("");
+    } catch (err) {
+      console.error("Notation import error:", err);
+      setError(err.message);
+    }
+  };
+
+  const changeFilter = (value) => {
+    setFilter(value);
+    setOffset(0);
+  };
+
+  const mySide = (match) =>
+    match.players.find((p) => p.userId === user?.userId)?.side;
+
+  return (
+    <>
+      <Header user={user} onLogout={onLogout} onBugReport={onBugReport} />
+      <div className="match-history-container">
+        <div className="match-history-header">
+          <button className="back-btn" onClick={onBack}>
+            ←
+          </button>
+          <h1>📜 Povijest mečeva</h1>
+        </div>
+
+        {replayMatch ? (
+          <ReplayViewer
+            match={replayMatch}
+            viewerUserId={user?.userId}
+            onClose={() => setReplayMatch(null)}
+          />
+        ) : (
+          <>
+            <div className="match-history-filters">
+              {[
+                ["all", "Sve igre"],
+                ["briskula", "🃏 Briskula"],
+                ["treseta", "🎯 Trešeta"],
+              ].map(([value, label]) => (
+                <button
+                  key={value}
+                  className={`filter-btn ${filter === value ? "active" : ""}`}
+                  onClick={() => changeFilter(value)}
+                >
+                  {label}
+                </button>
+              ))}
+              <label className="filter-btn match-history-import">
+                📂 Uvezi zapis
+                <input
+                  type="file"
+                  accept={`.${NOTATION_EXTENSION},.txt`}
+                  onChange={importFile}
+                />
+              </label>
+            </div>
+
+            {error && <div className="match-history-error">{error}</div>}
+
+            {!canFetch ? (
+              <div className="match-history-empty">
+                <strong>💡 Registrirajte se</strong> da se vaši mečevi spremaju
+                u povijest.
+              </div>
+            ) : loading ? (
+              <div className="match-history-empty">Učitavanje...</div>
+            ) : matches.length === 0 ? (
+              <div className="match-history-empty">
+                Još nema odigranih mečeva.
+              </div>
+            ) : (
+              <ul className="match-history-list">
+                {matches.map((match) => {
+                  const side = mySide(match);
+                  const result =
+                    match.winner == null
+                      ? "draw"
+                      : match.winner === side
+                        ? "won"
+                        : "lost";
+                  const me = match.players.find(
+                    (p) => p.userId === user.userId,
+                  );
+                  return (
+                    <li
+                      key={match.id}
+                      className={`match-history-item ${result}`}
+                      onClick={() => openReplay(match.id)}
+                    >
+                      <span className="match-history-type">
+                        {match.gameType === "treseta" ? "Trešeta" : "Briskula"}{" "}
+                        {match.gameMode}
+                      </span>
+                      <span className="match-history-players">
+                        {match.players
+                          .map((p) =>
+                            // 🤖 - dio meča umjesto igrača je igrao AI
+                            p.aiTakeovers?.length ? `${p.name} 🤖` : p.name,
+                          )
+                          .join(", ")}
+                      </span>
+                      <span className="match-history-score">
+                        {Object.values(match.score || {}).join(" : ")}
+                      </span>
+                      <span className="match-history-elo">
+                        {me?.eloChange
+                          ? `${me.eloChange > 0 ? "+" : ""}${me.eloChange}`
+                          : ""}
+                      </span>
+                      <span className="match-history-date">
+                        {new Date(match.finishedAt).toLocaleString("hr-HR")} ·{" "}
+                        {formatDuration(match.durationMs)}
+                      </span>
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+
+            {total > PAGE_SIZE && (
+              <div className="match-history-pages">
+                <button
+                  className="filter-btn"
+                  disabled={offset === 0}
+                  onClick={() => setOffset(Math.max(0, offset - PAGE_SIZE))}
+                >
+                  ◀
+                </button>
+                <span>
+                  {offset + 1}-{Math.min(offset + PAGE_SIZE, total)} od {total}
+                </span>
+                <button
+                  className="filter-btn"
+                  disabled={offset + PAGE_SIZE >= total}
+                  onClick={() => setOffset(offset + PAGE_SIZE)}
+                >
+                  ▶
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </>
+  );
+}
+
+export default MatchHistory;
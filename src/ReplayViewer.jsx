@@ -0,0 +1,220 @@
+import React, { useMemo, useState } from "react";
+import Card from "./Card";
+import { getEngine } from "../core/engines.js";
+import { buildReplayFrames, MOVE_LOG_TYPES } from "../core/moveLog.js";
+import { downloadNotation } from "./notationFile";
+import AnalysisPanel from "./AnalysisPanel";
+import "./ReplayViewer.css";
+
+const cardLabel = (card) => (card ? `${card.name} ${card.suit}` : "");
+
+/**
+ * Opis koraka replaya za traku ispod stola.
+ */
+function describeEntry(entry, state, playerName, dealNumber) {
+  switch (entry.type) {
+    case MOVE_LOG_TYPES.DEAL:
+      return state.gameType === "treseta"
+        ? `Dijeljenje - ${state.currentPartija || dealNumber}. partija`
+        : `Dijeljenje - ${dealNumber}. igra`;
+    case MOVE_LOG_TYPES.PLAY: {
+      const played = state.playedCards[state.playedCards.length - 1];
+      return `${playerName(entry.seat)} baca ${cardLabel(played?.card)}${
+        entry.signal ? ` (${entry.signal})` : ""
+      }`;
+    }
+    case MOVE_LOG_TYPES.TRICK:
+      return `${playerName(entry.winner)} nosi ruku`;
+    case MOVE_LOG_TYPES.SWAP_TRUMP:
+      return `${playerName(entry.seat)} mijenja aduta`;
+    case MOVE_LOG_TYPES.AKUZE:
+      return `${playerName(entry.seat)} akuža: ${entry.akuz.description} (${entry.akuz.points})`;
+    default:
+      return entry.type;
+  }
+}
+
+/**
+ * Replay završenog meča iz dnevnika poteza - korak po korak, iz perspektive
+ * odabranog sjedala (ruke ostalih igrača skrivene osim ako se ne otvore).
+ */
+function ReplayViewer({ match, viewerUserId, onClose }) {
+  const engine = useMemo(
+    () => getEngine(match.gameType, match.gameMode),
+    [match.gameType, match.gameMode],
+  );
+  const { frames, error } = useMemo(
+    () => buildReplayFrames(engine, match.moves || []),
+    [engine, match.moves],
+  );
+
+  const seats = Array.from({ length: engine.seats }, (_, i) => i + 1);
+  const ownSeat = match.players.find(
+    (p) => viewerUserId && p.userId === viewerUserId,
+  )?.playerNumber;
+
+  const [step, setStep] = useState(0);
+  const [seat, setSeat] = useState(ownSeat || 1);
+  const [showAllHands, setShowAllHands] = useState(false);
+
+  if (frames.length === 0) {
+    return (
+      <div className="replay-viewer">
+        <div className="replay-empty">
+          Za ovaj meč nema zapisanih poteza.
+          <button className="replay-btn" onClick={onClose}>
+            Natrag
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  const { entry, state } = frames[step];
+  const playerName = (playerNumber) =>
+    match.players.find((p) => p.playerNumber === playerNumber)?.name ||
+    `Igrač ${playerNumber}`;
+  const dealNumber = frames
+    .slice(0, step + 1)
+    .filter((f) => f.entry.type === MOVE_LOG_TYPES.DEAL).length;
+  const { totals } = engine.score(state);
+
+  // Nakon pokupljene ruke stol je prazan - prikaži što je pokupljeno
+  const tableCards =
+    entry.type === MOVE_LOG_TYPES.TRICK
+      ? state.lastTrick?.cards || []
+      : state.playedCards || [];
+  const otherSeats = seats.filter((s) => s !== seat);
+  const goTo = (index) =>
+    setStep(Math.max(0, Math.min(frames.length - 1, index)));
+
+  return (
+    <div className="replay-viewer">
+      <div className="replay-toolbar">
+        <button className="replay-btn" onClick={onClose}>
+          ← Mečevi
+        </button>
+        <div className="replay-seats">
+          {seats.map((s) => (
+            <button
+              key={s}
+              className={`replay-seat-btn ${s === seat ? "active" : ""}`}
+              onClick={() => setSeat(s)}
+            >
+              {playerName(s)}
+            </button>
+          ))}
+        </div>
+        <label className="replay-toggle">
+          <input
+            type="checkbox"
+            checked={showAllHands}
+            onChange={(e) => setShowAllHands(e.target.checked)}
+          />
+          Sve ruke
+        </label>
+        <button className="replay-btn" onClick={() => downloadNotation(match)}>
+          ⬇ Zapis
+        </button>
+      </div>
+
+      <div className="replay-table">
+        <div className="replay-opponents">
+          {otherSeats.map((s) => (
+            <div key={s} className="replay-hand">
+              <div className="replay-hand-name">
+                {playerName(s)}
+                <span className="replay-points">
+                  {totals[engine.sideOf(s)] ?? 0} bod.
+                </span>
+              </div>
+              <div className="replay-cards">
+                {(state[`player${s}Hand`] || []).map((card) => (
+                  <Card
+                    key={card.id}
+                    card={card}
+                    isHidden={!showAllHands}
+                    size="small"
+                  />
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+
+        <div className="replay-center">
+          {state.trump && (
+            <div className="replay-trump">
+              <Card card={state.trump} size="small" />
+              <span>Adut · špil {(state.remainingDeck || []).length}</span>
+            </div>
+          )}
+          <div className="replay-played">
+            {tableCards.map((played) => (
+              <div key={played.card.id} className="replay-played-card">
+                <Card card={played.card} size="small" />
+                <span>{playerName(played.playerNumber)}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="replay-hand replay-own-hand">
+          <div className="replay-hand-name">
+            {playerName(seat)}
+            <span className="replay-points">
+              {totals[engine.sideOf(seat)] ?? 0} bod.
+            </span>
+          </div>
+          <div className="replay-cards">
+            {(state[`player${seat}Hand`] || []).map((card) => (
+              <Card key={card.id} card={card} size="small" />
+            ))}
+          </div>
+        </div>
+      </div>
+
+      <div className="replay-step-info">
+        <strong>
+          {step + 1} / {frames.length}
+        </strong>{" "}
+        {describeEntry(entry, state, playerName, dealNumber)}
+      </div>
+      {error && step === frames.length - 1 && (
+        <div className="replay-error">Replay prekinut: {error}</div>
+      )}
+
+      <div className="replay-controls">
+        <button className="replay-btn" onClick={() => goTo(0)}>
+          ⏮
+        </button>
+        <button className="replay-btn" onClick={() => goTo(step - 1)}>
+          ◀
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={frames.length - 1}
+          value={step}
+          onChange={(e) => goTo(Number(e.target.value))}
+        />
+        <button className="replay-btn" onClick={() => goTo(step + 1)}>
+          ▶
+        </button>
+        <button className="replay-btn" onClick={() => goTo(frames.length - 1)}>
+          ⏭
+        </button>
+      </div>
+
+      <AnalysisPanel
+        key={seat}
+        match={match}
+        seats={[seat]}
+        playerName={playerName}
+        onSelect={goTo}
+      />
+    </div>
+  );
+}
+
+export default ReplayViewer;
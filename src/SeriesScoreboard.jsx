@@ -0,0 +1,66 @@
+import React from "react";
+import "./SeriesScoreboard.css";
+
+/**
+ * Semafor Briskula serije - rezultat u dobivenim igrama i popis odigranih
+ * igara iz perspektive igrača (mySide je igrač u 1v1, tim u 2v2).
+ */
+function SeriesScoreboard({
+  series,
+  mySide,
+  myLabel = "Vi",
+  opponentLabel = "Protivnik",
+}) {
+  if (!series) return null;
+
+  const opponentSide = mySide === 1 ? 2 : 1;
+  const myWins = series.wins?.[mySide] || 0;
+  const opponentWins = series.wins?.[opponentSide] || 0;
+
+  return (
+    <div className="series-scoreboard">
+      <div className="series-header">
+        <span className="series-title">🏅 Serija</span>
+        <span className="series-target">Na {series.target} dobivene</span>
+      </div>
+      <div className="series-score">
+        <span className="series-side">{myLabel}</span>
+        <strong>
+          {myWins} : {opponentWins}
+        </strong>
+        <span className="series-side">{opponentLabel}</span>
+      </div>
+      {series.games?.length > 0 && (
+        <ol className="series-games">
+          {series.games.map((game) => (
+            <li
+              key={game.game}
+              className={
+                game.winner === mySide
+                  ? "series-game won"
+                  : game.winner === opponentSide
+                    ? "series-game lost"
+                    : "series-game"
+              }
+            >
+              <span>{game.game}. igra</span>
+              <span>
+                {game.points?.[mySide] ?? 0} -{" "}
+                {game.points?.[opponentSide] ?? 0}
+              </span>
+              <span>
+                {game.winner === mySide
+                  ? "✅"
+                  : game.winner === opponentSide
+                    ? "❌"
+                    : "🤝"}
+              </span>
+            </li>
+          ))}
+        </ol>
+      )}
+    </div>
+  );
+}
+
+export default SeriesScoreboard;
@@ -1,6 +1,12 @@
 "use client";
 
-import { createContext, useContext, useEffect, useState } from "react";
+import {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useState,
+} from "react";
 import { track } from "@plausible-analytics/tracker";
 import io from "socket.io-client";
 
@@ -575,9 +581,10 @@ export const SocketProvider = ({ children }) => {
     }
   };
 
-  const playCard = (roomId, card) => {
+  const playCard = (roomId, card, signal = null) => {
     if (socket) {
-      socket.emit("playCard", { roomId, card });
+      // Znak partneru (timska Trešeta) šalje se samo ako je odabran
+      socket.emit("playCard", { roomId, card, ...(signal && { signal }) });
     }
   };
 
@@ -673,7 +680,7 @@ export const SocketProvider = ({ children }) => {
     }
   };
 
-  const clearGameState = () => {
+  const clearGameState = useCallback(() => {
     setGameState(null);
     try {
       localStorage.removeItem("gameState");
@@ -685,7 +692,7 @@ export const SocketProvider = ({ children }) => {
     } catch (error) {
       console.error("❌ [SocketContext] Error clearing localStorage:", error);
     }
-  };
+  }, []);
 
   const reconnectToGame = () => {
     return new Promise((resolve, reject) => {
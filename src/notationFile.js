@@ -0,0 +1,18 @@
+// notationFile.js - Preuzimanje zapisa partije u pregledniku
+import { exportNotation, notationFileName } from "../core/notation.js";
+
+/**
+ * Preuzima zapis meča kao tekstualnu datoteku (core/notation.js).
+ * @param {Object} match - Zapis meča s dnevnikom poteza
+ */
+export function downloadNotation(match) {
+  const blob = new Blob([exportNotation(match)], {
+    type: "text/plain;charset=utf-8",
+  });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = notationFileName(match);
+  link.click();
+  URL.revokeObjectURL(url);
+}